@@ -0,0 +1,88 @@
+/**
+ * @module  lookup-bench
+ * @desc	Benchmarking module comparing the linear lookups of the days and hours by datetime, through Weather.filterItemByDatetimeVal,
+ *          with the indexed lookups of the {@link module:weather.Weather Weather} instance methods.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import { performance } from 'node:perf_hooks';
+
+/* Import the benchmarked module */
+import { Weather } from '../lib/weather.js';
+
+/** @const {object} cmdOptions - Benchmarking options. */
+const cmdOptions = {
+	years  : Number(process.argv[2]) || 10,
+	lookups: Number(process.argv[3]) || 20000,
+};
+
+/**
+ * @func   createWeatherData
+ * @param  {number} years - The number of years of data.
+ * @return {Object} The weather data of a location, with the hourly data of every day.
+ * @desc   Create synthetic weather data, the days starting at 2000-01-01.
+ */
+function createWeatherData(years){
+	const start = Date.UTC(2000, 0, 1);
+	const days = [];
+
+	for(let i = 0; i < Math.round(years * 365.25); i++){
+		const date = new Date(start + i * 86400000).toISOString().slice(0, 10);
+		const hours = [];
+
+		for(let h = 0; h < 24; h++){
+			hours.push({ datetime: `${String(h).padStart(2, '0')}:00:00`, temp: (i + h) % 40 });
+		}
+
+		days.push({ datetime: date, temp: i % 40, hours });
+	}
+
+	return { latitude: 0, longitude: 0, timezone: 'UTC', tzoffset: 0, days };
+}
+
+/**
+ * @func   measure
+ * @param  {string} desc - The description of the measured lookups.
+ * @param  {Array<Array<string>>} targets - The dates and times looked up.
+ * @param  {function} lookup - The lookup of a date and a time, returning the temperature.
+ * @return {number} The duration in milliseconds.
+ * @desc   Measure the duration of the lookups of the targets.
+ */
+function measure(desc, targets, lookup){
+	let checksum = 0;
+	const t0 = performance.now();
+
+	for(const [date, time] of targets){
+		checksum += lookup(date, time);
+	}
+
+	const duration = performance.now() - t0;
+	console.log(`${desc.padEnd(40)}${duration.toFixed(1).padStart(10)} ms   (checksum ${checksum})`);
+
+	return duration;
+}
+
+const data = createWeatherData(cmdOptions.years);
+
+const weather = new Weather();
+weather.setWeatherData(data);
+
+const targets = Array.from({ length: cmdOptions.lookups }, (_, i) => {
+	const day = data.days[(i * 7919) % data.days.length];
+	return [day.datetime, day.hours[i % 24].datetime];
+});
+
+console.log(`${data.days.length} days, ${data.days.length * 24} hours, ${targets.length} lookups\n`);
+
+const linear = measure('Linear (filterItemByDatetimeVal)', targets, (date, time) =>
+	Weather.filterItemByDatetimeVal(Weather.filterItemByDatetimeVal(data.days, date).hours, time).temp
+);
+
+const lookup = (date, time) => weather.getTempAtDatetime(date, time);
+
+measure('Indexed, building the indexes', targets, lookup);
+const indexed = measure('Indexed (getTempAtDatetime)', targets, lookup);
+
+console.log(`\nSpeedup: x${(linear / indexed).toFixed(1)}`);
@@ -0,0 +1,274 @@
+/**
+ * @module  budget
+ * @desc    A module that defines a daily query cost budget, shareable by several Weather instances using the same API key.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import { EventEmitter } from 'node:events';
+
+/* Import local dependencies */
+import { WeatherValidationError, WeatherBudgetError } from './errors.js';
+
+/**
+ * @const {number} DAY - The length of a budget period in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @class    QueryBudget
+ * @static
+ * @extends  EventEmitter
+ * @desc     A query cost budget, accumulating the cost of the requests over a day (starting at midnight UTC), and either refusing
+ *           or warning on the requests whose estimated cost would exceed its limit. The estimated cost of a request is reserved
+ *           until the request is settled, so that concurrent requests cannot overspend the budget together.
+ *           Emits an 'exceeded' event ({ limit, spent, estimate }) when warning; a process warning is emitted instead if there is no listener.
+ */
+export class QueryBudget extends EventEmitter{
+
+	/**
+	 * @member   spent
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @private
+	 * @desc     The query cost spent in the current period.
+	 */
+	#spent = 0;
+
+	/**
+	 * @member   reserved
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @private
+	 * @desc     The estimated query cost of the requests in progress, reserved until they are settled.
+	 */
+	#reserved = 0;
+
+	/**
+	 * @member   periodStart
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @private
+	 * @desc     The start time in milliseconds of the current period.
+	 */
+	#periodStart;
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @param    {Object} options - The budget options.
+	 * @param    {number} options.limit - The maximum query cost per day.
+	 * @param    {string} options.mode - 'refuse' to throw a WeatherBudgetError, or 'warn' to warn only, 'refuse' if not specified.
+	 * @param    {function} options.now - The function returning the current time in milliseconds, Date.now if not specified.
+	 * @desc     Constructs a new QueryBudget object.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	constructor(options = {}){
+		super();
+
+		const { limit, mode = 'refuse', now = Date.now } = options;
+
+		if(typeof limit !== 'number' || !(limit >= 0) || limit === Infinity){
+			throw new WeatherValidationError(`QueryBudget: Invalid limit value '${limit}'.`, { param: 'limit' });
+		}
+
+		if(!['refuse', 'warn'].includes(mode)){
+			throw new WeatherValidationError(`QueryBudget: Invalid mode value '${mode}'.`, { param: 'mode' });
+		}
+
+		if(typeof now !== 'function'){
+			throw new WeatherValidationError(`QueryBudget: Invalid now value '${now}'.`, { param: 'now' });
+		}
+
+		this.limit = limit;
+		this.mode = mode;
+		this.now = now;
+
+		this.#periodStart = this.#currentPeriodStart();
+	}
+
+	/**
+	 * @method   from
+	 * @static
+	 * @memberof module:budget.QueryBudget
+	 * @param    {QueryBudget|Object} budget - A QueryBudget object, or the options of a new one.
+	 * @returns  {QueryBudget} The QueryBudget object itself, or a new one constructed with the options.
+	 * @desc     Gets a QueryBudget object, allowing a budget to be either shared or specified by its options.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	static from(budget){
+		return budget instanceof QueryBudget ? budget : new QueryBudget(budget);
+	}
+
+	/**
+	 * @member   spent
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @readonly
+	 * @desc     The query cost spent in the current period.
+	 */
+	get spent(){
+		this.#rollover();
+		return this.#spent;
+	}
+
+	/**
+	 * @member   reserved
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @readonly
+	 * @desc     The estimated query cost of the requests in progress.
+	 */
+	get reserved(){
+		return this.#reserved;
+	}
+
+	/**
+	 * @member   remaining
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @readonly
+	 * @desc     The query cost remaining in the current period, neither spent nor reserved.
+	 */
+	get remaining(){
+		return Math.max(0, this.limit - this.spent - this.#reserved);
+	}
+
+	/**
+	 * @member   resetsAt
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @readonly
+	 * @desc     The time in milliseconds at which the current period ends.
+	 */
+	get resetsAt(){
+		this.#rollover();
+		return this.#periodStart + DAY;
+	}
+
+	/**
+	 * @method   check
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @param    {number} estimate - The estimated cost of a request.
+	 * @param    {string} source - The name of the requesting method, used to prefix the messages.
+	 * @returns  {boolean} True if the request fits within the budget, false if it exceeds it in 'warn' mode.
+	 * @desc     Checks whether a request fits within the remaining budget, neither spent nor reserved.
+	 * @throws   {WeatherBudgetError} If the request exceeds the budget in 'refuse' mode.
+	 */
+	check(estimate, source = 'QueryBudget.check'){
+		const spent = this.spent;
+
+		if(spent + this.#reserved + estimate <= this.limit){
+			return true;
+		}
+
+		const message = `${source}: The estimated query cost ${estimate} exceeds the remaining budget ${this.remaining} of ${this.limit}.`;
+
+		if(this.mode === 'refuse'){
+			throw new WeatherBudgetError(message, { limit: this.limit, spent, estimate });
+		}
+
+		if(this.listenerCount('exceeded')){
+			this.emit('exceeded', { limit: this.limit, spent, estimate });
+		}
+		else{
+			process.emitWarning(message, 'WeatherBudgetWarning');
+		}
+		return false;
+	}
+
+	/**
+	 * @method   reserve
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @param    {number} estimate - The estimated cost of a request.
+	 * @param    {string} source - The name of the requesting method, used to prefix the messages.
+	 * @returns  {Object} The reservation ({ estimate }) of the request, to be settled once its actual cost is known.
+	 * @desc     Checks whether a request fits within the remaining budget, and reserves its estimated cost.
+	 * @throws   {WeatherBudgetError} If the request exceeds the budget in 'refuse' mode.
+	 */
+	reserve(estimate, source = 'QueryBudget.reserve'){
+		this.check(estimate, source);
+
+		const amount = typeof estimate === 'number' && estimate > 0 ? estimate : 0;
+		this.#reserved += amount;
+
+		return { estimate: amount };
+	}
+
+	/**
+	 * @method   settle
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @param    {Object} reservation - The reservation of a request, as returned by reserve().
+	 * @param    {number} cost - The actual cost of the request, or of a part of it, 0 if not specified.
+	 * @param    {number} released - The part of the reservation to release, all of what remains of it if not specified.
+	 * @desc     Releases a reservation, or a part of it, and adds the actual cost to the query cost spent in the current period.
+	 */
+	settle(reservation, cost = 0, released = Infinity){
+		const amount = Math.min(Math.max(0, released), reservation.estimate);
+
+		reservation.estimate -= amount;
+		this.#reserved -= amount;
+
+		this.record(cost);
+	}
+
+	/**
+	 * @method   record
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @param    {number} cost - The actual cost of a request.
+	 * @desc     Adds the cost of a request to the query cost spent in the current period.
+	 */
+	record(cost){
+		this.#rollover();
+
+		if(typeof cost === 'number' && cost > 0){
+			this.#spent += cost;
+		}
+	}
+
+	/**
+	 * @method   reset
+	 * @instance
+	 * @memberof module:budget.QueryBudget
+	 * @desc     Resets the query cost spent in the current period.
+	 */
+	reset(){
+		this.#spent = 0;
+		this.#periodStart = this.#currentPeriodStart();
+	}
+
+	/**
+	 * @method   currentPeriodStart
+	 * @instance
+	 * @private
+	 * @memberof module:budget.QueryBudget
+	 * @returns  {number} The time in milliseconds of the last midnight UTC.
+	 * @desc     Computes the start time of the current period.
+	 */
+	#currentPeriodStart(){
+		const now = this.now();
+		return now - now % DAY;
+	}
+
+	/**
+	 * @method   rollover
+	 * @instance
+	 * @private
+	 * @memberof module:budget.QueryBudget
+	 * @desc     Starts a new period, with nothing spent, once the current one has ended.
+	 */
+	#rollover(){
+		const periodStart = this.#currentPeriodStart();
+
+		if(periodStart !== this.#periodStart){
+			this.#spent = 0;
+			this.#periodStart = periodStart;
+		}
+	}
+}
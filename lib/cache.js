@@ -0,0 +1,410 @@
+/**
+ * @module  cache
+ * @desc    A module that defines the response cache of the weather API requests, with an in-memory LRU store and a filesystem store.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import fs from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+/* Import local dependencies */
+import { WeatherValidationError } from './errors.js';
+
+/**
+ * @typedef  {Object} CacheEntry
+ * @property {string} body - The cached response body.
+ * @property {number} storedAt - The time in milliseconds at which the entry was stored.
+ * @property {number} expiresAt - The time in milliseconds at which the entry expires.
+ * @desc     An entry of the response cache.
+ */
+
+/**
+ * @typedef  {Object} CacheStore
+ * @property {function} get - get(key) returns the CacheEntry stored under a key, or undefined, or a promise of either.
+ * @property {function} set - set(key, entry) stores a CacheEntry under a key, possibly returning a promise.
+ * @property {function} delete - delete(key) removes the entry stored under a key, possibly returning a promise.
+ * @property {function} clear - clear() removes all the entries, possibly returning a promise.
+ * @desc     The interface of the stores of the response cache, the expiry of the entries being handled by the cache itself.
+ */
+
+/**
+ * @const {number} HOUR - One hour in milliseconds.
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @class    MemoryStore
+ * @static
+ * @desc     An in-memory cache store, evicting the least recently used entries beyond its maximum number of entries.
+ */
+export class MemoryStore{
+
+	/**
+	 * @member   entries
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @private
+	 * @desc     The stored entries, from the least to the most recently used.
+	 */
+	#entries = new Map();
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @param    {Object} options - The store options.
+	 * @param    {number} options.maxEntries - The maximum number of entries, 100 if not specified.
+	 * @desc     Constructs a new MemoryStore object.
+	 * @throws   {WeatherValidationError} If the maximum number of entries is invalid.
+	 */
+	constructor(options = {}){
+		const { maxEntries = 100 } = options;
+
+		if(!Number.isInteger(maxEntries) || maxEntries < 1){
+			throw new WeatherValidationError(`MemoryStore: Invalid maxEntries value '${maxEntries}'.`, { param: 'maxEntries' });
+		}
+
+		this.maxEntries = maxEntries;
+	}
+
+	/**
+	 * @member   size
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @readonly
+	 * @desc     The number of stored entries.
+	 */
+	get size(){
+		return this.#entries.size;
+	}
+
+	/**
+	 * @method   get
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @param    {string} key - The cache key.
+	 * @returns  {CacheEntry|undefined} The entry stored under the key, if any.
+	 * @desc     Retrieves an entry, marking it as the most recently used.
+	 */
+	get(key){
+		const entry = this.#entries.get(key);
+
+		if(entry){
+			this.#entries.delete(key);
+			this.#entries.set(key, entry);
+		}
+		return entry;
+	}
+
+	/**
+	 * @method   set
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @param    {string} key - The cache key.
+	 * @param    {CacheEntry} entry - The entry to store.
+	 * @desc     Stores an entry, evicting the least recently used one if the store is full.
+	 */
+	set(key, entry){
+		this.#entries.delete(key);
+		this.#entries.set(key, entry);
+
+		if(this.#entries.size > this.maxEntries){
+			this.#entries.delete(this.#entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * @method   delete
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @param    {string} key - The cache key.
+	 * @desc     Removes an entry.
+	 */
+	delete(key){
+		this.#entries.delete(key);
+	}
+
+	/**
+	 * @method   clear
+	 * @instance
+	 * @memberof module:cache.MemoryStore
+	 * @desc     Removes all the entries.
+	 */
+	clear(){
+		this.#entries.clear();
+	}
+}
+
+/**
+ * @class    FileStore
+ * @static
+ * @desc     A filesystem cache store, keeping every entry in a JSON file named by the SHA-256 hash of its key.
+ */
+export class FileStore{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:cache.FileStore
+	 * @param    {Object} options - The store options.
+	 * @param    {string} options.dir - The directory of the entry files, created if it does not exist.
+	 * @desc     Constructs a new FileStore object.
+	 * @throws   {WeatherValidationError} If the directory is not specified.
+	 */
+	constructor(options = {}){
+		if(typeof options.dir !== 'string' || !options.dir){
+			throw new WeatherValidationError(`FileStore: Invalid dir value '${options.dir}'.`, { param: 'dir' });
+		}
+
+		this.dir = options.dir;
+	}
+
+	/**
+	 * @method   get
+	 * @instance
+	 * @async
+	 * @memberof module:cache.FileStore
+	 * @param    {string} key - The cache key.
+	 * @returns  {Promise<CacheEntry|undefined>} The entry stored under the key, if any.
+	 * @desc     Retrieves an entry, a missing or corrupted file meaning no entry.
+	 */
+	async get(key){
+		try{
+			const entry = JSON.parse(await fs.readFile(this.#path(key), 'utf8'));
+			return entry.key === key ? entry : undefined;
+		}
+		catch(error){
+			if(error.code === 'ENOENT' || error instanceof SyntaxError){
+				return undefined;
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * @method   set
+	 * @instance
+	 * @async
+	 * @memberof module:cache.FileStore
+	 * @param    {string} key - The cache key.
+	 * @param    {CacheEntry} entry - The entry to store.
+	 * @desc     Stores an entry, writing a temporary file first so that a concurrent read never sees a partial file.
+	 */
+	async set(key, entry){
+		const path = this.#path(key);
+		const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+
+		await fs.mkdir(this.dir, { recursive: true });
+		await fs.writeFile(temp, JSON.stringify({ key, ...entry }));
+		await fs.rename(temp, path);
+	}
+
+	/**
+	 * @method   delete
+	 * @instance
+	 * @async
+	 * @memberof module:cache.FileStore
+	 * @param    {string} key - The cache key.
+	 * @desc     Removes an entry.
+	 */
+	async delete(key){
+		await fs.rm(this.#path(key), { force: true });
+	}
+
+	/**
+	 * @method   clear
+	 * @instance
+	 * @async
+	 * @memberof module:cache.FileStore
+	 * @desc     Removes all the entries, leaving any other file of the directory.
+	 */
+	async clear(){
+		let files = [];
+
+		try{
+			files = await fs.readdir(this.dir);
+		}
+		catch(error){
+			if(error.code !== 'ENOENT'){
+				throw error;
+			}
+		}
+
+		await Promise.all(files
+			.filter(file => /^[0-9a-f]{64}\.json$/.test(file))
+			.map(file => fs.rm(join(this.dir, file), { force: true }))
+		);
+	}
+
+	/**
+	 * @method   path
+	 * @instance
+	 * @private
+	 * @memberof module:cache.FileStore
+	 * @param    {string} key - The cache key.
+	 * @returns  {string} The path of the entry file.
+	 * @desc     Computes the path of the file of an entry.
+	 */
+	#path(key){
+		return join(this.dir, createHash('sha256').update(key).digest('hex') + '.json');
+	}
+}
+
+/**
+ * @class    ResponseCache
+ * @static
+ * @desc     A cache of the weather API responses, with separate TTLs for the historical and the forecast data, backed by a pluggable store.
+ */
+export class ResponseCache{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:cache.ResponseCache
+	 * @param    {Object} options - The cache options.
+	 * @param    {CacheStore} options.store - The store of the entries, a new MemoryStore if not specified.
+	 * @param    {number} options.historicalTtl - The TTL in milliseconds of the historical data, 7 days if not specified.
+	 * @param    {number} options.forecastTtl - The TTL in milliseconds of any other data, 1 hour if not specified.
+	 * @param    {function} options.now - The function returning the current time in milliseconds, Date.now if not specified.
+	 * @desc     Constructs a new ResponseCache object.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	constructor(options = {}){
+		const { store = new MemoryStore(), historicalTtl = 7 * 24 * HOUR, forecastTtl = HOUR, now = Date.now } = options;
+
+		if(typeof store !== 'object' || store === null || !['get', 'set', 'delete', 'clear'].every(method => typeof store[method] === 'function')){
+			throw new WeatherValidationError(`ResponseCache: Invalid store '${store}'.`, { param: 'store' });
+		}
+
+		for(const [name, value] of Object.entries({ historicalTtl, forecastTtl })){
+			if(typeof value !== 'number' || !(value >= 0)){
+				throw new WeatherValidationError(`ResponseCache: Invalid ${name} value '${value}'.`, { param: name });
+			}
+		}
+
+		if(typeof now !== 'function'){
+			throw new WeatherValidationError(`ResponseCache: Invalid now value '${now}'.`, { param: 'now' });
+		}
+
+		this.store = store;
+		this.historicalTtl = historicalTtl;
+		this.forecastTtl = forecastTtl;
+		this.now = now;
+	}
+
+	/**
+	 * @method   from
+	 * @static
+	 * @memberof module:cache.ResponseCache
+	 * @param    {ResponseCache|Object} cache - A ResponseCache object, or the options of a new one.
+	 * @returns  {ResponseCache} The ResponseCache object itself, or a new one constructed with the options.
+	 * @desc     Gets a ResponseCache object, allowing a cache to be either shared or specified by its options.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	static from(cache){
+		return cache instanceof ResponseCache ? cache : new ResponseCache(cache === true ? {} : cache);
+	}
+
+	/**
+	 * @method   createKey
+	 * @static
+	 * @memberof module:cache.ResponseCache
+	 * @param    {Object} request - The request parameters, keyed by name.
+	 * @param    {Array<string>} lists - The names of the parameters whose comma separated values are unordered.
+	 * @returns  {string} The cache key of the request.
+	 * @desc     Creates the normalized cache key of a request, independent of the order of its parameters and of their listed values,
+	 *           and of the case of the location.
+	 */
+	static createKey(request, lists = ['include', 'elements', 'options', 'locationNames']){
+		const normalized = {};
+
+		for(const name of Object.keys(request).sort()){
+			let value = request[name];
+
+			if(value === undefined || value === null || value === ''){
+				continue;
+			}
+
+			if(name === 'location'){
+				value = String(value).trim().toLowerCase();
+			}
+			else
+			if(lists.includes(name)){
+				value = [...new Set(String(value).split(','))].sort().join(',');
+			}
+
+			normalized[name] = value;
+		}
+
+		return JSON.stringify(normalized);
+	}
+
+	/**
+	 * @method   get
+	 * @instance
+	 * @async
+	 * @memberof module:cache.ResponseCache
+	 * @param    {string} key - The cache key.
+	 * @returns  {Promise<CacheEntry|null>} The unexpired entry stored under the key, or null.
+	 * @desc     Retrieves an entry, removing it from the store if expired.
+	 */
+	async get(key){
+		const entry = await this.store.get(key);
+
+		if(!entry){
+			return null;
+		}
+
+		if(entry.expiresAt <= this.now()){
+			await this.store.delete(key);
+			return null;
+		}
+
+		return entry;
+	}
+
+	/**
+	 * @method   set
+	 * @instance
+	 * @async
+	 * @memberof module:cache.ResponseCache
+	 * @param    {string} key - The cache key.
+	 * @param    {string} body - The response body.
+	 * @param    {boolean} historical - True if the response holds historical data only.
+	 * @returns  {Promise<CacheEntry>} The stored entry.
+	 * @desc     Stores a response body, expiring after the TTL of its kind of data.
+	 */
+	async set(key, body, historical = false){
+		const storedAt = this.now();
+		const entry = { body, storedAt, expiresAt: storedAt + (historical ? this.historicalTtl : this.forecastTtl) };
+
+		await this.store.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * @method   delete
+	 * @instance
+	 * @async
+	 * @memberof module:cache.ResponseCache
+	 * @param    {string} key - The cache key.
+	 * @desc     Removes an entry.
+	 */
+	async delete(key){
+		await this.store.delete(key);
+	}
+
+	/**
+	 * @method   clear
+	 * @instance
+	 * @async
+	 * @memberof module:cache.ResponseCache
+	 * @desc     Removes all the entries.
+	 */
+	async clear(){
+		await this.store.clear();
+	}
+}
@@ -0,0 +1,135 @@
+/**
+ * @module  elements
+ * @desc    A module that defines the catalog of the weather elements, their levels, data types, units, descriptions and plausible ranges.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/**
+ * @typedef  {Object} ElementInfo
+ * @property {Array<string>} levels - The levels at which the element is reported ('location', or 'day', 'hour' and/or 'current').
+ * @property {string} type - The data type of the element ('number', 'integer', 'string', 'array' or 'object').
+ * @property {string|null} quantity - The quantity of the element whose unit depends on the unit group, e.g. 'temperature', or null.
+ * @property {Object|null} units - The unit of the element keyed by unit group ('us', 'uk', 'metric' and 'base'), or null if unitless.
+ * @property {string} description - A human readable description of the element.
+ * @property {Array<number>|null} range - The plausible range ([min, max]) of a numeric element in metric units, or null.
+ * @desc     The description of a weather element in the catalog.
+ * @see      [Visual Crossing Weather Data Documentation]{@link https://www.visualcrossing.com/resources/documentation/weather-data/weather-data-documentation/}.
+ */
+
+/**
+ * @const {Object} UNIT_GROUPS - The units of the quantities depending on the unit group, keyed by unit group.
+ * @see   [Visual Crossing Unit Groups]{@link https://www.visualcrossing.com/resources/documentation/weather-api/unit-groups-and-measurement-units/}.
+ */
+export const UNIT_GROUPS = {
+	metric: { temperature: 'C', precipitation: 'mm', snow: 'cm', speed: 'kmh', distance: 'km' },
+	us    : { temperature: 'F', precipitation: 'in', snow: 'in', speed: 'mph', distance: 'mi' },
+	uk    : { temperature: 'C', precipitation: 'mm', snow: 'cm', speed: 'mph', distance: 'mi' },
+	base  : { temperature: 'K', precipitation: 'mm', snow: 'cm', speed: 'ms',  distance: 'km' },
+};
+
+/**
+ * @const {Array<string>} ALL - The levels of the elements reported for the days, the hours and the current conditions.
+ */
+const ALL = ['day', 'hour', 'current'];
+
+/**
+ * @const {Array<string>} LOCATION - The level of the elements reported once for the location, at the top of the weather data.
+ */
+const LOCATION = ['location'];
+
+/**
+ * @func   element
+ * @param  {Array<string>} levels - The levels at which the element is reported.
+ * @param  {string} type - The data type of the element.
+ * @param  {string|null} unit - The quantity of the element if listed in UNIT_GROUPS, its fixed unit otherwise, or null if unitless.
+ * @param  {string} description - A human readable description of the element.
+ * @param  {Array<number>|null} range - The plausible range of a numeric element in metric units.
+ * @return {ElementInfo} The frozen description of the element.
+ * @desc   Describe a weather element, resolving its units in every unit group.
+ */
+function element(levels, type, unit, description, range = null){
+	const quantity = unit && unit in UNIT_GROUPS.metric ? unit : null;
+	const units = unit && Object.fromEntries(Object.keys(UNIT_GROUPS).map(group => [group, quantity ? UNIT_GROUPS[group][quantity] : unit]));
+
+	return Object.freeze({
+		levels: Object.freeze(levels),
+		type,
+		quantity,
+		units: units ? Object.freeze(units) : null,
+		description,
+		range: range ? Object.freeze(range) : null,
+	});
+}
+
+/**
+ * @const {Object<string, ElementInfo>} ELEMENTS - The catalog of the weather elements, keyed by element name.
+ */
+export const ELEMENTS = Object.freeze({
+	name          : element(LOCATION, 'string', null, 'The name of the location, as requested.'),
+	address       : element(LOCATION, 'string', null, 'The address of the location, as requested.'),
+	resolvedAddress: element(LOCATION, 'string', null, 'The address of the location, as resolved by the API.'),
+	latitude      : element(LOCATION, 'number', 'deg', 'The latitude of the location.', [-90, 90]),
+	longitude     : element(LOCATION, 'number', 'deg', 'The longitude of the location.', [-180, 180]),
+	datetime      : element(ALL, 'string', null, 'The date (yyyy-MM-dd) of a day, or the local time (HH:mm:ss) of an hour or of the current conditions.'),
+	datetimeEpoch : element(ALL, 'integer', 's', 'The datetime, in seconds since 1970-01-01T00:00:00Z.'),
+	tzoffset      : element(ALL, 'number', 'h', 'The offset from UTC of the time zone, if different from that of the location.', [-14, 14]),
+	tempmax       : element(['day'], 'number', 'temperature', 'The maximum temperature.', [-90, 60]),
+	tempmin       : element(['day'], 'number', 'temperature', 'The minimum temperature.', [-90, 60]),
+	temp          : element(ALL, 'number', 'temperature', 'The temperature, the mean temperature for a day.', [-90, 60]),
+	feelslikemax  : element(['day'], 'number', 'temperature', 'The maximum apparent (heat index or wind chill) temperature.', [-110, 80]),
+	feelslikemin  : element(['day'], 'number', 'temperature', 'The minimum apparent (heat index or wind chill) temperature.', [-110, 80]),
+	feelslike     : element(ALL, 'number', 'temperature', 'The apparent (heat index or wind chill) temperature, the mean for a day.', [-110, 80]),
+	dew           : element(ALL, 'number', 'temperature', 'The dew point temperature.', [-90, 40]),
+	humidity      : element(ALL, 'number', '%', 'The relative humidity.', [0, 100]),
+	precip        : element(ALL, 'number', 'precipitation', 'The amount of liquid precipitation that fell or is predicted to fall.', [0, 2000]),
+	precipprob    : element(ALL, 'number', '%', 'The likelihood of measurable precipitation.', [0, 100]),
+	precipremote  : element(['day', 'hour'], 'number', 'precipitation', 'The amount of precipitation estimated from radar or satellite data, where no station reports it.', [0, 2000]),
+	precipcover   : element(['day'], 'number', '%', 'The proportion of the hours of a day with a nonzero amount of precipitation.', [0, 100]),
+	preciptype    : element(ALL, 'array', null, 'The types of precipitation ("rain", "snow", "freezingrain" or "ice").'),
+	snow          : element(ALL, 'number', 'snow', 'The amount of snow that fell or is predicted to fall.', [0, 500]),
+	snowdepth     : element(ALL, 'number', 'snow', 'The depth of the snow on the ground.', [0, 3000]),
+	windgust      : element(ALL, 'number', 'speed', 'The instantaneous wind speed, the maximum gust for a day.', [0, 410]),
+	windspeed     : element(ALL, 'number', 'speed', 'The sustained wind speed, the maximum for a day.', [0, 410]),
+	windspeedmax  : element(['day'], 'number', 'speed', 'The maximum sustained wind speed of a day.', [0, 410]),
+	windspeedmean : element(['day'], 'number', 'speed', 'The mean sustained wind speed of a day.', [0, 410]),
+	windspeedmin  : element(['day'], 'number', 'speed', 'The minimum sustained wind speed of a day.', [0, 410]),
+	winddir       : element(ALL, 'number', 'deg', 'The direction from which the wind is blowing, the mean for a day.', [0, 360]),
+	windspeed50   : element(['day', 'hour'], 'number', 'speed', 'The sustained wind speed at 50 meters above the ground.', [0, 410]),
+	winddir50     : element(['day', 'hour'], 'number', 'deg', 'The direction of the wind at 50 meters above the ground.', [0, 360]),
+	windspeed80   : element(['day', 'hour'], 'number', 'speed', 'The sustained wind speed at 80 meters above the ground.', [0, 410]),
+	winddir80     : element(['day', 'hour'], 'number', 'deg', 'The direction of the wind at 80 meters above the ground.', [0, 360]),
+	windspeed100  : element(['day', 'hour'], 'number', 'speed', 'The sustained wind speed at 100 meters above the ground.', [0, 410]),
+	winddir100    : element(['day', 'hour'], 'number', 'deg', 'The direction of the wind at 100 meters above the ground.', [0, 360]),
+	pressure      : element(ALL, 'number', 'mb', 'The sea level atmospheric pressure.', [850, 1090]),
+	cloudcover    : element(ALL, 'number', '%', 'The proportion of the sky covered by cloud.', [0, 100]),
+	visibility    : element(ALL, 'number', 'distance', 'The distance at which distant objects are visible.', [0, 100]),
+	solarradiation: element(ALL, 'number', 'W/m2', 'The solar radiation power, the mean for a day.', [0, 1500]),
+	solarenergy   : element(ALL, 'number', 'MJ/m2', 'The total solar radiation energy.', [0, 50]),
+	dniradiation  : element(['day', 'hour'], 'number', 'W/m2', 'The direct normal irradiance, from the direction of the sun.', [0, 1500]),
+	difradiation  : element(['day', 'hour'], 'number', 'W/m2', 'The diffuse horizontal irradiance, scattered by the atmosphere.', [0, 1500]),
+	ghiradiation  : element(['day', 'hour'], 'number', 'W/m2', 'The global horizontal irradiance, direct and diffuse.', [0, 1500]),
+	gtiradiation  : element(['day', 'hour'], 'number', 'W/m2', 'The global tilted irradiance, on a panel facing the sun at the requested tilt and azimuth.', [0, 1500]),
+	sunelevation  : element(['hour', 'current'], 'number', 'deg', 'The elevation of the sun above the horizon.', [-90, 90]),
+	sunazimuth    : element(['hour', 'current'], 'number', 'deg', 'The azimuth of the sun, clockwise from the north.', [0, 360]),
+	uvindex       : element(ALL, 'number', null, 'The level of ultraviolet exposure, from 0 (none) to 10 (high) or more.', [0, 20]),
+	severerisk    : element(['day', 'hour'], 'number', null, 'The risk of convective storms, below 30 (low) to above 70 (high).', [0, 100]),
+	sunrise       : element(['day', 'current'], 'string', null, 'The local time (HH:mm:ss) of the sunrise.'),
+	sunriseEpoch  : element(['day', 'current'], 'integer', 's', 'The sunrise, in seconds since 1970-01-01T00:00:00Z.'),
+	sunset        : element(['day', 'current'], 'string', null, 'The local time (HH:mm:ss) of the sunset.'),
+	sunsetEpoch   : element(['day', 'current'], 'integer', 's', 'The sunset, in seconds since 1970-01-01T00:00:00Z.'),
+	moonrise      : element(['day', 'current'], 'string', null, 'The local time (HH:mm:ss) of the moonrise.'),
+	moonriseEpoch : element(['day', 'current'], 'integer', 's', 'The moonrise, in seconds since 1970-01-01T00:00:00Z.'),
+	moonset       : element(['day', 'current'], 'string', null, 'The local time (HH:mm:ss) of the moonset.'),
+	moonsetEpoch  : element(['day', 'current'], 'integer', 's', 'The moonset, in seconds since 1970-01-01T00:00:00Z.'),
+	moonphase     : element(['day', 'current'], 'number', null, 'The fractional portion of the lunation, from 0 (new moon) through 0.5 (full moon).', [0, 1]),
+	conditions    : element(ALL, 'string', null, 'A short text of the weather conditions.'),
+	description   : element(['day'], 'string', null, 'A longer text of the weather of the day.'),
+	icon          : element(ALL, 'string', null, 'A fixed, machine readable summary of the weather, to display an icon.'),
+	stations      : element(ALL, 'array', null, 'The identifiers of the weather stations contributing to the data.'),
+	source        : element(ALL, 'string', null, 'The type of the data: "obs" (observations), "fcst" (forecast), "stats" (statistical forecast) or "comb".'),
+	normal        : element(['day'], 'object', null, 'The statistical normals (minimum, mean and maximum) of the elements of the day.'),
+	degreedays    : element(['day'], 'object', null, 'The heating and cooling degree days of the day.'),
+	accdegreedays : element(['day'], 'object', null, 'The degree days accumulated since the start of the degree day period.'),
+	events        : element(['day'], 'array', null, 'The historical weather events of the day, e.g. hail or tornadoes.'),
+});
@@ -0,0 +1,192 @@
+/**
+ * @module  errors
+ * @desc    A module that defines the error classes thrown by the Weather class.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/**
+ * @class    WeatherError
+ * @static
+ * @extends  Error
+ * @desc     The base class of all the errors thrown by the Weather class.
+ */
+export class WeatherError extends Error{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {*} options.cause - The original error, if any.
+	 * @desc     Constructs a new WeatherError object.
+	 */
+	constructor(message, options = {}){
+		super(message, 'cause' in options ? { cause: options.cause } : undefined);
+		this.name = new.target.name;
+	}
+}
+
+/**
+ * @class    WeatherValidationError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when one or more parameters are invalid, listing all the problems found.
+ */
+export class WeatherValidationError extends WeatherError{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherValidationError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {string} options.param - The name of the invalid parameter, if a single one.
+	 * @param    {Array<WeatherValidationError>} options.errors - The list of errors found, each naming its invalid parameter.
+	 * @desc     Constructs a new WeatherValidationError object.
+	 */
+	constructor(message, options = {}){
+		super(message, options);
+		this.param = options.param || null;
+		this.errors = options.errors || [];
+	}
+
+	/**
+	 * @method   fromErrors
+	 * @static
+	 * @memberof module:errors.WeatherValidationError
+	 * @param    {string} source - The name of the validating method, used to prefix the message of several errors.
+	 * @param    {Array<WeatherValidationError>} errors - The list of errors found.
+	 * @returns  {WeatherValidationError} The validation error, its message is the message of the single error found, or the list of all messages.
+	 * @desc     Creates a validation error from a list of errors.
+	 */
+	static fromErrors(source, errors){
+		if(errors.length === 1){
+			return new WeatherValidationError(errors[0].message, { param: errors[0].param, errors });
+		}
+
+		const message = `${source}: ${errors.length} invalid parameters.\n` + errors.map(error => ` - ${error.message}`).join('\n');
+		return new WeatherValidationError(message, { errors });
+	}
+}
+
+/**
+ * @class    WeatherApiError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when the weather API answers a request with an unsuccessful HTTP status.
+ */
+export class WeatherApiError extends WeatherError{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherApiError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {number} options.status - The HTTP status code of the response.
+	 * @param    {string} options.apiMessage - The error message returned by the API.
+	 * @param    {string} options.url - The request URL, with the API key redacted.
+	 * @param    {number} options.queryCost - The cost of the query, if reported by the API.
+	 * @desc     Constructs a new WeatherApiError object.
+	 */
+	constructor(message, options = {}){
+		super(message, options);
+		this.status = options.status;
+		this.apiMessage = options.apiMessage || '';
+		this.url = options.url || null;
+		this.queryCost = options.queryCost ?? null;
+	}
+}
+
+/**
+ * @class    WeatherNetworkError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when a request fails to reach the weather API, its cause is the underlying network error.
+ */
+export class WeatherNetworkError extends WeatherError{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherNetworkError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {string} options.url - The request URL, with the API key redacted.
+	 * @param    {*} options.cause - The underlying network error.
+	 * @desc     Constructs a new WeatherNetworkError object.
+	 */
+	constructor(message, options = {}){
+		super(message, options);
+		this.url = options.url || null;
+	}
+}
+
+/**
+ * @class    WeatherDataError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when the weather data is malformed, or cannot be accessed as requested.
+ */
+export class WeatherDataError extends WeatherError{}
+
+/**
+ * @class    WeatherTimeoutError
+ * @static
+ * @extends  WeatherNetworkError
+ * @desc     An error thrown when a request to the weather API does not complete within its timeout.
+ */
+export class WeatherTimeoutError extends WeatherNetworkError{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherTimeoutError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {string} options.url - The request URL, with the API key redacted.
+	 * @param    {number} options.timeout - The timeout in milliseconds.
+	 * @desc     Constructs a new WeatherTimeoutError object.
+	 */
+	constructor(message, options = {}){
+		super(message, options);
+		this.timeout = options.timeout;
+	}
+}
+
+/**
+ * @class    WeatherAbortError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when an operation is cancelled by its AbortSignal, its cause is the abort reason.
+ */
+export class WeatherAbortError extends WeatherError{}
+
+/**
+ * @class    WeatherBudgetError
+ * @static
+ * @extends  WeatherError
+ * @desc     An error thrown when a request is refused because its estimated cost would exceed the query cost budget.
+ */
+export class WeatherBudgetError extends WeatherError{
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:errors.WeatherBudgetError
+	 * @param    {string} message - The error message.
+	 * @param    {Object} options - The error options.
+	 * @param    {number} options.limit - The query cost limit of the budget period.
+	 * @param    {number} options.spent - The query cost already spent in the budget period.
+	 * @param    {number} options.estimate - The estimated cost of the refused request.
+	 * @desc     Constructs a new WeatherBudgetError object.
+	 */
+	constructor(message, options = {}){
+		super(message, options);
+		this.limit = options.limit;
+		this.spent = options.spent;
+		this.estimate = options.estimate;
+	}
+}
@@ -0,0 +1,323 @@
+/**
+ * @module  limiter
+ * @desc    A module that defines a token bucket rate limiter with a bounded concurrency, shareable by several Weather instances.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import { EventEmitter } from 'node:events';
+
+/* Import local dependencies */
+import { WeatherValidationError, WeatherAbortError } from './errors.js';
+
+/**
+ * @class    RateLimiter
+ * @static
+ * @extends  EventEmitter
+ * @desc     A rate limiter that starts the scheduled tasks in order, as long as a token is available in its bucket and the
+ *           number of running tasks is below its maximum concurrency.
+ *           Emits 'queued', 'start', 'done' and 'cancel' events, each with the task descriptor ({ id, label, queuedAt }).
+ */
+export class RateLimiter extends EventEmitter{
+
+	/**
+	 * @member   queue
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The queued tasks, in scheduling order.
+	 */
+	#queue = [];
+
+	/**
+	 * @member   tokens
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The number of tokens in the bucket, as of the last refill.
+	 */
+	#tokens;
+
+	/**
+	 * @member   refilledAt
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The time in milliseconds of the last refill of the bucket.
+	 */
+	#refilledAt;
+
+	/**
+	 * @member   timer
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The timer waiting for the next token, if any.
+	 */
+	#timer = null;
+
+	/**
+	 * @member   running
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The number of running tasks.
+	 */
+	#running = 0;
+
+	/**
+	 * @member   lastId
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @private
+	 * @desc     The id of the last scheduled task.
+	 */
+	#lastId = 0;
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {Object} options - The limiter options.
+	 * @param    {number} options.maxConcurrent - The maximum number of running tasks, unlimited if not specified.
+	 * @param    {number} options.tokensPerInterval - The number of tasks allowed to start per interval, unlimited if not specified.
+	 * @param    {number} options.interval - The interval in milliseconds, one minute if not specified.
+	 * @param    {number} options.bucketSize - The maximum number of tokens in the bucket (the allowed burst), tokensPerInterval if not specified.
+	 * @desc     Constructs a new RateLimiter object.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	constructor(options = {}){
+		super();
+
+		const {
+			maxConcurrent = Infinity,
+			tokensPerInterval = Infinity,
+			interval = 60000,
+			bucketSize = tokensPerInterval,
+		} = options;
+
+		for(const [name, value] of Object.entries({ maxConcurrent, tokensPerInterval, interval, bucketSize })){
+			if(typeof value !== 'number' || !(value > 0)){
+				throw new WeatherValidationError(`RateLimiter: Invalid ${name} value '${value}'.`, { param: name });
+			}
+		}
+
+		this.maxConcurrent = maxConcurrent;
+		this.tokensPerInterval = tokensPerInterval;
+		this.interval = interval;
+		this.bucketSize = bucketSize;
+
+		this.#tokens = bucketSize;
+		this.#refilledAt = Date.now();
+	}
+
+	/**
+	 * @method   from
+	 * @static
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {RateLimiter|Object} limiter - A RateLimiter object, or the options of a new one.
+	 * @returns  {RateLimiter} The RateLimiter object itself, or a new one constructed with the options.
+	 * @desc     Gets a RateLimiter object, allowing a limiter to be either shared or specified by its options.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	static from(limiter){
+		return limiter instanceof RateLimiter ? limiter : new RateLimiter(limiter);
+	}
+
+	/**
+	 * @member   pending
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @readonly
+	 * @desc     The number of queued tasks.
+	 */
+	get pending(){
+		return this.#queue.length;
+	}
+
+	/**
+	 * @member   running
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @readonly
+	 * @desc     The number of running tasks.
+	 */
+	get running(){
+		return this.#running;
+	}
+
+	/**
+	 * @method   getQueue
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @returns  {Array<Object>} The descriptors ({ id, label, queuedAt }) of the queued tasks, in scheduling order.
+	 * @desc     Retrieves the queued tasks.
+	 */
+	getQueue(){
+		return this.#queue.map(({ descriptor }) => ({ ...descriptor }));
+	}
+
+	/**
+	 * @method   schedule
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {function} task - The task to run, returning a value or a promise.
+	 * @param    {Object} options - The scheduling options.
+	 * @param    {string} options.label - A label describing the task.
+	 * @param    {AbortSignal} options.signal - An optional signal to cancel the task while queued.
+	 * @returns  {Promise} A promise settled as the task is, once run.
+	 * @desc     Schedules a task to run as soon as the rate and concurrency limits allow.
+	 */
+	schedule(task, options = {}){
+		return new Promise((resolve, reject) => {
+
+			const descriptor = { id: ++this.#lastId, label: options.label ?? null, queuedAt: Date.now() };
+			const signal = options.signal;
+
+			if(signal?.aborted){
+				return reject(new WeatherAbortError('RateLimiter.schedule: The task was aborted.', { cause: signal.reason }));
+			}
+
+			const entry = { descriptor, task, resolve, reject, signal, onAbort: null };
+
+			if(signal){
+				entry.onAbort = () => this.#cancelEntry(entry, signal.reason);
+				signal.addEventListener('abort', entry.onAbort, { once: true });
+			}
+
+			this.#queue.push(entry);
+			this.emit('queued', { ...descriptor });
+			this.#drain();
+		});
+	}
+
+	/**
+	 * @method   cancel
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {number} id - The id of the queued task.
+	 * @param    {*} reason - The cancellation reason.
+	 * @returns  {boolean} True if the task was queued and is now cancelled, false otherwise.
+	 * @desc     Cancels a queued task, rejecting its promise with a WeatherAbortError.
+	 */
+	cancel(id, reason = 'cancelled'){
+		const entry = this.#queue.find(entry => entry.descriptor.id === id);
+		return entry ? this.#cancelEntry(entry, reason) : false;
+	}
+
+	/**
+	 * @method   clear
+	 * @instance
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {*} reason - The cancellation reason.
+	 * @returns  {number} The number of cancelled tasks.
+	 * @desc     Cancels all the queued tasks, the running tasks are not affected.
+	 */
+	clear(reason = 'cancelled'){
+		const entries = [...this.#queue];
+		entries.forEach(entry => this.#cancelEntry(entry, reason));
+		return entries.length;
+	}
+
+	/**
+	 * @method   cancelEntry
+	 * @instance
+	 * @private
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {Object} entry - The queue entry.
+	 * @param    {*} reason - The cancellation reason.
+	 * @returns  {boolean} True if the entry was queued, false otherwise.
+	 * @desc     Removes an entry from the queue and rejects its promise.
+	 */
+	#cancelEntry(entry, reason){
+		const index = this.#queue.indexOf(entry);
+
+		if(index === -1){
+			return false;
+		}
+
+		this.#queue.splice(index, 1);
+		entry.signal?.removeEventListener('abort', entry.onAbort);
+		entry.reject(new WeatherAbortError('RateLimiter.schedule: The task was aborted.', { cause: reason }));
+		this.emit('cancel', { ...entry.descriptor });
+
+		if(!this.#queue.length && this.#timer){
+			clearTimeout(this.#timer);
+			this.#timer = null;
+		}
+		return true;
+	}
+
+	/**
+	 * @method   refill
+	 * @instance
+	 * @private
+	 * @memberof module:limiter.RateLimiter
+	 * @desc     Adds the tokens accumulated since the last refill to the bucket.
+	 */
+	#refill(){
+		if(this.tokensPerInterval === Infinity){
+			this.#tokens = Infinity;
+			return;
+		}
+
+		const now = Date.now();
+		this.#tokens = Math.min(this.bucketSize, this.#tokens + (now - this.#refilledAt) * this.tokensPerInterval / this.interval);
+		this.#refilledAt = now;
+	}
+
+	/**
+	 * @method   drain
+	 * @instance
+	 * @private
+	 * @memberof module:limiter.RateLimiter
+	 * @desc     Starts the queued tasks allowed by the limits, and waits for the next token if the bucket is empty.
+	 */
+	#drain(){
+		while(this.#queue.length && this.#running < this.maxConcurrent){
+			this.#refill();
+
+			if(this.#tokens < 1){
+				if(!this.#timer){
+					const wait = Math.ceil((1 - this.#tokens) * this.interval / this.tokensPerInterval);
+					this.#timer = setTimeout(() => {
+						this.#timer = null;
+						this.#drain();
+					}, wait);
+				}
+				return;
+			}
+
+			this.#tokens -= 1;
+			this.#start(this.#queue.shift());
+		}
+	}
+
+	/**
+	 * @method   start
+	 * @instance
+	 * @private
+	 * @memberof module:limiter.RateLimiter
+	 * @param    {Object} entry - The queue entry.
+	 * @desc     Runs the task of a queue entry, and drains the queue once it is settled.
+	 */
+	async #start(entry){
+		entry.signal?.removeEventListener('abort', entry.onAbort);
+
+		this.#running++;
+		this.emit('start', { ...entry.descriptor });
+
+		try{
+			entry.resolve(await entry.task());
+		}
+		catch(error){
+			entry.reject(error);
+		}
+		finally{
+			this.#running--;
+			this.emit('done', { ...entry.descriptor });
+			this.#drain();
+		}
+	}
+}
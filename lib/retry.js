@@ -0,0 +1,141 @@
+/**
+ * @module  retry
+ * @desc    A module that defines the retry policy of the weather API requests, with exponential backoff and abortable delays.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import local dependencies */
+import { WeatherValidationError, WeatherAbortError } from './errors.js';
+
+/**
+ * @typedef  {Object} RetryPolicy
+ * @property {number} maxAttempts - The maximum number of attempts of a request, including the first one.
+ * @property {number} baseDelay - The delay in milliseconds before the first retry, doubled (by factor) for every later retry.
+ * @property {number} maxDelay - The maximum delay in milliseconds between two attempts.
+ * @property {number} factor - The multiplier of the delay between two successive retries.
+ * @property {boolean} jitter - True to randomize the delays within <0, delay> ("full jitter").
+ * @property {Array<number>} retryOn - The HTTP status codes of the responses to retry.
+ * @property {boolean} respectRetryAfter - True to wait for the delay given by a Retry-After response header, when available.
+ * @desc     The policy of retrying the failed requests.
+ */
+
+/**
+ * @const {RetryPolicy} DEFAULT_RETRY_POLICY - The default retry policy, with no retries at all.
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+	maxAttempts: 1,
+	baseDelay: 500,
+	maxDelay: 30000,
+	factor: 2,
+	jitter: true,
+	retryOn: Object.freeze([408, 429, 500, 502, 503, 504]),
+	respectRetryAfter: true,
+});
+
+/**
+ * @func   normalizeRetryPolicy
+ * @static
+ * @param  {Object} policy - A partial retry policy.
+ * @param  {RetryPolicy} base - The retry policy providing the values not specified.
+ * @return {RetryPolicy} The complete retry policy.
+ * @desc   Validate a partial retry policy and complete it from the base policy.
+ * @throws {WeatherValidationError} If the policy or any of its values is invalid.
+ */
+export function normalizeRetryPolicy(policy = {}, base = DEFAULT_RETRY_POLICY){
+
+	if(typeof policy !== 'object' || policy === null || Array.isArray(policy)){
+		throw new WeatherValidationError(`normalizeRetryPolicy: Invalid retry policy '${policy}'.`, { param: 'retry' });
+	}
+
+	const checks = {
+		maxAttempts      : (v) => Number.isInteger(v) && v >= 1,
+		baseDelay        : (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0,
+		maxDelay         : (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0,
+		factor           : (v) => typeof v === 'number' && Number.isFinite(v) && v >= 1,
+		jitter           : (v) => typeof v === 'boolean',
+		retryOn          : (v) => Array.isArray(v) && v.every(status => Number.isInteger(status)),
+		respectRetryAfter: (v) => typeof v === 'boolean',
+	};
+
+	for(const [key, value] of Object.entries(policy)){
+		if(!(key in checks) || !checks[key](value)){
+			throw new WeatherValidationError(`normalizeRetryPolicy: Invalid retry option '${key}' value '${value}'.`, { param: 'retry' });
+		}
+	}
+
+	return { ...base, ...policy };
+}
+
+/**
+ * @func   parseRetryAfter
+ * @static
+ * @param  {string} value - The value of a Retry-After header, either a number of seconds or an HTTP date.
+ * @param  {number} now - The current time in milliseconds.
+ * @return {number|null} The delay in milliseconds, or null if the value is missing or invalid.
+ * @desc   Parse the value of a Retry-After response header.
+ */
+export function parseRetryAfter(value, now = Date.now()){
+
+	if(typeof value !== 'string' || !value.trim()){
+		return null;
+	}
+	else
+	if(/^\s*\d+\s*$/.test(value)){
+		return Number(value) * 1000;
+	}
+	else{
+		const date = Date.parse(value);
+		return Number.isNaN(date) ? null : Math.max(0, date - now);
+	}
+}
+
+/**
+ * @func   computeBackoffDelay
+ * @static
+ * @param  {number} attempt - The number of the failed attempt, starting from 1.
+ * @param  {RetryPolicy} policy - The retry policy.
+ * @param  {number|null} retryAfter - The delay in milliseconds requested by the server, if any.
+ * @param  {function} random - The random numbers generator within <0, 1>.
+ * @return {number} The delay in milliseconds before the next attempt.
+ * @desc   Compute the delay before retrying a failed attempt, honoring the delay requested by the server if allowed by the policy.
+ */
+export function computeBackoffDelay(attempt, policy, retryAfter = null, random = Math.random){
+
+	if(policy.respectRetryAfter && retryAfter !== null){
+		return Math.min(retryAfter, policy.maxDelay);
+	}
+
+	const delay = Math.min(policy.baseDelay * policy.factor ** (attempt - 1), policy.maxDelay);
+	return policy.jitter ? Math.round(random() * delay) : delay;
+}
+
+/**
+ * @func   sleep
+ * @static
+ * @param  {number} ms - The delay in milliseconds.
+ * @param  {AbortSignal} signal - An optional signal to cancel the delay.
+ * @return {Promise} A promise resolved after the delay.
+ * @desc   Wait for a delay, rejecting with a WeatherAbortError if the signal is aborted meanwhile.
+ */
+export function sleep(ms, signal = null){
+
+	return new Promise((resolve, reject) => {
+
+		if(signal?.aborted){
+			return reject(new WeatherAbortError('sleep: The operation was aborted.', { cause: signal.reason }));
+		}
+
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new WeatherAbortError('sleep: The operation was aborted.', { cause: signal.reason }));
+		};
+
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
@@ -0,0 +1,345 @@
+/**
+ * @module  server
+ * @desc    A module that defines a local stand-in of the Visual Crossing Timeline API, serving fixture data for integration testing.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import http from 'node:http';
+import fs   from 'node:fs';
+
+/* Import local dependencies */
+import { redactUrlParams } from './utils.js';
+import { WeatherValidationError } from './errors.js';
+import { UNIT_GROUPS, convertRecord } from './units.js';
+
+/**
+ * @func   pickElements
+ * @param  {Object} record - A day, an hour or the current conditions.
+ * @param  {Array<string>} elements - The requested elements, all of them if empty.
+ * @return {Object} A copy of the record, with the requested elements only.
+ * @desc   Filter the elements of a record.
+ */
+function pickElements(record, elements){
+	if(!elements.length){
+		return { ...record };
+	}
+	return Object.fromEntries(Object.entries(record).filter(([key]) => elements.includes(key)));
+}
+
+/**
+ * @class    MockServer
+ * @static
+ * @desc     A node:http stand-in of the Timeline API endpoint, serving the requests from fixture data by their location, filtered by the
+ *           date range path segments and the unitGroup, include and elements parameters, and simulating API errors and slow responses.
+ *           A request is served by the first fixture of its location holding its dates, or by a forecast fixture (having current
+ *           conditions) if no date is requested. The fixture data is expected in metric units.
+ */
+export class MockServer{
+
+	/**
+	 * @member   server
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @private
+	 * @desc     The node:http server.
+	 */
+	#server = null;
+
+	/**
+	 * @member   simulations
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @private
+	 * @desc     The queue of simulated responses, each served to as many requests as its times.
+	 */
+	#simulations = [];
+
+	/**
+	 * @member   timers
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @private
+	 * @desc     The timers of the delayed responses, cleared on stop.
+	 */
+	#timers = new Set();
+
+	/**
+	 * @method   constructor
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @param    {Object} options - The server options.
+	 * @param    {Array<Object|string>} options.fixtures - The fixture data objects, or the paths of their JSON files.
+	 * @param    {string} options.basePath - The path of the Timeline endpoint, '/timeline' if not specified.
+	 * @param    {Array<string>} options.keys - The accepted API keys, any key if not specified.
+	 * @param    {number} options.latency - The delay in milliseconds of every response, 0 if not specified.
+	 * @desc     Constructs a new MockServer object.
+	 * @throws   {WeatherValidationError} If any option is invalid.
+	 */
+	constructor(options = {}){
+		const { fixtures = [], basePath = '/timeline', keys = null, latency = 0 } = options;
+
+		if(!Array.isArray(fixtures) || !fixtures.length){
+			throw new WeatherValidationError(`MockServer: Invalid fixtures '${fixtures}'.`, { param: 'fixtures' });
+		}
+
+		this.fixtures = fixtures.map(fixture => typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture);
+		this.basePath = basePath.replace(/\/+$/, '');
+		this.keys = keys;
+		this.latency = latency;
+		this.requests = [];
+	}
+
+	/**
+	 * @member   baseUrl
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @readonly
+	 * @desc     The base URL of the Timeline endpoint, to be passed to the Weather constructor, or null if the server is not started.
+	 */
+	get baseUrl(){
+		const address = this.#server?.address();
+		return address ? `http://${address.address}:${address.port}${this.basePath}` : null;
+	}
+
+	/**
+	 * @method   start
+	 * @instance
+	 * @async
+	 * @memberof module:server.MockServer
+	 * @param    {number} port - The port to listen to, a random free port if not specified.
+	 * @param    {string} host - The host to listen to, '127.0.0.1' if not specified.
+	 * @returns  {Promise<string>} The base URL of the Timeline endpoint.
+	 * @desc     Starts the server.
+	 */
+	async start(port = 0, host = '127.0.0.1'){
+		if(!this.#server){
+			this.#server = http.createServer((req, res) => this.#handle(req, res));
+			await new Promise((resolve, reject) => {
+				this.#server.once('error', reject);
+				this.#server.listen(port, host, resolve);
+			});
+		}
+		return this.baseUrl;
+	}
+
+	/**
+	 * @method   stop
+	 * @instance
+	 * @async
+	 * @memberof module:server.MockServer
+	 * @desc     Stops the server, dropping the pending responses.
+	 */
+	async stop(){
+		if(this.#server){
+			const server = this.#server;
+			this.#server = null;
+
+			this.#timers.forEach(timer => clearTimeout(timer));
+			this.#timers.clear();
+
+			server.closeAllConnections();
+			await new Promise(resolve => server.close(resolve));
+		}
+	}
+
+	/**
+	 * @method   simulate
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @param    {Object} simulation - The simulated response.
+	 * @param    {number} simulation.status - The HTTP status (e.g. 400, 401, 429 or 500), a normal response if not specified.
+	 * @param    {string} simulation.message - The error message, a typical message of the status if not specified.
+	 * @param    {number} simulation.retryAfter - The value in seconds of the Retry-After header, none if not specified.
+	 * @param    {number} simulation.delay - The delay in milliseconds of the response, 0 if not specified.
+	 * @param    {number} simulation.times - The number of requests served the simulated response, 1 if not specified.
+	 * @desc     Queues a simulated response, served to the next requests instead of the fixture data.
+	 */
+	simulate(simulation = {}){
+		this.#simulations.push({ times: 1, delay: 0, ...simulation });
+	}
+
+	/**
+	 * @method   reset
+	 * @instance
+	 * @memberof module:server.MockServer
+	 * @desc     Clears the queue of simulated responses and the log of requests.
+	 */
+	reset(){
+		this.#simulations = [];
+		this.requests = [];
+	}
+
+	/**
+	 * @method   handle
+	 * @instance
+	 * @private
+	 * @memberof module:server.MockServer
+	 * @param    {http.IncomingMessage} req - The request.
+	 * @param    {http.ServerResponse} res - The response.
+	 * @desc     Serves a request, after the latency of the server and the delay of the simulated response, if any.
+	 */
+	#handle(req, res){
+		const url = new URL(req.url, 'http://localhost');
+		this.requests.push({ method: req.method, url: redactUrlParams(req.url) });
+
+		const simulation = this.#simulations[0];
+
+		if(simulation && --simulation.times <= 0){
+			this.#simulations.shift();
+		}
+
+		const { status, body, headers } = simulation?.status ?
+			this.#simulatedError(simulation) :
+			this.#respond(url);
+
+		const send = () => {
+			res.writeHead(status, { 'Content-Type': status === 200 ? 'application/json' : 'text/plain', ...headers });
+			res.end(body);
+		};
+
+		const delay = this.latency + (simulation?.delay || 0);
+
+		if(delay){
+			const timer = setTimeout(() => {
+				this.#timers.delete(timer);
+				send();
+			}, delay);
+			this.#timers.add(timer);
+		}
+		else{
+			send();
+		}
+	}
+
+	/**
+	 * @method   simulatedError
+	 * @instance
+	 * @private
+	 * @memberof module:server.MockServer
+	 * @param    {Object} simulation - The simulated response.
+	 * @returns  {Object} The status, body and headers of the response.
+	 * @desc     Creates a simulated error response.
+	 */
+	#simulatedError(simulation){
+		const messages = {
+			400: 'Bad API Request:Invalid location parameter value.',
+			401: 'No account found with API key.',
+			429: 'Maximum daily cost exceeded',
+			500: 'Internal server error',
+		};
+
+		return {
+			status : simulation.status,
+			body   : simulation.message ?? messages[simulation.status] ?? http.STATUS_CODES[simulation.status] ?? '',
+			headers: simulation.retryAfter !== undefined ? { 'Retry-After': String(simulation.retryAfter) } : {},
+		};
+	}
+
+	/**
+	 * @method   respond
+	 * @instance
+	 * @private
+	 * @memberof module:server.MockServer
+	 * @param    {URL} url - The request URL.
+	 * @returns  {Object} The status, body and headers of the response.
+	 * @desc     Creates the response of a Timeline request from the fixture data.
+	 */
+	#respond(url){
+		const fail = (status, body) => ({ status, body, headers: {} });
+		const params = url.searchParams;
+
+		if(!url.pathname.startsWith(this.basePath + '/')){
+			return fail(404, 'Not Found');
+		}
+
+		const key = params.get('key');
+
+		if(!key){
+			return fail(401, 'No API key or session found.');
+		}
+		else
+		if(this.keys && !this.keys.includes(key)){
+			return fail(401, `No account found with API key '${key}'`);
+		}
+
+		const [location = '', fromDate = '', toDate = ''] = url.pathname.slice(this.basePath.length + 1).split('/').map(decodeURIComponent);
+
+		const unitGroup = params.get('unitGroup') || 'us';
+
+		if(!Object.hasOwn(UNIT_GROUPS, unitGroup)){
+			return fail(400, `Bad API Request:Invalid unitGroup value '${unitGroup}'.`);
+		}
+
+		const candidates = this.fixtures.filter(fixture => [fixture.address, fixture.resolvedAddress].some(address =>
+			typeof address === 'string' && address.toLowerCase() === location.trim().toLowerCase()
+		));
+
+		if(!candidates.length){
+			return fail(400, 'Bad API Request:Invalid location parameter value.');
+		}
+
+		const dateOf = (date) => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?$/.test(date) ? date.slice(0, 10) : null;
+
+		let fixture = candidates.find(fixture => fixture.currentConditions) || candidates[0];
+		let days = fixture.days || [];
+
+		if(fromDate){
+			const from = dateOf(fromDate);
+			const to = toDate ? dateOf(toDate) : from;
+
+			if(!from || !to){
+				return fail(400, `Bad API Request:Unsupported date '${from ? toDate : fromDate}', the mock server serves fixed dates only.`);
+			}
+
+			const inRange = (day) => day.datetime >= from && day.datetime <= to;
+
+			fixture = candidates.find(fixture => (fixture.days || []).some(inRange));
+
+			if(!fixture){
+				return fail(400, 'Bad API Request:No fixture data for the requested dates.');
+			}
+
+			days = fixture.days.filter(inRange);
+		}
+
+		const include = params.get('include') ? params.get('include').split(',') : ['days', 'hours', 'alerts', 'current'];
+		const elements = params.get('elements') ? params.get('elements').split(',') : [];
+
+		const convert = (record) => pickElements(convertRecord(record, 'metric', unitGroup), elements);
+
+		const data = {};
+
+		for(const [name, value] of Object.entries(fixture)){
+			if(!['days', 'alerts', 'currentConditions', 'events'].includes(name)){
+				data[name] = value;
+			}
+		}
+
+		if(include.some(section => ['days', 'hours', 'events'].includes(section))){
+			data.days = days.map(day => {
+				const { hours, events, ...rest } = day;
+				const result = include.includes('days') || include.includes('hours') ? convert(rest) : { datetime: day.datetime };
+
+				if(include.includes('hours') && hours){
+					result.hours = hours.map(convert);
+				}
+				if(include.includes('events') && events){
+					result.events = events;
+				}
+				return result;
+			});
+		}
+
+		if(include.includes('alerts') && fixture.alerts){
+			data.alerts = fixture.alerts;
+		}
+
+		if(include.includes('current') && fixture.currentConditions){
+			data.currentConditions = convert(fixture.currentConditions);
+		}
+
+		return { status: 200, body: JSON.stringify(data), headers: {} };
+	}
+}
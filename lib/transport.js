@@ -0,0 +1,229 @@
+/**
+ * @module  transport
+ * @desc    A module that defines the HTTP transports used by the Weather class to send its requests.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import http  from 'node:http';
+import https from 'node:https';
+import fs    from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+/* Import local dependencies */
+import { redactUrlParams } from './utils.js';
+import { WeatherValidationError } from './errors.js';
+
+/**
+ * @typedef  {Object} TransportResponse
+ * @property {number} status - The HTTP status code of the response.
+ * @property {Object} headers - The response headers, keyed by lower case header name.
+ * @property {string} body - The response body as text.
+ * @desc     The response resolved by a transport.
+ */
+
+/**
+ * @func   fetchTransport
+ * @static
+ * @async
+ * @param  {string} url - The request URL.
+ * @param  {Object} options - The request options.
+ * @param  {Object} options.headers - The request headers.
+ * @param  {AbortSignal} options.signal - An optional signal to abort the request.
+ * @return {Promise<TransportResponse>} The response of the request.
+ * @desc   Send a GET request using the global fetch API.
+ */
+export async function fetchTransport(url, options = {}){
+
+	const response = await globalThis.fetch(url, { headers: options.headers, signal: options.signal });
+
+	return {
+		status : response.status,
+		headers: Object.fromEntries(response.headers.entries()),
+		body   : await response.text(),
+	};
+}
+
+/**
+ * @func   httpTransport
+ * @static
+ * @param  {string} url - The request URL.
+ * @param  {Object} options - The request options.
+ * @param  {Object} options.headers - The request headers.
+ * @param  {AbortSignal} options.signal - An optional signal to abort the request.
+ * @return {Promise<TransportResponse>} The response of the request.
+ * @desc   Send a GET request using the node:http or node:https core module, depending on the URL protocol.
+ */
+export function httpTransport(url, options = {}){
+
+	return new Promise((resolve, reject) => {
+
+		const client = new URL(url).protocol === 'http:' ? http : https;
+
+		const cr = client.request(url, { headers: options.headers, signal: options.signal || undefined }, (response) => {
+
+			response.setEncoding('utf8');
+			let body = '';
+
+			response.on('data', (chunk) => { body += chunk });
+			response.on('end', () => {
+				resolve({
+					status : response.statusCode,
+					headers: response.headers,
+					body,
+				});
+			});
+			response.on('error', reject);
+		});
+
+		cr.on('error', reject);
+		cr.end();
+	});
+}
+
+/**
+ * @func   defaultTransport
+ * @static
+ * @param  {string} url - The request URL.
+ * @param  {Object} options - The request options.
+ * @return {Promise<TransportResponse>} The response of the request.
+ * @desc   Send a GET request using the global fetch API if available, falling back to the node:http(s) core modules otherwise.
+ */
+export function defaultTransport(url, options = {}){
+	return globalThis.fetch ? fetchTransport(url, options) : httpTransport(url, options);
+}
+
+/**
+ * @func   normalizeRecordedUrl
+ * @param  {string} url - The request URL.
+ * @param  {Array<string>} scrub - The query parameters not identifying a request, such as the API key.
+ * @return {string} The URL without the scrubbed parameters, with the other ones sorted.
+ * @desc   Normalize a request URL, so that the recording of a request is found whatever the API key and the order of its parameters.
+ */
+function normalizeRecordedUrl(url, scrub){
+	const normalized = new URL(url.trim());
+
+	scrub.forEach(name => normalized.searchParams.delete(name));
+	normalized.searchParams.sort();
+
+	return normalized.toString();
+}
+
+/**
+ * @func   createReplayTransport
+ * @static
+ * @param  {Object} options - The transport options.
+ * @param  {string} options.dir - The directory of the recordings.
+ * @param  {string} options.mode - 'replay' to replay the recordings only, 'record' to send every request and record its response,
+ *                                 or 'auto' to replay the recorded requests and record the other ones, 'replay' if not specified.
+ * @param  {function} options.transport - The transport sending the requests to record, defaultTransport if not specified.
+ * @param  {Array<string>} options.scrub - The query parameters scrubbed from the recorded URLs, ['key'] if not specified.
+ * @return {function} The record-and-replay transport.
+ * @desc   Create a transport recording the responses into fixture files, and replaying them deterministically without network or credentials.
+ *         A recording is a pair of files, `name.url` holding the request URL and `name.json` holding the response body, both with the
+ *         API key scrubbed, along with a `name.status` file holding the HTTP status of a response other than 200.
+ *         A request is matched to a recording by its URL, regardless of the scrubbed parameters and of the order of the other ones.
+ * @throws {WeatherValidationError} If the directory or the mode is invalid.
+ */
+export function createReplayTransport(options = {}){
+
+	const { dir, mode = 'replay', transport = defaultTransport, scrub = ['key'] } = options;
+
+	if(typeof dir !== 'string' || !dir){
+		throw new WeatherValidationError(`createReplayTransport: Invalid dir value '${dir}'.`, { param: 'dir' });
+	}
+
+	if(!['replay', 'record', 'auto'].includes(mode)){
+		throw new WeatherValidationError(`createReplayTransport: Invalid mode value '${mode}'.`, { param: 'mode' });
+	}
+
+	if(typeof transport !== 'function'){
+		throw new WeatherValidationError(`createReplayTransport: Invalid transport '${transport}'.`, { param: 'transport' });
+	}
+
+	const find = async (normalized) => {
+		let files = [];
+
+		try{
+			files = await fs.readdir(dir);
+		}
+		catch(error){
+			if(error.code !== 'ENOENT'){
+				throw error;
+			}
+		}
+
+		for(const file of files.filter(file => file.endsWith('.url'))){
+			const recorded = await fs.readFile(join(dir, file), 'utf8');
+
+			if(normalizeRecordedUrl(recorded, scrub) === normalized){
+				return join(dir, file.slice(0, -4));
+			}
+		}
+		return null;
+	};
+
+	const replay = async (path) => {
+		let status = 200;
+
+		try{
+			status = Number((await fs.readFile(`${path}.status`, 'utf8')).trim());
+		}
+		catch(error){
+			if(error.code !== 'ENOENT'){
+				throw error;
+			}
+		}
+
+		return {
+			status,
+			headers: { 'content-type': 'application/json' },
+			body   : await fs.readFile(`${path}.json`, 'utf8'),
+		};
+	};
+
+	const record = async (url, normalized, response) => {
+		const path = join(dir, 'recording_' + createHash('sha256').update(normalized).digest('hex').slice(0, 12));
+
+		/* the body may echo a scrubbed value as well, e.g. in an invalid API key message */
+		const secrets = scrub.map(name => new URL(url).searchParams.get(name)).filter(Boolean);
+		const body = secrets.reduce((body, secret) => body.replaceAll(secret, 'REDACTED'), response.body);
+
+		await fs.mkdir(dir, { recursive: true });
+		await fs.writeFile(`${path}.url`, redactUrlParams(url, scrub) + '\n');
+		await fs.writeFile(`${path}.json`, body);
+
+		if(response.status !== 200){
+			await fs.writeFile(`${path}.status`, `${response.status}\n`);
+		}
+		else{
+			await fs.rm(`${path}.status`, { force: true });
+		}
+	};
+
+	return async function replayTransport(url, requestOptions = {}){
+
+		requestOptions.signal?.throwIfAborted();
+
+		const normalized = normalizeRecordedUrl(url, scrub);
+
+		if(mode !== 'record'){
+			const path = await find(normalized);
+
+			if(path){
+				return replay(path);
+			}
+			else
+			if(mode === 'replay'){
+				throw new Error(`replayTransport: No recording of '${redactUrlParams(url, scrub)}' in '${dir}'.`);
+			}
+		}
+
+		const response = await transport(url, requestOptions);
+		await record(url, normalized, response);
+
+		return response;
+	};
+}
@@ -0,0 +1,170 @@
+/**
+ * @module  units
+ * @desc    A module that defines the units of the weather elements in each unit group, after the element catalog, and the conversions between the unit groups.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import local dependencies */
+import { UNIT_GROUPS, ELEMENTS } from './elements.js';
+import { WeatherValidationError } from './errors.js';
+
+/* Export the units of the unit groups */
+export { UNIT_GROUPS };
+
+/**
+ * @const {Object} ELEMENT_QUANTITIES - The quantities of the converted elements, keyed by element name.
+ */
+export const ELEMENT_QUANTITIES = Object.fromEntries(
+	Object.entries(ELEMENTS).filter(([, info]) => info.quantity).map(([element, info]) => [element, info.quantity])
+);
+
+/**
+ * @const {Object} CONVERSIONS - The linear conversions ([scale, offset]) from the metric unit of each quantity, keyed by quantity and unit.
+ */
+const CONVERSIONS = {
+	temperature  : { C: [1, 0], F: [9 / 5, 32], K: [1, 273.15] },
+	precipitation: { mm: [1, 0], in: [1 / 25.4, 0] },
+	snow         : { cm: [1, 0], in: [1 / 2.54, 0] },
+	speed        : { kmh: [1, 0], mph: [1 / 1.609344, 0], ms: [1 / 3.6, 0] },
+	distance     : { km: [1, 0], mi: [1 / 1.609344, 0] },
+};
+
+/**
+ * @const {Object} PRECISIONS - The default number of decimals of the converted values, keyed by unit, fine enough for the smallest
+ *                              reported amounts (0.1 mm of precipitation being 0.004 in) to survive a conversion and its reverse.
+ */
+export const PRECISIONS = {
+	C  : 1, F  : 1, K : 1,
+	mm : 1, cm : 1, in: 3,
+	kmh: 1, mph: 1, ms: 1,
+	km : 1, mi : 1,
+};
+
+/**
+ * @func   validateUnitGroup
+ * @param  {string} unitGroup - A unit group.
+ * @param  {string} param - The name of the validated parameter.
+ * @param  {string} source - The name of the validating function, used to prefix the message.
+ * @return {string} The validated unit group.
+ * @desc   Validate a unit group.
+ * @throws {WeatherValidationError} If the unit group is not 'us', 'uk', 'metric' or 'base'.
+ */
+function validateUnitGroup(unitGroup, param, source){
+	if(!Object.hasOwn(UNIT_GROUPS, unitGroup)){
+		throw new WeatherValidationError(`${source}: Invalid ${param} value '${unitGroup}'.`, { param });
+	}
+	return unitGroup;
+}
+
+/**
+ * @func   getElementUnit
+ * @static
+ * @param  {string} element - An element name.
+ * @param  {string} unitGroup - A unit group.
+ * @return {string|null} The unit of the element in the unit group, or null if the element is unitless or unknown.
+ * @desc   Get the unit of an element in a unit group.
+ * @throws {WeatherValidationError} If the unit group is invalid.
+ */
+export function getElementUnit(element, unitGroup){
+	validateUnitGroup(unitGroup, 'unitGroup', 'getElementUnit');
+
+	return Object.hasOwn(ELEMENTS, element) ? ELEMENTS[element].units?.[unitGroup] ?? null : null;
+}
+
+/**
+ * @func   getElementRange
+ * @static
+ * @param  {string} element - An element name.
+ * @param  {string} unitGroup - A unit group.
+ * @return {Array<number>|null} The plausible range ([min, max]) of the element in the units of the unit group, or null if not numeric or unknown.
+ * @desc   Get the plausible range of the values of an element in a unit group.
+ * @throws {WeatherValidationError} If the unit group is invalid.
+ */
+export function getElementRange(element, unitGroup){
+	validateUnitGroup(unitGroup, 'unitGroup', 'getElementRange');
+
+	const range = Object.hasOwn(ELEMENTS, element) ? ELEMENTS[element].range : null;
+	return range && range.map(value => convertValue(value, element, 'metric', unitGroup));
+}
+
+/**
+ * @func   convertValue
+ * @static
+ * @param  {number} value - A value of an element.
+ * @param  {string} element - The element name.
+ * @param  {string} fromGroup - The unit group of the value.
+ * @param  {string} toGroup - The target unit group.
+ * @param  {number|null} precision - The number of decimals of the converted value, or null not to round it, that of PRECISIONS for the target unit if not specified.
+ * @return {number} The value in the unit of the target unit group, unchanged if not a number or if the unit is the same.
+ * @desc   Convert a value of an element between unit groups.
+ * @throws {WeatherValidationError} If a unit group is invalid.
+ */
+export function convertValue(value, element, fromGroup, toGroup, precision = undefined){
+	validateUnitGroup(fromGroup, 'fromGroup', 'convertValue');
+	validateUnitGroup(toGroup, 'toGroup', 'convertValue');
+
+	const quantity = ELEMENT_QUANTITIES[element];
+
+	if(typeof value !== 'number' || !quantity || UNIT_GROUPS[fromGroup][quantity] === UNIT_GROUPS[toGroup][quantity]){
+		return value;
+	}
+
+	const toUnit = UNIT_GROUPS[toGroup][quantity];
+
+	const [fromScale, fromOffset] = CONVERSIONS[quantity][UNIT_GROUPS[fromGroup][quantity]];
+	const [toScale, toOffset] = CONVERSIONS[quantity][toUnit];
+
+	const converted = (value - fromOffset) / fromScale * toScale + toOffset;
+
+	if(precision === null){
+		return converted;
+	}
+
+	const factor = 10 ** (precision ?? PRECISIONS[toUnit]);
+	return Math.round(converted * factor) / factor;
+}
+
+/**
+ * @func   convertRecord
+ * @static
+ * @param  {Object} record - A day, an hour, a minute or the current conditions.
+ * @param  {string} fromGroup - The unit group of the record.
+ * @param  {string} toGroup - The target unit group.
+ * @param  {number|null} precision - The number of decimals of the converted values, or null not to round them, that of PRECISIONS for every target unit if not specified.
+ * @return {Object} A shallow copy of the record, in the units of the target unit group.
+ * @desc   Convert the elements of a record between unit groups, its nested hours, minutes and normals excepted.
+ * @throws {WeatherValidationError} If a unit group is invalid.
+ */
+export function convertRecord(record, fromGroup, toGroup, precision = undefined){
+	const converted = { ...record };
+
+	for(const element of Object.keys(ELEMENT_QUANTITIES)){
+		if(element in converted){
+			converted[element] = convertValue(converted[element], element, fromGroup, toGroup, precision);
+		}
+	}
+	return converted;
+}
+
+/**
+ * @func   convertNormals
+ * @static
+ * @param  {Object} normal - The statistical normals of a day, each a list of the minimum, mean and maximum, keyed by element name.
+ * @param  {string} fromGroup - The unit group of the normals.
+ * @param  {string} toGroup - The target unit group.
+ * @param  {number|null} precision - The number of decimals of the converted values, or null not to round them, that of PRECISIONS for every target unit if not specified.
+ * @return {Object} A copy of the normals, in the units of the target unit group.
+ * @desc   Convert the statistical normals of a day between unit groups.
+ * @throws {WeatherValidationError} If a unit group is invalid.
+ */
+export function convertNormals(normal, fromGroup, toGroup, precision = undefined){
+	const converted = {};
+
+	for(const [element, values] of Object.entries(normal)){
+		converted[element] = Array.isArray(values) ?
+			values.map(value => convertValue(value, element, fromGroup, toGroup, precision)) :
+			convertValue(values, element, fromGroup, toGroup, precision);
+	}
+	return converted;
+}
@@ -53,3 +53,18 @@ export function extractSubobjectByKeys(originalDict, keysList){
 	});
 	return subDict;
 }
+
+/**
+ * @func   redactUrlParams
+ * @static
+ * @param  {string} url - The URL to redact.
+ * @param  {Array} params - A list of query parameters whose values are to be redacted.
+ * @param  {string} mask - The replacement of the redacted values.
+ * @return {string} - The URL with the values of the specified query parameters replaced by the mask.
+ * @desc   Redact the values of sensitive query parameters, such as API keys, from a URL.
+ */
+export function redactUrlParams(url, params = ['key'], mask = 'REDACTED'){
+	return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, sep, name) => {
+		return params.includes(name) ? `${sep}${name}=${mask}` : match;
+	});
+}
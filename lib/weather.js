@@ -5,11 +5,46 @@
  * @author  Essam A. El-Sherif
  */
 
-/* Import node.js core modules */
-import https from 'node:https';
-
 /* Import local dependencies */
-import { extractSubobjectByKeys, updateObject, isValidObject } from './utils.js';
+import { extractSubobjectByKeys, updateObject, isValidObject, redactUrlParams } from './utils.js';
+import { defaultTransport, createReplayTransport } from './transport.js';
+import { normalizeRetryPolicy, parseRetryAfter, computeBackoffDelay, sleep } from './retry.js';
+import { RateLimiter } from './limiter.js';
+import { QueryBudget } from './budget.js';
+import { ResponseCache, MemoryStore, FileStore } from './cache.js';
+import { ELEMENTS } from './elements.js';
+import { getElementUnit, getElementRange, convertRecord, convertNormals } from './units.js';
+import {
+	WeatherError,
+	WeatherValidationError,
+	WeatherApiError,
+	WeatherNetworkError,
+	WeatherTimeoutError,
+	WeatherAbortError,
+	WeatherDataError,
+	WeatherBudgetError,
+} from './errors.js';
+
+/* Export the error classes */
+export {
+	WeatherError,
+	WeatherValidationError,
+	WeatherApiError,
+	WeatherNetworkError,
+	WeatherTimeoutError,
+	WeatherAbortError,
+	WeatherDataError,
+	WeatherBudgetError,
+};
+
+/* Export the rate limiter, query budget and response cache classes */
+export { RateLimiter, QueryBudget, ResponseCache, MemoryStore, FileStore };
+
+/* Export the record-and-replay transport factory */
+export { createReplayTransport };
+
+/* Export the catalog of the weather elements */
+export { ELEMENTS };
 
 /**
  * @const {string} BASE_URL - Base URL for creating a weather API request.
@@ -17,6 +52,469 @@ import { extractSubobjectByKeys, updateObject, isValidObject } from './utils.js'
  */
 const BASE_URL = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
 
+/**
+ * @const {Object} ENDPOINTS - Default path templates of the weather API endpoints, keyed by endpoint name.
+ * @desc  A template's `{name}` placeholders are substituted by the request path parameters, and the path segments of
+ *        the parameters left empty are dropped. A relative template is resolved against the instance baseUrl, while an
+ *        absolute one (e.g. a proxy or a recorded-fixture server) is used as is.
+ */
+const ENDPOINTS = {
+	timeline: '{location}/{fromDate}/{toDate}/',
+};
+
+/**
+ * @const {Array<string>} QUERY_PARAMS - The fetch options sent as query parameters of the weather API request.
+ * @see   [Visual Crossing Timeline Weather API]{@link https://www.visualcrossing.com/resources/documentation/weather-api/timeline-weather-api/#request-parameters}.
+ */
+const QUERY_PARAMS = [
+	'unitGroup',
+	'include',
+	'elements',
+	'lang',
+	'iconSet',
+	'timezone',
+	'maxDistance',
+	'maxStations',
+	'elevationDifference',
+	'locationNames',
+	'options',
+	'degreeDayTempFix',
+	'degreeDayTempMaxThreshold',
+	'degreeDayTempBase',
+	'degreeDayStartDate',
+	'degreeDayInverse',
+	'forecastBasisDate',
+	'forecastBasisDay',
+];
+
+/**
+ * @const {Array<string>} FETCH_OPTIONS - The options accepted by fetchWeatherData.
+ */
+const FETCH_OPTIONS = ['fromDate', 'toDate', ...QUERY_PARAMS, 'endpoint', 'retry', 'timeout', 'signal', 'cache', 'chunkDays', 'chunkConcurrency'];
+
+/**
+ * @typedef  {Object} FetchOptions
+ * @property {string|number} fromDate - Start date of the weather data period (in `yyyy-MM-dd` format, or a dynamic date).
+ * @property {string|number} toDate - End date of the weather data period (in `yyyy-MM-dd` format).
+ * @property {string} unitGroup - Unit system for the weather data ('us', 'metric', 'uk' or 'base'), 'metric' by default.
+ * @property {string|Array<string>} include - Sections to include in the result data (e.g., 'days', 'hours').
+ * @property {string|Array<string>} elements - Specific weather elements to retrieve.
+ * @property {string} lang - Language of the textual elements, 'en' by default.
+ * @property {string} iconSet - Icon set of the icon element ('icons1' or 'icons2').
+ * @property {string} timezone - Time zone of the result data ('Z' for UTC).
+ * @property {number} maxDistance - Maximum distance in meters to search for weather stations.
+ * @property {number} maxStations - Maximum number of weather stations used.
+ * @property {number} elevationDifference - Maximum elevation difference in meters of a weather station.
+ * @property {string|Array<string>} locationNames - Alternative names of the requested locations in the result data.
+ * @property {string|Array<string>} options - Processing options (e.g., 'nonulls', 'useobs', 'useremote').
+ * @property {number} degreeDayTempFix - Fixed temperature threshold of the degree days calculation.
+ * @property {number} degreeDayTempMaxThreshold - Maximum temperature threshold of the degree days calculation.
+ * @property {number} degreeDayTempBase - Base temperature of the degree days calculation.
+ * @property {string} degreeDayStartDate - Start date of the degree days accumulation (in `yyyy-MM-dd` format).
+ * @property {boolean} degreeDayInverse - Accumulate the degree days below the base temperature.
+ * @property {string} forecastBasisDate - Date on which a historical forecast was issued (in `yyyy-MM-dd` format).
+ * @property {number} forecastBasisDay - Number of days before the requested dates on which a historical forecast was issued.
+ * @property {string} endpoint - Name of the endpoint to send the request to, the instance default endpoint if not specified.
+ * @property {Object} retry - Retry policy of the request, overriding the instance retry policy (see {@link module:retry~RetryPolicy}).
+ * @property {number} timeout - Timeout in milliseconds of every attempt of the request, overriding the instance timeout (0 for none).
+ * @property {AbortSignal} signal - Signal to cancel the request, including its pending retries.
+ * @property {boolean|string} cache - False to bypass the instance cache, or 'refresh' to fetch the data and update the cache, true by default.
+ * @property {number} chunkDays - Maximum number of days per request, a longer period of fixed dates being split into several requests.
+ * @property {number} chunkConcurrency - Maximum number of concurrent requests of a split period, 2 by default.
+ */
+
+/**
+ * @typedef  {Object} BatchReport
+ * @property {string} location - The requested location.
+ * @property {boolean} ok - True if the weather data of the location was fetched.
+ * @property {WeatherError|null} error - The error of a failed request.
+ * @property {number|null} queryCost - The query cost of a successful request.
+ * @property {string|null} cache - The cache status of a successful request, if the instance has a cache.
+ * @desc     The report of a location of a batch.
+ */
+
+/**
+ * @func   toWeatherError
+ * @param  {string} source - The name of the method where the error occurred.
+ * @param  {Error} error - The error to convert.
+ * @return {WeatherError} The error itself if a WeatherError, otherwise a WeatherDataError caused by it.
+ * @desc   Convert an unexpected error, e.g. accessing a missing day or hour, into a WeatherDataError.
+ */
+function toWeatherError(source, error){
+	return error instanceof WeatherError ? error : new WeatherDataError(`${source}: ${error.message}`, { cause: error });
+}
+
+/**
+ * @const {number} DAY - The length of a day in milliseconds.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @const {Object} QUERY_COST - The query cost, in records, of a historical day and of a forecast, per location.
+ */
+const QUERY_COST = { historicalDay: 24, forecast: 1 };
+
+/**
+ * @func   resolveDynamicDays
+ * @param  {string} keyword - A dynamic period, e.g. 'today', 'last30days' or 'nextweekend'.
+ * @param  {number} today - The current day, as a number of days since the epoch.
+ * @return {Array<number>|null} The first and last days of the period, as numbers of days since the epoch, or null if the keyword is unknown.
+ * @desc   Resolve a dynamic period into days, relative to the current day, as the weather API does.
+ */
+function resolveDynamicDays(keyword, today){
+	const date = new Date(today * DAY);
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth();
+	const weekday = date.getUTCDay();
+	const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+	const match = /^(next|last)(\d+|saturday|sunday|monday|tuesday|wednesday|thursday|friday)(days)?$/.exec(keyword);
+
+	if(match && match[3]){
+		return match[1] === 'next' ? [today, today + Number(match[2]) - 1] : [today - Number(match[2]), today - 1];
+	}
+	else
+	if(match){
+		const target = weekdays.indexOf(match[2]);
+		const offset = match[1] === 'next' ? (target - weekday + 7) % 7 || 7 : -((weekday - target + 7) % 7 || 7);
+		return [today + offset, today + offset];
+	}
+
+	switch(keyword){
+		case 'today'      : return [today, today];
+		case 'tomorrow'   : return [today + 1, today + 1];
+		case 'yesterday'  : return [today - 1, today - 1];
+		case 'yeartodate' : return [Date.UTC(year, 0, 1) / DAY, today];
+		case 'monthtodate': return [Date.UTC(year, month, 1) / DAY, today];
+		case 'lastyear'   : return [Date.UTC(year - 1, month, date.getUTCDate()) / DAY, today - 1];
+		case 'last24hours': return [today - 1, today];
+		case 'nextweekend': {
+			const saturday = today + ((6 - weekday + 7) % 7 || 7);
+			return [saturday, saturday + 1];
+		}
+		case 'lastweekend': {
+			const sunday = today - (weekday || 7);
+			return [sunday - 1, sunday];
+		}
+	}
+
+	return null;
+}
+
+/**
+ * @func   resolveRequestDays
+ * @param  {string|number} fromDate - Start date of the requested period, a date, a datetime, seconds since the epoch or a dynamic period.
+ * @param  {string|number} toDate - End date of the requested period.
+ * @param  {number} now - The current time in milliseconds, for the dynamic periods depending on it.
+ * @return {Array<number>} The first and last days of the requested period, as numbers of days since the epoch (UTC).
+ * @desc   Resolve a requested period into days, the 15 days forecast if no date is given, or a single day if no end date is given.
+ */
+function resolveRequestDays(fromDate, toDate, now){
+	const today = Math.floor(now / DAY);
+
+	const dayOf = (date) => {
+		const time = typeof date === 'number' ? date * 1000 : Date.parse(date.length === 10 ? `${date}T00:00:00Z` : `${date}Z`);
+		return Math.floor(time / DAY);
+	};
+
+	if(fromDate === '' || fromDate === undefined || fromDate === null){
+		return [today, today + 14];
+	}
+
+	if(typeof fromDate === 'string' && !/^\d/.test(fromDate)){
+		const days = resolveDynamicDays(fromDate, today);
+
+		if(days){
+			return days;
+		}
+	}
+
+	const first = dayOf(fromDate);
+	const last = toDate === '' || toDate === undefined || toDate === null ? first : dayOf(toDate);
+
+	return [first, Math.max(first, last)];
+}
+
+/**
+ * @func   isHistoricalPeriod
+ * @param  {string|number} fromDate - Start date of the requested period.
+ * @param  {string|number} toDate - End date of the requested period.
+ * @param  {number} now - The current time in milliseconds.
+ * @return {boolean} True if the period is given by fixed dates and ends before yesterday (UTC), so that it is over at any location.
+ * @desc   Tell whether a requested period holds historical data only, which is not expected to change.
+ */
+function isHistoricalPeriod(fromDate, toDate, now){
+	if(fromDate === undefined || (typeof fromDate === 'string' && !/^\d/.test(fromDate))){
+		return false;
+	}
+
+	return resolveRequestDays(fromDate, toDate, now)[1] < Math.floor(now / DAY) - 1;
+}
+
+/**
+ * @func   timezoneOffset
+ * @param  {number} time - An instant in milliseconds since the epoch.
+ * @param  {string} timezone - The IANA time zone, e.g. 'Africa/Cairo'.
+ * @param  {number} tzoffset - The offset in hours of the time zone from UTC, used if the time zone is unknown.
+ * @return {number} The offset in milliseconds of the time zone from UTC at the instant.
+ * @desc   Get the offset of a time zone at a given instant, which differs across the DST transitions.
+ */
+function timezoneOffset(time, timezone, tzoffset = 0){
+	if(timezone){
+		try{
+			const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+				timeZone: timezone, hourCycle: 'h23',
+				year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+			}).formatToParts(time).map(({ type, value }) => [type, Number(value)]));
+
+			return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - (time - time % 1000);
+		}
+		catch(error){
+			/* an unknown time zone */
+		}
+	}
+	return (tzoffset || 0) * 3600 * 1000;
+}
+
+/**
+ * @func   localDatetimeToEpoch
+ * @param  {string} datetime - A local datetime (in `yyyy-MM-ddTHH:mm:ss` format).
+ * @param  {string} timezone - The IANA time zone of the datetime, e.g. 'Africa/Cairo'.
+ * @param  {number} tzoffset - The offset in hours of the time zone from UTC, used if the time zone is unknown.
+ * @return {number} The Unix timestamp of the datetime, or NaN if the datetime is invalid.
+ * @desc   Convert a datetime, local to a time zone, into a Unix timestamp, using the offset of the time zone at that instant.
+ */
+function localDatetimeToEpoch(datetime, timezone, tzoffset = 0){
+	const local = Date.parse(`${datetime}Z`);
+
+	if(Number.isNaN(local)){
+		return NaN;
+	}
+
+	const offset = timezoneOffset(local - timezoneOffset(local, timezone, tzoffset), timezone, tzoffset);	/* the offset at the instant itself */
+	return (local - offset) / 1000;
+}
+
+/**
+ * @func   formatInstant
+ * @param  {number} time - An instant in milliseconds since the epoch.
+ * @param  {string} format - 'date' for a Date object, 'utc' for an ISO 8601 UTC string, or 'local' for an ISO 8601 string local to the time zone.
+ * @param  {string} timezone - The IANA time zone of the 'local' format.
+ * @param  {number} tzoffset - The offset in hours of the time zone from UTC, used if the time zone is unknown.
+ * @return {Date|string} The instant in the given format, e.g. '2025-03-07T00:00:00+02:00' in the 'local' format.
+ * @desc   Express an instant either as a Date, or in UTC time, or in the local time of a time zone.
+ */
+function formatInstant(time, format, timezone, tzoffset){
+	if(format === 'date'){
+		return new Date(time);
+	}
+	else
+	if(format === 'utc'){
+		return `${new Date(time).toISOString().slice(0, 19)}Z`;
+	}
+
+	const offset = timezoneOffset(time, timezone, tzoffset);
+	const minutes = Math.abs(offset) / 60000;
+	const sign = offset < 0 ? '-' : '+';
+
+	return `${new Date(time + offset).toISOString().slice(0, 19)}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @func   alertKey
+ * @param  {object} alert - A weather alert.
+ * @return {string} The identity of the alert, its id if any, otherwise its event, onset and headline.
+ * @desc   Identify an alert, so that an alert repeated by several responses is recognized.
+ */
+function alertKey(alert){
+	return alert.id ?? JSON.stringify([alert.event, alert.onsetEpoch ?? alert.onset, alert.headline]);
+}
+
+/**
+ * @func   alertInterval
+ * @param  {object} alert - A weather alert.
+ * @return {Array<number>} The onset and the end of the alert as Unix timestamps, -Infinity and Infinity if not specified.
+ * @desc   Get the period of an alert, from its epoch fields, or else from its ISO 8601 onset and ends fields.
+ */
+function alertInterval(alert){
+	const epoch = (seconds, datetime, unspecified) => {
+		if(typeof seconds === 'number'){
+			return seconds;
+		}
+
+		const time = datetime ? Date.parse(datetime) : NaN;
+		return Number.isNaN(time) ? unspecified : time / 1000;
+	};
+
+	return [epoch(alert.onsetEpoch, alert.onset, -Infinity), epoch(alert.endsEpoch, alert.ends, Infinity)];
+}
+
+/**
+ * @const {Object} RESAMPLING - The elements accumulated over a period, and those whose maximum over a period is retained, when resampling.
+ */
+const RESAMPLING = {
+	summed: ['precip', 'snow', 'solarenergy'],
+	maximum: ['windgust', 'precipprob', 'severerisk', 'uvindex'],
+	angular: ['winddir'],
+};
+
+/**
+ * @func   aggregateRecords
+ * @param  {Array<object>} records - The consecutive minute records of an hour.
+ * @return {object} The hour record, of which the numeric elements are averaged, summed or maximized, and the others are those of the first record.
+ * @desc   Aggregate the minute records of an hour into an hour record, starting at the hour.
+ */
+function aggregateRecords(records){
+	const hour = { ...records[0] };
+	const [hh] = String(records[0].datetime).split(':');
+
+	hour.datetime = `${hh}:00:00`;
+
+	if(typeof records[0].datetimeEpoch === 'number'){
+		hour.datetimeEpoch = records[0].datetimeEpoch - records[0].datetimeEpoch % 3600;
+	}
+
+	for(const element of Object.keys(hour)){
+		const values = records.map(record => record[element]).filter(value => typeof value === 'number');
+
+		if(['datetime', 'datetimeEpoch'].includes(element) || !values.length || typeof hour[element] !== 'number'){
+			continue;
+		}
+
+		if(RESAMPLING.summed.includes(element)){
+			hour[element] = values.reduce((sum, value) => sum + value, 0);
+		}
+		else
+		if(RESAMPLING.maximum.includes(element)){
+			hour[element] = Math.max(...values);
+		}
+		else
+		if(RESAMPLING.angular.includes(element)){
+			const x = values.reduce((sum, value) => sum + Math.cos(value * Math.PI / 180), 0);
+			const y = values.reduce((sum, value) => sum + Math.sin(value * Math.PI / 180), 0);
+			hour[element] = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+		}
+		else{
+			hour[element] = values.reduce((sum, value) => sum + value, 0) / values.length;
+		}
+	}
+
+	delete hour.minutes;
+	return hour;
+}
+
+/**
+ * @func   interpolateRecords
+ * @param  {object} record - The record of an hour.
+ * @param  {object} next - The record of the next hour, if any.
+ * @param  {number} interval - The length in minutes of the resampled records.
+ * @return {Array<object>} The records of the hour, every interval minutes.
+ * @desc   Interpolate the record of an hour into records every interval minutes, the numeric elements being interpolated linearly
+ *         towards the next hour (or divided among the records, for the accumulated elements), and the others being repeated.
+ */
+function interpolateRecords(record, next, interval){
+	const records = [];
+	const [hh] = String(record.datetime).split(':');
+
+	for(let minute = 0; minute < 60; minute += interval){
+		const fraction = minute / 60;
+		const resampled = { ...record, datetime: `${hh}:${String(minute).padStart(2, '0')}:00` };
+
+		if(typeof record.datetimeEpoch === 'number'){
+			resampled.datetimeEpoch = record.datetimeEpoch + minute * 60;
+		}
+
+		for(const element of Object.keys(record)){
+			const value = record[element];
+
+			if(['datetime', 'datetimeEpoch'].includes(element) || typeof value !== 'number'){
+				continue;
+			}
+
+			if(RESAMPLING.summed.includes(element)){
+				resampled[element] = value * interval / 60;
+			}
+			else
+			if(typeof next?.[element] === 'number' && !RESAMPLING.maximum.includes(element)){
+				const delta = RESAMPLING.angular.includes(element) ? ((next[element] - value) % 360 + 540) % 360 - 180 : next[element] - value;
+				resampled[element] = RESAMPLING.angular.includes(element) ? (value + delta * fraction + 360) % 360 : value + delta * fraction;
+			}
+		}
+
+		delete resampled.minutes;
+		records.push(resampled);
+	}
+
+	return records;
+}
+
+/**
+ * @func   percentileOfNormal
+ * @param  {number} value - An observed or forecast value.
+ * @param  {Object} normal - The normal of the value ({ min, mean, max }).
+ * @return {number} The approximate percentile of the value, from 0 at or below the normal minimum, through 50 at the normal mean,
+ *         to 100 at or above the normal maximum, interpolated linearly in between.
+ * @desc   Estimate the percentile of a value within its normal range.
+ */
+function percentileOfNormal(value, { min, mean, max }){
+	if(value <= min){
+		return 0;
+	}
+	else
+	if(value >= max){
+		return 100;
+	}
+	else
+	if(value <= mean){
+		return mean === min ? 50 : 50 * (value - min) / (mean - min);
+	}
+	else{
+		return max === mean ? 50 : 50 + 50 * (value - mean) / (max - mean);
+	}
+}
+
+/**
+ * @const {Object} ACCESSOR_LEVELS - The name suffixes of the named element accessors, keyed by element level.
+ */
+const ACCESSOR_LEVELS = { day: 'OnDay', hour: 'AtDatetime', current: 'Current' };
+
+/**
+ * @const {Object} ACCESSOR_ALIASES - The legacy names of the named element accessors, keyed by their names after the element catalog.
+ */
+const ACCESSOR_ALIASES = {
+	FeelslikeAtDatetime : 'FeelsLikeAtDatetime',
+	PrecipprobAtDatetime: 'PrecipProbAtDatetime',
+	SnowdepthAtDatetime : 'SnowDepthAtDatetime',
+};
+
+/**
+ * @func   indexByDatetime
+ * @param  {Array<Object>} items - The days, or the hours of a day.
+ * @return {Object} The index of the items ({ size, positions }), their positions keyed by datetime, the first one for a repeated datetime.
+ * @desc   Index a list of items by datetime.
+ */
+function indexByDatetime(items){
+	const positions = new Map();
+
+	items.forEach((item, position) => {
+		if(item && !positions.has(item.datetime)){
+			positions.set(item.datetime, position);
+		}
+	});
+
+	return { size: items.length, positions };
+}
+
+/**
+ * @func   levelOf
+ * @param  {Object} target - The record targeted by get() or set() ({ day, time }).
+ * @return {string} The level of the record, 'hour' if a time is specified, 'day' if a day only, 'current' otherwise.
+ * @desc   Get the level of the record targeted by a generic element accessor.
+ */
+function levelOf(target){
+	const { day, time } = target ?? {};
+	return time !== undefined ? 'hour' : day !== undefined ? 'day' : 'current';
+}
+
 /**
  * @class  Weather
  * @static
@@ -33,17 +531,62 @@ export class Weather{
 	 */
 	#weatherData;
 
+	/**
+	 * @member   unitGroup
+	 * @instance
+	 * @memberof module:weather.Weather
+	 * @private
+	 * @desc     Private member to hold the unit group of the weather data, null if unknown.
+	 */
+	#unitGroup = null;
+
+	/**
+	 * @member   indexes
+	 * @instance
+	 * @memberof module:weather.Weather
+	 * @private
+	 * @desc     Private member to hold the indexes by datetime of the days and of the hours of every day, keyed by list.
+	 */
+	#indexes = new WeakMap();
+
 	/**
 	 * @method   constructor
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string} apiKey - API key for the weather API.
 	 * @param    {string} baseUrl - Base URL of the weather API.
+	 * @param    {Object} options - Optional settings of the instance.
+	 * @param    {Object} options.endpoints - Path templates keyed by endpoint name, added to or overriding the default ones.
+	 * @param    {string} options.endpoint - Name of the endpoint used by default for requests, 'timeline' if not specified.
+	 * @param    {Object} options.retry - Retry policy of the requests (see {@link module:retry~RetryPolicy}), no retries if not specified.
+	 * @param    {number} options.timeout - Timeout in milliseconds of every request attempt, 0 (no timeout) if not specified.
+	 * @param    {RateLimiter|Object} options.limiter - Rate limiter of the requests, or its options (see {@link module:limiter.RateLimiter}), none if not specified.
+	 *                                                  A RateLimiter object may be shared by several instances.
+	 * @param    {QueryBudget|Object} options.budget - Daily query cost budget of the requests, or its options (see {@link module:budget.QueryBudget}), none if not specified.
+	 *                                                 A QueryBudget object may be shared by several instances using the same API key.
+	 * @param    {ResponseCache|Object|boolean} options.cache - Cache of the responses, or its options (see {@link module:cache.ResponseCache}),
+	 *                                                         true for an in-memory cache with the default options, none if not specified.
+	 * @param    {function} options.transport - Transport sending the requests (see {@link module:transport~TransportResponse}), e.g. a
+	 *                                          record-and-replay transport, the fetch API or the node:http(s) modules if not specified.
 	 * @desc     Constructs a new Weather object.
+	 * @throws   {WeatherValidationError} If the retry policy, the timeout, the limiter, the budget, the cache options or the transport are invalid.
 	 */
-	constructor(apiKey = '', baseUrl = BASE_URL){
+	constructor(apiKey = '', baseUrl = BASE_URL, options = {}){
 		this.apiKey = apiKey;
 		this.baseUrl = baseUrl;
+		this.endpoints = { ...ENDPOINTS, ...options.endpoints };
+		this.endpoint = options.endpoint || 'timeline';
+		this.retry = normalizeRetryPolicy(options.retry);
+		this.timeout = Weather.validateParamTimeout(options.timeout ?? 0);
+		this.limiter = options.limiter ? RateLimiter.from(options.limiter) : null;
+		this.budget = options.budget ? QueryBudget.from(options.budget) : null;
+		this.cache = options.cache ? ResponseCache.from(options.cache) : null;
+		this.transport = options.transport ?? defaultTransport;
+
+		if(typeof this.transport !== 'function'){
+			throw new WeatherValidationError(`Weather: Invalid transport '${this.transport}'.`, { param: 'transport' });
+		}
+
 		this.#weatherData = {};
 
 		/* Hide the apiKey property */
@@ -58,7 +601,7 @@ export class Weather{
 	 * @param    {string|number} datetimeVal - The datetime value used for filtering, which can be a date string or an index.
 	 * @returns  {Object|null} The filtered dictionary item, or null if not available.
 	 * @desc     Filters an item by its datetime value from a list of dictionaries, each containing a 'datetime' key.
-	 * @throws   {TypeError} If the datetimeVal is neither a string nor a number.
+	 * @throws   {WeatherValidationError} If the datetimeVal is neither a string nor a number.
 	 */
 	static filterItemByDatetimeVal(src, datetimeVal){
 
@@ -70,7 +613,7 @@ export class Weather{
 			return src[datetimeVal] || null;
 		}
 		else{
-			throw new TypeError(`Weather.filterItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`);
+			throw new WeatherValidationError(`Weather.filterItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`, { param: 'datetimeVal' });
 		}
 	}
 
@@ -82,12 +625,12 @@ export class Weather{
 	 * @param    {string|number} datetimeVal - The datetime value used for updating, which can be a date string or an index.
 	 * @param    {Object} data - The new data dictionary to replace the old dictionary.
 	 * @desc     Sets an item's data by its datetime value in a list of dictionaries based on the given datetimeVal.
-	 * @throws   {TypeError} If the input data is not an object or datetimeVal is neither a string nor a number.
+	 * @throws   {WeatherValidationError} If the input data is not an object or datetimeVal is neither a string nor a number.
 	 */
 	static setItemByDatetimeVal(src, datetimeVal, data){
 
 		if(typeof data !== 'object' || data === null){
-			throw new TypeError(`Weather.setItemByDatetimeVal: Invalid input data value '${data}'.`);
+			throw new WeatherValidationError(`Weather.setItemByDatetimeVal: Invalid input data value '${data}'.`, { param: 'data' });
 		}
 
 		if(typeof datetimeVal === 'string'){
@@ -106,7 +649,7 @@ export class Weather{
 			}
 		}
 		else{
-			throw new TypeError(`Weather.setItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`);
+			throw new WeatherValidationError(`Weather.setItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`, { param: 'datetimeVal' });
 		}
 	}
 
@@ -118,12 +661,12 @@ export class Weather{
 	 * @param    {string|number} datetimeVal - The datetime value used for updating, which can be a date string or an index.
 	 * @param    {Object} data - The new data dictionary to update the old dictionary.
 	 * @desc     Updates an item's data by its datetime value in a list of dictionaries based on the given datetimeVal.
-	 * @throws   {TypeError} If the input data is not an object or datetimeVal is neither a string nor a number.
+	 * @throws   {WeatherValidationError} If the input data is not an object or datetimeVal is neither a string nor a number.
 	 */
 	static updateItemByDatetimeVal(src, datetimeVal, data){
 
 		if(typeof data !== 'object' || data === null){
-			throw new TypeError(`Weather.updateItemByDatetimeVal: Invalid input data value '${data}'.`);
+			throw new WeatherValidationError(`Weather.updateItemByDatetimeVal: Invalid input data value '${data}'.`, { param: 'data' });
 		}
 
 		if(typeof datetimeVal === 'string'){
@@ -143,8 +686,36 @@ export class Weather{
 			}
 		}
 		else{
-			throw new TypeError(`Weather.updateItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`);
+			throw new WeatherValidationError(`Weather.updateItemByDatetimeVal: Invalid input datetime value '${datetimeVal}'.`, { param: 'datetimeVal' });
+		}
+	}
+
+	/**
+	 * @method   expandPathTemplate
+	 * @static
+	 * @memberof module:weather.Weather
+	 * @param    {string} template - The path template, with `{name}` placeholders for the path parameters.
+	 * @param    {Object} params - The path parameters values keyed by placeholder name.
+	 * @returns  {string} The expanded path.
+	 * @desc     Expands a path template, dropping the path segments of the parameters that are not specified.
+	 * @throws   {WeatherValidationError} If the template is not a string.
+	 */
+	static expandPathTemplate(template, params = {}){
+
+		if(typeof template !== 'string'){
+			throw new WeatherValidationError(`Weather.expandPathTemplate: Invalid path template '${template}'.`, { param: 'template' });
 		}
+
+		return template.split('/')
+			.map(segment => {
+				const expanded = segment.replace(/\{(\w+)\}/g, (match, name) => {
+					const value = params[name];
+					return value === undefined || value === null ? '' : encodeURIComponent(value);
+				});
+				return segment && !expanded ? null : expanded;
+			})
+			.filter(segment => segment !== null)
+			.join('/');
 	}
 
 	/**
@@ -154,7 +725,7 @@ export class Weather{
 	 * @param    {string|number} param - The date for which to retrieve weather data.
 	 * @returns  {string|number} The validated date for which to retrieve weather data.
 	 * @desc     Validate and return the date for which to retrieve weather data.
-	 * @throws   {TypeError|Error} If the input data type is neither a string nor a number or its format is invalid.
+	 * @throws   {WeatherValidationError} If the input data type is neither a string nor a number or its format is invalid.
 	 */
 	static validateParamDate(param){
 		if(typeof param === 'string'){
@@ -192,7 +763,7 @@ export class Weather{
 				return param;
 			}
 			else{
-				throw new Error(`Weather.validateParamDate: Invalid date '${param}'.`);
+				throw new WeatherValidationError(`Weather.validateParamDate: Invalid date '${param}'.`, { param: 'date' });
 			}
 		}
 		else
@@ -200,7 +771,7 @@ export class Weather{
 			return param;
 		}
 		else{
-			throw new TypeError(`Weather.validateParamDate: Invalid date type '${typeof param}'.`);
+			throw new WeatherValidationError(`Weather.validateParamDate: Invalid date type '${typeof param}'.`, { param: 'date' });
 		}
 	}
 
@@ -211,7 +782,7 @@ export class Weather{
 	 * @param    {string} param - The system of units used for the output data.
 	 * @returns  {string} The validated unitGroup to specify the units that will be used when returning weather data.
 	 * @desc     Validate and return the system of units used for the output data.
-	 * @throws   {TypeError|Error} If the input data type is not a string, or an unsupported value is used.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
 	static validateParamUnitGroup(param){
 		if(typeof param === 'string'){
@@ -219,11 +790,11 @@ export class Weather{
 				return param;
 			}
 			else{
-				throw new Error(`Weather.validateParamUnitGroup: Invalid unitGroup value '${param}'.`);
+				throw new WeatherValidationError(`Weather.validateParamUnitGroup: Invalid unitGroup value '${param}'.`, { param: 'unitGroup' });
 			}
 		}
 		else{
-			throw new TypeError(`Weather.validateParamUnitGroup: Invalid unitGroup type '${typeof param}'.`);
+			throw new WeatherValidationError(`Weather.validateParamUnitGroup: Invalid unitGroup type '${typeof param}'.`, { param: 'unitGroup' });
 		}
 	}
 
@@ -234,7 +805,7 @@ export class Weather{
 	 * @param    {Array<string>} param - The sections to include in the result data.
 	 * @returns  {string} The validated sections to include in the result data as a comma separated list.
 	 * @desc     Specifies the sections to include in the result data.
-	 * @throws   {TypeError|Error} If the input data type is not a string, or an unsupported value is used.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
 	static validateParamInclude(...param){
 		for(let p of param){
@@ -252,11 +823,11 @@ export class Weather{
 					'stats',     // historical statistical normals and daily statistical forecast.
 					'statsfcst', // use the full statistical forecast information for dates in the future beyond the current model forecast.
 				].includes(p)){
-					throw new Error(`Weather.validateParamInclude: Invalid include parameter '${p}'.`);
+					throw new WeatherValidationError(`Weather.validateParamInclude: Invalid include parameter '${p}'.`, { param: 'include' });
 				}
 			}
 			else{
-				throw new TypeError(`Weather.validateParamInclude: Invalid include parameter type '${typeof p}'.`);
+				throw new WeatherValidationError(`Weather.validateParamInclude: Invalid include parameter type '${typeof p}'.`, { param: 'include' });
 			}
 		}
 		return param.join(',');
@@ -268,1749 +839,1257 @@ export class Weather{
 	 * @memberof module:weather.Weather
 	 * @param    {Array<string>} param - The specific weather elements to include in the result data.
 	 * @returns  {string} The validated weather elements to include in the result data as a comma separated list.
-	 * @desc     Specifies the specific weather elements to include in the result data.
-	 * @throws   {TypeError|Error} If the input data type is not a string, or an unsupported value is used.
+	 * @desc     Specifies the specific weather elements to include in the result data, any element of the catalog (see {@link module:elements}).
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
 	static validateParamElements(...param){
 		for(let p of param){
 			if(typeof p === 'string'){
-				if(![
-					'tempmax',
-					'tempmin',
-					'temp',
-					'feelslikemax',
-					'feelslikemin',
-					'feelslike',
-					'dew',
-					'humidity',
-					'precip',
-					'precipprob',
-					'precipcover',
-					'preciptype',
-					'snow',
-					'snowdepth',
-					'windgust',
-					'windspeed',
-					'winddir',
-					'pressure',
-					'cloudcover',
-					'visibility',
-					'solarradiation',
-					'solarenergy',
-					'uvindex',
-					'sunrise',
-					'sunriseEpoch',
-					'sunset',
-					'sunsetEpoch',
-					'moonphase',
-					'conditions',
-					'description',
-					'icon',
-					'icon',
-					'stations',
-					'source',
-				].includes(p)){
-					throw new Error(`Weather.validateParamElements: Invalid elements parameter '${p}'.`);
+				if(!Object.hasOwn(ELEMENTS, p)){
+					throw new WeatherValidationError(`Weather.validateParamElements: Invalid elements parameter '${p}'.`, { param: 'elements' });
 				}
 			}
 			else{
-				throw new TypeError(`Weather.validateParamElements: Invalid elements parameter type '${typeof p}'.`);
+				throw new WeatherValidationError(`Weather.validateParamElements: Invalid elements parameter type '${typeof p}'.`, { param: 'elements' });
 			}
 		}
 		return param.join(',');
 	}
 
 	/**
-	 * @method   fetchWeatherData
-	 * @instance
-	 * @async
+	 * @method   validateParamLang
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string} location - Location for which weather data is requested.
-	 * @param    {string} fromDate - Start date of the weather data period (in `yyyy-MM-dd` format).
-	 * @param    {string} toDate - End date of the weather data period (in `yyyy-MM-dd` format).
-	 * @param    {string} unitGroup - Unit system for the weather data ('us', 'metric', 'uk' or 'base').
-	 * @param    {string} include - Data types to include (e.g., 'days', 'hours').
-	 * @param    {string} elements - Specific weather elements to retrieve.
-	 * @returns  {Promise<object>} The weather data as a dictionary.
-	 * @desc     Fetch weather data for a specified location and date range.
+	 * @param    {string} param - The language of the textual elements of the result data.
+	 * @returns  {string} The validated language code.
+	 * @desc     Validate and return the language used for the weather descriptions of the result data.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
-	async fetchWeatherData(location, fromDate = '', toDate = '', unitGroup = 'metric', include = '', elements = ''){
-		try{
-			if(!this.apiKey){
-				throw new Error('Weather.fetchWeatherData: No API key or session found.');
+	static validateParamLang(param){
+		if(typeof param === 'string'){
+			if([
+				'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'fa', 'fi', 'fr', 'he', 'hu', 'it',
+				'ja', 'ko', 'nl', 'pl', 'pt', 'ru', 'sk', 'sr', 'sv', 'tr', 'uk', 'vi', 'zh',
+				'id',  // descriptions as IDs which can be translated locally.
+			].includes(param)){
+				return param;
 			}
-
-			if(!location){
-				throw new Error('Weather.fetchWeatherData: Bad API Request:A location must be specified.');
+			else{
+				throw new WeatherValidationError(`Weather.validateParamLang: Invalid lang value '${param}'.`, { param: 'lang' });
 			}
+		}
+		else{
+			throw new WeatherValidationError(`Weather.validateParamLang: Invalid lang type '${typeof param}'.`, { param: 'lang' });
+		}
+	}
 
-			let queryParams = new URLSearchParams({
-				key : this.apiKey,
-				lang: 'en',
-				contentType: 'json',
-				unitGroup,
-				include,
-				elements,
-			});
-
-			let url;
-			if(fromDate)
-				url = `${BASE_URL}/${location}/${fromDate}/${toDate}?${queryParams}`;
-			else
-				url = `${BASE_URL}/${location}/?${queryParams}`;
-
-			if(globalThis.fetch){
-				const response = await fetch(url);
-
-				if(!response.ok){
-					throw new Error(await response.text());
-				}
-				this.#weatherData = await response.json();
-
-				return this.#weatherData;
+	/**
+	 * @method   validateParamIconSet
+	 * @static
+	 * @memberof module:weather.Weather
+	 * @param    {string} param - The icon set used for the icon element of the result data.
+	 * @returns  {string} The validated icon set.
+	 * @desc     Validate and return the icon set used for the icon element of the result data.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
+	 */
+	static validateParamIconSet(param){
+		if(typeof param === 'string'){
+			if(['icons1', 'icons2'].includes(param)){
+				return param;
 			}
 			else{
-				return new Promise((resolve, reject) => {
-
-					let cr = https.request(url, (response) => {
-
-						response.setEncoding('utf8');
-						let body = '';
-
-						response.on('data', (chunk) => { body += chunk });
-						response.on('end', () => {
-							if(response.statusCode >= 200 && response.statusCode < 300){
-								resolve(JSON.parse(body));
-							}
-							else{
-								reject(body);
-							}
-						});
-					});
-					cr.end();
-				});
+				throw new WeatherValidationError(`Weather.validateParamIconSet: Invalid iconSet value '${param}'.`, { param: 'iconSet' });
 			}
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamIconSet: Invalid iconSet type '${typeof param}'.`, { param: 'iconSet' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   clearWeatherData
-	 * @instance
+	 * @method   validateParamTimezone
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @desc     Clear the weather data of the class.
+	 * @param    {string} param - The time zone of the result data.
+	 * @returns  {string} The validated time zone.
+	 * @desc     Validate and return the time zone in which the result data is returned, only 'Z' (UTC) is supported by the API.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
-	clearWeatherData(){
-		this.#weatherData = {};
+	static validateParamTimezone(param){
+		if(typeof param === 'string'){
+			if(param === 'Z'){
+				return param;
+			}
+			else{
+				throw new WeatherValidationError(`Weather.validateParamTimezone: Invalid timezone value '${param}'.`, { param: 'timezone' });
+			}
+		}
+		else{
+			throw new WeatherValidationError(`Weather.validateParamTimezone: Invalid timezone type '${typeof param}'.`, { param: 'timezone' });
+		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getWeatherData
-	 * @instance
+	 * @method   validateParamMaxDistance
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {Array<string>} elements - List of elements to include in the returned data.
-	 * @returns  {object|null} The weather data as a dictionary, filtered by elements if specified, or null for errors.
-	 * @desc     Get the stored weather data.
+	 * @param    {number} param - The maximum distance in meters to search for weather stations.
+	 * @returns  {number} The validated maximum distance.
+	 * @desc     Validate and return the maximum distance used to search for weather stations.
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or a negative value is used.
 	 */
-	getWeatherData(elements = []){
-		try{
-			if(elements.length > 0){
-				return extractSubobjectByKeys(this.#weatherData, elements);
+	static validateParamMaxDistance(param){
+		if(typeof param === 'number'){
+			if(Number.isFinite(param) && param >= 0){
+				return param;
 			}
 			else{
-				return this.#weatherData;
+				throw new WeatherValidationError(`Weather.validateParamMaxDistance: Invalid maxDistance value '${param}'.`, { param: 'maxDistance' });
 			}
 		}
-		catch(error){
-			return null;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamMaxDistance: Invalid maxDistance type '${typeof param}'.`, { param: 'maxDistance' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setWeatherData
-	 * @instance
+	 * @method   validateParamMaxStations
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {object} data - Weather data to store.
-	 * @desc     Set the internal weather data.
+	 * @param    {number} param - The maximum number of weather stations used to calculate the weather data.
+	 * @returns  {number} The validated maximum number of stations.
+	 * @desc     Validate and return the maximum number of weather stations used for the result data.
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or it is not a positive integer.
 	 */
-	setWeatherData(data){
-		this.#weatherData = data;
+	static validateParamMaxStations(param){
+		if(typeof param === 'number'){
+			if(Number.isInteger(param) && param > 0){
+				return param;
+			}
+			else{
+				throw new WeatherValidationError(`Weather.validateParamMaxStations: Invalid maxStations value '${param}'.`, { param: 'maxStations' });
+			}
+		}
+		else{
+			throw new WeatherValidationError(`Weather.validateParamMaxStations: Invalid maxStations type '${typeof param}'.`, { param: 'maxStations' });
+		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getWeatherDailyData
-	 * @instance
+	 * @method   validateParamElevationDifference
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {Array<string>} elements - List of elements to include in the returned data.
-	 * @returns  {Array<object>|null} List of daily data dictionaries, filtered by elements if specified, or null for errors.
-	 * @desc     Get daily weather data, optionally filtered by elements.
+	 * @param    {number} param - The maximum elevation difference in meters between the location and a weather station.
+	 * @returns  {number} The validated elevation difference.
+	 * @desc     Validate and return the maximum elevation difference for a weather station to be used.
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or a negative value is used.
 	 */
-	getWeatherDailyData(elements = []){
-		try{
-			if(elements.length > 0){
-				return this.#weatherData.days.map(day => extractSubobjectByKeys(day, elements));
+	static validateParamElevationDifference(param){
+		if(typeof param === 'number'){
+			if(Number.isFinite(param) && param >= 0){
+				return param;
 			}
 			else{
-				return this.#weatherData.days;
+				throw new WeatherValidationError(`Weather.validateParamElevationDifference: Invalid elevationDifference value '${param}'.`, { param: 'elevationDifference' });
 			}
 		}
-		catch(error){
-			return null;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamElevationDifference: Invalid elevationDifference type '${typeof param}'.`, { param: 'elevationDifference' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setWeatherDailyData
-	 * @instance
+	 * @method   validateParamLocationNames
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {Array<object>} dailyData - List of daily weather data dictionaries.
-	 * @desc     Set the daily weather data.
+	 * @param    {Array<string>} param - The names used for the requested locations in the result data.
+	 * @returns  {string} The validated location names as a comma separated list.
+	 * @desc     Specifies alternative names for the requested locations in the result data.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an empty name is used.
 	 */
-	setWeatherDailyData(dailyData){
-		this.#weatherData.days = dailyData;
+	static validateParamLocationNames(...param){
+		for(let p of param){
+			if(typeof p === 'string'){
+				if(!p.trim()){
+					throw new WeatherValidationError(`Weather.validateParamLocationNames: Invalid locationNames parameter '${p}'.`, { param: 'locationNames' });
+				}
+			}
+			else{
+				throw new WeatherValidationError(`Weather.validateParamLocationNames: Invalid locationNames parameter type '${typeof p}'.`, { param: 'locationNames' });
+			}
+		}
+		return param.join(',');
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getWeatherHourlyData
-	 * @instance
+	 * @method   validateParamOptions
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {Array<string>} elements - List of elements to include in the returned data.
-	 * @returns  {Array<object>|null} List of hourly data dictionaries, filtered by elements if specified, or null for errors.
-	 * @desc     Get hourly weather data for all days, optionally filtered by elements.
+	 * @param    {Array<string>} param - The processing options of the request.
+	 * @returns  {string} The validated processing options as a comma separated list.
+	 * @desc     Specifies the processing options of the request.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or an unsupported value is used.
 	 */
-	getWeatherHourlyData(elements = []){
-		try{
-			const hourlyData = this.#weatherData.days.flatMap(day => day.hours);
-			if(elements.length > 0){
-				return hourlyData.map(hourDt => extractSubobjectByKeys(hourDt, elements));
+	static validateParamOptions(...param){
+		for(let p of param){
+			if(typeof p === 'string'){
+				if(![
+					'nonulls',   // remove null values from the result data.
+					'noheaders', // remove the header row of the CSV result data.
+					'useobs',    // use only historical observations from weather stations.
+					'useremote', // use only historical observations from remote sources such as satellite or radar.
+					'usefcst',   // use only the forecast models.
+				].includes(p) && !/^minuteinterval_(1|2|3|4|5|6|10|12|15|20|30|60)$/.test(p)){   // the interval in minutes of the minutely data.
+					throw new WeatherValidationError(`Weather.validateParamOptions: Invalid options parameter '${p}'.`, { param: 'options' });
+				}
 			}
 			else{
-				return hourlyData;
+				throw new WeatherValidationError(`Weather.validateParamOptions: Invalid options parameter type '${typeof p}'.`, { param: 'options' });
 			}
 		}
-		catch(error){
-			return null;
-		}
+		return param.join(',');
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getDataOnDay
-	 * @instance
+	 * @method   validateParamDegreeDayTemp
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The identifier for the day, which can be a date string (YYYY-MM-DD) or an index of the day list.
-	 * @param    {Array<string>} elements - Specific weather elements to retrieve.
-	 * @returns  {object|null} The weather data dictionary for the specified day, or null for errors.
-	 * @desc     Retrieves weather data for a specific day based on a date string or index.
+	 * @param    {number} param - A degree day temperature threshold, in the temperature unit of the requested unitGroup.
+	 * @returns  {number} The validated temperature.
+	 * @desc     Validate and return a degree day temperature (degreeDayTempFix, degreeDayTempMaxThreshold or degreeDayTempBase).
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or it is not a finite number.
 	 */
-	getDataOnDay(dayInfo, elements = []){
-		try{
-			let dayData;
-
-			if(typeof dayInfo === 'string'){
-				dayData = this.#weatherData.days.find(day => day.datetime === dayInfo);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				dayData = this.#weatherData.days[dayInfo];
-			}
-			else{
-				throw new TypeError(`Weather.getDataOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-
-			if(elements.length > 0){
-				return extractSubobjectByKeys(dayData, elements);
+	static validateParamDegreeDayTemp(param){
+		if(typeof param === 'number'){
+			if(Number.isFinite(param)){
+				return param;
 			}
 			else{
-				return dayData;
+				throw new WeatherValidationError(`Weather.validateParamDegreeDayTemp: Invalid degree day temperature value '${param}'.`, { param: 'degreeDayTemp' });
 			}
 		}
-		catch(error){
-			return null;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamDegreeDayTemp: Invalid degree day temperature type '${typeof param}'.`, { param: 'degreeDayTemp' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setDataOnDay
-	 * @instance
+	 * @method   validateParamDegreeDayStartDate
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The identifier for the day, which can be a date string (YYYY-MM-DD) or an index of the day list.
-	 * @param    {object} data - The new weather data dictionary to replace the existing day's data.
-	 * @desc     Updates weather data for a specific day based on a date string or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} param - The date from which the degree days are accumulated (in `yyyy-MM-dd` format).
+	 * @returns  {string} The validated date.
+	 * @desc     Validate and return the start date of the degree days accumulation.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or its format is invalid.
 	 */
-	setDataOnDay(dayInfo, data){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let i = 0; i < this.#weatherData.days.length; i++){
-					if(this.#weatherData.days[i].datetime === dayInfo){
-						this.#weatherData.days[i] = data;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				this.#weatherData.days[dayInfo] = data;
+	static validateParamDegreeDayStartDate(param){
+		if(typeof param === 'string'){
+			if(/^\d{4,4}\-\d{2,2}\-\d{2,2}$/.test(param)){
+				return param;
 			}
 			else{
-				throw new TypeError(`Weather.setDataOnDay: Invalid input day value '${dayInfo}'.`);
+				throw new WeatherValidationError(`Weather.validateParamDegreeDayStartDate: Invalid degreeDayStartDate value '${param}'.`, { param: 'degreeDayStartDate' });
 			}
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamDegreeDayStartDate: Invalid degreeDayStartDate type '${typeof param}'.`, { param: 'degreeDayStartDate' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getHourlyDataOnDay
-	 * @instance
+	 * @method   validateParamDegreeDayInverse
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {Array} elements - Optional list of keys to filter the hourly data.
-	 * @returns  {Array} A list of hourly data dictionaries for the specified day.
-	 * @desc     Retrieves hourly weather data for a specific day identified by date or index. Optionally filters the data to include only specified elements.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {boolean} param - True to accumulate the degree days below the base temperature (cooling) instead of above (heating).
+	 * @returns  {boolean} The validated flag.
+	 * @desc     Validate and return the degree days inverse flag.
+	 * @throws   {WeatherValidationError} If the input data type is not a boolean.
 	 */
-	getHourlyDataOnDay(dayInfo, elements = []){
-		try{
-			let hourlyData;
-			if(typeof dayInfo === 'string'){
-				hourlyData = this.#weatherData.days.find(day => day.datetime === dayInfo)?.hours || [];
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				hourlyData = this.#weatherData.days[dayInfo]?.hours || [];
-			}
-			else {
-				throw new TypeError(`Weather.getHourlyDataOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-
-			if(elements.length > 0){
-				return hourlyData.map(hour => {
-					const filtered = {};
-					elements.forEach(el => {
-						filtered[el] = hour[el];
-					});
-					return filtered;
-				});
-			}
-			return hourlyData;
+	static validateParamDegreeDayInverse(param){
+		if(typeof param === 'boolean'){
+			return param;
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamDegreeDayInverse: Invalid degreeDayInverse type '${typeof param}'.`, { param: 'degreeDayInverse' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setHourlyDataOnDay
-	 * @instance
+	 * @method   validateParamForecastBasisDate
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {Array} data - The new list of hourly weather data dictionaries to set.
-	 * @desc     Sets the hourly weather data for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} param - The date on which a historical forecast was issued (in `yyyy-MM-dd` format).
+	 * @returns  {string} The validated date.
+	 * @desc     Validate and return the basis date of a historical forecast request.
+	 * @throws   {WeatherValidationError} If the input data type is not a string, or its format is invalid.
 	 */
-	setHourlyDataOnDay(dayInfo, data){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.hours = data;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				this.#weatherData.days[dayInfo].hours = data;
+	static validateParamForecastBasisDate(param){
+		if(typeof param === 'string'){
+			if(/^\d{4,4}\-\d{2,2}\-\d{2,2}$/.test(param)){
+				return param;
 			}
 			else{
-				throw new TypeError(`Weather.setHourlyDataOnDay: Invalid input day value '${dayInfo}'.`);
+				throw new WeatherValidationError(`Weather.validateParamForecastBasisDate: Invalid forecastBasisDate value '${param}'.`, { param: 'forecastBasisDate' });
 			}
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamForecastBasisDate: Invalid forecastBasisDate type '${typeof param}'.`, { param: 'forecastBasisDate' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getDataAtDatetime
-	 * @instance
+	 * @method   validateParamForecastBasisDay
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
-	 * @param    {Array} elements - Specific weather elements to retrieve.
-	 * @returns  {Object} The specific hourly data dictionary corresponding to the given day and time.
-	 * @desc     Retrieves weather data for a specific date and time from the weather data collection.
-	 * @throws   {Error} Propagates any exceptions that may occur during data retrieval.
+	 * @param    {number} param - The number of days before the requested dates on which a historical forecast was issued.
+	 * @returns  {number} The validated number of days.
+	 * @desc     Validate and return the basis day of a historical forecast request.
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or it is not an integer within <0, 15> range.
 	 */
-	getDataAtDatetime(dayInfo, timeInfo, elements = []){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			const data = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-
-			if(elements.length){
-				return extractSubobjectByKeys(data, elements);
+	static validateParamForecastBasisDay(param){
+		if(typeof param === 'number'){
+			if(Number.isInteger(param) && param >= 0 && param <= 15){
+				return param;
 			}
 			else{
-				return data;
+				throw new WeatherValidationError(`Weather.validateParamForecastBasisDay: Invalid forecastBasisDay value '${param}'.`, { param: 'forecastBasisDay' });
 			}
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamForecastBasisDay: Invalid forecastBasisDay type '${typeof param}'.`, { param: 'forecastBasisDay' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setDataAtDatetime
-	 * @instance
+	 * @method   validateParamTimeout
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
-	 * @param    {Object} data - The data dictionary to be set for the specific hourly time slot.
-	 * @desc     Sets weather data for a specific date and time from the weather data collection.
-	 * @throws   {Error} Propagates any exceptions that may occur during data setting.
+	 * @param    {number} param - The timeout in milliseconds of a request attempt, 0 for no timeout.
+	 * @returns  {number} The validated timeout.
+	 * @desc     Validate and return the timeout of a request attempt.
+	 * @throws   {WeatherValidationError} If the input data type is not a number, or a negative value is used.
 	 */
-	setDataAtDatetime(dayInfo, timeInfo, data){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			Weather.setItemByDatetimeVal(dayItem.hours, timeInfo, data);
+	static validateParamTimeout(param){
+		if(typeof param === 'number'){
+			if(Number.isFinite(param) && param >= 0){
+				return param;
+			}
+			else{
+				throw new WeatherValidationError(`Weather.validateParamTimeout: Invalid timeout value '${param}'.`, { param: 'timeout' });
+			}
 		}
-		catch(error){
-			throw error;
+		else{
+			throw new WeatherValidationError(`Weather.validateParamTimeout: Invalid timeout type '${typeof param}'.`, { param: 'timeout' });
 		}
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   updateDataAtDatetime
-	 * @instance
+	 * @method   createApiError
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
-	 * @param    {Object} data - The data dictionary to be updated for the specific hourly time slot.
-	 * @desc     Updates weather data for a specific date and time in the weather data collection.
-	 * @throws   {Error} Propagates any exceptions that may occur during data setting.
+	 * @param    {Object} response - The unsuccessful response of the weather API, with its status, headers and body.
+	 * @param    {string} url - The request URL.
+	 * @returns  {WeatherApiError} The error describing the response.
+	 * @desc     Creates the error describing an unsuccessful response of the weather API, with the API key redacted from the request URL.
 	 */
-	updateDataAtDatetime(dayInfo, timeInfo, data){
+	static createApiError(response, url){
+		let apiMessage = String(response.body ?? '').trim();
+		let queryCost = null;
+
 		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			Weather.updateItemByDatetimeVal(dayItem.hours, timeInfo, data);
+			const body = JSON.parse(apiMessage);
+			apiMessage = body.message || apiMessage;
+			queryCost = body.queryCost ?? null;
 		}
 		catch(error){
-			throw error;
+			/* a plain text body */
 		}
+
+		return new WeatherApiError(`Weather.fetchWeatherData: Request failed with status ${response.status}: ${apiMessage}`, {
+			status: response.status,
+			apiMessage,
+			url: redactUrlParams(url),
+			queryCost,
+		});
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   getDatetimeEpochAtDatetime
-	 * @instance
+	 * @method   estimateQueryCost
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number} The epoch time corresponding to the specific day and time.
-	 * @desc     Retrieves the epoch time for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during data retrieval.
+	 * @param    {string|Array<string>|number} locations - The requested location, the list of requested locations, or their number.
+	 * @param    {FetchOptions} options - The request options, of which fromDate, toDate and include are considered.
+	 * @param    {number} now - The current time in milliseconds, for the dynamic periods and to tell the historical days from the forecast.
+	 * @returns  {number} The estimated query cost of the request, in records.
+	 * @desc     Estimates the query cost of a request before sending it. Per location, every historical day (before today, UTC) of the
+	 *           requested period costs 24 records, the forecast (today and after) costs a single record, and so does a request including
+	 *           no days, hours or minutes (e.g. the current conditions or the alerts only). The actual cost is reported by the API.
+	 * @throws   {WeatherValidationError} If the locations, the dates or the include parameter are invalid.
 	 */
-	getDatetimeEpochAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			return Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).datetimeEpoch;
+	static estimateQueryCost(locations, options = {}, now = Date.now()){
+		const count = typeof locations === 'string' ? 1 : Array.isArray(locations) ? locations.length : locations;
+
+		if(!Number.isInteger(count) || count < 1){
+			throw new WeatherValidationError(`Weather.estimateQueryCost: Invalid locations '${locations}'.`, { param: 'locations' });
 		}
-		catch(error){
-			throw error;
+
+		const { fromDate = '', toDate = '', include = '' } = options;
+
+		fromDate !== '' && Weather.validateParamDate(fromDate);
+		toDate !== '' && Weather.validateParamDate(toDate);
+
+		const sections = include ? Weather.validateParamInclude(...[].concat(include).join(',').split(',')).split(',') : [];
+
+		if(sections.length && !sections.some(section => ['days', 'hours', 'minutes'].includes(section))){
+			return count * QUERY_COST.forecast;
 		}
+
+		const [first, last] = resolveRequestDays(fromDate, toDate, now);
+		const today = Math.floor(now / DAY);
+
+		const historicalDays = Math.max(0, Math.min(last, today - 1) - first + 1);
+		const forecast = last >= today ? QUERY_COST.forecast : 0;
+
+		return count * (historicalDays * QUERY_COST.historicalDay + forecast);
 	}
 
 	/**
-	 * Data Elements
-	 *
-	 * @method   setDatetimeEpochAtDatetime
-	 * @instance
+	 * @method   resolveDynamicDate
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The epoch time value to be set.
-	 * @desc     Sets the epoch time for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string} keyword - A dynamic period, e.g. 'today', 'last24hours', 'nextweekend', 'next7days' or 'lastmonday'.
+	 * @param    {Object} options - The resolution options.
+	 * @param    {string} options.timezone - The IANA time zone of the location, e.g. 'Africa/Cairo', UTC if not specified.
+	 * @param    {number} options.tzoffset - The offset in hours of the time zone of the location from UTC, used if the time zone is not specified.
+	 * @param    {Date|number} options.now - The reference instant, a Date or milliseconds since the epoch, the current time if not specified.
+	 * @returns  {Object} The resolved period ({ keyword, fromDate, toDate, start, end, startEpoch, endEpoch, days }), its dates (in `yyyy-MM-dd`
+	 *           format) and local start and end times (in `yyyy-MM-ddTHH:mm:ss` format) being those of the location.
+	 * @desc     Resolves a dynamic period into the concrete dates and times the weather API uses for a location, relative to the
+	 *           current day of the location: e.g. 'last7days' spans the seven days before today, 'next7days' the seven days from
+	 *           today, 'lastyear' the year up to yesterday, 'last24hours' spans the 24 hours up to the reference instant rounded down to the hour, and 'yeartodate'
+	 *           and 'monthtodate' end at the reference instant. The other periods span whole days.
+	 * @throws   {WeatherValidationError} If the keyword is not a dynamic period, or an option is invalid.
 	 */
-	setDatetimeEpochAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).datetimeEpoch = value;
-		}
-		catch(error){
-			throw error;
-		}
-	}
+	static resolveDynamicDate(keyword, options = {}){
+		Weather.validateParamDate(keyword);
 
-	/**
-	 * Data Elements
-	 *
-	 * @method   getDailyDatetimes(
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {Array<Date>} A list of Date objects parsed from the 'datetime' key of each day in the weather data.
-	 * @desc     Retrieves a list of datetime objects representing each day's date from the weather data.
-	 */
-	getDailyDatetimes(){
-		return this.#weatherData.days.map(day => new Date(day.datetime));
-	}
-
-	/**
-	 * Data Elements
-	 *
-	 * @method   getHourlyDatetimes
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {Array<Date>} A list of Date objects parsed from the 'datetime' keys of each day and hour in the weather data.
-	 * @desc     Retrieves a list of datetime objects representing each hour's datetime from the weather data.
-	 */
-	getHourlyDatetimes(){
-		return this.#weatherData.days.flatMap(day =>
-			day.hours.map(hour => new Date(`${day.datetime}T${hour.datetime}`))
-		);
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getLatitude
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {number|null} The latitude if available, otherwise null.
-	 * @desc     Retrieves the latitude from the weather data.
-	 */
-	getLatitude(){
-		return this.#weatherData.latitude === 0 ? 0 : (this.#weatherData.latitude || null);
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setLatitude
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {number} value - The new latitude to be set.
-	 * @desc     Sets the latitude in the weather data.
-	 * @throws   {RangeError} If the latitude value is out of <-90, 90> range.
-	 */
-	setLatitude(value){
-		if(value < -90 || value > 90)
-			throw new RangeError(`Weather.setLatitude: invalid latitude value '${value}'.`);
-
-		this.#weatherData.latitude = value;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getLongitude
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {number|null} The longitude if available, otherwise null.
-	 * @desc     Retrieves the longitude from the weather data.
-	 */
-	getLongitude(){
-		return this.#weatherData.longitude === 0 ? 0 : (this.#weatherData.longitude || null);
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setLongitude
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {number} value - The new longitude to be set.
-	 * @desc     Sets the longitude in the weather data.
-	 * @throws   {RangeError} If the longitude value is out of <-180, 180> range.
-	 */
-	setLongitude(value){
-		if(value < -180 || value > 180)
-			throw new RangeError(`Weather.setLongitude: invalid longitude value '${value}'.`);
-
-		this.#weatherData.longitude = value;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getResolvedAddress
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {string|null} The resolved address if available, otherwise null.
-	 * @desc     Retrieves the resolved address from the weather data.
-	 */
-	getResolvedAddress(){
-		return this.#weatherData.resolvedAddress || null;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setResolvedAddress
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string} value - The new resolved address to be set.
-	 * @desc     Sets the resolved address in the weather data.
-	 */
-	setResolvedAddress(value){
-		this.#weatherData.resolvedAddress = value;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getAddress
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {string|null} The address if available, otherwise null.
-	 * @desc     Retrieves the address from the weather data.
-	 */
-	getAddress(){
-		return this.#weatherData.address || null;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setAddress
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string} value - The new address to be set.
-	 * @desc     Sets the address in the weather data.
-	 */
-	setAddress(value){
-		this.#weatherData.address = value;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getTimezone
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {string|null} The timezone if available, otherwise null.
-	 * @desc     Retrieves the timezone from the weather data.
-	 */
-	getTimezone(){
-		return this.#weatherData.timezone || null;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setTimezone
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string} value - The new timezone to be set.
-	 * @desc     Sets the timezone in the weather data.
-	 */
-	setTimezone(value){
-		this.#weatherData.timezone = value;
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   getTzoffset
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {number|null} The timezone offset if available, otherwise null.
-	 * @desc     Retrieves the timezone offset from the weather data.
-	 */
-	getTzoffset(){
-		return this.#weatherData.tzoffset === 0 ? 0 : (this.#weatherData.tzoffset || null);
-	}
-
-	/**
-	 * Location Elements
-	 *
-	 * @method   setTzoffset
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {number} value - The new timezone offset to be set.
-	 * @desc     Sets the timezone offset in the weather data.
-	 */
-	setTzoffset(value){
-		this.#weatherData.tzoffset = value;
-	}
-
-	/**
-	 * Request Elements
-	 *
-	 * @method   getQueryCost
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {number|null} The cost of the query if available, otherwise null.
-	 * @desc     Retrieves the cost of the query from the weather data.
-	 */
-	getQueryCost(){
-		return this.#weatherData.queryCost || null;
-	}
-
-	/**
-	 * Request Elements
-	 *
-	 * @method   setQueryCost
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {number} value - The new cost to be set for the query.
-	 * @desc     Sets the cost of the query in the weather data.
-	 */
-	setQueryCost(value){
-		this.#weatherData.queryCost = value;
-	}
-
-	/**
-	 * Request Elements
-	 *
-	 * @method   getStations
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @returns  {Array} The list of weather stations if available, otherwise an empty list.
-	 * @desc     Retrieves the list of weather stations from the weather data.
-	 */
-	getStations(){
-		return this.#weatherData.stations || [];
-	}
-
-	/**
-	 * Request Elements
-	 *
-	 * @method   setStations
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {Array} value - The new list of weather stations to be set.
-	 * @desc     Sets the list of weather stations in the weather data.
-	 */
-	setStations(value){
-		this.#weatherData.stations = value;
-	}
-
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getTempOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the temperature for a specific day identified by date or index.
-	 */
-	getTempOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.temp;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.temp;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getTempOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
-	}
-
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setTempOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new temperature value to set.
-	 * @desc     Sets the temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setTempOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				let day = this.#weatherData.days.find(day => day.datetime === dayInfo);
-				if(day) day.temp = value;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.temp = value;
-			}
-			else {
-				throw new TypeError(`Weather.setTempOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
-	}
-
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getTempmaxOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The maximum temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the maximum temperature for a specific day identified by date or index.
-	 */
-	getTempmaxOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.tempmax;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.tempmax;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getTempmaxOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
-	}
-
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setTempmaxOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new maximum temperature value to set.
-	 * @desc     Sets the maximum temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setTempmaxOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.tempmax = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.tempmax = value;
-			}
-			else{
-				throw new TypeError(`Weather.setTempmaxOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
+		if(typeof keyword !== 'string' || /^\d/.test(keyword)){
+			throw new WeatherValidationError(`Weather.resolveDynamicDate: Invalid dynamic date '${keyword}'.`, { param: 'keyword' });
 		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getTempminOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The minimum temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the minimum temperature for a specific day identified by date or index.
-	 */
-	getTempminOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.tempmin;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.tempmin;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getTempminOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
-	}
+		const { timezone, tzoffset = 0, now = Date.now() } = options;
+		const time = now instanceof Date ? now.getTime() : now;
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setTempminOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new minimum temperature value to set.
-	 * @desc     Sets the minimum temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setTempminOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.tempmin = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.tempmin = value;
-			}
-			else{
-				throw new TypeError(`Weather.setTempminOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+		if(typeof time !== 'number' || !Number.isFinite(time)){
+			throw new WeatherValidationError(`Weather.resolveDynamicDate: Invalid now value '${now}'.`, { param: 'now' });
 		}
-		catch(error){
-			throw error;
-		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getFeelslikeOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The 'feels like' temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the 'feels like' temperature for a specific day identified by date or index.
-	 */
-	getFeelslikeOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.feelslike;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.feelslike;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getFeelslikeOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
+		if(typeof tzoffset !== 'number' || !Number.isFinite(tzoffset)){
+			throw new WeatherValidationError(`Weather.resolveDynamicDate: Invalid tzoffset value '${tzoffset}'.`, { param: 'tzoffset' });
 		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setFeelslikeOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new 'feels like' temperature value to set.
-	 * @desc     Sets the 'feels like' temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setFeelslikeOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.feelslike = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.feelslike = value;
+		if(timezone !== undefined){
+			try{
+				new Intl.DateTimeFormat('en-US', { timeZone: timezone });
 			}
-			else{
-				throw new TypeError(`Weather.setFeelslikeOnDay: Invalid input day value '${dayInfo}'.`);
+			catch(error){
+				throw new WeatherValidationError(`Weather.resolveDynamicDate: Invalid timezone value '${timezone}'.`, { param: 'timezone' });
 			}
 		}
-		catch(error){
-			throw error;
-		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getFeelslikemaxOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The maximum 'feels like' temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the maximum 'feels like' temperature for a specific day identified by date or index.
-	 */
-	getFeelslikemaxOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.feelslikemax;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.feelslikemax;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getFeelslikemaxOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
-	}
+		const local = (instant) => new Date(instant + timezoneOffset(instant, timezone, tzoffset)).toISOString().slice(0, 19);
+		const dateOf = (day) => new Date(day * DAY).toISOString().slice(0, 10);
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setFeelslikemaxOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new maximum 'feels like' temperature value to set.
-	 * @desc     Sets the maximum 'feels like' temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setFeelslikemaxOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.feelslikemax = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.feelslikemax = value;
-			}
-			else{
-				throw new TypeError(`Weather.setFeelslikemaxOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
-	}
+		const seconds = time - time % 1000;
+		const [first, last] = resolveDynamicDays(keyword, Math.floor(Date.parse(`${local(seconds)}Z`) / DAY));
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getFeelslikeminOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The minimum 'feels like' temperature for the specified day, or null if not available or error.
-	 * @desc     Retrieves the minimum 'feels like' temperature for a specific day identified by date or index.
-	 */
-	getFeelslikeminOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.feelslikemin;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.feelslikemin;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getFeelslikeminOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+		let start = `${dateOf(first)}T00:00:00`;
+		let end = `${dateOf(last)}T23:59:59`;
+
+		if(keyword === 'last24hours'){
+			end = `${local(seconds).slice(0, 13)}:00:00`;	/* rounded to the current hour */
+			start = local(localDatetimeToEpoch(end, timezone, tzoffset) * 1000 - DAY);
 		}
-		catch(error){
-			return null;
+		else
+		if(keyword === 'yeartodate' || keyword === 'monthtodate'){
+			end = local(seconds);
 		}
+
+		return {
+			keyword,
+			fromDate: dateOf(first),
+			toDate: dateOf(last),
+			start,
+			end,
+			startEpoch: localDatetimeToEpoch(start, timezone, tzoffset),
+			endEpoch: localDatetimeToEpoch(end, timezone, tzoffset),
+			days: last - first + 1,
+		};
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setFeelslikeminOnDay
-	 * @instance
+	 * @method   splitDateRange
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new minimum temperature value to set.
-	 * @desc     Sets the minimum 'feels like' temperature for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} fromDate - Start date of the period (in `yyyy-MM-dd` format).
+	 * @param    {string} toDate - End date of the period (in `yyyy-MM-dd` format).
+	 * @param    {number} chunkDays - Maximum number of days per sub-range.
+	 * @returns  {Array<Array<string>>} The consecutive sub-ranges ([fromDate, toDate]) covering the period.
+	 * @desc     Splits a period into consecutive sub-ranges of at most chunkDays days. A period not given by two dates in
+	 *           `yyyy-MM-dd` format (e.g. a dynamic period, or datetimes) is not split, and returned as a single range.
+	 * @throws   {WeatherValidationError} If chunkDays is not a positive integer.
 	 */
-	setFeelslikeminOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.feelslikemin = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.feelslikemin = value;
-			}
-			else{
-				throw new TypeError(`Weather.setFeelslikeminOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	static splitDateRange(fromDate, toDate, chunkDays){
+		if(!Number.isInteger(chunkDays) || chunkDays < 1){
+			throw new WeatherValidationError(`Weather.splitDateRange: Invalid chunkDays value '${chunkDays}'.`, { param: 'chunkDays' });
 		}
-		catch(error){
-			throw error;
+
+		const isDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+
+		if(!isDate(fromDate) || !isDate(toDate) || toDate <= fromDate){
+			return [[fromDate, toDate]];
 		}
+
+		const dateOf = (day) => new Date(day * DAY).toISOString().slice(0, 10);
+		const first = Date.parse(`${fromDate}T00:00:00Z`) / DAY;
+		const last = Date.parse(`${toDate}T00:00:00Z`) / DAY;
+		const ranges = [];
+
+		for(let day = first; day <= last; day += chunkDays){
+			ranges.push([dateOf(day), dateOf(Math.min(day + chunkDays - 1, last))]);
+		}
+
+		return ranges;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getDewOnDay
-	 * @instance
+	 * @method   mergeWeatherData
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The dew point for the specified day, or null if not available or error.
-	 * @desc     Retrieves the dew point for a specific day identified by date or index.
+	 * @param    {Array<Object>} parts - The weather data of the sub-ranges of a period, in order.
+	 * @returns  {Object} The weather data of the whole period.
+	 * @desc     Merges the weather data of the sub-ranges of a period. The location fields are those of the first part, the days
+	 *           are deduplicated by date and sorted, the stations and the alerts are combined, and the query costs are summed.
 	 */
-	getDewOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.dew;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.dew;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getDewOnDay: Invalid input day value '${dayInfo}'.`);
+	static mergeWeatherData(parts){
+		const merged = { ...parts[0] };
+
+		if(parts.some(part => Array.isArray(part.days))){
+			const days = new Map();
+
+			for(const day of parts.flatMap(part => part.days ?? [])){
+				days.has(day.datetime) || days.set(day.datetime, day);
 			}
+
+			merged.days = [...days.values()].sort((a, b) => a.datetime < b.datetime ? -1 : a.datetime > b.datetime ? 1 : 0);
 		}
-		catch(error){
-			return null;
+
+		if(parts.some(part => part.stations)){
+			merged.stations = Object.assign({}, ...parts.map(part => part.stations));
+		}
+
+		if(parts.some(part => Array.isArray(part.alerts))){
+			merged.alerts = Weather.dedupeAlerts(parts.flatMap(part => part.alerts ?? []));
+		}
+
+		if(parts.some(part => typeof part.queryCost === 'number')){
+			merged.queryCost = parts.reduce((sum, part) => sum + (part.queryCost ?? 0), 0);
+		}
+
+		const current = parts.find(part => part.currentConditions);
+
+		if(current){
+			merged.currentConditions = current.currentConditions;
 		}
+
+		return merged;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setDewOnDay
-	 * @instance
+	 * @method   dedupeAlerts
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new dew point value to set.
-	 * @desc     Sets the dew point for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {Array<object>} alerts - A list of weather alerts, possibly repeated, e.g. by several responses.
+	 * @returns  {Array<object>} The alerts, each once, in the order of their first occurrence.
+	 * @desc     Removes the repeated alerts of a list, identified by their id, or else by their event, onset and headline.
+	 *           The last occurrence of a repeated alert is kept, as the most recently updated.
 	 */
-	setDewOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.dew = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.dew = value;
-			}
-			else{
-				throw new TypeError(`Weather.setDewOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
+	static dedupeAlerts(alerts){
+		const unique = new Map();
+
+		for(const alert of alerts){
+			unique.set(alertKey(alert), alert);
 		}
+
+		return [...unique.values()];
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getHumidityOnDay
-	 * @instance
+	 * @method   getElementInfo
+	 * @static
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The humidity percentage for the specified day, or null if not available or error.
-	 * @desc     Retrieves the humidity percentage for a specific day identified by date or index.
+	 * @param    {string} element - The element name, e.g. 'temp' or 'preciptype'.
+	 * @param    {string} unitGroup - The unit group of the unit and the range ('us', 'metric', 'uk' or 'base'), 'metric' by default.
+	 * @returns  {Object} The description of the element ({ name, levels, type, unit, description, range }), its unit and plausible range
+	 *           ([min, max]) being those of the unit group, or null if unitless or not numeric.
+	 * @desc     Retrieves the description of an element from the catalog of the weather elements.
+	 * @throws   {WeatherValidationError} If the element is not in the catalog, or the unit group is invalid.
 	 */
-	getHumidityOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.humidity;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.humidity;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getHumidityOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
+	static getElementInfo(element, unitGroup = 'metric'){
+		if(typeof element !== 'string' || !Object.hasOwn(ELEMENTS, element)){
+			throw new WeatherValidationError(`Weather.getElementInfo: Invalid element '${element}'.`, { param: 'element' });
 		}
+
+		Weather.validateParamUnitGroup(unitGroup);
+
+		const { levels, type, description } = ELEMENTS[element];
+
+		return {
+			name: element,
+			levels: [...levels],
+			type,
+			unit: getElementUnit(element, unitGroup),
+			description,
+			range: getElementRange(element, unitGroup),
+		};
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setHumidityOnDay
+	 * @method   getEndpoint
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new humidity percentage value to set.
-	 * @desc     Sets the humidity percentage for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} name - The endpoint name, the instance default endpoint if not specified.
+	 * @returns  {string|null} The path template of the endpoint, or null if not available.
+	 * @desc     Retrieves the path template of an endpoint.
 	 */
-	setHumidityOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.humidity = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.humidity = value;
-			}
-			else{
-				throw new TypeError(`Weather.setHumidityOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getEndpoint(name = this.endpoint){
+		return this.endpoints[name] || null;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getPrecipOnDay
+	 * @method   setEndpoint
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The precipitation amount for the specified day, or null if not available or error.
-	 * @desc     Retrieves the precipitation amount for a specific day identified by date or index.
+	 * @param    {string} name - The endpoint name.
+	 * @param    {string} template - The path template of the endpoint, relative to baseUrl or absolute.
+	 * @desc     Adds or replaces the path template of an endpoint.
+	 * @throws   {WeatherValidationError} If the endpoint name or template is not a string.
 	 */
-	getPrecipOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.precip;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.precip;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getPrecipOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	setEndpoint(name, template){
+		if(typeof name !== 'string' || !name){
+			throw new WeatherValidationError(`Weather.setEndpoint: Invalid endpoint name '${name}'.`, { param: 'name' });
 		}
-		catch(error){
-			return null;
+		if(typeof template !== 'string'){
+			throw new WeatherValidationError(`Weather.setEndpoint: Invalid endpoint template '${template}'.`, { param: 'template' });
 		}
+		this.endpoints[name] = template;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setPrecipOnDay
+	 * @method   buildRequestUrl
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new precipitation amount value to set.
-	 * @desc     Sets the precipitation amount for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {Object} pathParams - The path parameters used to expand the endpoint template (e.g. location, fromDate, toDate).
+	 * @param    {Object} queryParams - The query parameters of the request.
+	 * @param    {string} endpoint - The endpoint name, the instance default endpoint if not specified.
+	 * @returns  {string} The request URL.
+	 * @desc     Builds a request URL from the configured baseUrl and the endpoint path template.
+	 * @throws   {WeatherValidationError} If the endpoint is not defined.
 	 */
-	setPrecipOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.precip = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.precip = value;
-			}
-			else{
-				throw new TypeError(`Weather.setPrecipOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	buildRequestUrl(pathParams = {}, queryParams = {}, endpoint = this.endpoint){
+		const template = this.getEndpoint(endpoint);
+
+		if(template === null){
+			throw new WeatherValidationError(`Weather.buildRequestUrl: Unknown endpoint '${endpoint}'.`, { param: 'endpoint' });
 		}
-		catch(error){
-			throw error;
+
+		let url = Weather.expandPathTemplate(template, pathParams);
+
+		if(!/^[a-z][a-z\d+.-]*:\/\//i.test(url)){
+			url = `${this.baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
 		}
+
+		const query = new URLSearchParams(queryParams).toString();
+		return query ? `${url}?${query}` : url;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getPrecipprobOnDay
+	 * @method   fetchWeatherData
 	 * @instance
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The probability of precipitation for the specified day, or null if not available or error.
-	 * @desc     Retrieves the probability of precipitation for a specific day identified by date or index.
+	 * @param    {string} location - Location for which weather data is requested.
+	 * @param    {string|FetchOptions} fromDate - Start date of the weather data period (in `yyyy-MM-dd` format), or an options object.
+	 * @param    {string} toDate - End date of the weather data period (in `yyyy-MM-dd` format).
+	 * @param    {string} unitGroup - Unit system for the weather data ('us', 'metric', 'uk' or 'base').
+	 * @param    {string} include - Data types to include (e.g., 'days', 'hours').
+	 * @param    {string} elements - Specific weather elements to retrieve.
+	 * @returns  {Promise<object>} The weather data as a dictionary.
+	 * @desc     Fetch weather data for a specified location and date range.
+	 *           The request parameters are given either positionally, or as an options object in place of fromDate,
+	 *           e.g. `fetchWeatherData('Alexandria', { fromDate: '2025-03-07', lang: 'ar', options: ['nonulls'] })`.
+	 *           The estimated query cost is reserved in the budget of the instance, if any, which is then charged the actual cost.
+	 *           If the instance has a cache, the result has a non-enumerable cache property ({ status, key, storedAt, expiresAt }),
+	 *           whose status is 'hit', 'miss', 'refresh' or 'bypass'.
 	 */
-	getPrecipprobOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.precipprob;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.precipprob;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getPrecipprobOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	async fetchWeatherData(location, fromDate = '', toDate = '', unitGroup = 'metric', include = '', elements = ''){
+		const options = this.#validateFetchOptions(location, typeof fromDate === 'object' && fromDate !== null ?
+			{ unitGroup: 'metric', ...fromDate } :
+			{ fromDate, toDate, unitGroup, include, elements }
+		);
+
+		return this.#fetch(location, options);
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setPrecipprobOnDay
+	 * @method   fetch
 	 * @instance
+	 * @private
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new probability of precipitation value to set.
-	 * @desc     Sets the probability of precipitation for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} location - Location for which weather data is requested.
+	 * @param    {FetchOptions} options - The validated request options.
+	 * @returns  {Promise<object>} The weather data as a dictionary.
+	 * @desc     Fetch weather data for a validated location and validated options, in chunks if requested, and store it in the instance.
 	 */
-	setPrecipprobOnDay(dayInfo, value){
+	async #fetch(location, options){
 		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.precipprob = value;
-						break;
-					}
-				}
+			if(!this.apiKey){
+				throw new WeatherValidationError('Weather.fetchWeatherData: No API key or session found.', { param: 'apiKey' });
 			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.precipprob = value;
+
+			const ranges = options.chunkDays ? Weather.splitDateRange(options.fromDate, options.toDate, options.chunkDays) : [];
+
+			if(ranges.length > 1){
+				const reservation = this.budget?.reserve(Weather.estimateQueryCost(location, options), 'Weather.fetchWeatherData') ?? null;
+
+				try{
+					this.#weatherData = await this.#requestChunks(location, options, ranges, reservation);
+				}
+				finally{
+					reservation && this.budget.settle(reservation);
+				}
 			}
 			else{
-				throw new TypeError(`Weather.setPrecipprobOnDay: Invalid input day value '${dayInfo}'.`);
+				this.#weatherData = await this.#request(location, options);
 			}
+
+			this.#indexes = new WeakMap();
+
+			/* The weather API defaults to the 'us' unit group */
+			this.#unitGroup = options.unitGroup ?? 'us';
+
+			return this.#weatherData;
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.fetchWeatherData', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getPrecipcoverOnDay
+	 * @method   fetchWeatherDataBatch
 	 * @instance
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The precipitation coverage for the specified day, or null if not available or error.
-	 * @desc     Retrieves the precipitation coverage for a specific day identified by date or index.
+	 * @param    {Array<string>} locations - Locations for which weather data is requested.
+	 * @param    {FetchOptions} options - The request options, common to all locations.
+	 * @param    {number} concurrency - The maximum number of locations fetched concurrently, 4 if not specified.
+	 * @returns  {Promise<Object>} The results, a Map of a Weather object holding the weather data of every fetched location, keyed by
+	 *                             location, and the report, an Array of the {@link BatchReport} of every location, in the given order,
+	 *                             a repeated location being fetched and reported once, at its first position.
+	 * @desc     Fetch weather data for a list of locations, each into its own Weather object sharing the settings of this instance
+	 *           (API key, endpoints, retry policy, timeout, rate limiter, budget, cache and transport), so that the usual accessors
+	 *           apply to every result. A failed location does not fail the batch, it is reported instead. The options are validated
+	 *           once for all the locations, each location on its own, and their signal, if any, cancels the locations not yet started
+	 *           as well as the running ones.
+	 * @throws   {WeatherValidationError} If the locations, the options or the concurrency are invalid.
 	 */
-	getPrecipcoverOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.precipcover;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.precipcover;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getPrecipcoverOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	async fetchWeatherDataBatch(locations, options = {}, concurrency = 4){
+
+		if(!Array.isArray(locations) || !locations.length){
+			throw new WeatherValidationError(`Weather.fetchWeatherDataBatch: Invalid locations '${locations}'.`, { param: 'locations' });
 		}
-		catch(error){
-			return null;
+
+		if(!Number.isInteger(concurrency) || concurrency < 1){
+			throw new WeatherValidationError(`Weather.fetchWeatherDataBatch: Invalid concurrency '${concurrency}'.`, { param: 'concurrency' });
 		}
+
+		const validated = this.#validateFetchOptions(null, { unitGroup: 'metric', ...options }, 'Weather.fetchWeatherDataBatch');
+
+		const pool = new RateLimiter({ maxConcurrent: concurrency });
+		const fetched = new Map();
+
+		const report = await Promise.all([...new Set(locations)].map(location => pool.schedule(async () => {
+			const weather = new Weather(this.apiKey, this.baseUrl, {
+				endpoints: this.endpoints,
+				endpoint : this.endpoint,
+				retry    : this.retry,
+				timeout  : this.timeout,
+				limiter  : this.limiter,
+				budget   : this.budget,
+				cache    : this.cache,
+				transport: this.transport,
+			});
+
+			try{
+				this.#validateFetchOptions(location, {});
+
+				const data = await weather.#fetch(location, validated);
+				fetched.set(location, weather);
+
+				return { location, ok: true, error: null, queryCost: weather.getQueryCost(), cache: data.cache?.status ?? null };
+			}
+			catch(error){
+				return { location, ok: false, error, queryCost: null, cache: null };
+			}
+		}, { signal: options.signal, label: location }).catch(error => (
+			{ location, ok: false, error, queryCost: null, cache: null }	/* cancelled before its start */
+		))));
+
+		/* keep the results in the given order */
+		return {
+			results: new Map(report.filter(entry => entry.ok).map(entry => [entry.location, fetched.get(entry.location)])),
+			report,
+		};
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setPrecipcoverOnDay
+	 * @method   request
 	 * @instance
+	 * @private
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new precipitation coverage value to set.
-	 * @desc     Sets the precipitation coverage for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setPrecipcoverOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.precipcover = value;
-						break;
-					}
-				}
+	 * @param    {string} location - Location for which weather data is requested.
+	 * @param    {FetchOptions} options - The validated request options.
+	 * @param    {Object|null} reservation - The budget reservation of the whole request this request is a part of, if any.
+	 * @returns  {Promise<object>} The weather data, with its cache information if the instance has a cache.
+	 * @desc     Sends a single request, through the cache, the budget and the rate limiter of the instance.
+	 *           The estimated cost is reserved in the budget before sending the request, unless a reservation is given,
+	 *           and the reservation settled with the actual cost once the request has succeeded or failed, or hit the cache.
+	 */
+	async #request(location, options, reservation = null){
+		const queryParams = {
+			key : this.apiKey,
+			lang: 'en',
+			contentType: 'json',
+		};
+
+		for(const name of QUERY_PARAMS){
+			if(name in options){
+				queryParams[name] = options[name];
+			}
+		}
+
+		const url = this.buildRequestUrl(
+			{ location, fromDate: options.fromDate, toDate: options.toDate },
+			queryParams,
+			options.endpoint
+		);
+
+		let data;
+
+		const parse = (body) => {
+			try{
+				data = JSON.parse(body);
 			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.precipcover = value;
+			catch(error){
+				throw new WeatherDataError('Weather.fetchWeatherData: Invalid JSON response body.', { cause: error });
 			}
-			else{
-				throw new TypeError(`Weather.setPrecipcoverOnDay: Invalid input day value '${dayInfo}'.`);
+		};
+
+		const cacheMode = options.cache ?? true;
+		const cache = cacheMode === false ? null : this.cache;
+		const cacheKey = cache && ResponseCache.createKey({
+			source: this.buildRequestUrl({}, {}, options.endpoint),
+			location,
+			fromDate: options.fromDate,
+			toDate: options.toDate,
+			...queryParams,
+			key: undefined,	/* shared by the API keys */
+		});
+
+		const setCacheInfo = (status, entry = null) => {
+			Object.defineProperty(data, 'cache', {
+				value: { status, key: cacheKey, storedAt: entry?.storedAt ?? null, expiresAt: entry?.expiresAt ?? null },
+				enumerable: false, configurable: true, writable: true,
+			});
+		};
+
+		const estimate = Weather.estimateQueryCost(location, options);
+		const settle = (cost) => reservation && this.budget?.settle(reservation, cost, estimate);
+
+		if(cache && cacheMode !== 'refresh'){
+			const entry = await this.#cacheOperation(() => cache.get(cacheKey));
+
+			if(entry){
+				settle(0);
+				parse(entry.body);
+				setCacheInfo('hit', entry);
+				return data;
 			}
 		}
+
+		reservation ??= this.budget?.reserve(estimate, 'Weather.fetchWeatherData') ?? null;
+
+		let response;
+
+		try{
+			response = await this.#send(url, {
+				retry  : options.retry ?? this.retry,
+				timeout: options.timeout ?? this.timeout,
+				signal : options.signal,
+			});
+		}
 		catch(error){
+			settle(error.queryCost);
 			throw error;
 		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getPreciptypeOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The type of precipitation for the specified day, or null if not available or error.
-	 * @desc     Retrieves the type of precipitation for a specific day identified by date or index.
-	 */
-	getPreciptypeOnDay(dayInfo){
 		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.preciptype;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.preciptype;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getPreciptypeOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+			parse(response.body);
 		}
 		catch(error){
-			return null;
+			settle(estimate);
+			throw error;
+		}
+
+		settle(data.queryCost ?? estimate);
+
+		if(cache){
+			const historical = isHistoricalPeriod(options.fromDate, options.toDate, cache.now());
+			const entry = await this.#cacheOperation(() => cache.set(cacheKey, response.body, historical));
+
+			setCacheInfo(cacheMode === 'refresh' ? 'refresh' : 'miss', entry);
+		}
+		else
+		if(this.cache){
+			setCacheInfo('bypass');
 		}
+
+		return data;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setPreciptypeOnDay
+	 * @method   requestChunks
 	 * @instance
+	 * @private
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new type of precipitation value to set.
-	 * @desc     Sets the type of precipitation for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} location - Location for which weather data is requested.
+	 * @param    {FetchOptions} options - The validated request options.
+	 * @param    {Array<Array<string>>} ranges - The sub-ranges of the requested period.
+	 * @param    {Object|null} reservation - The budget reservation of the whole period, settled chunk by chunk, if any.
+	 * @returns  {Promise<object>} The merged weather data, with the cache information of every chunk if the instance has a cache.
+	 * @desc     Sends a request per sub-range, chunkConcurrency at a time, and merges their weather data.
+	 *           The first failure cancels the pending requests and fails the whole.
 	 */
-	setPreciptypeOnDay(dayInfo, value){
+	async #requestChunks(location, options, ranges, reservation = null){
+		const pool = new RateLimiter({ maxConcurrent: options.chunkConcurrency ?? 2 });
+
+		const controller = new AbortController();
+		const onAbort = () => controller.abort(options.signal.reason);
+		options.signal?.addEventListener('abort', onAbort, { once: true });
+
+		let parts;
+
 		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.preciptype = value;
-						break;
+			parts = await Promise.all(ranges.map(([fromDate, toDate]) => pool.schedule(
+				async () => {
+					try{
+						return await this.#request(location, { ...options, fromDate, toDate, signal: controller.signal }, reservation);
 					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.preciptype = value;
-			}
-			else{
-				throw new TypeError(`Weather.setPreciptypeOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+					catch(error){
+						controller.abort(error);	/* before the next chunk is started */
+						throw error;
+					}
+				},
+				{ signal: controller.signal, label: `${fromDate}/${toDate}` }
+			)));
 		}
 		catch(error){
-			throw error;
+			throw options.signal?.aborted ?
+				new WeatherAbortError('Weather.fetchWeatherData: The request was aborted.', { cause: options.signal.reason }) :
+				controller.signal.reason ?? error;	/* the failure of a chunk, rather than the cancellation of the others */
+		}
+		finally{
+			options.signal?.removeEventListener('abort', onAbort);
+		}
+
+		const data = Weather.mergeWeatherData(parts);
+
+		if(this.cache && options.cache !== false){
+			const chunks = parts.map(part => part.cache);
+			const status = chunks.every(chunk => chunk.status === 'hit') ? 'hit' : chunks.some(chunk => chunk.status === 'hit') ? 'partial' : chunks[0].status;
+
+			Object.defineProperty(data, 'cache', {
+				value: { status, key: null, storedAt: null, expiresAt: null, chunks },
+				enumerable: false, configurable: true, writable: true,
+			});
 		}
+
+		return data;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getSnowOnDay
+	 * @method   cacheOperation
 	 * @instance
+	 * @private
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The snowfall amount for the specified day, or null if not available or error.
-	 * @desc     Retrieves the snowfall amount for a specific day identified by date or index.
+	 * @param    {function} operation - The cache operation.
+	 * @returns  {Promise<*>} The result of the operation, or null if it failed.
+	 * @desc     Runs a cache operation, a failing store being reported by a process warning rather than failing the request.
 	 */
-	getSnowOnDay(dayInfo){
+	async #cacheOperation(operation){
 		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.snow;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.snow;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getSnowOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+			return await operation();
 		}
 		catch(error){
+			process.emitWarning(`Weather.fetchWeatherData: Cache store error '${error.message}'.`, 'WeatherCacheWarning');
 			return null;
 		}
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setSnowOnDay
+	 * @method   send
 	 * @instance
+	 * @private
+	 * @async
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new snowfall amount to set.
-	 * @desc     Sets the snowfall amount for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} url - The request URL.
+	 * @param    {Object} options - The request options.
+	 * @param    {RetryPolicy} options.retry - The retry policy of the request.
+	 * @param    {number} options.timeout - The timeout in milliseconds of every attempt, 0 for none.
+	 * @param    {AbortSignal} options.signal - An optional signal to cancel the request.
+	 * @returns  {Promise<TransportResponse>} The successful response of the request.
+	 * @desc     Sends a request, retrying the network failures, the timeouts and the retryable responses as allowed by the retry policy.
+	 *           Every attempt waits for the rate limiter of the instance, if any, its timeout starting once the attempt is sent.
+	 * @throws   {WeatherApiError|WeatherNetworkError|WeatherTimeoutError|WeatherAbortError} If the request ultimately fails.
 	 */
-	setSnowOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.snow = value;
-						break;
-					}
+	async #send(url, { retry, timeout, signal }){
+		const source = 'Weather.fetchWeatherData';
+
+		for(let attempt = 1; ; attempt++){
+
+			if(signal?.aborted){
+				throw new WeatherAbortError(`${source}: The request was aborted.`, { cause: signal.reason });
+			}
+
+			const controller = new AbortController();
+			const onAbort = () => controller.abort(signal.reason);
+			signal?.addEventListener('abort', onAbort, { once: true });
+
+			let timedOut = false;
+			let timer = null;
+
+			const request = () => {
+				timer = timeout ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+				return this.transport(url, { signal: controller.signal });
+			};
+
+			let response = null;
+			let failure;
+
+			try{
+				response = await (this.limiter ? this.limiter.schedule(request, { signal, label: redactUrlParams(url) }) : request());
+			}
+			catch(error){
+				if(signal?.aborted || error instanceof WeatherAbortError){
+					throw new WeatherAbortError(`${source}: The request was aborted.`, { cause: signal?.aborted ? signal.reason : error.cause });
 				}
+
+				failure = timedOut ?
+					new WeatherTimeoutError(`${source}: The request timed out after ${timeout} ms.`, { url: redactUrlParams(url), timeout, cause: error }) :
+					new WeatherNetworkError(`${source}: Network error '${error.message}'.`, { url: redactUrlParams(url), cause: error });
 			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.snow = value;
+			finally{
+				clearTimeout(timer);
+				signal?.removeEventListener('abort', onAbort);
 			}
-			else{
-				throw new TypeError(`Weather.setSnowOnDay: Invalid input day value '${dayInfo}'.`);
+
+			if(response){
+				if(response.status >= 200 && response.status < 300){
+					return response;
+				}
+
+				failure = Weather.createApiError(response, url);
+
+				if(!retry.retryOn.includes(response.status)){
+					throw failure;
+				}
 			}
-		}
-		catch(error){
-			throw error;
-		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getSnowdepthOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The snow depth for the specified day, or null if not available or error.
-	 * @desc     Retrieves the snow depth for a specific day identified by date or index.
-	 */
-	getSnowdepthOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.snowdepth;
-				return tmp === 0 ? 0 : (tmp || null);
+			if(attempt >= retry.maxAttempts){
+				throw failure;
 			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.snowdepth;
-				return tmp === 0 ? 0 : (tmp || null);
+
+			const retryAfter = response ? parseRetryAfter(response.headers['retry-after']) : null;
+
+			try{
+				await sleep(computeBackoffDelay(attempt, retry, retryAfter), signal);
 			}
-			else{
-				throw new TypeError(`Weather.getSnowdepthOnDay: Invalid input day value '${dayInfo}'.`);
+			catch(error){
+				throw new WeatherAbortError(`${source}: The request was aborted.`, { cause: error.cause });
 			}
 		}
-		catch(error){
-			return null;
-		}
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setSnowdepthOnDay
+	 * @method   validateFetchOptions
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new snow depth to set.
-	 * @desc     Sets the snow depth for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setSnowdepthOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.snowdepth = value;
-						break;
-					}
+	 * @param    {string|null} location - Location for which weather data is requested, or null to validate the options only.
+	 * @param    {FetchOptions} options - The request options.
+	 * @param    {string} source - The name of the validating method, used to prefix the message, 'Weather.fetchWeatherData' if not specified.
+	 * @returns  {FetchOptions} The validated options, without the unspecified ones and with the lists joined as comma separated strings.
+	 * @desc     Validates the location and every request option, as well as the rules relating the options to each other.
+	 * @throws   {WeatherValidationError} If any parameter is invalid, listing all the problems found.
+	 */
+	#validateFetchOptions(location, options, source = 'Weather.fetchWeatherData'){
+		const errors = [];
+		const validated = {};
+
+		const list = (value) => typeof value === 'string' ? value.split(',') : [].concat(value);
+		const validators = {
+			fromDate                 : Weather.validateParamDate,
+			toDate                   : Weather.validateParamDate,
+			unitGroup                : Weather.validateParamUnitGroup,
+			include                  : (value) => Weather.validateParamInclude(...list(value)),
+			elements                 : (value) => Weather.validateParamElements(...list(value)),
+			lang                     : Weather.validateParamLang,
+			iconSet                  : Weather.validateParamIconSet,
+			timezone                 : Weather.validateParamTimezone,
+			maxDistance              : Weather.validateParamMaxDistance,
+			maxStations              : Weather.validateParamMaxStations,
+			elevationDifference      : Weather.validateParamElevationDifference,
+			locationNames            : (value) => Weather.validateParamLocationNames(...list(value)),
+			options                  : (value) => Weather.validateParamOptions(...list(value)),
+			degreeDayTempFix         : Weather.validateParamDegreeDayTemp,
+			degreeDayTempMaxThreshold: Weather.validateParamDegreeDayTemp,
+			degreeDayTempBase        : Weather.validateParamDegreeDayTemp,
+			degreeDayStartDate       : Weather.validateParamDegreeDayStartDate,
+			degreeDayInverse         : Weather.validateParamDegreeDayInverse,
+			forecastBasisDate        : Weather.validateParamForecastBasisDate,
+			forecastBasisDay         : Weather.validateParamForecastBasisDay,
+			endpoint                 : (value) => {
+				if(this.getEndpoint(value) === null){
+					throw new WeatherValidationError(`Weather.fetchWeatherData: Unknown endpoint '${value}'.`);
+				}
+				return value;
+			},
+			retry                    : (value) => normalizeRetryPolicy(value, this.retry),
+			timeout                  : Weather.validateParamTimeout,
+			signal                   : (value) => {
+				if(!(value instanceof AbortSignal)){
+					throw new WeatherValidationError(`Weather.fetchWeatherData: Invalid signal '${value}'.`);
+				}
+				return value;
+			},
+			cache                    : (value) => {
+				if(typeof value !== 'boolean' && value !== 'refresh'){
+					throw new WeatherValidationError(`Weather.fetchWeatherData: Invalid cache mode '${value}'.`);
+				}
+				return value;
+			},
+			chunkDays                : (value) => {
+				if(!Number.isInteger(value) || value < 1){
+					throw new WeatherValidationError(`Weather.fetchWeatherData: Invalid chunkDays value '${value}'.`);
+				}
+				return value;
+			},
+			chunkConcurrency         : (value) => {
+				if(!Number.isInteger(value) || value < 1){
+					throw new WeatherValidationError(`Weather.fetchWeatherData: Invalid chunkConcurrency value '${value}'.`);
 				}
+				return value;
+			},
+		};
+
+		const fail = (param, error) => {
+			errors.push(Object.assign(error, { param }));
+		};
+
+		if(location !== null && (typeof location !== 'string' || !location.trim())){
+			fail('location', new WeatherValidationError('Weather.fetchWeatherData: Bad API Request:A location must be specified.'));
+		}
+
+		for(const [name, value] of Object.entries(options)){
+			if(!FETCH_OPTIONS.includes(name)){
+				fail(name, new WeatherValidationError(`Weather.fetchWeatherData: Unknown option '${name}'.`));
 			}
 			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.snowdepth = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSnowdepthOnDay: Invalid input day value '${dayInfo}'.`);
+			if(value !== undefined && value !== null && value !== ''){
+				try{
+					validated[name] = validators[name](value);
+				}
+				catch(error){
+					fail(name, error);
+				}
 			}
 		}
-		catch(error){
-			throw error;
-		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getWindgustOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The wind gust value for the specified day, or null if not available or error.
-	 * @desc     Retrieves the wind gust value for a specific day identified by date or index.
-	 */
-	getWindgustOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.windgust;
-				return tmp === 0 ? 0 : (tmp || null);
+		const { fromDate, toDate } = validated;
+
+		if(toDate !== undefined){
+			if(fromDate === undefined){
+				if(!errors.some(error => error.param === 'fromDate')){
+					fail('toDate', new WeatherValidationError(`Weather.fetchWeatherData: toDate '${toDate}' requires a fromDate.`));
+				}
 			}
 			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.windgust;
-				return tmp === 0 ? 0 : (tmp || null);
+			if(typeof fromDate === 'string' && !/^\d/.test(fromDate)){
+				fail('toDate', new WeatherValidationError(`Weather.fetchWeatherData: toDate cannot be used with the dynamic date '${fromDate}'.`));
 			}
-			else{
-				throw new TypeError(`Weather.getWindgustOnDay: Invalid input day value '${dayInfo}'.`);
+			else
+			if(typeof fromDate === typeof toDate){
+				const from = typeof fromDate === 'string' && fromDate.length === 10 ? `${fromDate}T00:00:00` : fromDate;
+				const to = typeof toDate === 'string' && toDate.length === 10 ? `${toDate}T00:00:00` : toDate;
+
+				if(to < from){
+					fail('toDate', new WeatherValidationError(`Weather.fetchWeatherData: toDate '${toDate}' precedes fromDate '${fromDate}'.`));
+				}
 			}
 		}
-		catch(error){
-			return null;
+
+		if(errors.length){
+			throw WeatherValidationError.fromErrors(source, errors);
 		}
+
+		return validated;
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setWindgustOnDay
+	 * @method   clearWeatherData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new wind gust value to set.
-	 * @desc     Sets the wind gust value for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @desc     Clear the weather data of the class.
 	 */
-	setWindgustOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.windgust = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.windgust = value;
-			}
-			else{
-				throw new TypeError(`Weather.setWindgustOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	clearWeatherData(){
+		this.#weatherData = {};
+		this.#unitGroup = null;
+		this.#indexes = new WeakMap();
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getWindspeedOnDay
+	 * @method   getWeatherData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The wind speed for the specified day, or null if not available or error.
-	 * @desc     Retrieves the wind speed for a specific day identified by date or index.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {object|null} The weather data as a dictionary, filtered by elements if specified, or null if not available.
+	 * @desc     Get the stored weather data.
 	 */
-	getWindspeedOnDay(dayInfo){
+	getWeatherData(elements = []){
 		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.windspeed;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.windspeed;
-				return tmp === 0 ? 0 : (tmp || null);
+			if(elements.length > 0){
+				return extractSubobjectByKeys(this.#weatherData, elements);
 			}
 			else{
-				throw new TypeError(`Weather.getWindspeedOnDay: Invalid input day value '${dayInfo}'.`);
+				return this.#weatherData;
 			}
 		}
 		catch(error){
@@ -2019,323 +2098,235 @@ export class Weather{
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setWindspeedOnDay
+	 * @method   setWeatherData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new wind speed value to set.
-	 * @desc     Sets the wind speed for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {object} data - Weather data to store.
+	 * @param    {string|null} unitGroup - The unit group of the weather data ('us', 'metric', 'uk' or 'base'), null (unknown) by default.
+	 * @desc     Set the internal weather data.
+	 * @throws   {WeatherValidationError} If the unit group is invalid.
 	 */
-	setWindspeedOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.windspeed = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.windspeed = value;
-			}
-			else{
-				throw new TypeError(`Weather.setWindspeedOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	setWeatherData(data, unitGroup = null){
+		this.#unitGroup = unitGroup === null ? null : Weather.validateParamUnitGroup(unitGroup);
+		this.#weatherData = data;
+		this.#indexes = new WeakMap();
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getWinddirOnDay
+	 * @method   get
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The wind direction for the specified day, or null if not available or error.
-	 * @desc     Retrieves the wind direction for a specific day identified by date or index.
+	 * @param    {string} element - The element name, any element of the catalog (see {@link module:elements}).
+	 * @param    {Object} target - The record holding the element, the current conditions if no day is specified.
+	 * @param    {string|number} target.day - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {string|number} target.time - The hour of the day as a string ('HH:MM:SS') or index as an integer.
+	 * @returns  {*} The value of the element in the current conditions, the day or the hour, or null if not available.
+	 * @desc     Retrieves the value of an element of the current conditions, of a day, or of an hour of a day.
+	 * @throws   {WeatherValidationError} If the element is not in the catalog or not reported at the level of the record,
+	 *           or the day or the time is neither a string nor a number.
 	 */
-	getWinddirOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.winddir;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.winddir;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getWinddirOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	get(element, target = {}){
+		return this.#getElement(element, levelOf(target), target?.day, target?.time, 'Weather.get');
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setWinddirOnDay
+	 * @method   set
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new wind direction value to set.
-	 * @desc     Sets the wind direction for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} element - The element name, any element of the catalog (see {@link module:elements}).
+	 * @param    {*} value - The new value of the element.
+	 * @param    {Object} target - The record holding the element, the current conditions if no day is specified.
+	 * @param    {string|number} target.day - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {string|number} target.time - The hour of the day as a string ('HH:MM:SS') or index as an integer.
+	 * @desc     Sets the value of an element of the current conditions, of a day, or of an hour of a day.
+	 * @throws   {WeatherValidationError} If the element is not in the catalog or not reported at the level of the record,
+	 *           or the day or the time is neither a string nor a number.
+	 * @throws   {WeatherDataError} If the record is not available.
 	 */
-	setWinddirOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.winddir = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.winddir = value;
-			}
-			else{
-				throw new TypeError(`Weather.setWinddirOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	set(element, value, target = {}){
+		this.#setElement(element, value, levelOf(target), target?.day, target?.time, 'Weather.set');
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getPressureOnDay
+	 * @method   locateRecord
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The atmospheric pressure for the specified day, or null if not available or error.
-	 * @desc     Retrieves the atmospheric pressure for a specific day identified by date or index.
+	 * @private
+	 * @param    {string} element - The element name.
+	 * @param    {string} level - The level of the record ('day', 'hour' or 'current').
+	 * @param    {string|number} dayInfo - The day's date or index, for a day or an hour.
+	 * @param    {string|number} timeInfo - The hour's time or index, for an hour.
+	 * @param    {string} source - The name of the calling method, used to prefix the messages.
+	 * @returns  {Object|null} The current conditions, the day or the hour holding the element, or null if not available.
+	 * @desc     Locates the record holding an element, after validating the element against the catalog and the identifiers.
+	 * @throws   {WeatherValidationError} If the element or an identifier is invalid.
 	 */
-	getPressureOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.pressure;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.pressure;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getPressureOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	#locateRecord(element, level, dayInfo, timeInfo, source){
+		if(typeof element !== 'string' || !Object.hasOwn(ELEMENTS, element)){
+			throw new WeatherValidationError(`${source}: Invalid element '${element}'.`, { param: 'element' });
 		}
-		catch(error){
-			return null;
+
+		if(!ELEMENTS[element].levels.includes(level)){
+			throw new WeatherValidationError(`${source}: The element '${element}' is not reported at the ${level} level.`, { param: 'element' });
 		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setPressureOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new pressure value to set.
-	 * @desc     Sets the atmospheric pressure for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setPressureOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.pressure = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.pressure = value;
-			}
-			else{
-				throw new TypeError(`Weather.setPressureOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+		if(level === 'current'){
+			return this.#weatherData?.currentConditions ?? null;
+		}
+
+		if(typeof dayInfo !== 'string' && typeof dayInfo !== 'number'){
+			throw new WeatherValidationError(`${source}: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
 		}
-		catch(error){
-			throw error;
+
+		if(level === 'hour' && typeof timeInfo !== 'string' && typeof timeInfo !== 'number'){
+			throw new WeatherValidationError(`${source}: Invalid input time value '${timeInfo}'.`, { param: 'timeInfo' });
 		}
+
+		const days = Array.isArray(this.#weatherData?.days) ? this.#weatherData.days : [];
+		const day = this.#findItem(days, dayInfo);
+
+		if(level === 'day' || !day){
+			return day;
+		}
+
+		return Array.isArray(day.hours) ? this.#findItem(day.hours, timeInfo) : null;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getCloudcoverOnDay
+	 * @method   getElement
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The cloud cover percentage for the specified day, or null if not available or error.
-	 * @desc     Retrieves the cloud cover percentage for a specific day identified by date or index.
+	 * @private
+	 * @param    {string} element - The element name.
+	 * @param    {string} level - The level of the record ('day', 'hour' or 'current').
+	 * @param    {string|number} dayInfo - The day's date or index, for a day or an hour.
+	 * @param    {string|number} timeInfo - The hour's time or index, for an hour.
+	 * @param    {string} source - The name of the calling method, used to prefix the messages.
+	 * @returns  {*} The value of the element, or null if not available.
+	 * @desc     Retrieves the value of an element, on behalf of get() and of the named element getters.
+	 * @throws   {WeatherValidationError} If the element or an identifier is invalid.
 	 */
-	getCloudcoverOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.cloudcover;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.cloudcover;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getCloudcoverOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	#getElement(element, level, dayInfo, timeInfo, source){
+		return this.#locateRecord(element, level, dayInfo, timeInfo, source)?.[element] ?? null;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setCloudcoverOnDay
+	 * @method   setElement
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new cloud cover percentage to set.
-	 * @desc     Sets the cloud cover percentage for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
-	 */
-	setCloudcoverOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.cloudcover = value;
-						break;
-					}
+	 * @private
+	 * @param    {string} element - The element name.
+	 * @param    {*} value - The new value of the element.
+	 * @param    {string} level - The level of the record ('day', 'hour' or 'current').
+	 * @param    {string|number} dayInfo - The day's date or index, for a day or an hour.
+	 * @param    {string|number} timeInfo - The hour's time or index, for an hour.
+	 * @param    {string} source - The name of the calling method, used to prefix the messages.
+	 * @desc     Sets the value of an element, on behalf of set() and of the named element setters.
+	 * @throws   {WeatherValidationError} If the element or an identifier is invalid.
+	 * @throws   {WeatherDataError} If the current conditions, the day or the hour is not available.
+	 */
+	#setElement(element, value, level, dayInfo, timeInfo, source){
+		try{
+			const record = this.#locateRecord(element, level, dayInfo, timeInfo, source);
+
+			if(!record){
+				const quote = (info) => typeof info === 'string' ? `'${info}'` : info;
+				let missing = `the day ${quote(dayInfo)} is`;
+
+				if(level === 'current'){
+					missing = 'the current conditions are';
 				}
+				else
+				if(level === 'hour' && this.#locateRecord('datetime', 'day', dayInfo, undefined, source)){
+					missing = `the hour ${quote(timeInfo)} of the day ${quote(dayInfo)} is`;
+				}
+
+				throw new WeatherDataError(`${source}: Cannot set '${element}', ${missing} not available.`);
 			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.cloudcover = value;
-			}
-			else{
-				throw new TypeError(`Weather.setCloudcoverOnDay: Invalid input day value '${dayInfo}'.`);
+
+			record[element] = value;
+
+			if(element === 'datetime'){
+				this.#indexes = new WeakMap();
 			}
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError(source, error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getVisibilityOnDay
+	 * @method   findPosition
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The visibility distance for the specified day, or null if not available or error.
-	 * @desc     Retrieves the visibility distance for a specific day identified by date or index.
+	 * @private
+	 * @param    {Array} src - The days, or the hours of a day.
+	 * @param    {string} datetime - The date or the time of the item.
+	 * @returns  {number} The position of the first item of the datetime, or -1 if not available.
+	 * @desc     Finds the position of an item by its datetime in constant time through the index of the list, built on the first lookup.
+	 *           The index is rebuilt once the list has grown or shrunk, and on a lookup missing the datetime or finding an item no longer
+	 *           having it, so that the datetimes changed in place are found too, a missing datetime costing a linear lookup.
 	 */
-	getVisibilityOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.visibility;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.visibility;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getVisibilityOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	#findPosition(src, datetime){
+		let index = this.#indexes.get(src);
+		let fresh = false;
+
+		if(!index || index.size !== src.length){
+			index = indexByDatetime(src);
+			this.#indexes.set(src, index);
+			fresh = true;
 		}
-		catch(error){
-			return null;
+
+		if(!fresh && src[index.positions.get(datetime)]?.datetime !== datetime){
+			index = indexByDatetime(src);
+			this.#indexes.set(src, index);
 		}
+
+		return index.positions.get(datetime) ?? -1;
 	}
 
 	/**
-	 * Core Weather Elements
-	 *
-	 * @method   setVisibilityOnDay
+	 * @method   findItem
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new visibility distance to set.
-	 * @desc     Sets the visibility distance for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @private
+	 * @param    {Array} src - The days, or the hours of a day.
+	 * @param    {string|number} datetimeVal - The date or the time of the item, or its index.
+	 * @returns  {Object|null} The item, or null if not available.
+	 * @desc     Finds an item by its datetime value as filterItemByDatetimeVal() does, a date or a time being looked up in the index of the list.
+	 * @throws   {WeatherValidationError|TypeError} If the datetimeVal is neither a string nor a number, or the list is not available.
 	 */
-	setVisibilityOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.visibility = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.visibility = value;
-			}
-			else{
-				throw new TypeError(`Weather.setVisibilityOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
+	#findItem(src, datetimeVal){
+		if(typeof datetimeVal !== 'string' || !Array.isArray(src)){
+			return Weather.filterItemByDatetimeVal(src, datetimeVal);
 		}
+
+		return src[this.#findPosition(src, datetimeVal)] || null;
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getSolarradiationOnDay
+	 * @method   getWeatherDailyData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The solar radiation level for the specified day, or null if not available or error.
-	 * @desc     Retrieves the solar radiation level for a specific day identified by date or index.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {Array<object>|null} List of daily data dictionaries, filtered by elements if specified, or null if not available.
+	 * @desc     Get daily weather data, optionally filtered by elements.
 	 */
-	getSolarradiationOnDay(dayInfo){
+	getWeatherDailyData(elements = []){
 		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.solarradiation;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.solarradiation;
-				return tmp === 0 ? 0 : (tmp || null);
+			if(elements.length > 0){
+				return this.#weatherData.days.map(day => extractSubobjectByKeys(day, elements));
 			}
 			else{
-				throw new TypeError(`Weather.getSolarradiationOnDay: Invalid input day value '${dayInfo}'.`);
+				return this.#weatherData.days;
 			}
 		}
 		catch(error){
@@ -2344,63 +2335,37 @@ export class Weather{
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setSolarradiationOnDay
+	 * @method   setWeatherDailyData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new solar radiation level to set.
-	 * @desc     Sets the solar radiation level for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {Array<object>} dailyData - List of daily weather data dictionaries.
+	 * @desc     Set the daily weather data.
 	 */
-	setSolarradiationOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.solarradiation = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.solarradiation = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSolarradiationOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	setWeatherDailyData(dailyData){
+		this.#weatherData.days = dailyData;
+		this.#indexes = new WeakMap();
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getSolarenergyOnDay
+	 * @method   getWeatherHourlyData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The solar energy generated on the specified day, or null if not available or error.
-	 * @desc     Retrieves the solar energy generated on a specific day identified by date or index.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {Array<object>|null} List of hourly data dictionaries, filtered by elements if specified, or null if not available.
+	 * @desc     Get hourly weather data for all days, optionally filtered by elements.
 	 */
-	getSolarenergyOnDay(dayInfo){
+	getWeatherHourlyData(elements = []){
 		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.solarenergy;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.solarenergy;
-				return tmp === 0 ? 0 : (tmp || null);
+			const hourlyData = this.#weatherData.days.flatMap(day => day.hours);
+			if(elements.length > 0){
+				return hourlyData.map(hourDt => extractSubobjectByKeys(hourDt, elements));
 			}
 			else{
-				throw new TypeError(`Weather.getSolarenergyOnDay: Invalid input day value '${dayInfo}'.`);
+				return hourlyData;
 			}
 		}
 		catch(error){
@@ -2409,809 +2374,507 @@ export class Weather{
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setSolarenergyOnDay
+	 * @method   getDataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new solar energy level to set.
-	 * @desc     Sets the solar energy level for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string|number} dayInfo - The identifier for the day, which can be a date string (YYYY-MM-DD) or an index of the day list.
+	 * @param    {Array<string>} elements - Specific weather elements to retrieve.
+	 * @returns  {object|null} The weather data dictionary for the specified day, or null if not available.
+	 * @desc     Retrieves weather data for a specific day based on a date string or index.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	setSolarenergyOnDay(dayInfo, value){
+	getDataOnDay(dayInfo, elements = []){
 		try{
+			let dayData;
+
 			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.solarenergy = value;
-						break;
-					}
-				}
+				dayData = this.#findItem(this.#weatherData.days, dayInfo) ?? undefined;
 			}
 			else
 			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.solarenergy = value;
+				dayData = this.#weatherData.days[dayInfo];
 			}
 			else{
-				throw new TypeError(`Weather.setSolarenergyOnDay: Invalid input day value '${dayInfo}'.`);
+				throw new WeatherValidationError(`Weather.getDataOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
 			}
-		}
-		catch(error){
-			throw error;
-		}
-	}
 
-	/**
-	 * Core Weather Elements
-	 *
-	 * @method   getUvindexOnDay
-	 * @instance
-	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The UV index for the specified day, or null if not available or error.
-	 * @desc     Retrieves the UV index for a specific day identified by date or index.
-	 */
-	getUvindexOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.uvindex;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.uvindex;
-				return tmp === 0 ? 0 : (tmp || null);
+			if(elements.length > 0){
+				return extractSubobjectByKeys(dayData, elements);
 			}
 			else{
-				throw new TypeError(`Weather.getUvindexOnDay: Invalid input day value '${dayInfo}'.`);
+				return dayData;
 			}
 		}
 		catch(error){
+			if(error instanceof WeatherValidationError) throw error;
 			return null;
 		}
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setUvindexOnDay
+	 * @method   setDataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new UV index value to set.
-	 * @desc     Sets the UV index for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string|number} dayInfo - The identifier for the day, which can be a date string (YYYY-MM-DD) or an index of the day list.
+	 * @param    {object} data - The new weather data dictionary to replace the existing day's data.
+	 * @desc     Updates weather data for a specific day based on a date string or index.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	setUvindexOnDay(dayInfo, value){
+	setDataOnDay(dayInfo, data){
 		try{
 			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.uvindex = value;
-						break;
-					}
+				const position = this.#findPosition(this.#weatherData.days, dayInfo);
+
+				if(position !== -1){
+					this.#weatherData.days[position] = data;
 				}
 			}
 			else
 			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.uvindex = value;
+				this.#weatherData.days[dayInfo] = data;
 			}
 			else{
-				throw new TypeError(`Weather.setUvindexOnDay: Invalid input day value '${dayInfo}'.`);
+				throw new WeatherValidationError(`Weather.setDataOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
 			}
+
+			this.#indexes = new WeakMap();
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.setDataOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getSevereriskOnDay
+	 * @method   getHourlyDataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The severe weather risk level for the specified day, or null if not available or error.
-	 * @desc     Retrieves the severe weather risk level for a specific day identified by date or index.
+	 * @param    {Array} elements - Optional list of keys to filter the hourly data.
+	 * @returns  {Array} A list of hourly data dictionaries for the specified day.
+	 * @desc     Retrieves hourly weather data for a specific day identified by date or index. Optionally filters the data to include only specified elements.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getSevereriskOnDay(dayInfo){
+	getHourlyDataOnDay(dayInfo, elements = []){
 		try{
+			let hourlyData;
 			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.severerisk;
-				return tmp === 0 ? 0 : (tmp || null);
+				hourlyData = this.#findItem(this.#weatherData.days, dayInfo)?.hours || [];
 			}
 			else
 			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.severerisk;
-				return tmp === 0 ? 0 : (tmp || null);
+				hourlyData = this.#weatherData.days[dayInfo]?.hours || [];
 			}
-			else{
-				throw new TypeError(`Weather.getSevereriskOnDay: Invalid input day value '${dayInfo}'.`);
+			else {
+				throw new WeatherValidationError(`Weather.getHourlyDataOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
+			}
+
+			if(elements.length > 0){
+				return hourlyData.map(hour => {
+					const filtered = {};
+					elements.forEach(el => {
+						filtered[el] = hour[el];
+					});
+					return filtered;
+				});
 			}
+			return hourlyData;
 		}
 		catch(error){
-			return null;
+			throw toWeatherError('Weather.getHourlyDataOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setSevereriskOnDay
+	 * @method   setHourlyDataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new severe weather risk level to set.
-	 * @desc     Sets the severe weather risk level for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {Array} data - The new list of hourly weather data dictionaries to set.
+	 * @desc     Sets the hourly weather data for a specific day identified by date or index.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	setSevereriskOnDay(dayInfo, value){
+	setHourlyDataOnDay(dayInfo, data){
 		try{
 			if(typeof dayInfo === 'string'){
-				for (let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.severerisk = value;
-						break;
-					}
+				const day = this.#findItem(this.#weatherData.days, dayInfo);
+
+				if(day){
+					day.hours = data;
 				}
 			}
 			else
 			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.severerisk = value;
+				this.#weatherData.days[dayInfo].hours = data;
 			}
 			else{
-				throw new TypeError(`Weather.setSevereriskOnDay: Invalid input day value '${dayInfo}'.`);
+				throw new WeatherValidationError(`Weather.setHourlyDataOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
 			}
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.setHourlyDataOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   getStationsOnDay
+	 * @method   getDataAtDatetime
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {Array|null} The list of weather stations active on the specified day, or null if not available or error.
-	 * @desc     Retrieves the weather stations data for a specific day identified by date or index.
+	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
+	 * @param    {Array} elements - Specific weather elements to retrieve.
+	 * @returns  {Object} The specific hourly data dictionary corresponding to the given day and time.
+	 * @desc     Retrieves weather data for a specific date and time from the weather data collection.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier is invalid, or the data is not available.
 	 */
-	getStationsOnDay(dayInfo){
+	getDataAtDatetime(dayInfo, timeInfo, elements = []){
 		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.stations || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.stations || null;
+			const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+			const data = this.#findItem(dayItem.hours, timeInfo);
+
+			if(elements.length){
+				return extractSubobjectByKeys(data, elements);
 			}
-			else {
-				throw new TypeError(`Weather.getStationsOnDay: Invalid input day value '${dayInfo}'.`);
+			else{
+				return data;
 			}
 		}
 		catch(error){
-			return null;
+			throw toWeatherError('Weather.getDataAtDatetime', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements
+	 * Data Elements
 	 *
-	 * @method   setStationsOnDay
+	 * @method   setDataAtDatetime
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {Array} value - The new list of weather stations to set.
-	 * @desc     Sets the weather stations data for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
+	 * @param    {Object} data - The data dictionary to be set for the specific hourly time slot.
+	 * @desc     Sets weather data for a specific date and time from the weather data collection.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier is invalid, or the data is not available.
 	 */
-	setStationsOnDay(dayInfo, value){
+	setDataAtDatetime(dayInfo, timeInfo, data){
 		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.stations = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.stations = value;
-			}
-			else{
-				throw new TypeError(`Weather.setStationsOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+			const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+			Weather.setItemByDatetimeVal(dayItem.hours, timeInfo, data);
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.setDataAtDatetime', error);
 		}
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Data Elements
 	 *
-	 * @method   getSunriseOnDay
+	 * @method   updateDataAtDatetime
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The sunrise time for the specified day, or null if not available or error.
-	 * @desc     Retrieves the sunrise time for a specific day identified by date or index.
+	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index, pointing to a specific day in the data.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index, pointing to a specific time slot in the day's data.
+	 * @param    {Object} data - The data dictionary to be updated for the specific hourly time slot.
+	 * @desc     Updates weather data for a specific date and time in the weather data collection.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier is invalid, or the data is not available.
 	 */
-	getSunriseOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.sunrise || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.sunrise || null;
-			}
-			else{
-				throw new TypeError(`Weather.getSunriseOnDay: Invalid input day value '${dayInfo}'.`);
-			}
+	updateDataAtDatetime(dayInfo, timeInfo, data){
+		try{
+			const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+			Weather.updateItemByDatetimeVal(dayItem.hours, timeInfo, data);
 		}
 		catch(error){
-			return null;
+			throw toWeatherError('Weather.updateDataAtDatetime', error);
 		}
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Data Elements
 	 *
-	 * @method   setSunriseOnDay
+	 * @method   getDailyDatetimes
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new sunrise time value to set.
-	 * @desc     Sets the sunrise time for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {string} format - 'date' for Date objects, 'utc' for ISO 8601 UTC strings, or 'local' for ISO 8601 strings in the local time of the location, 'date' by default.
+	 * @returns  {Array<Date|string>} The start of each day in the weather data, midnight in the time zone of the location, or an empty array if no data.
+	 * @desc     Retrieves the instants at which the days of the weather data start, from their 'datetimeEpoch' key, or else from their
+	 *           'datetime' key in the time zone of the location, independently of the time zone of the host.
+	 * @throws   {WeatherValidationError} If the format is not supported.
 	 */
-	setSunriseOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.sunrise = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.sunrise = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSunriseOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getDailyDatetimes(format = 'date'){
+		this.#validateDatetimeFormat(format, 'Weather.getDailyDatetimes');
+
+		const days = this.#weatherData?.days || [];
+
+		return days.map(day => this.#formatDatetime(day.datetime, '00:00:00', day.datetimeEpoch, format));
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Data Elements
 	 *
-	 * @method   getSunriseEpochOnDay
+	 * @method   getHourlyDatetimes
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The sunrise Unix timestamp for the specified day, or null if not available or error.
-	 * @desc     Retrieves the Unix timestamp for the sunrise time for a specific day.
+	 * @param    {string} format - 'date' for Date objects, 'utc' for ISO 8601 UTC strings, or 'local' for ISO 8601 strings in the local time of the location, 'date' by default.
+	 * @returns  {Array<Date|string>} The instant of each hour in the weather data, or an empty array if no data.
+	 * @desc     Retrieves the instants of the hours of the weather data, from their 'datetimeEpoch' key, or else from the 'datetime' keys
+	 *           of the day and the hour in the time zone of the location, correct across the DST transitions.
+	 * @throws   {WeatherValidationError} If the format is not supported.
 	 */
-	getSunriseEpochOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.sunriseEpoch;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.sunriseEpoch;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getSunriseEpochOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	getHourlyDatetimes(format = 'date'){
+		this.#validateDatetimeFormat(format, 'Weather.getHourlyDatetimes');
+
+		const days = this.#weatherData?.days || [];
+
+		return days.flatMap(day =>
+			(day.hours || []).map(hour => this.#formatDatetime(day.datetime, hour.datetime, hour.datetimeEpoch, format))
+		);
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   setSunriseEpochOnDay
+	 * @method   getLatitude
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new sunrise Unix timestamp value to set.
-	 * @desc     Sets the Unix timestamp for the sunrise time for a specific day.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @returns  {number|null} The latitude if available, otherwise null.
+	 * @desc     Retrieves the latitude from the weather data.
 	 */
-	setSunriseEpochOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.sunriseEpoch = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.sunriseEpoch = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSunriseEpochOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getLatitude(){
+		return this.#weatherData.latitude === 0 ? 0 : (this.#weatherData.latitude || null);
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   getSunsetOnDay
+	 * @method   setLatitude
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The sunset time for the specified day, or null if not available or error.
-	 * @desc     Retrieves the sunset time for a specific day identified by date or index.
+	 * @param    {number} value - The new latitude to be set.
+	 * @desc     Sets the latitude in the weather data.
+	 * @throws   {WeatherValidationError} If the latitude value is out of <-90, 90> range.
 	 */
-	getSunsetOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.sunset || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.sunset || null;
-			}
-			else{
-				throw new TypeError(`Weather.getSunsetOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	setLatitude(value){
+		if(value < -90 || value > 90)
+			throw new WeatherValidationError(`Weather.setLatitude: invalid latitude value '${value}'.`, { param: 'value' });
+
+		this.#weatherData.latitude = value;
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   setSunsetOnDay
+	 * @method   getLongitude
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new sunset time value to set.
-	 * @desc     Sets the sunset time for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @returns  {number|null} The longitude if available, otherwise null.
+	 * @desc     Retrieves the longitude from the weather data.
 	 */
-	setSunsetOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.sunset = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.sunset = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSunsetOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getLongitude(){
+		return this.#weatherData.longitude === 0 ? 0 : (this.#weatherData.longitude || null);
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   getSunsetEpochOnDay
+	 * @method   setLongitude
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The sunset Unix timestamp for the specified day, or null if not available or error.
-	 * @desc     Retrieves the Unix timestamp for the sunset time for a specific day.
+	 * @param    {number} value - The new longitude to be set.
+	 * @desc     Sets the longitude in the weather data.
+	 * @throws   {WeatherValidationError} If the longitude value is out of <-180, 180> range.
 	 */
-	getSunsetEpochOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.sunsetEpoch;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.sunsetEpoch;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getSunsetEpochOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	setLongitude(value){
+		if(value < -180 || value > 180)
+			throw new WeatherValidationError(`Weather.setLongitude: invalid longitude value '${value}'.`, { param: 'value' });
+
+		this.#weatherData.longitude = value;
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   setSunsetEpochOnDay
+	 * @method   getResolvedAddress
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new sunset Unix timestamp value to set.
-	 * @desc     Sets the Unix timestamp for the sunset time for a specific day.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @returns  {string|null} The resolved address if available, otherwise null.
+	 * @desc     Retrieves the resolved address from the weather data.
 	 */
-	setSunsetEpochOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.sunsetEpoch = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.sunsetEpoch = value;
-			}
-			else{
-				throw new TypeError(`Weather.setSunsetEpochOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getResolvedAddress(){
+		return this.#weatherData.resolvedAddress || null;
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   getMoonphaseOnDay
+	 * @method   setResolvedAddress
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {number|null} The moon phase for the specified day, or null if not available or error.
-	 * @desc     Retrieves the moon phase for a specific day identified by date or index.
+	 * @param    {string} value - The new resolved address to be set.
+	 * @desc     Sets the resolved address in the weather data.
 	 */
-	getMoonphaseOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				let tmp = this.#weatherData.days.find(day => day.datetime === dayInfo)?.moonphase;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let tmp = this.#weatherData.days[dayInfo]?.moonphase;
-				return tmp === 0 ? 0 : (tmp || null);
-			}
-			else{
-				throw new TypeError(`Weather.getMoonphaseOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	setResolvedAddress(value){
+		this.#weatherData.resolvedAddress = value;
 	}
 
 	/**
-	 * Astronomy Elements
+	 * Location Elements
 	 *
-	 * @method   setMoonphaseOnDay
+	 * @method   getAddress
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {number} value - The new moon phase value to set.
-	 * @desc     Sets the moon phase for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @returns  {string|null} The address if available, otherwise null.
+	 * @desc     Retrieves the address from the weather data.
 	 */
-	setMoonphaseOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.moonphase = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.moonphase = value;
-			}
-			else{
-				throw new TypeError(`Weather.setMoonphaseOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getAddress(){
+		return this.#weatherData.address || null;
 	}
 
 	/**
-	 * Description Elements
+	 * Location Elements
 	 *
-	 * @method   getConditionsOnDay
+	 * @method   setAddress
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The weather conditions for the specified day, or null if not available or error.
-	 * @desc     Retrieves the weather conditions for a specific day identified by date or index.
+	 * @param    {string} value - The new address to be set.
+	 * @desc     Sets the address in the weather data.
 	 */
-	getConditionsOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.conditions || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.conditions || null;
-			}
-			else{
-				throw new TypeError(`Weather.getConditionsOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	setAddress(value){
+		this.#weatherData.address = value;
 	}
 
 	/**
-	 * Description Elements
+	 * Location Elements
 	 *
-	 * @method   setConditionsOnDay
+	 * @method   getTimezone
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new conditions value to set.
-	 * @desc     Sets the weather conditions for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @returns  {string|null} The timezone if available, otherwise null.
+	 * @desc     Retrieves the timezone from the weather data.
 	 */
-	setConditionsOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.conditions = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.conditions = value;
-			}
-			else{
-				throw new TypeError(`Weather.setConditionsOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	getTimezone(){
+		return this.#weatherData.timezone || null;
 	}
 
 	/**
-	 * Description Elements
+	 * Location Elements
 	 *
-	 * @method   getDescriptionOnDay
+	 * @method   setTimezone
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The weather description for the specified day, or null if not available or error.
-	 * @desc     Retrieves the weather description for a specific day identified by date or index.
+	 * @param    {string} value - The new timezone to be set.
+	 * @desc     Sets the timezone in the weather data.
 	 */
-	getDescriptionOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.description || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.description || null;
-			}
-			else {
-				throw new TypeError(`Weather.getDescriptionOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	setTimezone(value){
+		this.#weatherData.timezone = value;
+	}
+
+	/**
+	 * Location Elements
+	 *
+	 * @method   getTzoffset
+	 * @instance
+	 * @memberof module:weather.Weather
+	 * @returns  {number|null} The timezone offset if available, otherwise null.
+	 * @desc     Retrieves the timezone offset from the weather data.
+	 */
+	getTzoffset(){
+		return this.#weatherData.tzoffset === 0 ? 0 : (this.#weatherData.tzoffset || null);
 	}
 
 	/**
-	 * Description Elements
+	 * Location Elements
 	 *
-	 * @method   setDescriptionOnDay
+	 * @method   setTzoffset
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new description to set.
-	 * @desc     Sets the weather description for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {number} value - The new timezone offset to be set.
+	 * @desc     Sets the timezone offset in the weather data.
 	 */
-	setDescriptionOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.description = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.description = value;
-			}
-			else{
-				throw new TypeError(`Weather.setDescriptionOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	setTzoffset(value){
+		this.#weatherData.tzoffset = value;
 	}
 
 	/**
-	 * Description Elements
+	 * Request Elements
 	 *
-	 * @method   getIconOnDay
+	 * @method   getQueryCost
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @returns  {string|null} The weather icon for the specified day, or null if not available or error.
-	 * @desc     Retrieves the weather icon for a specific day identified by date or index.
+	 * @returns  {number|null} The cost of the query if available, otherwise null.
+	 * @desc     Retrieves the cost of the query from the weather data.
 	 */
-	getIconOnDay(dayInfo){
-		try{
-			if(typeof dayInfo === 'string'){
-				return this.#weatherData.days.find(day => day.datetime === dayInfo)?.icon || null;
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				return this.#weatherData.days[dayInfo]?.icon || null;
-			}
-			else{
-				throw new TypeError(`Weather.getIconOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			return null;
-		}
+	getQueryCost(){
+		return this.#weatherData.queryCost || null;
 	}
 
 	/**
-	 * Description Elements
+	 * Request Elements
 	 *
-	 * @method   setIconOnDay
+	 * @method   setQueryCost
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
-	 * @param    {string} value - The new icon to set.
-	 * @desc     Sets the weather icon for a specific day identified by date or index.
-	 * @throws   {TypeError} If the dayInfo is neither a string nor a number.
+	 * @param    {number} value - The new cost to be set for the query.
+	 * @desc     Sets the cost of the query in the weather data.
 	 */
-	setIconOnDay(dayInfo, value){
-		try{
-			if(typeof dayInfo === 'string'){
-				for(let day of this.#weatherData.days){
-					if(day.datetime === dayInfo){
-						day.icon = value;
-						break;
-					}
-				}
-			}
-			else
-			if(typeof dayInfo === 'number'){
-				let day = this.#weatherData.days[dayInfo];
-				if(day) day.icon = value;
-			}
-			else{
-				throw new TypeError(`Weather.setIconOnDay: Invalid input day value '${dayInfo}'.`);
-			}
-		}
-		catch(error){
-			throw error;
-		}
+	setQueryCost(value){
+		this.#weatherData.queryCost = value;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Request Elements
 	 *
-	 * @method   getTempAtDatetime
+	 * @method   getStations
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The temperature at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the temperature for a specific datetime within the weather data.
+	 * @returns  {Array} The list of weather stations if available, otherwise an empty list.
+	 * @desc     Retrieves the list of weather stations from the weather data.
 	 */
-	getTempAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.temp;
-		}
-		catch(error){
-			return null;
-		}
+	getStations(){
+		return this.#weatherData.stations || [];
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Request Elements
 	 *
-	 * @method   getTempAtDatetime
+	 * @method   setStations
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The temperature value to be set.
-	 * @desc     Sets the temperature for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Array} value - The new list of weather stations to be set.
+	 * @desc     Sets the list of weather stations in the weather data.
 	 */
-	setTempAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).temp = value);
-		}
-		catch(error){
-			throw error;
-		}
+	setStations(value){
+		this.#weatherData.stations = value;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Current Conditions Elements
 	 *
-	 * @method   getFeelsLikeAtDatetime
+	 * @method   getCurrentConditions
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The 'feels like' temperature at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the 'feels like' temperature for a specific datetime within the weather data.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {object|null} The current conditions, filtered by elements if specified, or null if not available.
+	 * @desc     Retrieves the current conditions, requested by including 'current' in the result data.
 	 */
-	getFeelsLikeAtDatetime(dayInfo, timeInfo){
+	getCurrentConditions(elements = []){
 		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+			const currentConditions = this.#weatherData.currentConditions ?? null;
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.feelslike;
+			if(currentConditions && elements.length > 0){
+				return extractSubobjectByKeys(currentConditions, elements);
+			}
+			else{
+				return currentConditions;
+			}
 		}
 		catch(error){
 			return null;
@@ -3219,1013 +2882,1072 @@ export class Weather{
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Current Conditions Elements
 	 *
-	 * @method   setFeelsLikeAtDatetime
+	 * @method   setCurrentConditions
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The 'feels like' temperature value to be set.
-	 * @desc     Sets the 'feels like' temperature for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {object} data - The new current conditions.
+	 * @desc     Sets the current conditions.
 	 */
-	setFeelsLikeAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).feelslike = value);
-		}
-		catch(error){
-			throw error;
-		}
+	setCurrentConditions(data){
+		this.#weatherData.currentConditions = data;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Alerts Elements
 	 *
-	 * @method   getDewAtDatetime
+	 * @method   getAlerts
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The dew point temperature at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the dew point temperature for a specific datetime within the weather data.
+	 * @returns  {Array<object>} The list of weather alerts if available, otherwise an empty list.
+	 * @desc     Retrieves the weather alerts, requested by including 'alerts' in the result data.
 	 */
-	getDewAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.dew;
-		}
-		catch(error){
-			return null;
-		}
+	getAlerts(){
+		return this.#weatherData?.alerts || [];
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Alerts Elements
 	 *
-	 * @method   setDewAtDatetime
+	 * @method   setAlerts
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The dew point temperature to be set.
-	 * @desc     Sets the dew point temperature for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Array<object>} value - The new list of weather alerts.
+	 * @desc     Sets the weather alerts.
 	 */
-	setDewAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).dew = value);
-		}
-		catch(error){
-			throw error;
-		}
+	setAlerts(value){
+		this.#weatherData.alerts = value;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Alerts Elements
 	 *
-	 * @method   getHumidityAtDatetime
+	 * @method   addAlerts
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The humidity percentage at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the humidity for a specific datetime within the weather data.
+	 * @param    {Array<object>} alerts - The weather alerts to add, e.g. those of another response for the same location.
+	 * @returns  {number} The number of added alerts, not already in the weather data.
+	 * @desc     Adds weather alerts to the weather data, an alert already there being updated rather than repeated.
+	 * @throws   {WeatherValidationError} If the alerts are not a list.
 	 */
-	getHumidityAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	addAlerts(alerts){
+		if(!Array.isArray(alerts)){
+			throw new WeatherValidationError(`Weather.addAlerts: Invalid alerts '${alerts}'.`, { param: 'alerts' });
+		}
 
-			if(!dayItem) return dayItem;
+		const current = this.getAlerts();
+		const merged = Weather.dedupeAlerts([...current, ...alerts]);
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.humidity;
-		}
-		catch(error){
-			return null;
-		}
+		this.#weatherData.alerts = merged;
+		return merged.length - Weather.dedupeAlerts(current).length;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Alerts Elements
 	 *
-	 * @method   setHumidityAtDatetime
+	 * @method   filterAlerts
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The humidity percentage to be set.
-	 * @desc     Sets the humidity for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Object} criteria - The filtering criteria, all of those specified being met.
+	 * @param    {string|Array<string>} criteria.event - The event types (e.g. 'Flood Warning'), matched regardless of case.
+	 * @param    {string|Array<string>} criteria.severity - The severities, matched regardless of case, an alert without severity not matching.
+	 * @param    {Date|number|string} criteria.from - The start of the time window, the alerts ending before it not matching.
+	 * @param    {Date|number|string} criteria.to - The end of the time window, the alerts starting after it not matching.
+	 * @returns  {Array<object>} The weather alerts meeting the criteria.
+	 * @desc     Filters the weather alerts by event type, severity and time window. A time is either a Date, a Unix timestamp,
+	 *           or a datetime string, local to the time zone of the weather data unless it has an offset.
+	 * @throws   {WeatherValidationError} If a time is invalid.
 	 */
-	setHumidityAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).humidity = value);
-		}
-		catch(error){
-			throw error;
-		}
+	filterAlerts(criteria = {}){
+		const list = (value) => [].concat(value).map(item => String(item).toLowerCase());
+
+		const events = criteria.event === undefined ? null : list(criteria.event);
+		const severities = criteria.severity === undefined ? null : list(criteria.severity);
+		const from = criteria.from === undefined ? -Infinity : this.#toEpoch(criteria.from, 'from', 'Weather.filterAlerts');
+		const to = criteria.to === undefined ? Infinity : this.#toEpoch(criteria.to, 'to', 'Weather.filterAlerts');
+
+		return this.getAlerts().filter(alert => {
+			const [onset, ends] = alertInterval(alert);
+
+			return (!events || events.includes(String(alert.event).toLowerCase())) &&
+				(!severities || (alert.severity != null && severities.includes(String(alert.severity).toLowerCase()))) &&
+				ends > from && onset <= to;
+		});
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Alerts Elements
 	 *
-	 * @method   getPrecipAtDatetime
+	 * @method   getActiveAlerts
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The precipitation amount at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the precipitation amount for a specific datetime within the weather data.
+	 * @param    {Date|number|string} datetime - The time, a Date, a Unix timestamp, or a datetime string local to the time zone
+	 *           of the weather data unless it has an offset, the current time if not specified.
+	 * @returns  {Array<object>} The weather alerts active at the time, from their onset up to their end.
+	 * @desc     Retrieves the weather alerts active at a given time.
+	 * @throws   {WeatherValidationError} If the time is invalid.
 	 */
-	getPrecipAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	getActiveAlerts(datetime = new Date()){
+		const time = this.#toEpoch(datetime, 'datetime', 'Weather.getActiveAlerts');
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.precip;
-		}
-		catch(error){
-			return null;
-		}
+		return this.getAlerts().filter(alert => {
+			const [onset, ends] = alertInterval(alert);
+			return onset <= time && time < ends;
+		});
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   setPrecipAtDatetime
+	 * @method   validateDatetimeFormat
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The precipitation amount to be set.
-	 * @desc     Sets the precipitation amount for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string} format - The format of the datetimes, 'date', 'utc' or 'local'.
+	 * @param    {string} source - The name of the calling method, used to prefix the error message.
+	 * @desc     Validates the format of the datetimes.
+	 * @throws   {WeatherValidationError} If the format is not supported.
 	 */
-	setPrecipAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).precip = value);
-		}
-		catch(error){
-			throw error;
+	#validateDatetimeFormat(format, source){
+		if(!['date', 'utc', 'local'].includes(format)){
+			throw new WeatherValidationError(`${source}: Invalid format value '${format}'.`, { param: 'format' });
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   getPrecipProbAtDatetime
+	 * @method   formatDatetime
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The probability of precipitation at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the probability of precipitation for a specific datetime within the weather data.
+	 * @param    {string} date - The date of the day (in `yyyy-MM-dd` format).
+	 * @param    {string} time - The time of the hour or minute (in `HH:mm:ss` format).
+	 * @param    {number} epoch - The Unix timestamp of the datetime, if available.
+	 * @param    {string} format - The format of the datetime, 'date', 'utc' or 'local'.
+	 * @returns  {Date|string} The instant of the datetime in the given format.
+	 * @desc     Converts a datetime of the weather data into an instant, from its Unix timestamp, or else in the time zone of the location.
 	 */
-	getPrecipProbAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	#formatDatetime(date, time, epoch, format){
+		const { timezone, tzoffset } = this.#weatherData;
+		const seconds = typeof epoch === 'number' ? epoch : localDatetimeToEpoch(`${date}T${time}`, timezone, tzoffset);
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.precipprob;
-		}
-		catch(error){
-			return null;
-		}
+		return formatInstant(seconds * 1000, format, timezone, tzoffset);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   setPrecipProbAtDatetime
+	 * @method   toEpoch
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The probability of precipitation to be set.
-	 * @desc     Sets the probability of precipitation for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Date|number|string} value - A Date, a Unix timestamp, or a datetime (in `yyyy-MM-dd[THH:mm:ss]` format) with an optional offset.
+	 * @param    {string} param - The name of the parameter holding the value.
+	 * @param    {string} source - The name of the calling method, used to prefix the error message.
+	 * @returns  {number} The Unix timestamp of the value, a datetime without offset being local to the time zone of the weather data.
+	 * @desc     Converts a time into a Unix timestamp.
+	 * @throws   {WeatherValidationError} If the value is invalid.
 	 */
-	setPrecipProbAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).precipprob = value);
+	#toEpoch(value, param, source){
+		let time = NaN;
+
+		if(value instanceof Date){
+			time = value.getTime() / 1000;
 		}
-		catch(error){
-			throw error;
+		else
+		if(typeof value === 'number'){
+			time = value;
+		}
+		else
+		if(typeof value === 'string'){
+			const datetime = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value;
+
+			if(/(Z|[+-]\d{2}:?\d{2})$/.test(datetime)){
+				time = Date.parse(datetime) / 1000;
+			}
+			else
+			if(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(datetime)){
+				time = localDatetimeToEpoch(datetime, this.#weatherData?.timezone, this.#weatherData?.tzoffset);
+			}
+		}
+
+		if(!Number.isFinite(time)){
+			throw new WeatherValidationError(`${source}: Invalid ${param} value '${value}'.`, { param });
 		}
+
+		return time;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Events Elements
 	 *
-	 * @method   getPreciptypeAtDatetime
+	 * @method   getEventsOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {string} The type of precipitation at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the type of precipitation for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @returns  {Array<object>} The historical events (e.g. hail, tornado, wind damage) reported on the specified day, or an empty list if not available.
+	 * @desc     Retrieves the historical events of a specific day identified by date or index, requested by including 'events' in the result data.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getPreciptypeAtDatetime(dayInfo, timeInfo){
+	getEventsOnDay(dayInfo){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.preciptype;
+			if(typeof dayInfo === 'string'){
+				return this.#findItem(this.#weatherData.days, dayInfo)?.events || [];
+			}
+			else
+			if(typeof dayInfo === 'number'){
+				return this.#weatherData.days[dayInfo]?.events || [];
+			}
+			else{
+				throw new WeatherValidationError(`Weather.getEventsOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
+			}
 		}
 		catch(error){
-			return null;
+			if(error instanceof WeatherValidationError) throw error;
+			return [];
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Events Elements
 	 *
-	 * @method   setPreciptypeAtDatetime
+	 * @method   setEventsOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {string} value - The type of precipitation to be set.
-	 * @desc     Sets the type of precipitation for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {Array<object>} value - The new list of historical events.
+	 * @desc     Sets the historical events of a specific day identified by date or index.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	setPreciptypeAtDatetime(dayInfo, timeInfo, value){
+	setEventsOnDay(dayInfo, value){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).preciptype = value);
+			if(typeof dayInfo === 'string'){
+				const day = this.#findItem(this.#weatherData.days, dayInfo);
+
+				if(day){
+					day.events = value;
+				}
+			}
+			else
+			if(typeof dayInfo === 'number'){
+				let day = this.#weatherData.days[dayInfo];
+				if(day) day.events = value;
+			}
+			else{
+				throw new WeatherValidationError(`Weather.setEventsOnDay: Invalid input day value '${dayInfo}'.`, { param: 'dayInfo' });
+			}
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.setEventsOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Events Elements
 	 *
-	 * @method   getSnowAtDatetime
+	 * @method   getEvents
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The snow amount at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the snow amount for a specific datetime within the weather data.
+	 * @returns  {Array<object>} The historical events of all the days, in day order, or an empty list if not available.
+	 * @desc     Retrieves the historical events across the weather data.
 	 */
-	getSnowAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.snow;
-		}
-		catch(error){
-			return null;
-		}
+	getEvents(){
+		return this.#dayEvents().map(({ event }) => event);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Events Elements
 	 *
-	 * @method   setSnowAtDatetime
+	 * @method   filterEvents
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The snow amount to be set.
-	 * @desc     Sets the snow amount for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Object} criteria - The filtering criteria, all of those specified being met.
+	 * @param    {string|Array<string>} criteria.type - The event types (e.g. 'hail', 'tornado', 'wind'), matched regardless of case.
+	 * @param    {number} criteria.maxDistance - The maximum distance of the events from the requested location, in the unit of their distance element.
+	 * @param    {string} criteria.fromDate - The first day of the events (in `yyyy-MM-dd` format).
+	 * @param    {string} criteria.toDate - The last day of the events (in `yyyy-MM-dd` format).
+	 * @returns  {Array<object>} The historical events meeting the criteria, in day order.
+	 * @desc     Filters the historical events by type, distance from the requested location and day.
+	 * @throws   {WeatherValidationError} If a criterion is invalid.
 	 */
-	setSnowAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).snow = value);
-		}
-		catch(error){
-			throw error;
-		}
+	filterEvents(criteria = {}){
+		return this.#filterDayEvents(criteria, 'Weather.filterEvents').map(({ event }) => event);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Events Elements
 	 *
-	 * @method   getSnowDepthAtDatetime
+	 * @method   summarizeEvents
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The snow depth at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the snow depth for a specific datetime within the weather data.
+	 * @param    {string} period - The summarizing period, 'day', 'month', 'year' or 'all', 'month' by default.
+	 * @param    {Object} criteria - The filtering criteria of the events, as those of filterEvents.
+	 * @returns  {Object} The counts of the events by type (e.g. { hail: 2, wind: 1 }), keyed by period ('yyyy-MM-dd', 'yyyy-MM', 'yyyy' or 'all'), in day order.
+	 * @desc     Counts the historical events by type per period, e.g. to correlate losses with the reported events.
+	 * @throws   {WeatherValidationError} If the period or a criterion is invalid.
 	 */
-	getSnowDepthAtDatetime(dayInfo, timeInfo){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
+	summarizeEvents(period = 'month', criteria = {}){
+		const lengths = { day: 10, month: 7, year: 4, all: 0 };
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.snowdepth;
+		if(!(period in lengths)){
+			throw new WeatherValidationError(`Weather.summarizeEvents: Invalid period value '${period}'.`, { param: 'period' });
 		}
-		catch(error){
-			return null;
+
+		const summary = {};
+
+		for(const { date, event } of this.#filterDayEvents(criteria, 'Weather.summarizeEvents')){
+			const key = period === 'all' ? 'all' : date.slice(0, lengths[period]);
+			const type = String(event.type ?? 'unknown').toLowerCase();
+
+			summary[key] ??= {};
+			summary[key][type] = (summary[key][type] ?? 0) + 1;
 		}
+
+		return summary;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   setSnowDepthAtDatetime
+	 * @method   dayEvents
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The snow depth to be set.
-	 * @desc     Sets the snow depth for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @returns  {Array<Object>} The historical events ({ date, event }) of all the days, with the date of their day.
+	 * @desc     Lists the historical events across the weather data.
 	 */
-	setSnowDepthAtDatetime(dayInfo, timeInfo, value){
-		try{
-			const dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).snowdepth = value);
-		}
-		catch(error){
-			throw error;
-		}
+	#dayEvents(){
+		const days = Array.isArray(this.#weatherData?.days) ? this.#weatherData.days : [];
+
+		return days.flatMap(day => Array.isArray(day.events) ? day.events.map(event => ({ date: day.datetime, event })) : []);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   getWindgustAtDatetime
+	 * @method   filterDayEvents
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The wind gust speed at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the wind gust speed for a specific datetime within the weather data.
+	 * @param    {Object} criteria - The filtering criteria, as those of filterEvents.
+	 * @param    {string} source - The name of the calling method, used to prefix the error messages.
+	 * @returns  {Array<Object>} The historical events ({ date, event }) meeting the criteria.
+	 * @desc     Filters the historical events by type, distance and day.
+	 * @throws   {WeatherValidationError} If a criterion is invalid.
 	 */
-	getWindgustAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
+	#filterDayEvents(criteria, source){
+		const { type, maxDistance, fromDate = '', toDate = '9999-12-31' } = criteria;
+		const types = type === undefined ? null : [].concat(type).map(item => String(item).toLowerCase());
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.windgust;
+		if(maxDistance !== undefined && (typeof maxDistance !== 'number' || !(maxDistance >= 0))){
+			throw new WeatherValidationError(`${source}: Invalid maxDistance value '${maxDistance}'.`, { param: 'maxDistance' });
 		}
-		catch(error){
-			return null;
+
+		for(const [name, value] of Object.entries({ fromDate, toDate })){
+			if(value !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(value)){
+				throw new WeatherValidationError(`${source}: Invalid ${name} value '${value}'.`, { param: name });
+			}
 		}
+
+		return this.#dayEvents().filter(({ date, event }) =>
+			(!types || types.includes(String(event.type).toLowerCase())) &&
+			(maxDistance === undefined || (typeof event.distance === 'number' && event.distance <= maxDistance)) &&
+			date >= fromDate && date <= toDate
+		);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   setWindgustAtDatetime
+	 * @method   getWeatherMinutelyData
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The wind gust speed to be set.
-	 * @desc     Sets the wind gust speed for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {Array<object>|null} List of minute data dictionaries of all the days, filtered by elements if specified, or null if not available.
+	 * @desc     Get the sub-hourly weather data of all the days, requested by including 'minutes' in the result data, as a single series.
 	 */
-	setWindgustAtDatetime(dayInfo, timeInfo, value){
+	getWeatherMinutelyData(elements = []){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).windgust = value);
+			const minutelyData = this.#weatherData.days.flatMap(day => day.hours.flatMap(hour => hour.minutes || []));
+			if(elements.length > 0){
+				return minutelyData.map(minute => extractSubobjectByKeys(minute, elements));
+			}
+			else{
+				return minutelyData;
+			}
 		}
 		catch(error){
-			throw error;
+			return null;
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   getWindspeedAtDatetime
+	 * @method   getMinutelyDataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The wind speed at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the wind speed for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {Array<string>} elements - Optional list of keys to filter the minute data.
+	 * @returns  {Array<object>} A list of minute data dictionaries for the specified day.
+	 * @desc     Retrieves the sub-hourly weather data for a specific day identified by date or index. Optionally filters the data to include only specified elements.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getWindspeedAtDatetime(dayInfo, timeInfo){
+	getMinutelyDataOnDay(dayInfo, elements = []){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+			const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+			const minutelyData = dayItem?.hours?.flatMap(hour => hour.minutes || []) || [];
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.windspeed;
+			if(elements.length > 0){
+				return minutelyData.map(minute => extractSubobjectByKeys(minute, elements));
+			}
+			return minutelyData;
 		}
 		catch(error){
-			return null;
+			throw toWeatherError('Weather.getMinutelyDataOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   setWindspeedAtDatetime
+	 * @method   getDataAtMinute
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The wind speed to be set.
-	 * @desc     Sets the wind speed for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index of the minute list of the day.
+	 * @param    {Array<string>} elements - Specific weather elements to retrieve.
+	 * @returns  {Object|null} The minute data dictionary corresponding to the given day and time, or null if not available.
+	 * @desc     Retrieves the sub-hourly weather data for a specific date and time.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier is invalid, or the day is not available.
 	 */
-	setWindspeedAtDatetime(dayInfo, timeInfo, value){
+	getDataAtMinute(dayInfo, timeInfo, elements = []){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).windspeed = value);
+			const [minutes, minuteInfo] = this.#locateMinute(dayInfo, timeInfo);
+			const data = Weather.filterItemByDatetimeVal(minutes, minuteInfo);
+
+			if(data && elements.length){
+				return extractSubobjectByKeys(data, elements);
+			}
+			else{
+				return data;
+			}
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.getDataAtMinute', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   getWinddirAtDatetime
+	 * @method   setDataAtMinute
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The wind direction at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the wind direction for a specific datetime within the weather data.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index of the minute list of the day.
+	 * @param    {Object} data - The data dictionary to be set for the specific minute.
+	 * @desc     Sets the sub-hourly weather data for a specific date and time.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier or the data is invalid, or the day is not available.
 	 */
-	getWinddirAtDatetime(dayInfo, timeInfo){
+	setDataAtMinute(dayInfo, timeInfo, data){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.winddir;
+			const [minutes, minuteInfo] = this.#locateMinute(dayInfo, timeInfo);
+			Weather.setItemByDatetimeVal(minutes, minuteInfo, data);
 		}
 		catch(error){
-			return null;
+			throw toWeatherError('Weather.setDataAtMinute', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   setWinddirAtDatetime
+	 * @method   updateDataAtMinute
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The wind direction to be set.
-	 * @desc     Sets the wind direction for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index of the minute list of the day.
+	 * @param    {Object} data - The data dictionary to be updated for the specific minute.
+	 * @desc     Updates the sub-hourly weather data for a specific date and time.
+	 * @throws   {WeatherValidationError|WeatherDataError} If an identifier or the data is invalid, or the day is not available.
 	 */
-	setWinddirAtDatetime(dayInfo, timeInfo, value){
+	updateDataAtMinute(dayInfo, timeInfo, data){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).winddir = value);
+			const [minutes, minuteInfo] = this.#locateMinute(dayInfo, timeInfo);
+			Weather.updateItemByDatetimeVal(minutes, minuteInfo, data);
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.updateDataAtMinute', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   getPressureAtDatetime
+	 * @method   getMinutelyDatetimes
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The atmospheric pressure at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the atmospheric pressure for a specific datetime within the weather data.
+	 * @param    {string} format - 'date' for Date objects, 'utc' for ISO 8601 UTC strings, or 'local' for ISO 8601 strings in the local time of the location, 'date' by default.
+	 * @returns  {Array<Date|string>} The instant of each minute in the weather data, or an empty array if no data.
+	 * @desc     Retrieves the instants of the minutes of the weather data, as getHourlyDatetimes does for the hours.
+	 * @throws   {WeatherValidationError} If the format is not supported.
 	 */
-	getPressureAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	getMinutelyDatetimes(format = 'date'){
+		this.#validateDatetimeFormat(format, 'Weather.getMinutelyDatetimes');
 
-			if(!dayItem) return dayItem;
+		const days = this.#weatherData?.days || [];
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.pressure;
-		}
-		catch(error){
-			return null;
-		}
+		return days.flatMap(day =>
+			(day.hours || []).flatMap(hour => (hour.minutes || []).map(minute => this.#formatDatetime(day.datetime, minute.datetime, minute.datetimeEpoch, format)))
+		);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   setPressureAtDatetime
+	 * @method   resampleMinutelyToHourly
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The atmospheric pressure to be set.
-	 * @desc     Sets the atmospheric pressure for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @returns  {Array<object>} List of hourly data dictionaries of all the days, aggregated from their minute data.
+	 * @desc     Resamples the sub-hourly weather data into hourly data, without modifying the weather data. The precipitation, snow
+	 *           and solar energy are summed, the maximum wind gust, precipitation probability, severe risk and UV index are retained,
+	 *           the wind direction is averaged as an angle, the other numeric elements are averaged, and the other elements are those
+	 *           of the first minute of every hour. The hours without minute data are left out.
 	 */
-	setPressureAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).pressure = value);
-		}
-		catch(error){
-			throw error;
-		}
+	resampleMinutelyToHourly(){
+		const days = this.#weatherData?.days || [];
+
+		return days.flatMap(day => (day.hours || [])
+			.filter(hour => hour.minutes?.length)
+			.map(hour => aggregateRecords(hour.minutes))
+		);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Minutes Elements
 	 *
-	 * @method   getCloudcoverAtDatetime
+	 * @method   resampleHourlyToMinutely
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The cloud cover at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the cloud cover for a specific datetime within the weather data.
+	 * @param    {number} interval - The interval in minutes of the resampled data, a divisor of 60, 15 by default.
+	 * @returns  {Array<object>} List of minute data dictionaries of all the days, interpolated from their hourly data.
+	 * @desc     Resamples the hourly weather data into sub-hourly data, without modifying the weather data. The numeric elements are
+	 *           interpolated linearly towards the next hour (the wind direction as an angle), except that the precipitation, snow and
+	 *           solar energy are divided evenly, and the maximum wind gust, precipitation probability, severe risk and UV index are
+	 *           repeated, as are the other elements.
+	 * @throws   {WeatherValidationError} If the interval is not a divisor of 60.
 	 */
-	getCloudcoverAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	resampleHourlyToMinutely(interval = 15){
+		if(!Number.isInteger(interval) || interval < 1 || 60 % interval){
+			throw new WeatherValidationError(`Weather.resampleHourlyToMinutely: Invalid interval value '${interval}'.`, { param: 'interval' });
+		}
 
-			if(!dayItem) return dayItem;
+		const hours = (this.#weatherData?.days || []).flatMap(day => day.hours || []);
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.cloudcover;
-		}
-		catch(error){
-			return null;
-		}
+		return hours.flatMap((hour, index) => interpolateRecords(hour, hours[index + 1], interval));
 	}
 
 	/**
-	 * Core Weather Elements at datetime
-	 *
-	 * @method   setCloudcoverAtDatetime
+	 * @method   locateMinute
 	 * @instance
+	 * @private
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The cloud cover to be set.
-	 * @desc     Sets the cloud cover for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index of the minute list of the day.
+	 * @returns  {Array} The minute list of the hour holding the minute, and the identifier of the minute in that list.
+	 * @desc     Locates a minute within the hours of a day.
+	 * @throws   {WeatherValidationError|TypeError} If the dayInfo is invalid, or the day is not available.
 	 */
-	setCloudcoverAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).cloudcover = value);
+	#locateMinute(dayInfo, timeInfo){
+		const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+
+		if(typeof timeInfo === 'string'){
+			const hourItem = dayItem.hours.find(hour => hour.datetime.slice(0, 2) === timeInfo.slice(0, 2));
+			return [hourItem?.minutes || [], timeInfo];
 		}
-		catch(error){
-			throw error;
+		else
+		if(typeof timeInfo === 'number'){
+			let offset = timeInfo;
+
+			for(const hour of dayItem.hours){
+				const minutes = hour.minutes || [];
+
+				if(offset < minutes.length){
+					return [minutes, offset];
+				}
+				offset -= minutes.length;
+			}
+			return [[], 0];
+		}
+		else{
+			return [[], timeInfo];	/* rejected by the datetime value filter */
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Normals Elements
 	 *
-	 * @method   getVisibilityAtDatetime
+	 * @method   getNormalsOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The visibility at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the visibility for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {Array<string>} elements - List of elements to include in the returned data.
+	 * @returns  {object|null} The statistical normals of the day, each a list of the minimum, mean and maximum, filtered by elements if specified, or null if not available.
+	 * @desc     Retrieves the statistical normals of a specific day identified by date or index, requested by including 'stats' in the result data.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getVisibilityAtDatetime(dayInfo, timeInfo){
+	getNormalsOnDay(dayInfo, elements = []){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+			const normal = this.#findItem(this.#weatherData.days, dayInfo)?.normal || null;
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.visibility;
+			if(normal && elements.length > 0){
+				return extractSubobjectByKeys(normal, elements);
+			}
+			else{
+				return normal;
+			}
 		}
 		catch(error){
+			if(error instanceof WeatherValidationError) throw error;
 			return null;
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Normals Elements
 	 *
-	 * @method   setVisibilityAtDatetime
+	 * @method   setNormalsOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The visibility to be set.
-	 * @desc     Sets the visibility for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {object} value - The new statistical normals of the day.
+	 * @desc     Sets the statistical normals of a specific day identified by date or index.
+	 * @throws   {WeatherValidationError|WeatherDataError} If the dayInfo is neither a string nor a number, or the data is not available.
 	 */
-	setVisibilityAtDatetime(dayInfo, timeInfo, value){
+	setNormalsOnDay(dayInfo, value){
 		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).visibility = value);
+			const dayItem = this.#findItem(this.#weatherData.days, dayInfo);
+			dayItem && (dayItem.normal = value);
 		}
 		catch(error){
-			throw error;
+			throw toWeatherError('Weather.setNormalsOnDay', error);
 		}
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Normals Elements
 	 *
-	 * @method   getSolarradiationAtDatetime
+	 * @method   getNormalOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The solar radiation at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the solar radiation for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {string} element - The element, e.g. 'tempmax', 'precip' or 'windspeed'.
+	 * @returns  {Object|null} The normal ({ min, mean, max }) of the element on the day, or null if not available.
+	 * @desc     Retrieves the statistical normal of an element on a specific day identified by date or index.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getSolarradiationAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	getNormalOnDay(dayInfo, element){
+		const normal = this.getNormalsOnDay(dayInfo)?.[element];
 
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.solarradiation;
-		}
-		catch(error){
+		if(!Array.isArray(normal) || normal.length < 3 || normal.some(value => typeof value !== 'number')){
 			return null;
 		}
+
+		const [min, mean, max] = normal;
+		return { min, mean, max };
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Normals Elements
 	 *
-	 * @method   setSolarradiationAtDatetime
+	 * @method   getAnomalyOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The solar radiation to be set.
-	 * @desc     Sets the solar radiation for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @param    {string} element - The element, e.g. 'tempmax', 'precip' or 'windspeed'.
+	 * @returns  {Object|null} The anomaly ({ datetime, source, value, normal, anomaly, percentile }) of the element on the day, or null if not available.
+	 * @desc     Computes how far the observed or forecast value of an element on a specific day deviates from its normal: in absolute
+	 *           terms, as the difference from the normal mean, and in percentile terms, as the approximate position of the value within
+	 *           the normal range (0 at or below the minimum, 50 at the mean, 100 at or above the maximum).
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	setSolarradiationAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).solarradiation = value);
-		}
-		catch(error){
-			throw error;
+	getAnomalyOnDay(dayInfo, element){
+		const normal = this.getNormalOnDay(dayInfo, element);
+		const day = normal && this.#findItem(this.#weatherData.days, dayInfo);
+		const value = day?.[element];
+
+		if(typeof value !== 'number'){
+			return null;
 		}
+
+		return {
+			datetime: day.datetime,
+			source: day.source ?? null,
+			value,
+			normal,
+			anomaly: value - normal.mean,
+			percentile: percentileOfNormal(value, normal),
+		};
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Normals Elements
 	 *
-	 * @method   getSolarenergyAtDatetime
+	 * @method   getAnomalies
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The solar energy at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the solar energy for a specific datetime within the weather data.
+	 * @param    {string} element - The element, e.g. 'tempmax', 'precip' or 'windspeed'.
+	 * @returns  {Array<Object>} The anomalies of the element on the days having both a value and a normal, as those of getAnomalyOnDay.
+	 * @desc     Computes the anomalies of an element across the weather data. The source of every day tells the observations ('obs')
+	 *           from the forecast ('fcst') and the statistical forecast ('stats'), based on the normals themselves.
 	 */
-	getSolarenergyAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
+	getAnomalies(element){
+		const days = Array.isArray(this.#weatherData?.days) ? this.#weatherData.days : [];
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.solarenergy;
-		}
-		catch(error){
-			return null;
-		}
+		return days.map((day, index) => this.getAnomalyOnDay(index, element)).filter(anomaly => anomaly !== null);
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   setSolarenergyAtDatetime
+	 * @method   getStation
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The solar energy to be set.
-	 * @desc     Sets the solar energy for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string} id - The station identifier, e.g. 'HEBA'.
+	 * @returns  {Object|null} The station metadata (id, name, distance, latitude, longitude, contribution, quality, useCount), or null if not available.
+	 * @desc     Resolves a station identifier to the station metadata of the weather data.
 	 */
-	setSolarenergyAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).solarenergy = value);
-		}
-		catch(error){
-			throw error;
-		}
+	getStation(id){
+		const stations = this.#weatherData?.stations;
+		return stations && typeof stations === 'object' && Object.hasOwn(stations, id) ? stations[id] : null;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   getUvindexAtDatetime
+	 * @method   getStationsMetadataOnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The UV index at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the UV index for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date as a string ('YYYY-MM-DD') or index as an integer.
+	 * @returns  {Array<Object>} The metadata of the stations of the day, an identifier without metadata (e.g. 'remote') giving { id } only.
+	 * @desc     Resolves the station identifiers of a specific day identified by date or index to their metadata.
+	 * @throws   {WeatherValidationError} If the dayInfo is neither a string nor a number.
 	 */
-	getUvindexAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.uvindex;
-		}
-		catch(error){
-			return null;
-		}
+	getStationsMetadataOnDay(dayInfo){
+		const ids = this.getStationsOnDay(dayInfo) || [];
+		return ids.map(id => this.getStation(id) ?? { id });
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   setUvindexAtDatetime
+	 * @method   getStationsMetadataAtDatetime
 	 * @instance
 	 * @memberof module:weather.Weather
 	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
 	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The UV index to be set.
-	 * @desc     Sets the UV index for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @returns  {Array<Object>} The metadata of the stations of the hour, an identifier without metadata giving { id } only.
+	 * @desc     Resolves the station identifiers of a specific datetime to their metadata.
+	 * @throws   {WeatherValidationError} If the dayInfo or timeInfo is neither a string nor a number.
 	 */
-	setUvindexAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).uvindex = value);
-		}
-		catch(error){
-			throw error;
-		}
+	getStationsMetadataAtDatetime(dayInfo, timeInfo){
+		const ids = this.getStationsAtDatetime(dayInfo, timeInfo) || [];
+		return ids.map(id => this.getStation(id) ?? { id });
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   getSevereriskAtDatetime
+	 * @method   rankStations
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {number|null} The severe risk at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the severe risk for a specific datetime within the weather data.
+	 * @param    {string} by - The ranking element, 'distance' (nearest first), or 'contribution', 'quality' or 'useCount' (highest first), 'distance' by default.
+	 * @returns  {Array<Object>} The metadata of the stations of the weather data, ranked, those missing the ranking element last.
+	 * @desc     Ranks the stations of the weather data by distance from the requested location, or by contribution, quality or use count.
+	 * @throws   {WeatherValidationError} If the ranking element is not supported.
 	 */
-	getSevereriskAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	rankStations(by = 'distance'){
+		if(!['distance', 'contribution', 'quality', 'useCount'].includes(by)){
+			throw new WeatherValidationError(`Weather.rankStations: Invalid ranking element '${by}'.`, { param: 'by' });
+		}
 
-			if(!dayItem) return dayItem;
+		const stations = this.#weatherData?.stations && typeof this.#weatherData.stations === 'object' ? Object.values(this.#weatherData.stations) : [];
+		const rank = (station) => typeof station[by] === 'number' ? (by === 'distance' ? station[by] : -station[by]) : Infinity;
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.severerisk;
-		}
-		catch(error){
-			return null;
-		}
+		return stations.sort((a, b) => rank(a) - rank(b) || 0);	/* NaN for two stations missing the element */
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   setSevereriskAtDatetime
+	 * @method   getNearestStation
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {number} value - The severe risk to be set.
-	 * @desc     Sets the severe risk for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @returns  {Object|null} The metadata of the station nearest to the requested location, or null if not available.
+	 * @desc     Retrieves the station of the weather data nearest to the requested location.
 	 */
-	setSevereriskAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).severerisk = value);
-		}
-		catch(error){
-			throw error;
-		}
+	getNearestStation(){
+		const [nearest] = this.rankStations('distance');
+		return nearest && typeof nearest.distance === 'number' ? nearest : null;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Stations Elements
 	 *
-	 * @method   getStationsAtDatetime
+	 * @method   getStationUsage
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {string[]|null} The weather stations that were used for creating the observation at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the weather stations that were used for creating the observation for a specific datetime within the weather data.
+	 * @param    {string} level - 'day' to report the days, or 'hour' to report the hours, 'day' by default.
+	 * @returns  {Object} The days ('YYYY-MM-DD') or the hours ('YYYY-MM-DDTHH:MM:SS') contributed to by every station, keyed by station identifier.
+	 * @desc     Reports which stations contributed to each day or hour of the weather data.
+	 * @throws   {WeatherValidationError} If the level is neither 'day' nor 'hour'.
 	 */
-	getStationsAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
+	getStationUsage(level = 'day'){
+		if(!['day', 'hour'].includes(level)){
+			throw new WeatherValidationError(`Weather.getStationUsage: Invalid level value '${level}'.`, { param: 'level' });
+		}
 
-			if(!dayItem) return dayItem;
+		const usage = {};
+		const days = Array.isArray(this.#weatherData?.days) ? this.#weatherData.days : [];
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.stations;
-		}
-		catch(error){
-			return null;
+		const record = (ids, datetime) => {
+			for(const id of Array.isArray(ids) ? ids : []){
+				(usage[id] ??= []).push(datetime);
+			}
+		};
+
+		for(const day of days){
+			if(level === 'day'){
+				record(day.stations, day.datetime);
+			}
+			else{
+				(day.hours || []).forEach(hour => record(hour.stations, `${day.datetime}T${hour.datetime}`));
+			}
 		}
+
+		return usage;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Units Elements
 	 *
-	 * @method   setStationsAtDatetime
+	 * @method   getUnitGroup
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {string[]} value - The weather stations to be set.
-	 * @desc     Sets the weather stations that were used for creating the observation for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @returns  {string|null} The unit group of the weather data ('us', 'metric', 'uk' or 'base'), or null if unknown.
+	 * @desc     Retrieves the unit group of the weather data, that of the last fetch, or as set with the weather data.
 	 */
-	setStationsAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).stations = value);
-		}
-		catch(error){
-			throw error;
-		}
+	getUnitGroup(){
+		return this.#unitGroup;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Units Elements
 	 *
-	 * @method   getSourceAtDatetime
+	 * @method   getElementUnit
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {string|null} The type of weather data used for this weather object at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the type of weather data used for this weather object for a specific datetime within the weather data.
-	 *           Values include historical observation (“obs”), forecast (“fcst”), historical forecast (“histfcst”) or statistical forecast (“stats”).
-	 *           If multiple types are used in the same day, “comb” is used. Today a combination of historical observations and forecast data.
+	 * @param    {string} element - The element name, e.g. 'temp' or 'precip'.
+	 * @returns  {string|null} The unit of the element in the unit group of the weather data (e.g. 'C', 'F', 'mm', 'in', 'kmh', 'mph' or '%'),
+	 *           or null if the unit group is unknown, or the element unitless or not in the catalog.
+	 * @desc     Retrieves the unit of an element of the weather data.
 	 */
-	getSourceAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.source;
-		}
-		catch(error){
-			return null;
-		}
+	getElementUnit(element){
+		return this.#unitGroup ? getElementUnit(element, this.#unitGroup) : null;
 	}
 
 	/**
-	 * Core Weather Elements at datetime
+	 * Units Elements
 	 *
-	 * @method   setSourceAtDatetime
+	 * @method   convertUnitGroup
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {string} value - The type of weather data to be set.
-	 * @desc     Sets the type of weather data used for this weather object for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string} unitGroup - The target unit group ('us', 'metric', 'uk' or 'base').
+	 * @param    {number|null} precision - The number of decimals of the converted values, or null not to round them, by default that of the
+	 *           target unit (3 decimals for inches, 1 otherwise).
+	 * @desc     Converts the weather data in place, its days, hours, minutes, current conditions and statistical normals, to the units
+	 *           of another unit group, and records the new unit group.
+	 * @throws   {WeatherValidationError} If the unit group or the precision is invalid.
+	 * @throws   {WeatherDataError} If the unit group of the weather data is unknown.
 	 */
-	setSourceAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).source = value);
+	convertUnitGroup(unitGroup, precision = undefined){
+		Weather.validateParamUnitGroup(unitGroup);
+
+		if(precision !== undefined && precision !== null && (!Number.isInteger(precision) || precision < 0)){
+			throw new WeatherValidationError(`Weather.convertUnitGroup: Invalid precision value '${precision}'.`, { param: 'precision' });
 		}
-		catch(error){
-			throw error;
+
+		if(!this.#unitGroup){
+			throw new WeatherDataError('Weather.convertUnitGroup: The unit group of the weather data is unknown.');
+		}
+
+		const from = this.#unitGroup;
+		const convert = (record) => record && typeof record === 'object' && Object.assign(record, convertRecord(record, from, unitGroup, precision));
+
+		for(const day of Array.isArray(this.#weatherData?.days) ? this.#weatherData.days : []){
+			convert(day);
+
+			if(day?.normal && typeof day.normal === 'object'){
+				day.normal = convertNormals(day.normal, from, unitGroup, precision);
+			}
+
+			for(const hour of Array.isArray(day?.hours) ? day.hours : []){
+				convert(hour);
+				(Array.isArray(hour?.minutes) ? hour.minutes : []).forEach(convert);
+			}
 		}
+
+		convert(this.#weatherData?.currentConditions);
+
+		this.#unitGroup = unitGroup;
 	}
 
 	/**
-	 * Description Elements at datetime
+	 * Data Elements
 	 *
-	 * @method   getConditionsAtDatetime
+	 * @method   get<Element>OnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {string} The conditions at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the conditions for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date (YYYY-MM-DD) or index.
+	 * @returns  {*} The value of the element on the day, or null if not available.
+	 * @desc     Retrieves an element of a day, generated from the element catalog as a wrapper of get(element, { day }), e.g. getTempmaxOnDay(0),
+	 *           for every element reported for the days:
+	 *           datetime, datetimeEpoch, tzoffset, tempmax, tempmin, temp, feelslikemax, feelslikemin, feelslike, dew, humidity, precip,
+	 *           precipprob, precipremote, precipcover, preciptype, snow, snowdepth, windgust, windspeed, windspeedmax, windspeedmean,
+	 *           windspeedmin, winddir, windspeed50, winddir50, windspeed80, winddir80, windspeed100, winddir100, pressure, cloudcover,
+	 *           visibility, solarradiation, solarenergy, dniradiation, difradiation, ghiradiation, gtiradiation, uvindex, severerisk,
+	 *           sunrise, sunriseEpoch, sunset, sunsetEpoch, moonrise, moonriseEpoch, moonset, moonsetEpoch, moonphase, conditions,
+	 *           description, icon, stations, source, degreedays, accdegreedays.
+	 * @throws   {WeatherValidationError} If the day or the time is neither a string nor a number.
 	 */
-	getConditionsAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-
-			if(!dayItem) return dayItem;
-
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.conditions;
-		}
-		catch(error){
-			return null;
-		}
-	}
 
 	/**
-	 * Description Elements at datetime
+	 * Data Elements
 	 *
-	 * @method   setConditionsAtDatetime
+	 * @method   set<Element>OnDay
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {string} value - The conditions to be set.
-	 * @desc     Sets the conditions for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {string|number} dayInfo - The day's date (YYYY-MM-DD) or index.
+	 * @param    {*} value - The new value of the element.
+	 * @desc     Sets an element of a day, generated from the element catalog as a wrapper of set(element, value, { day }), e.g. setTempmaxOnDay(0, 20),
+	 *           for every element reported for the days:
+	 *           datetime, datetimeEpoch, tzoffset, tempmax, tempmin, temp, feelslikemax, feelslikemin, feelslike, dew, humidity, precip,
+	 *           precipprob, precipremote, precipcover, preciptype, snow, snowdepth, windgust, windspeed, windspeedmax, windspeedmean,
+	 *           windspeedmin, winddir, windspeed50, winddir50, windspeed80, winddir80, windspeed100, winddir100, pressure, cloudcover,
+	 *           visibility, solarradiation, solarenergy, dniradiation, difradiation, ghiradiation, gtiradiation, uvindex, severerisk,
+	 *           sunrise, sunriseEpoch, sunset, sunsetEpoch, moonrise, moonriseEpoch, moonset, moonsetEpoch, moonphase, conditions,
+	 *           description, icon, stations, source, degreedays, accdegreedays.
+	 * @throws   {WeatherValidationError} If the day or the time is neither a string nor a number.
+	 * @throws   {WeatherDataError} If the day or the hour is not available.
 	 */
-	setConditionsAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).conditions = value);
-		}
-		catch(error){
-			throw error;
-		}
-	}
 
 	/**
-	 * Description Elements at datetime
+	 * Data Elements
 	 *
-	 * @method   getIconAtDatetime
+	 * @method   get<Element>AtDatetime
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @returns  {string} The weather icon at the specified datetime, or null if not available or error.
-	 * @desc     Retrieves the weather icon for a specific datetime within the weather data.
+	 * @param    {string|number} dayInfo - The day's date (YYYY-MM-DD) or index.
+	 * @param    {string|number} timeInfo - The hour's time (HH:MM:SS) or index.
+	 * @returns  {*} The value of the element at the hour, or null if not available.
+	 * @desc     Retrieves an element of an hour, generated from the element catalog as a wrapper of get(element, { day, time }),
+	 *           e.g. getTempAtDatetime(0, '12:00:00'), for every element reported for the hours:
+	 *           datetime, datetimeEpoch, tzoffset, temp, feelslike, dew, humidity, precip, precipprob, precipremote, preciptype, snow,
+	 *           snowdepth, windgust, windspeed, winddir, windspeed50, winddir50, windspeed80, winddir80, windspeed100, winddir100,
+	 *           pressure, cloudcover, visibility, solarradiation, solarenergy, dniradiation, difradiation, ghiradiation, gtiradiation,
+	 *           sunelevation, sunazimuth, uvindex, severerisk, conditions, icon, stations, source.
+	 *           The legacy names getFeelsLikeAtDatetime, getPrecipProbAtDatetime and getSnowDepthAtDatetime are aliases of getFeelslikeAtDatetime,
+	 *           getPrecipprobAtDatetime and getSnowdepthAtDatetime.
+	 * @throws   {WeatherValidationError} If the day or the time is neither a string nor a number.
 	 */
-	getIconAtDatetime(dayInfo, timeInfo){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
 
-			if(!dayItem) return dayItem;
+	/**
+	 * Data Elements
+	 *
+	 * @method   set<Element>AtDatetime
+	 * @instance
+	 * @memberof module:weather.Weather
+	 * @param    {string|number} dayInfo - The day's date (YYYY-MM-DD) or index.
+	 * @param    {string|number} timeInfo - The hour's time (HH:MM:SS) or index.
+	 * @param    {*} value - The new value of the element.
+	 * @desc     Sets an element of an hour, generated from the element catalog as a wrapper of set(element, value, { day, time }),
+	 *           e.g. setTempAtDatetime(0, '12:00:00', 20), for every element reported for the hours:
+	 *           datetime, datetimeEpoch, tzoffset, temp, feelslike, dew, humidity, precip, precipprob, precipremote, preciptype, snow,
+	 *           snowdepth, windgust, windspeed, winddir, windspeed50, winddir50, windspeed80, winddir80, windspeed100, winddir100,
+	 *           pressure, cloudcover, visibility, solarradiation, solarenergy, dniradiation, difradiation, ghiradiation, gtiradiation,
+	 *           sunelevation, sunazimuth, uvindex, severerisk, conditions, icon, stations, source.
+	 *           The legacy names setFeelsLikeAtDatetime, setPrecipProbAtDatetime and setSnowDepthAtDatetime are aliases of setFeelslikeAtDatetime,
+	 *           setPrecipprobAtDatetime and setSnowdepthAtDatetime.
+	 * @throws   {WeatherValidationError} If the day or the time is neither a string nor a number.
+	 * @throws   {WeatherDataError} If the day or the hour is not available.
+	 */
 
-			const hourItem = Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo);
-			return hourItem && hourItem.icon;
-		}
-		catch(error){
-			return null;
-		}
-	}
+	/**
+	 * Data Elements
+	 *
+	 * @method   get<Element>Current
+	 * @instance
+	 * @memberof module:weather.Weather
+	 * @returns  {*} The value of the element in the current conditions, or null if not available.
+	 * @desc     Retrieves an element of the current conditions, generated from the element catalog as a wrapper of get(element),
+	 *           e.g. getTempCurrent(), for every element reported for the current conditions:
+	 *           datetime, datetimeEpoch, tzoffset, temp, feelslike, dew, humidity, precip, precipprob, preciptype, snow, snowdepth,
+	 *           windgust, windspeed, winddir, pressure, cloudcover, visibility, solarradiation, solarenergy, sunelevation, sunazimuth,
+	 *           uvindex, sunrise, sunriseEpoch, sunset, sunsetEpoch, moonrise, moonriseEpoch, moonset, moonsetEpoch, moonphase,
+	 *           conditions, icon, stations, source.
+	 */
 
 	/**
-	 * Description Elements at datetime
+	 * Data Elements
 	 *
-	 * @method   setIconAtDatetime
+	 * @method   set<Element>Current
 	 * @instance
 	 * @memberof module:weather.Weather
-	 * @param    {string|number} dayInfo - A day identifier, which can be a date string (YYYY-MM-DD) or an index.
-	 * @param    {string|number} timeInfo - A time identifier, which can be a time string (HH:MM:SS) or an index.
-	 * @param    {string} value - The weather icon to be set.
-	 * @desc     Sets the weather icon for a specific datetime within the weather data.
-	 * @throws   {Error} Propagates any exceptions that may occur during the setting process.
+	 * @param    {*} value - The new value of the element.
+	 * @desc     Sets an element of the current conditions, generated from the element catalog as a wrapper of set(element, value),
+	 *           e.g. setTempCurrent(20), for every element reported for the current conditions:
+	 *           datetime, datetimeEpoch, tzoffset, temp, feelslike, dew, humidity, precip, precipprob, preciptype, snow, snowdepth,
+	 *           windgust, windspeed, winddir, pressure, cloudcover, visibility, solarradiation, solarenergy, sunelevation, sunazimuth,
+	 *           uvindex, sunrise, sunriseEpoch, sunset, sunsetEpoch, moonrise, moonriseEpoch, moonset, moonsetEpoch, moonphase,
+	 *           conditions, icon, stations, source.
+	 * @throws   {WeatherDataError} If the current conditions are not available.
 	 */
-	setIconAtDatetime(dayInfo, timeInfo, value){
-		try{
-			let dayItem = Weather.filterItemByDatetimeVal(this.#weatherData.days, dayInfo);
-			dayItem && (Weather.filterItemByDatetimeVal(dayItem.hours, timeInfo).icon = value);
-		}
-		catch(error){
-			throw error;
+
+	/**
+	 * @desc     Generates the named element accessors from the element catalog, for every element at every level it is reported at:
+	 *           get<Element>OnDay(dayInfo) and set<Element>OnDay(dayInfo, value) for the days,
+	 *           get<Element>AtDatetime(dayInfo, timeInfo) and set<Element>AtDatetime(dayInfo, timeInfo, value) for the hours, and
+	 *           get<Element>Current() and set<Element>Current(value) for the current conditions, e.g. getTempOnDay or setSevereriskAtDatetime.
+	 *           They are thin wrappers of get() and set(), with the legacy names (e.g. getFeelsLikeAtDatetime) as aliases.
+	 *           An element having an explicit accessor at a level (e.g. getEventsOnDay) gets no generated one, nor do the elements
+	 *           of the location, having their own accessors (e.g. getLatitude).
+	 */
+	static{
+		for(const [element, { levels }] of Object.entries(ELEMENTS)){
+			for(const level of levels.filter(level => Object.hasOwn(ACCESSOR_LEVELS, level))){
+				const name = element[0].toUpperCase() + element.slice(1) + ACCESSOR_LEVELS[level];
+
+				for(const suffix of [name, ACCESSOR_ALIASES[name]].filter(Boolean)){
+					const getter = `get${suffix}`;
+					const setter = `set${suffix}`;
+
+					if(Object.hasOwn(Weather.prototype, getter) || Object.hasOwn(Weather.prototype, setter)){
+						continue;
+					}
+
+					const methods = {
+						day    : {
+							[getter](dayInfo){ return this.#getElement(element, level, dayInfo, undefined, `Weather.${getter}`); },
+							[setter](dayInfo, value){ this.#setElement(element, value, level, dayInfo, undefined, `Weather.${setter}`); },
+						},
+						hour   : {
+							[getter](dayInfo, timeInfo){ return this.#getElement(element, level, dayInfo, timeInfo, `Weather.${getter}`); },
+							[setter](dayInfo, timeInfo, value){ this.#setElement(element, value, level, dayInfo, timeInfo, `Weather.${setter}`); },
+						},
+						current: {
+							[getter](){ return this.#getElement(element, level, undefined, undefined, `Weather.${getter}`); },
+							[setter](value){ this.#setElement(element, value, level, undefined, undefined, `Weather.${setter}`); },
+						},
+					}[level];
+
+					for(const method of [getter, setter]){
+						Object.defineProperty(Weather.prototype, method, { value: methods[method], writable: true, enumerable: false, configurable: true });
+					}
+				}
+			}
 		}
 	}
 }
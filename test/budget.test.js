@@ -0,0 +1,312 @@
+/**
+ * @module  budget-test
+ * @desc	Testing module for the {@link module:budget budget} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import { QueryBudget } from '../lib/budget.js';
+import { WeatherValidationError, WeatherBudgetError } from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test QueryBudget class
+	suiteDesc = 'Test QueryBudget class';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Method constructor()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const budget = new QueryBudget({ limit: 1000 });
+		assert.strictEqual(budget.limit, 1000);
+		assert.strictEqual(budget.mode, 'refuse');
+		assert.strictEqual(budget.spent, 0);
+		assert.strictEqual(budget.remaining, 1000);
+
+		assert.strictEqual(QueryBudget.from(budget), budget);
+		assert(QueryBudget.from({ limit: 10 }) instanceof QueryBudget);
+
+		for(const [options, param] of [[{}, 'limit'], [{ limit: -1 }, 'limit'], [{ limit: Infinity }, 'limit'], [{ limit: 1, mode: 'ignore' }, 'mode'], [{ limit: 1, now: 0 }, 'now']]){
+			assert.throws(() => new QueryBudget(options), (err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.param, param);
+				return true;
+			});
+		}
+	};
+	testData.desc = 'Method constructor()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method [check/record]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const budget = new QueryBudget({ limit: 20 });
+
+		assert.strictEqual(budget.check(15), true);
+		budget.record(15);
+		budget.record(null);
+		budget.record(-3);
+		assert.strictEqual(budget.spent, 15);
+		assert.strictEqual(budget.remaining, 5);
+
+		assert.strictEqual(budget.check(5), true);
+		assert.throws(() => budget.check(6, 'Weather.fetchWeatherData'), (err) => {
+			assert(err instanceof WeatherBudgetError);
+			assert.strictEqual(err.limit, 20);
+			assert.strictEqual(err.spent, 15);
+			assert.strictEqual(err.estimate, 6);
+			assert.strictEqual(err.message, 'Weather.fetchWeatherData: The estimated query cost 6 exceeds the remaining budget 5 of 20.');
+			return true;
+		});
+
+		budget.reset();
+		assert.strictEqual(budget.spent, 0);
+	};
+	testData.desc = 'Method [check/record]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method check()...test#2
+	testData = {};
+
+	testData.method = async () => {
+
+		const budget = new QueryBudget({ limit: 10, mode: 'warn' });
+		const exceeded = [];
+		budget.on('exceeded', (info) => exceeded.push(info));
+
+		budget.record(8);
+		assert.strictEqual(budget.check(5), false);
+		assert.deepStrictEqual(exceeded, [{ limit: 10, spent: 8, estimate: 5 }]);
+
+		const warnings = [];
+		const onWarning = (warning) => warnings.push(warning);
+		process.on('warning', onWarning);
+
+		try{
+			const silent = new QueryBudget({ limit: 1, mode: 'warn' });
+			assert.strictEqual(silent.check(2), false);
+			await new Promise(resolve => setImmediate(resolve));
+
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(warnings[0].name, 'WeatherBudgetWarning');
+		}
+		finally{
+			process.off('warning', onWarning);
+		}
+	};
+	testData.desc = 'Method check()...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method [reserve/settle]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const budget = new QueryBudget({ limit: 30 });
+
+		const first = budget.reserve(24);
+		assert.deepStrictEqual(first, { estimate: 24 });
+		assert.strictEqual(budget.reserved, 24);
+		assert.strictEqual(budget.remaining, 6);
+
+		assert.throws(() => budget.reserve(24, 'Weather.fetchWeatherData'), (err) => {
+			assert(err instanceof WeatherBudgetError);
+			assert.strictEqual(err.message, 'Weather.fetchWeatherData: The estimated query cost 24 exceeds the remaining budget 6 of 30.');
+			return true;
+		});
+		assert.strictEqual(budget.reserved, 24);
+
+		budget.settle(first, 10, 12);
+		assert.strictEqual(first.estimate, 12);
+		assert.strictEqual(budget.reserved, 12);
+		assert.strictEqual(budget.spent, 10);
+
+		budget.settle(first, 20);
+		budget.settle(first, 0);
+		assert.strictEqual(first.estimate, 0);
+		assert.strictEqual(budget.reserved, 0);
+		assert.strictEqual(budget.spent, 30);
+
+		const warning = new QueryBudget({ limit: 10, mode: 'warn' });
+		warning.on('exceeded', () => {});
+
+		const second = warning.reserve(24);
+		assert.strictEqual(warning.reserved, 24);
+		warning.settle(second);
+		assert.strictEqual(warning.reserved, 0);
+		assert.strictEqual(warning.spent, 0);
+	};
+	testData.desc = 'Method [reserve/settle]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Member [spent/resetsAt]...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		let now = Date.UTC(2025, 2, 7, 23, 0);
+		const budget = new QueryBudget({ limit: 100, now: () => now });
+
+		budget.record(40);
+		assert.strictEqual(budget.spent, 40);
+		assert.strictEqual(budget.resetsAt, Date.UTC(2025, 2, 8));
+
+		now = Date.UTC(2025, 2, 8, 0, 30);
+		assert.strictEqual(budget.spent, 0);
+		assert.strictEqual(budget.remaining, 100);
+		assert.strictEqual(budget.resetsAt, Date.UTC(2025, 2, 9));
+	};
+	testData.desc = 'Member [spent/resetsAt]...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
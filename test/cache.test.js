@@ -0,0 +1,309 @@
+/**
+ * @module  cache-test
+ * @desc	Testing module for the {@link module:cache cache} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { join } from 'node:path';
+
+/* Import the tested module */
+import { MemoryStore, FileStore, ResponseCache } from '../lib/cache.js';
+import { WeatherValidationError } from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test cache stores
+	suiteDesc = 'Test cache stores';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Class MemoryStore...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const store = new MemoryStore({ maxEntries: 2 });
+		assert.strictEqual(new MemoryStore().maxEntries, 100);
+		assert.throws(() => new MemoryStore({ maxEntries: 0 }), WeatherValidationError);
+
+		store.set('a', { body: 'A' });
+		store.set('b', { body: 'B' });
+		assert.deepStrictEqual(store.get('a'), { body: 'A' });
+
+		store.set('c', { body: 'C' });
+		assert.strictEqual(store.size, 2);
+		assert.strictEqual(store.get('b'), undefined);
+		assert.deepStrictEqual(store.get('a'), { body: 'A' });
+
+		store.delete('a');
+		assert.strictEqual(store.get('a'), undefined);
+
+		store.clear();
+		assert.strictEqual(store.size, 0);
+	};
+	testData.desc = 'Class MemoryStore...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Class FileStore...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.throws(() => new FileStore(), WeatherValidationError);
+
+		const dir = await fs.mkdtemp(join(os.tmpdir(), 'weather-cache-'));
+
+		try{
+			const store = new FileStore({ dir: join(dir, 'cache') });
+
+			assert.strictEqual(await store.get('a'), undefined);
+			await store.clear();
+
+			await store.set('a', { body: 'A', storedAt: 1, expiresAt: 2 });
+			await store.set('b', { body: 'B', storedAt: 1, expiresAt: 2 });
+			assert.deepStrictEqual(await store.get('a'), { key: 'a', body: 'A', storedAt: 1, expiresAt: 2 });
+
+			const files = await fs.readdir(join(dir, 'cache'));
+			assert.strictEqual(files.length, 2);
+			assert(files.every(file => /^[0-9a-f]{64}\.json$/.test(file)));
+
+			await fs.writeFile(join(dir, 'cache', files[0]), '{ corrupted');
+			await fs.writeFile(join(dir, 'cache', 'README'), 'not an entry');
+
+			const entries = [await store.get('a'), await store.get('b')];
+			assert.strictEqual(entries.filter(entry => entry === undefined).length, 1);
+
+			await store.delete('a');
+			assert.strictEqual(await store.get('a'), undefined);
+
+			await store.clear();
+			assert.deepStrictEqual(await fs.readdir(join(dir, 'cache')), ['README']);
+		}
+		finally{
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	};
+	testData.desc = 'Class FileStore...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #2 - Test ResponseCache class
+	suiteDesc = 'Test ResponseCache class';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Method constructor()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const cache = new ResponseCache();
+		assert(cache.store instanceof MemoryStore);
+		assert.strictEqual(cache.historicalTtl, 7 * 24 * 60 * 60 * 1000);
+		assert.strictEqual(cache.forecastTtl, 60 * 60 * 1000);
+
+		assert.strictEqual(ResponseCache.from(cache), cache);
+		assert(ResponseCache.from(true) instanceof ResponseCache);
+		assert.strictEqual(ResponseCache.from({ forecastTtl: 0 }).forecastTtl, 0);
+
+		for(const [options, param] of [[{ store: {} }, 'store'], [{ store: null }, 'store'], [{ historicalTtl: -1 }, 'historicalTtl'], [{ forecastTtl: '1h' }, 'forecastTtl'], [{ now: 0 }, 'now']]){
+			assert.throws(() => new ResponseCache(options), (err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.param, param);
+				return true;
+			});
+		}
+	};
+	testData.desc = 'Method constructor()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Static method ResponseCache.createKey()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const key = ResponseCache.createKey({ location: 'Alexandria', unitGroup: 'metric', include: 'hours,days', elements: 'temp,tempmax' });
+
+		assert.strictEqual(key, ResponseCache.createKey({ elements: 'tempmax,temp', include: 'days,hours', unitGroup: 'metric', location: ' alexandria ' }));
+		assert.strictEqual(key, ResponseCache.createKey({ location: 'Alexandria', unitGroup: 'metric', include: 'hours,days', elements: 'temp,tempmax', toDate: '', key: undefined }));
+		assert.notStrictEqual(key, ResponseCache.createKey({ location: 'Alexandria', unitGroup: 'us', include: 'hours,days', elements: 'temp,tempmax' }));
+		assert.deepStrictEqual(JSON.parse(key), { elements: 'temp,tempmax', include: 'days,hours', location: 'alexandria', unitGroup: 'metric' });
+	};
+	testData.desc = 'Static method ResponseCache.createKey()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method [get/set]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		let now = 1000;
+		const store = new MemoryStore();
+		const cache = new ResponseCache({ store, historicalTtl: 500, forecastTtl: 100, now: () => now });
+
+		assert.deepStrictEqual(await cache.set('forecast', '{}'), { body: '{}', storedAt: 1000, expiresAt: 1100 });
+		assert.deepStrictEqual(await cache.set('historical', '[]', true), { body: '[]', storedAt: 1000, expiresAt: 1500 });
+
+		assert.strictEqual((await cache.get('forecast')).body, '{}');
+		assert.strictEqual(await cache.get('missing'), null);
+
+		now = 1100;
+		assert.strictEqual(await cache.get('forecast'), null);
+		assert.strictEqual(store.size, 1);
+		assert.strictEqual((await cache.get('historical')).body, '[]');
+
+		await cache.delete('historical');
+		assert.strictEqual(await cache.get('historical'), null);
+
+		await cache.set('forecast', '{}');
+		await cache.clear();
+		assert.strictEqual(store.size, 0);
+	};
+	testData.desc = 'Method [get/set]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
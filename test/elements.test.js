@@ -0,0 +1,216 @@
+/**
+ * @module  elements-test
+ * @desc	Testing module for the {@link module:elements elements} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import { UNIT_GROUPS, ELEMENTS } from '../lib/elements.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test the catalog of the weather elements
+	suiteDesc = 'Test the catalog of the weather elements';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Constant ELEMENTS...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		for(const [name, info] of Object.entries(ELEMENTS)){
+			assert(info.levels.length > 0, name);
+			assert(info.levels.every(level => ['day', 'hour', 'current'].includes(level)) || info.levels.join() === 'location', name);
+			assert(['number', 'integer', 'string', 'array', 'object'].includes(info.type), name);
+			assert(typeof info.description === 'string' && info.description.length > 0, name);
+
+			if(info.units){
+				assert.deepStrictEqual(Object.keys(info.units), Object.keys(UNIT_GROUPS), name);
+			}
+			if(info.quantity){
+				assert.deepStrictEqual(info.units, Object.fromEntries(Object.entries(UNIT_GROUPS).map(([group, units]) => [group, units[info.quantity]])), name);
+			}
+			if(info.range){
+				assert(['number', 'integer'].includes(info.type), name);
+				assert(info.range[0] < info.range[1], name);
+			}
+		}
+
+		assert(Object.isFrozen(ELEMENTS));
+		assert(Object.isFrozen(ELEMENTS.temp));
+		assert(Object.isFrozen(ELEMENTS.temp.levels));
+	};
+	testData.desc = 'Constant ELEMENTS...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Constant ELEMENTS...test#2
+	testData = {};
+
+	testData.method = async () => {
+
+		for(const name of [
+			'datetime', 'datetimeEpoch', 'severerisk', 'feelslike', 'normal', 'icon', 'windspeedmean',
+			'name', 'address', 'resolvedAddress', 'latitude', 'longitude', 'moonrise', 'moonset', 'precipremote',
+			'windspeed50', 'windspeed80', 'windspeed100', 'dniradiation', 'difradiation', 'ghiradiation', 'gtiradiation', 'sunelevation', 'sunazimuth',
+		]){
+			assert(name in ELEMENTS, name);
+		}
+
+		assert.deepStrictEqual(ELEMENTS.feelslike.levels, ['day', 'hour', 'current']);
+		assert.deepStrictEqual(ELEMENTS.description.levels, ['day']);
+		assert.deepStrictEqual(ELEMENTS.resolvedAddress.levels, ['location']);
+		assert.strictEqual(ELEMENTS.windspeed100.quantity, 'speed');
+		assert.strictEqual(ELEMENTS.precipremote.quantity, 'precipitation');
+
+		assert.strictEqual(ELEMENTS.temp.quantity, 'temperature');
+		assert.deepStrictEqual(ELEMENTS.temp.units, { metric: 'C', us: 'F', uk: 'C', base: 'K' });
+		assert.deepStrictEqual(ELEMENTS.windspeed.units, { metric: 'kmh', us: 'mph', uk: 'mph', base: 'ms' });
+		assert.strictEqual(ELEMENTS.humidity.quantity, null);
+		assert.deepStrictEqual(ELEMENTS.humidity.units, { metric: '%', us: '%', uk: '%', base: '%' });
+		assert.strictEqual(ELEMENTS.conditions.units, null);
+		assert.strictEqual(ELEMENTS.conditions.range, null);
+	};
+	testData.desc = 'Constant ELEMENTS...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
@@ -0,0 +1,249 @@
+/**
+ * @module  errors-test
+ * @desc	Testing module for the {@link module:errors errors} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import {
+	WeatherError,
+	WeatherValidationError,
+	WeatherApiError,
+	WeatherNetworkError,
+	WeatherDataError,
+	WeatherBudgetError,
+} from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test error classes
+	suiteDesc = 'Test error classes';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Class WeatherValidationError...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const errors = [
+			new WeatherValidationError('Invalid unitGroup.', { param: 'unitGroup' }),
+			new WeatherValidationError('Invalid include.', { param: 'include' }),
+		];
+
+		let error = WeatherValidationError.fromErrors('Weather.test', errors.slice(0, 1));
+
+		assert(error instanceof Error);
+		assert(error instanceof WeatherError);
+		assert(error instanceof WeatherValidationError);
+		assert.strictEqual(error.name, 'WeatherValidationError');
+		assert.strictEqual(error.message, 'Invalid unitGroup.');
+		assert.strictEqual(error.param, 'unitGroup');
+		assert.deepStrictEqual(error.errors, errors.slice(0, 1));
+
+		error = WeatherValidationError.fromErrors('Weather.test', errors);
+
+		assert.strictEqual(error.message, 'Weather.test: 2 invalid parameters.\n - Invalid unitGroup.\n - Invalid include.');
+		assert.strictEqual(error.param, null);
+		assert.deepStrictEqual(error.errors.map(e => e.param), ['unitGroup', 'include']);
+	};
+	testData.desc = 'Class WeatherValidationError...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Class WeatherApiError...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const error = new WeatherApiError('Request failed.', { status: 400, apiMessage: 'Bad API Request', url: 'http://host/?key=REDACTED', queryCost: 0 });
+
+		assert(error instanceof WeatherError);
+		assert.strictEqual(error.name, 'WeatherApiError');
+		assert.strictEqual(error.status, 400);
+		assert.strictEqual(error.apiMessage, 'Bad API Request');
+		assert.strictEqual(error.url, 'http://host/?key=REDACTED');
+		assert.strictEqual(error.queryCost, 0);
+		assert.strictEqual(error.cause, undefined);
+	};
+	testData.desc = 'Class WeatherApiError...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Class [WeatherNetworkError/WeatherDataError]...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const cause = new Error('ECONNREFUSED');
+
+		let error = new WeatherNetworkError('Network error.', { url: 'http://host/', cause });
+
+		assert(error instanceof WeatherError);
+		assert.strictEqual(error.name, 'WeatherNetworkError');
+		assert.strictEqual(error.url, 'http://host/');
+		assert.strictEqual(error.cause, cause);
+
+		error = new WeatherDataError('Invalid data.', { cause });
+
+		assert(error instanceof WeatherError);
+		assert.strictEqual(error.name, 'WeatherDataError');
+		assert.strictEqual(error.cause, cause);
+	};
+	testData.desc = 'Class [WeatherNetworkError/WeatherDataError]...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Class WeatherBudgetError...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const error = new WeatherBudgetError('Budget exceeded.', { limit: 1000, spent: 990, estimate: 15 });
+
+		assert(error instanceof WeatherError);
+		assert.strictEqual(error.name, 'WeatherBudgetError');
+		assert.strictEqual(error.limit, 1000);
+		assert.strictEqual(error.spent, 990);
+		assert.strictEqual(error.estimate, 15);
+	};
+	testData.desc = 'Class WeatherBudgetError...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
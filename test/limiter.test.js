@@ -0,0 +1,312 @@
+/**
+ * @module  limiter-test
+ * @desc	Testing module for the {@link module:limiter limiter} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import { RateLimiter } from '../lib/limiter.js';
+import { WeatherValidationError, WeatherAbortError } from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test RateLimiter class
+	suiteDesc = 'Test RateLimiter class';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Method constructor()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const limiter = new RateLimiter();
+		assert.strictEqual(limiter.maxConcurrent, Infinity);
+		assert.strictEqual(limiter.tokensPerInterval, Infinity);
+		assert.strictEqual(limiter.interval, 60000);
+		assert.strictEqual(limiter.pending, 0);
+		assert.strictEqual(limiter.running, 0);
+
+		assert.strictEqual(new RateLimiter({ tokensPerInterval: 5 }).bucketSize, 5);
+		assert.strictEqual(RateLimiter.from(limiter), limiter);
+		assert(RateLimiter.from({ maxConcurrent: 2 }) instanceof RateLimiter);
+
+		for(const options of [{ maxConcurrent: 0 }, { tokensPerInterval: -1 }, { interval: '1000' }, { bucketSize: NaN }]){
+			assert.throws(() => new RateLimiter(options), (err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.param, Object.keys(options)[0]);
+				return true;
+			});
+		}
+	};
+	testData.desc = 'Method constructor()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method schedule()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const limiter = new RateLimiter({ maxConcurrent: 2 });
+		const events = [];
+		limiter.on('queued', (task) => events.push(`queued#${task.id}`));
+		limiter.on('start',  (task) => events.push(`start#${task.id}`));
+		limiter.on('done',   (task) => events.push(`done#${task.id}`));
+
+		let active = 0;
+		let maxActive = 0;
+
+		const task = (value) => async () => {
+			maxActive = Math.max(maxActive, ++active);
+			await new Promise(resolve => setTimeout(resolve, 20));
+			active--;
+			return value;
+		};
+
+		const results = Promise.all([1, 2, 3, 4].map(value => limiter.schedule(task(value), { label: `task ${value}` })));
+
+		assert.strictEqual(limiter.running, 2);
+		assert.strictEqual(limiter.pending, 2);
+		assert.deepStrictEqual(limiter.getQueue().map(task => task.label), ['task 3', 'task 4']);
+
+		assert.deepStrictEqual(await results, [1, 2, 3, 4]);
+		assert.strictEqual(maxActive, 2);
+		assert.strictEqual(limiter.running, 0);
+		assert.strictEqual(limiter.pending, 0);
+		assert.deepStrictEqual(events.slice(0, 6), ['queued#1', 'start#1', 'queued#2', 'start#2', 'queued#3', 'queued#4']);
+		assert.strictEqual(events.length, 12);
+
+		await assert.rejects(limiter.schedule(() => { throw new Error('failed') }), { message: 'failed' });
+		assert.strictEqual(limiter.running, 0);
+	};
+	testData.desc = 'Method schedule()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method schedule()...test#2
+	testData = {};
+
+	testData.method = async () => {
+
+		const limiter = new RateLimiter({ tokensPerInterval: 2, interval: 100 });
+		const starts = [];
+
+		const start = Date.now();
+		await Promise.all([1, 2, 3, 4].map(() => limiter.schedule(() => starts.push(Date.now() - start))));
+
+		assert(starts[0] < 40);
+		assert(starts[1] < 40);
+		assert(starts[2] >= 40);
+		assert(starts[3] >= 90);
+	};
+	testData.desc = 'Method schedule()...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method cancel()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const limiter = new RateLimiter({ maxConcurrent: 1 });
+		const cancelled = [];
+		limiter.on('cancel', (task) => cancelled.push(task.id));
+
+		let release;
+		const first = limiter.schedule(() => new Promise(resolve => { release = resolve }));
+
+		const controller = new AbortController();
+		const second = limiter.schedule(() => 'second', { signal: controller.signal });
+		const third  = limiter.schedule(() => 'third');
+		const fourth = limiter.schedule(() => 'fourth');
+
+		controller.abort('stop');
+		await assert.rejects(second, (err) => {
+			assert(err instanceof WeatherAbortError);
+			assert.strictEqual(err.cause, 'stop');
+			return true;
+		});
+
+		const [thirdTask] = limiter.getQueue();
+		assert.strictEqual(limiter.cancel(thirdTask.id), true);
+		assert.strictEqual(limiter.cancel(thirdTask.id), false);
+		await assert.rejects(third, WeatherAbortError);
+
+		assert.deepStrictEqual(cancelled, [2, 3]);
+		assert.strictEqual(limiter.pending, 1);
+
+		release('first');
+		assert.strictEqual(await first, 'first');
+		assert.strictEqual(await fourth, 'fourth');
+
+		await assert.rejects(limiter.schedule(() => 'aborted', { signal: AbortSignal.abort() }), WeatherAbortError);
+	};
+	testData.desc = 'Method cancel()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method clear()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const limiter = new RateLimiter({ tokensPerInterval: 1, interval: 60000 });
+
+		assert.strictEqual(await limiter.schedule(() => 'first'), 'first');
+
+		const queued = [limiter.schedule(() => 'second'), limiter.schedule(() => 'third')];
+		assert.strictEqual(limiter.pending, 2);
+
+		assert.strictEqual(limiter.clear(), 2);
+		assert.strictEqual(limiter.pending, 0);
+
+		for(const promise of queued){
+			await assert.rejects(promise, WeatherAbortError);
+		}
+	};
+	testData.desc = 'Method clear()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
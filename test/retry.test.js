@@ -0,0 +1,254 @@
+/**
+ * @module  retry-test
+ * @desc	Testing module for the {@link module:retry retry} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, parseRetryAfter, computeBackoffDelay, sleep } from '../lib/retry.js';
+import { WeatherValidationError, WeatherAbortError } from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test retry functions
+	suiteDesc = 'Test retry functions';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Function normalizeRetryPolicy()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.deepStrictEqual(normalizeRetryPolicy(), DEFAULT_RETRY_POLICY);
+		assert.strictEqual(DEFAULT_RETRY_POLICY.maxAttempts, 1);
+
+		const base = normalizeRetryPolicy({ maxAttempts: 3, jitter: false });
+		assert.strictEqual(base.maxAttempts, 3);
+		assert.strictEqual(base.jitter, false);
+		assert.strictEqual(base.baseDelay, DEFAULT_RETRY_POLICY.baseDelay);
+
+		const policy = normalizeRetryPolicy({ baseDelay: 10 }, base);
+		assert.strictEqual(policy.maxAttempts, 3);
+		assert.strictEqual(policy.baseDelay, 10);
+
+		[
+			[null, `normalizeRetryPolicy: Invalid retry policy 'null'.`],
+			[{ maxAttempts: 0 }, `normalizeRetryPolicy: Invalid retry option 'maxAttempts' value '0'.`],
+			[{ factor: 0.5 }, `normalizeRetryPolicy: Invalid retry option 'factor' value '0.5'.`],
+			[{ retryOn: ['429'] }, `normalizeRetryPolicy: Invalid retry option 'retryOn' value '429'.`],
+			[{ attempts: 3 }, `normalizeRetryPolicy: Invalid retry option 'attempts' value '3'.`],
+
+		].forEach(([param, message]) => {
+			assert.throws(() => normalizeRetryPolicy(param), (err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.param, 'retry');
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Function normalizeRetryPolicy()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function parseRetryAfter()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const now = Date.parse('2025-03-07T00:00:00Z');
+
+		assert.strictEqual(parseRetryAfter('120', now), 120000);
+		assert.strictEqual(parseRetryAfter('Fri, 07 Mar 2025 00:00:30 GMT', now), 30000);
+		assert.strictEqual(parseRetryAfter('Thu, 06 Mar 2025 00:00:00 GMT', now), 0);
+		assert.strictEqual(parseRetryAfter('soon', now), null);
+		assert.strictEqual(parseRetryAfter(undefined, now), null);
+	};
+	testData.desc = 'Function parseRetryAfter()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function computeBackoffDelay()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const policy = normalizeRetryPolicy({ baseDelay: 100, maxDelay: 1000, factor: 2, jitter: false });
+
+		assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => computeBackoffDelay(attempt, policy)), [100, 200, 400, 800, 1000]);
+		assert.strictEqual(computeBackoffDelay(1, policy, 500), 500);
+		assert.strictEqual(computeBackoffDelay(1, policy, 5000), 1000);
+		assert.strictEqual(computeBackoffDelay(1, { ...policy, respectRetryAfter: false }, 500), 100);
+
+		const jittered = { ...policy, jitter: true };
+		assert.strictEqual(computeBackoffDelay(3, jittered, null, () => 0.5), 200);
+		assert.strictEqual(computeBackoffDelay(3, jittered, null, () => 0), 0);
+	};
+	testData.desc = 'Function computeBackoffDelay()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function sleep()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let start = Date.now();
+		await sleep(20);
+		assert(Date.now() - start >= 15);
+
+		const controller = new AbortController();
+		setTimeout(() => controller.abort('stop'), 10);
+
+		start = Date.now();
+		await assert.rejects(sleep(10000, controller.signal), (err) => {
+			assert(err instanceof WeatherAbortError);
+			assert.strictEqual(err.cause, 'stop');
+			return true;
+		});
+		assert(Date.now() - start < 5000);
+
+		await assert.rejects(sleep(10, controller.signal), WeatherAbortError);
+	};
+	testData.desc = 'Function sleep()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
@@ -0,0 +1,321 @@
+/**
+ * @module  server-test
+ * @desc	Testing module for the {@link module:server server} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+import { fileURLToPath }  from 'node:url';
+import { dirname, join }  from 'node:path';
+
+/* Import the tested module */
+import { MockServer } from '../lib/server.js';
+import { Weather, WeatherApiError, WeatherTimeoutError, WeatherValidationError } from '../lib/weather.js';
+
+/* Emulate commonJS __filename and __dirname constants */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	const fixtures = [join(__dirname, 'fixtures/sample_01.json'), join(__dirname, 'fixtures/sample_02.json')];
+
+	// TEST SUITE #1 - Test MockServer class
+	suiteDesc = 'Test MockServer class';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Method [start/stop]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		/* published on the server subpath, not on the main entry point */
+		assert.strictEqual((await import('@essamonline/weather-visualcrossing/server')).MockServer, MockServer);
+		assert.strictEqual('MockServer' in await import('@essamonline/weather-visualcrossing'), false);
+
+		assert.throws(() => new MockServer(), WeatherValidationError);
+
+		const server = new MockServer({ fixtures });
+		assert.strictEqual(server.baseUrl, null);
+		assert.strictEqual(server.fixtures.length, 2);
+
+		try{
+			const baseUrl = await server.start();
+			assert.match(baseUrl, /^http:\/\/127\.0\.0\.1:\d+\/timeline$/);
+			assert.strictEqual(await server.start(), baseUrl);
+
+			let response = await fetch(`${baseUrl}/Alexandria/?unitGroup=metric`);
+			assert.strictEqual(response.status, 401);
+			assert.strictEqual(await response.text(), 'No API key or session found.');
+
+			response = await fetch(`${baseUrl.replace('/timeline', '/other')}/Alexandria/?key=KEY`);
+			assert.strictEqual(response.status, 404);
+
+			assert.deepStrictEqual(server.requests.map(request => request.method), ['GET', 'GET']);
+		}
+		finally{
+			await server.stop();
+			await server.stop();
+		}
+		assert.strictEqual(server.baseUrl, null);
+	};
+	testData.desc = 'Method [start/stop]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method fetchWeatherData() against MockServer...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const server = new MockServer({ fixtures, keys: ['KEY'] });
+
+		try{
+			const weather = new Weather('KEY', await server.start());
+
+			let data = await weather.fetchWeatherData('Alexandria');
+			assert.strictEqual(data.days.length, 15);
+			assert.strictEqual(data.days[0].hours.length, 24);
+			assert('currentConditions' in data);
+			assert('alerts' in data);
+
+			data = await weather.fetchWeatherData('alexandria', { fromDate: '2025-03-11', toDate: '2025-03-13', include: 'days' });
+			assert.deepStrictEqual(data.days.map(day => day.datetime), ['2025-03-11', '2025-03-12', '2025-03-13']);
+			assert(!('hours' in data.days[0]));
+			assert(!('currentConditions' in data));
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-11', include: 'hours', elements: ['temp', 'windspeed'] });
+			assert.deepStrictEqual(Object.keys(data.days[0]), ['temp', 'windspeed', 'hours']);
+			assert.deepStrictEqual(Object.keys(data.days[0].hours[0]), ['temp', 'windspeed']);
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-11', include: 'days', elements: ['datetime', 'resolvedAddress', 'temp'] });
+			assert.deepStrictEqual(Object.keys(data.days[0]), ['datetime', 'temp']);
+			assert.strictEqual(weather.getResolvedAddress(), data.resolvedAddress);
+
+			const metric = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-11', include: 'days' });
+			const us = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-11', include: 'days', unitGroup: 'us' });
+			const base = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-11', include: 'days', unitGroup: 'base' });
+
+			assert.strictEqual(us.days[0].tempmax, Math.round((metric.days[0].tempmax * 9 / 5 + 32) * 10) / 10);
+			assert.strictEqual(us.days[0].windspeed, Math.round(metric.days[0].windspeed / 1.609344 * 10) / 10);
+			assert.strictEqual(base.days[0].temp, Math.round((metric.days[0].temp + 273.15) * 10) / 10);
+			assert.strictEqual(us.days[0].humidity, metric.days[0].humidity);
+
+			const rain = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-22', include: 'days', unitGroup: 'us' });
+			assert.strictEqual(rain.days[0].precip, 0.039);
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', include: 'current' });
+			assert.strictEqual(data.days, undefined);
+			assert.strictEqual(data.queryCost, 24);
+
+			for(const [location, options, status] of [
+				['Cairo', {}, 400],
+				['Alexandria', { fromDate: '2024-01-01' }, 400],
+				['Alexandria', { fromDate: 'next7days' }, 400],
+			]){
+				await assert.rejects(weather.fetchWeatherData(location, options), (err) => {
+					assert(err instanceof WeatherApiError);
+					assert.strictEqual(err.status, status);
+					return true;
+				});
+			}
+
+			await assert.rejects(new Weather('OTHER', server.baseUrl).fetchWeatherData('Alexandria'), (err) => {
+				assert.strictEqual(err.status, 401);
+				assert.strictEqual(err.url.includes('OTHER'), false);
+				return true;
+			});
+		}
+		finally{
+			await server.stop();
+		}
+	};
+	testData.desc = 'Method fetchWeatherData() against MockServer...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Method simulate()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const server = new MockServer({ fixtures });
+
+		try{
+			const weather = new Weather('KEY', await server.start(), { retry: { maxAttempts: 3, baseDelay: 1, jitter: false } });
+
+			server.simulate({ status: 500, times: 2 });
+			let data = await weather.fetchWeatherData('Alexandria');
+			assert.strictEqual(data.days.length, 15);
+			assert.strictEqual(server.requests.length, 3);
+
+			server.simulate({ status: 429, retryAfter: 0, times: 3 });
+			await assert.rejects(weather.fetchWeatherData('Alexandria'), (err) => {
+				assert(err instanceof WeatherApiError);
+				assert.strictEqual(err.status, 429);
+				assert.strictEqual(err.apiMessage, 'Maximum daily cost exceeded');
+				return true;
+			});
+
+			server.simulate({ status: 400, message: 'Bad API Request:Invalid date.' });
+			await assert.rejects(weather.fetchWeatherData('Alexandria'), { status: 400, apiMessage: 'Bad API Request:Invalid date.' });
+
+			server.simulate({ status: 401 });
+			await assert.rejects(weather.fetchWeatherData('Alexandria'), { status: 401 });
+
+			server.reset();
+			assert.strictEqual(server.requests.length, 0);
+
+			server.simulate({ delay: 200 });
+			await assert.rejects(weather.fetchWeatherData('Alexandria', { timeout: 20, retry: { maxAttempts: 1 } }), WeatherTimeoutError);
+
+			server.latency = 10;
+			data = await weather.fetchWeatherData('Alexandria', { timeout: 1000 });
+			assert.strictEqual(data.days.length, 15);
+		}
+		finally{
+			await server.stop();
+		}
+	};
+	testData.desc = 'Method simulate()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
@@ -0,0 +1,364 @@
+/**
+ * @module  transport-test
+ * @desc	Testing module for the {@link module:transport transport} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import { fileURLToPath }  from 'node:url';
+import { dirname, join }  from 'node:path';
+
+/* Import the tested module */
+import { fetchTransport, httpTransport, defaultTransport, createReplayTransport } from '../lib/transport.js';
+import { WeatherValidationError } from '../lib/errors.js';
+
+/* Emulate commonJS __filename and __dirname constants */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	/* Start a local server answering every request with the given handler */
+	const listen = async (handler) => {
+		const server = http.createServer(handler);
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		return server;
+	};
+
+	const echo = (req, res) => {
+		res.writeHead(req.url === '/missing' ? 404 : 200, {'Content-Type': 'application/json', 'X-Test': 'yes'});
+		res.end(JSON.stringify({ url: req.url, accept: req.headers['accept'] || null }));
+	};
+
+	// TEST SUITE #1 - Test transport functions
+	suiteDesc = 'Test transport functions';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Function fetchTransport()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const server = await listen(echo);
+		const base = `http://127.0.0.1:${server.address().port}`;
+
+		try{
+			let response = await fetchTransport(`${base}/path?x=1`, { headers: { accept: 'application/json' } });
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.headers['x-test'], 'yes');
+			assert.deepStrictEqual(JSON.parse(response.body), { url: '/path?x=1', accept: 'application/json' });
+
+			response = await fetchTransport(`${base}/missing`);
+			assert.strictEqual(response.status, 404);
+		}
+		finally{
+			server.close();
+		}
+	};
+	testData.desc = 'Function fetchTransport()...test#1';
+
+	testData.skip = !globalThis.fetch;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function httpTransport()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const server = await listen(echo);
+		const base = `http://127.0.0.1:${server.address().port}`;
+
+		try{
+			let response = await httpTransport(`${base}/path?x=1`, { headers: { accept: 'application/json' } });
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.headers['x-test'], 'yes');
+			assert.deepStrictEqual(JSON.parse(response.body), { url: '/path?x=1', accept: 'application/json' });
+
+			response = await httpTransport(`${base}/missing`);
+			assert.strictEqual(response.status, 404);
+		}
+		finally{
+			server.close();
+		}
+	};
+	testData.desc = 'Function httpTransport()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function httpTransport()...test#2
+	testData = {};
+
+	testData.method = async () => {
+		const server = await listen(echo);
+		const port = server.address().port;
+		await new Promise(resolve => server.close(resolve));
+
+		await assert.rejects(
+			httpTransport(`http://127.0.0.1:${port}/`),
+			(err) => {
+				assert.strictEqual(err.code, 'ECONNREFUSED');
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Function httpTransport()...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function defaultTransport()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const server = await listen(echo);
+		const base = `http://127.0.0.1:${server.address().port}`;
+		const fetch = globalThis.fetch;
+
+		try{
+			let response = await defaultTransport(`${base}/path`);
+			assert.strictEqual(JSON.parse(response.body).url, '/path');
+
+			globalThis.fetch = null;
+
+			response = await defaultTransport(`${base}/path`);
+			assert.strictEqual(JSON.parse(response.body).url, '/path');
+		}
+		finally{
+			globalThis.fetch = fetch;
+			server.close();
+		}
+	};
+	testData.desc = 'Function defaultTransport()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function createReplayTransport()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const server = await listen(echo);
+		const base = `http://127.0.0.1:${server.address().port}`;
+		const dir = await fs.mkdtemp(join(os.tmpdir(), 'weather-replay-'));
+
+		try{
+			let transport = createReplayTransport({ dir, mode: 'record' });
+
+			let response = await transport(`${base}/Alexandria/?key=SECRET&unitGroup=metric`);
+			assert.strictEqual(response.status, 200);
+
+			response = await transport(`${base}/missing`);
+			assert.strictEqual(response.status, 404);
+
+			const files = (await fs.readdir(dir)).sort();
+			assert.strictEqual(files.length, 5);
+			assert.strictEqual(files.filter(file => file.endsWith('.status')).length, 1);
+
+			for(const file of files){
+				assert(!(await fs.readFile(join(dir, file), 'utf8')).includes('SECRET'));
+			}
+
+			server.close();
+
+			transport = createReplayTransport({ dir });
+
+			response = await transport(`${base}/Alexandria/?unitGroup=metric&key=OTHER`);
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(JSON.parse(response.body).url, '/Alexandria/?key=REDACTED&unitGroup=metric');
+
+			response = await transport(`${base}/missing?key=OTHER`);
+			assert.strictEqual(response.status, 404);
+
+			await assert.rejects(transport(`${base}/Cairo/?key=OTHER`), { message: `replayTransport: No recording of '${base}/Cairo/?key=REDACTED' in '${dir}'.` });
+			await assert.rejects(transport(`${base}/Alexandria/?unitGroup=metric`, { signal: AbortSignal.abort('stop') }));
+
+			await assert.rejects(createReplayTransport({ dir: join(dir, 'none') })(`${base}/`), /No recording/);
+		}
+		finally{
+			server.close();
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	};
+	testData.desc = 'Function createReplayTransport()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function createReplayTransport()...test#2
+	testData = {};
+
+	testData.method = async () => {
+		const dir = await fs.mkdtemp(join(os.tmpdir(), 'weather-replay-'));
+		const sent = [];
+
+		const live = async (url) => {
+			sent.push(url);
+			return { status: 200, headers: {}, body: '{"live":true}' };
+		};
+
+		try{
+			const transport = createReplayTransport({ dir, mode: 'auto', transport: live, scrub: ['key', 'session'] });
+
+			assert.strictEqual((await transport('https://host/Alexandria/?key=A&session=S')).body, '{"live":true}');
+			assert.strictEqual((await transport('https://host/Alexandria/?session=T&key=B')).body, '{"live":true}');
+			assert.strictEqual(sent.length, 1);
+
+			const [url] = (await fs.readdir(dir)).filter(file => file.endsWith('.url'));
+			assert.strictEqual(await fs.readFile(join(dir, url), 'utf8'), 'https://host/Alexandria/?key=REDACTED&session=REDACTED\n');
+
+			const fixtures = createReplayTransport({ dir: join(__dirname, 'fixtures') });
+			const response = await fixtures('https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/Alexandria/?unitGroup=metric&contentType=json&lang=en&key=KEY');
+			assert.strictEqual(JSON.parse(response.body).days.length, 15);
+
+			assert.throws(() => createReplayTransport(), WeatherValidationError);
+			assert.throws(() => createReplayTransport({ dir, mode: 'live' }), WeatherValidationError);
+			assert.throws(() => createReplayTransport({ dir, transport: 'fetch' }), WeatherValidationError);
+		}
+		finally{
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	};
+	testData.desc = 'Function createReplayTransport()...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
@@ -0,0 +1,279 @@
+/**
+ * @module  units-test
+ * @desc	Testing module for the {@link module:units units} module.
+ * @version 1.0.0
+ * @author  Essam A. El-Sherif
+ */
+
+/* Import node.js core modules */
+import assert from 'node:assert/strict';
+
+/* Import the tested module */
+import { UNIT_GROUPS, ELEMENT_QUANTITIES, PRECISIONS, getElementUnit, getElementRange, convertValue, convertRecord, convertNormals } from '../lib/units.js';
+import { WeatherValidationError } from '../lib/errors.js';
+
+/* Prepare test environment */
+let testCount   = 1;
+let passCount   = 0;
+let failCount   = 0;
+let cancelCount = 0;
+let skipCount   = 0;
+let todoCount   = 0;
+let startTime   = Date.now();
+
+const suites = new Map();
+
+/** @const {object} cmdOptions - Testing options. */
+const cmdOptions = {
+	node    : true,
+    verbose : true,
+};
+
+/**
+ * @func Main
+ * @desc The application entry point function.
+ */
+(() => {
+	loadTestData();
+
+	if(cmdOptions.node){
+
+		import('node:test')
+			.then(runner => {
+				cmdOptions.verbose = false;
+				nodeRunner(runner);
+			})	/* node:coverage disable */
+			.catch((e) => {
+				defRunner();
+			});
+	}
+	else{
+		defRunner();
+	}	/* node:coverage enable */
+})('Main Function');
+
+/**
+ * @func loadTestData
+ * @desc Load test data.
+ */
+function loadTestData(){
+
+	let testData = null;
+	let suiteDesc = '';
+
+	// TEST SUITE #1 - Test units functions
+	suiteDesc = 'Test units functions';
+	suites.set(suiteDesc, []);
+
+	// TEST ### - Function getElementUnit()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.deepStrictEqual(Object.keys(UNIT_GROUPS), ['metric', 'us', 'uk', 'base']);
+		assert.strictEqual(ELEMENT_QUANTITIES.tempmax, 'temperature');
+
+		assert.strictEqual(getElementUnit('temp', 'us'), 'F');
+		assert.strictEqual(getElementUnit('temp', 'base'), 'K');
+		assert.strictEqual(getElementUnit('snowdepth', 'us'), 'in');
+		assert.strictEqual(getElementUnit('windgust', 'uk'), 'mph');
+		assert.strictEqual(getElementUnit('visibility', 'metric'), 'km');
+		assert.strictEqual(getElementUnit('humidity', 'us'), '%');
+		assert.strictEqual(getElementUnit('pressure', 'base'), 'mb');
+		assert.strictEqual(getElementUnit('uvindex', 'us'), null);
+		assert.strictEqual(getElementUnit('conditions', 'metric'), null);
+		assert.strictEqual(getElementUnit('unknown', 'metric'), null);
+		assert.strictEqual(getElementUnit('toString', 'metric'), null);
+
+		assert.throws(() => getElementUnit('temp', 'imperial'), (err) => {
+			assert(err instanceof WeatherValidationError);
+			assert.strictEqual(err.param, 'unitGroup');
+			return true;
+		});
+	};
+	testData.desc = 'Function getElementUnit()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function getElementRange()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.deepStrictEqual(getElementRange('temp', 'metric'), [-90, 60]);
+		assert.deepStrictEqual(getElementRange('temp', 'us'), [-130, 140]);
+		assert.deepStrictEqual(getElementRange('humidity', 'us'), [0, 100]);
+		assert.strictEqual(getElementRange('conditions', 'us'), null);
+		assert.strictEqual(getElementRange('unknown', 'us'), null);
+
+		assert.throws(() => getElementRange('temp', 'imperial'), WeatherValidationError);
+	};
+	testData.desc = 'Function getElementRange()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function convertValue()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.strictEqual(convertValue(20, 'temp', 'metric', 'us'), 68);
+		assert.strictEqual(convertValue(68, 'temp', 'us', 'metric'), 20);
+		assert.strictEqual(convertValue(68, 'temp', 'us', 'base'), 293.2);
+		assert.strictEqual(convertValue(68, 'temp', 'us', 'base', 2), 293.15);
+		assert.strictEqual(convertValue(25.4, 'precip', 'metric', 'us'), 1);
+		assert.strictEqual(convertValue(2.54, 'snow', 'uk', 'us'), 1);
+		assert.strictEqual(convertValue(36, 'windspeed', 'metric', 'base'), 10);
+		assert.strictEqual(convertValue(10, 'windspeed', 'base', 'uk', null), 36 / 1.609344);
+		assert.strictEqual(convertValue(1, 'visibility', 'us', 'metric', 3), 1.609);
+		assert.strictEqual(convertValue(0.1, 'precip', 'metric', 'us'), 0.004);
+		assert.strictEqual(convertValue(0.004, 'precip', 'us', 'metric'), 0.1);
+		assert.strictEqual(convertValue(0.1, 'snow', 'metric', 'us'), 0.039);
+		assert.strictEqual(convertValue(0.1, 'precip', 'metric', 'us', 1), 0);
+
+		for(const units of Object.values(UNIT_GROUPS)){
+			Object.values(units).forEach(unit => assert(Number.isInteger(PRECISIONS[unit])));
+		}
+
+		assert.strictEqual(convertValue(12.34, 'temp', 'metric', 'uk'), 12.34);
+		assert.strictEqual(convertValue(80, 'humidity', 'metric', 'us'), 80);
+		assert.strictEqual(convertValue(null, 'temp', 'metric', 'us'), null);
+
+		for(const [from, to, param] of [['si', 'us', 'fromGroup'], ['us', 'si', 'toGroup']]){
+			assert.throws(() => convertValue(1, 'temp', from, to), (err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.param, param);
+				return true;
+			});
+		}
+	};
+	testData.desc = 'Function convertValue()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function convertRecord()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const hours = [{ datetime: '00:00:00', temp: 10 }];
+		const record = { datetime: '2025-03-07', tempmax: 20, tempmin: 10, precip: 2.5, windspeed: null, humidity: 50, hours };
+		const converted = convertRecord(record, 'metric', 'us');
+
+		assert.deepStrictEqual(converted, { datetime: '2025-03-07', tempmax: 68, tempmin: 50, precip: 0.098, windspeed: null, humidity: 50, hours });
+		assert.strictEqual(converted.hours, hours);
+		assert.strictEqual(record.tempmax, 20);
+		assert(!('temp' in converted));
+	};
+	testData.desc = 'Function convertRecord()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function convertNormals()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const normal = { tempmax: [10, 20, 30], windspeed: [null, 16.1, 32.2], humidity: [40, 60, 80] };
+
+		assert.deepStrictEqual(convertNormals(normal, 'metric', 'us'), {
+			tempmax: [50, 68, 86], windspeed: [null, 10, 20], humidity: [40, 60, 80],
+		});
+		assert.deepStrictEqual(convertNormals({}, 'metric', 'us'), {});
+		assert.deepStrictEqual(normal.tempmax, [10, 20, 30]);
+	};
+	testData.desc = 'Function convertNormals()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+}
+
+/**
+ * @func  nodeRunner
+ * @param {object} runner - The node core module 'node:test' object.
+ * @desc  Carry out the loaded tests using node test runner.
+ */
+function nodeRunner(runner){
+
+	for(let [suiteDesc, suiteTests] of suites){
+		runner.suite(suiteDesc, () => {
+			for(let cmdObj of suiteTests){
+				runner.test(cmdObj.desc, {skip: cmdObj.skip}, async () => {
+					await makeTest(cmdObj);
+				});
+			}
+		});
+	}
+}
+/* node:coverage disable */
+
+/**
+ * @func  defRunner
+ * @desc  Carry out the loaded tests using this developed test runner.
+ */
+function defRunner(){
+
+	cmdOptions.verbose && process.on('exit', () => {
+		console.log();
+		console.log('▶ tests',       --testCount);
+		console.log('▶ suites',      suites.size);
+		console.log('▶ pass',        passCount);
+		console.log('▶ fail',        failCount);
+		console.log('▶ cancelled',   cancelCount);
+		console.log('▶ skipped',     skipCount);
+		console.log('▶ todo',        todoCount);
+		console.log('▶ duration_ms', Math.round(Date.now() - startTime));
+	});
+
+	cmdOptions.verbose && console.error();
+	for(let [suiteDesc, suiteTests] of suites)
+		for(let cmdObj of suiteTests)
+			if(!cmdObj.skip){
+				(async() => {
+					await makeTest(cmdObj);
+				})();
+			}
+
+	cmdOptions.verbose && console.log();
+}
+/* node:coverage enable */
+
+/**
+ * @func  makeTest
+ * async
+ * @param {object} obj - The test data object.
+ * @desc  Carry out a single test.
+ */
+async function makeTest(obj){
+
+	const testID   = testCount++;
+
+	let preMsg = `Test#${(testID).toString().padStart(3, '0')} ... `;
+	let postMsg = preMsg;
+
+	preMsg += `Initiate ... ${obj.desc}`;
+	cmdOptions.verbose && console.error(preMsg);
+
+	if(!cmdOptions.verbose){
+		await obj.method();
+	}	/* node:coverage disable */
+	else{
+		try{
+			await obj.method();
+			passCount++;
+
+			postMsg += `Success  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+		catch(e){
+			failCount++;
+
+			postMsg += `Failure  ... ${obj.desc}`;
+			cmdOptions.verbose && console.error(postMsg);
+		}
+	}	/* node:coverage enable */
+}
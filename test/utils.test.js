@@ -9,7 +9,7 @@
 import assert from 'node:assert/strict';
 
 /* Import the tested module */
-import {updateObject, isValidObject, extractSubobjectByKeys} from '../lib/utils.js';
+import {updateObject, isValidObject, extractSubobjectByKeys, redactUrlParams} from '../lib/utils.js';
 
 /* Prepare test environment */
 let testCount   = 1;
@@ -149,6 +149,22 @@ function loadTestData(){
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
+
+	// TEST ### - Function redactUrlParams()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		const url = 'https://host/timeline/Alexandria/?key=SECRET&unitGroup=metric&token=T0K3N';
+
+		assert.strictEqual(redactUrlParams(url), 'https://host/timeline/Alexandria/?key=REDACTED&unitGroup=metric&token=T0K3N');
+		assert.strictEqual(redactUrlParams(url, ['key', 'token'], 'xxx'), 'https://host/timeline/Alexandria/?key=xxx&unitGroup=metric&token=xxx');
+		assert.strictEqual(redactUrlParams('https://host/timeline/Alexandria/'), 'https://host/timeline/Alexandria/');
+	};
+	testData.desc = 'Function redactUrlParams()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
 }
 
 /**
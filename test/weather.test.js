@@ -8,11 +8,27 @@
 /* Import node.js core modules */
 import assert from 'node:assert/strict';
 import fs from 'node:fs';
+import http from 'node:http';
 import { fileURLToPath }  from 'node:url';
 import { dirname, join }  from 'node:path';
 
 /* Import the tested module */
-import { Weather } from '../lib/weather.js';
+import {
+	Weather,
+	WeatherValidationError,
+	WeatherApiError,
+	WeatherNetworkError,
+	WeatherTimeoutError,
+	WeatherAbortError,
+	WeatherDataError,
+	WeatherBudgetError,
+	RateLimiter,
+	QueryBudget,
+	ResponseCache,
+	MemoryStore,
+	createReplayTransport,
+} from '../lib/weather.js';
+import { MockServer } from '../lib/server.js';
 
 /* Emulate commonJS __filename and __dirname constants */
 const __filename = fileURLToPath(import.meta.url);
@@ -74,6 +90,9 @@ function loadTestData(){
 		key = '';
 	}
 
+	/* Replay the recorded fixtures if no key */
+	let transport = key ? undefined : createReplayTransport({ dir: join(__dirname, 'fixtures') });
+
 	let sample_01_url = join(__dirname, './fixtures/sample_01.url');
 	sample_01_url = fs.readFileSync(sample_01_url, {encoding: 'utf8'});
 
@@ -116,7 +135,7 @@ function loadTestData(){
 				Weather.filterItemByDatetimeVal(sample.days, false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.filterItemByDatetimeVal: Invalid input datetime value 'false'.`);
 				return true;
 			}
@@ -148,7 +167,7 @@ function loadTestData(){
 				Weather.setItemByDatetimeVal(sample.days, datetime1, false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.setItemByDatetimeVal: Invalid input data value 'false'.`);
 				return true;
 			}
@@ -159,7 +178,7 @@ function loadTestData(){
 				Weather.setItemByDatetimeVal(sample.days, false, {});
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.setItemByDatetimeVal: Invalid input datetime value 'false'.`);
 				return true;
 			}
@@ -189,7 +208,7 @@ function loadTestData(){
 				Weather.updateItemByDatetimeVal(sample.days, datetime1, false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.updateItemByDatetimeVal: Invalid input data value 'false'.`);
 				return true;
 			}
@@ -200,7 +219,7 @@ function loadTestData(){
 				Weather.updateItemByDatetimeVal(sample.days, false, {});
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.updateItemByDatetimeVal: Invalid input datetime value 'false'.`);
 				return true;
 			}
@@ -250,7 +269,7 @@ function loadTestData(){
 				Weather.validateParamDate(false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamDate: Invalid date type 'boolean'.`);
 				return true;
 			}
@@ -261,7 +280,7 @@ function loadTestData(){
 				Weather.validateParamDate('TODAY');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamDate: Invalid date 'TODAY'.`);
 				return true;
 			}
@@ -272,7 +291,7 @@ function loadTestData(){
 				Weather.validateParamDate('25-03-07');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamDate: Invalid date '25-03-07'.`);
 				return true;
 			}
@@ -283,7 +302,7 @@ function loadTestData(){
 				Weather.validateParamDate('2025-03-07T04:00');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamDate: Invalid date '2025-03-07T04:00'.`);
 				return true;
 			}
@@ -309,7 +328,7 @@ function loadTestData(){
 				Weather.validateParamUnitGroup(false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamUnitGroup: Invalid unitGroup type 'boolean'.`);
 				return true;
 			}
@@ -320,7 +339,7 @@ function loadTestData(){
 				Weather.validateParamUnitGroup('TODAY');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamUnitGroup: Invalid unitGroup value 'TODAY'.`);
 				return true;
 			}
@@ -346,7 +365,7 @@ function loadTestData(){
 				Weather.validateParamInclude('days', false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamInclude: Invalid include parameter type 'boolean'.`);
 				return true;
 			}
@@ -357,7 +376,7 @@ function loadTestData(){
 				Weather.validateParamInclude('days', 'HOURS');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamInclude: Invalid include parameter 'HOURS'.`);
 				return true;
 			}
@@ -377,13 +396,20 @@ function loadTestData(){
 		let params = ['temp', 'tempmin', 'tempmax'];
 		assert.strictEqual(Weather.validateParamElements(...params), params.join(','));
 
+		params = ['datetime', 'datetimeEpoch', 'severerisk', 'feelslike', 'normal', 'icon'];
+		assert.strictEqual(Weather.validateParamElements(...params), params.join(','));
+
+		params = ['datetime', 'resolvedAddress', 'latitude', 'moonrise', 'precipremote', 'windspeed100', 'ghiradiation', 'sunelevation'];
+		assert.strictEqual(Weather.validateParamElements(...params), params.join(','));
+		assert.throws(() => Weather.validateParamElements('hasOwnProperty'), WeatherValidationError);
+
 		// invalid elements parameters
 		assert.throws(
 			() => {
 				Weather.validateParamElements('temp', false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamElements: Invalid elements parameter type 'boolean'.`);
 				return true;
 			}
@@ -394,7 +420,7 @@ function loadTestData(){
 				Weather.validateParamElements('temp', 'TEMP');
 			},
 			(err) => {
-				assert(err instanceof Error);
+				assert(err instanceof WeatherValidationError);
 				assert.strictEqual(err.message, `Weather.validateParamElements: Invalid elements parameter 'TEMP'.`);
 				return true;
 			}
@@ -405,6 +431,417 @@ function loadTestData(){
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
+	// TEST #08 - Static method Weather.expandPathTemplate()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const template = '{location}/{fromDate}/{toDate}/';
+
+		assert.strictEqual(Weather.expandPathTemplate(template, {location: 'Alexandria', fromDate: '2025-03-07', toDate: '2025-03-08'}), 'Alexandria/2025-03-07/2025-03-08/');
+		assert.strictEqual(Weather.expandPathTemplate(template, {location: 'Alexandria', fromDate: '2025-03-07', toDate: ''}), 'Alexandria/2025-03-07/');
+		assert.strictEqual(Weather.expandPathTemplate(template, {location: 'Alexandria'}), 'Alexandria/');
+		assert.strictEqual(Weather.expandPathTemplate(template, {location: 'London, UK'}), 'London%2C%20UK/');
+
+		assert.strictEqual(
+			Weather.expandPathTemplate('http://localhost:8080/proxy/{location}', {location: 'Alexandria'}),
+			'http://localhost:8080/proxy/Alexandria'
+		);
+
+		assert.throws(
+			() => {
+				Weather.expandPathTemplate(null);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.expandPathTemplate: Invalid path template 'null'.`);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Static method Weather.expandPathTemplate()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #09 - Static method Weather.validateParam[Lang/IconSet/Timezone]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		['en', 'ar', 'zh', 'id'].forEach(param => { assert.strictEqual(Weather.validateParamLang(param), param) });
+		['icons1', 'icons2'].forEach(param => { assert.strictEqual(Weather.validateParamIconSet(param), param) });
+		assert.strictEqual(Weather.validateParamTimezone('Z'), 'Z');
+
+		[
+			[() => Weather.validateParamLang('EN'), WeatherValidationError, `Weather.validateParamLang: Invalid lang value 'EN'.`],
+			[() => Weather.validateParamLang(1), WeatherValidationError, `Weather.validateParamLang: Invalid lang type 'number'.`],
+			[() => Weather.validateParamIconSet('icons3'), WeatherValidationError, `Weather.validateParamIconSet: Invalid iconSet value 'icons3'.`],
+			[() => Weather.validateParamIconSet(null), WeatherValidationError, `Weather.validateParamIconSet: Invalid iconSet type 'object'.`],
+			[() => Weather.validateParamTimezone('Africa/Cairo'), WeatherValidationError, `Weather.validateParamTimezone: Invalid timezone value 'Africa/Cairo'.`],
+			[() => Weather.validateParamTimezone(0), WeatherValidationError, `Weather.validateParamTimezone: Invalid timezone type 'number'.`],
+
+		].forEach(([fn, type, message]) => {
+			assert.throws(fn, (err) => {
+				assert(err instanceof type);
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Static method Weather.validateParam[Lang/IconSet/Timezone]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #10 - Static method Weather.validateParam[MaxDistance/MaxStations/ElevationDifference]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.strictEqual(Weather.validateParamMaxDistance(0), 0);
+		assert.strictEqual(Weather.validateParamMaxDistance(50000.5), 50000.5);
+		assert.strictEqual(Weather.validateParamMaxStations(3), 3);
+		assert.strictEqual(Weather.validateParamElevationDifference(200), 200);
+
+		[
+			[() => Weather.validateParamMaxDistance(-1), WeatherValidationError, `Weather.validateParamMaxDistance: Invalid maxDistance value '-1'.`],
+			[() => Weather.validateParamMaxDistance('1'), WeatherValidationError, `Weather.validateParamMaxDistance: Invalid maxDistance type 'string'.`],
+			[() => Weather.validateParamMaxStations(0), WeatherValidationError, `Weather.validateParamMaxStations: Invalid maxStations value '0'.`],
+			[() => Weather.validateParamMaxStations(1.5), WeatherValidationError, `Weather.validateParamMaxStations: Invalid maxStations value '1.5'.`],
+			[() => Weather.validateParamMaxStations('1'), WeatherValidationError, `Weather.validateParamMaxStations: Invalid maxStations type 'string'.`],
+			[() => Weather.validateParamElevationDifference(NaN), WeatherValidationError, `Weather.validateParamElevationDifference: Invalid elevationDifference value 'NaN'.`],
+			[() => Weather.validateParamElevationDifference(false), WeatherValidationError, `Weather.validateParamElevationDifference: Invalid elevationDifference type 'boolean'.`],
+
+		].forEach(([fn, type, message]) => {
+			assert.throws(fn, (err) => {
+				assert(err instanceof type);
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Static method Weather.validateParam[MaxDistance/MaxStations/ElevationDifference]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #11 - Static method Weather.validateParam[LocationNames/Options]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.strictEqual(Weather.validateParamLocationNames('Home', 'Office'), 'Home,Office');
+		assert.strictEqual(Weather.validateParamOptions('nonulls', 'useobs', 'useremote'), 'nonulls,useobs,useremote');
+		assert.strictEqual(Weather.validateParamOptions('nonulls', 'minuteinterval_15'), 'nonulls,minuteinterval_15');
+
+		[
+			[() => Weather.validateParamLocationNames('Home', ' '), WeatherValidationError, `Weather.validateParamLocationNames: Invalid locationNames parameter ' '.`],
+			[() => Weather.validateParamLocationNames('Home', 1), WeatherValidationError, `Weather.validateParamLocationNames: Invalid locationNames parameter type 'number'.`],
+			[() => Weather.validateParamOptions('nonulls', 'NONULLS'), WeatherValidationError, `Weather.validateParamOptions: Invalid options parameter 'NONULLS'.`],
+			[() => Weather.validateParamOptions('minuteinterval_7'), WeatherValidationError, `Weather.validateParamOptions: Invalid options parameter 'minuteinterval_7'.`],
+			[() => Weather.validateParamOptions(false), WeatherValidationError, `Weather.validateParamOptions: Invalid options parameter type 'boolean'.`],
+
+		].forEach(([fn, type, message]) => {
+			assert.throws(fn, (err) => {
+				assert(err instanceof type);
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Static method Weather.validateParam[LocationNames/Options]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #12 - Static method Weather.validateParamDegreeDay[Temp/StartDate/Inverse]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.strictEqual(Weather.validateParamDegreeDayTemp(-5.5), -5.5);
+		assert.strictEqual(Weather.validateParamDegreeDayStartDate('2025-01-01'), '2025-01-01');
+		assert.strictEqual(Weather.validateParamDegreeDayInverse(true), true);
+
+		[
+			[() => Weather.validateParamDegreeDayTemp(Infinity), WeatherValidationError, `Weather.validateParamDegreeDayTemp: Invalid degree day temperature value 'Infinity'.`],
+			[() => Weather.validateParamDegreeDayTemp('18'), WeatherValidationError, `Weather.validateParamDegreeDayTemp: Invalid degree day temperature type 'string'.`],
+			[() => Weather.validateParamDegreeDayStartDate('today'), WeatherValidationError, `Weather.validateParamDegreeDayStartDate: Invalid degreeDayStartDate value 'today'.`],
+			[() => Weather.validateParamDegreeDayStartDate(0), WeatherValidationError, `Weather.validateParamDegreeDayStartDate: Invalid degreeDayStartDate type 'number'.`],
+			[() => Weather.validateParamDegreeDayInverse('true'), WeatherValidationError, `Weather.validateParamDegreeDayInverse: Invalid degreeDayInverse type 'string'.`],
+
+		].forEach(([fn, type, message]) => {
+			assert.throws(fn, (err) => {
+				assert(err instanceof type);
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Static method Weather.validateParamDegreeDay[Temp/StartDate/Inverse]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #13 - Static method Weather.validateParamForecastBasis[Date/Day]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+
+		assert.strictEqual(Weather.validateParamForecastBasisDate('2024-05-01'), '2024-05-01');
+		assert.strictEqual(Weather.validateParamForecastBasisDay(0), 0);
+		assert.strictEqual(Weather.validateParamForecastBasisDay(15), 15);
+
+		[
+			[() => Weather.validateParamForecastBasisDate('2024-05-01T00:00:00'), WeatherValidationError, `Weather.validateParamForecastBasisDate: Invalid forecastBasisDate value '2024-05-01T00:00:00'.`],
+			[() => Weather.validateParamForecastBasisDate(null), WeatherValidationError, `Weather.validateParamForecastBasisDate: Invalid forecastBasisDate type 'object'.`],
+			[() => Weather.validateParamForecastBasisDay(16), WeatherValidationError, `Weather.validateParamForecastBasisDay: Invalid forecastBasisDay value '16'.`],
+			[() => Weather.validateParamForecastBasisDay('1'), WeatherValidationError, `Weather.validateParamForecastBasisDay: Invalid forecastBasisDay type 'string'.`],
+
+		].forEach(([fn, type, message]) => {
+			assert.throws(fn, (err) => {
+				assert(err instanceof type);
+				assert.strictEqual(err.message, message);
+				return true;
+			});
+		});
+	};
+	testData.desc = 'Static method Weather.validateParamForecastBasis[Date/Day]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #14 - Static method Weather.createApiError()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const url = 'https://weather.visualcrossing.com/timeline/Alexandria/?key=SECRET&unitGroup=metric';
+
+		let error = Weather.createApiError({ status: 401, headers: {}, body: 'No account found with API key \'SECRET\'\n' }, url);
+
+		assert(error instanceof WeatherApiError);
+		assert.strictEqual(error.name, 'WeatherApiError');
+		assert.strictEqual(error.status, 401);
+		assert.strictEqual(error.apiMessage, `No account found with API key 'SECRET'`);
+		assert.strictEqual(error.url, 'https://weather.visualcrossing.com/timeline/Alexandria/?key=REDACTED&unitGroup=metric');
+		assert.strictEqual(error.queryCost, null);
+
+		error = Weather.createApiError({ status: 429, headers: {}, body: JSON.stringify({ message: 'Too many requests', queryCost: 24 }) }, url);
+
+		assert.strictEqual(error.message, 'Weather.fetchWeatherData: Request failed with status 429: Too many requests');
+		assert.strictEqual(error.apiMessage, 'Too many requests');
+		assert.strictEqual(error.queryCost, 24);
+	};
+	testData.desc = 'Static method Weather.createApiError()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #15 - Static method Weather.estimateQueryCost()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const now = Date.UTC(2025, 2, 7, 12);	// Friday
+
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', {}, now), 1);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: '2025-03-07' }, now), 1);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: '2025-03-06' }, now), 24);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: '2025-03-01', toDate: '2025-03-10' }, now), 6 * 24 + 1);
+		assert.strictEqual(Weather.estimateQueryCost(['Alexandria', 'Cairo'], { fromDate: 'last7days' }, now), 2 * 7 * 24);
+		assert.strictEqual(Weather.estimateQueryCost(3, { fromDate: 'next7days' }, now), 3);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: 'lastweekend' }, now), 48);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: 'lastfriday' }, now), 24);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: 'monthtodate' }, now), 6 * 24 + 1);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: '2025-03-01', include: 'current' }, now), 1);
+		assert.strictEqual(Weather.estimateQueryCost('Alexandria', { fromDate: '2025-03-01', include: ['days', 'current'] }, now), 24);
+
+		assert.throws(() => Weather.estimateQueryCost([], {}, now), WeatherValidationError);
+		assert.throws(() => Weather.estimateQueryCost('Alexandria', { fromDate: '07/03/2025' }, now), WeatherValidationError);
+		assert.throws(() => Weather.estimateQueryCost('Alexandria', { include: 'weeks' }, now), WeatherValidationError);
+	};
+	testData.desc = 'Static method Weather.estimateQueryCost()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #16 - Static method Weather.splitDateRange()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		assert.deepStrictEqual(Weather.splitDateRange('2025-03-01', '2025-03-10', 4), [
+			['2025-03-01', '2025-03-04'],
+			['2025-03-05', '2025-03-08'],
+			['2025-03-09', '2025-03-10'],
+		]);
+		assert.deepStrictEqual(Weather.splitDateRange('2024-02-27', '2024-03-02', 2), [
+			['2024-02-27', '2024-02-28'],
+			['2024-02-29', '2024-03-01'],
+			['2024-03-02', '2024-03-02'],
+		]);
+		assert.deepStrictEqual(Weather.splitDateRange('2025-03-01', '2025-03-10', 10), [['2025-03-01', '2025-03-10']]);
+		assert.deepStrictEqual(Weather.splitDateRange('2025-03-01', '', 1), [['2025-03-01', '']]);
+		assert.deepStrictEqual(Weather.splitDateRange('last30days', undefined, 7), [['last30days', undefined]]);
+		assert.deepStrictEqual(Weather.splitDateRange('2025-03-01T12:00:00', '2025-03-10T12:00:00', 2), [['2025-03-01T12:00:00', '2025-03-10T12:00:00']]);
+
+		assert.throws(() => Weather.splitDateRange('2025-03-01', '2025-03-10', 0), WeatherValidationError);
+		assert.throws(() => Weather.splitDateRange('2025-03-01', '2025-03-10', 1.5), WeatherValidationError);
+	};
+	testData.desc = 'Static method Weather.splitDateRange()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #17 - Static method Weather.mergeWeatherData()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const parts = [
+			{ address: 'Alexandria', queryCost: 48, days: [{ datetime: '2025-03-02' }, { datetime: '2025-03-01' }], stations: { A: { id: 'A' } }, alerts: [{ id: 'x' }] },
+			{ address: 'Alexandria', queryCost: 24, days: [{ datetime: '2025-03-02', temp: 0 }, { datetime: '2025-03-03' }], stations: { B: { id: 'B' } }, alerts: [{ id: 'x' }, { id: 'y' }],
+				currentConditions: { temp: 20 } },
+		];
+
+		const merged = Weather.mergeWeatherData(parts);
+
+		assert.strictEqual(merged.address, 'Alexandria');
+		assert.strictEqual(merged.queryCost, 72);
+		assert.deepStrictEqual(merged.days, [{ datetime: '2025-03-01' }, { datetime: '2025-03-02' }, { datetime: '2025-03-03' }]);
+		assert.deepStrictEqual(Object.keys(merged.stations), ['A', 'B']);
+		assert.deepStrictEqual(merged.alerts, [{ id: 'x' }, { id: 'y' }]);
+		assert.deepStrictEqual(merged.currentConditions, { temp: 20 });
+		assert.strictEqual(parts[0].days.length, 2);
+
+		assert.deepStrictEqual(Weather.mergeWeatherData([{ address: 'Alexandria' }]), { address: 'Alexandria' });
+	};
+	testData.desc = 'Static method Weather.mergeWeatherData()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #18 - Static method Weather.dedupeAlerts()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const alerts = [
+			{ id: 'a', event: 'Flood Warning', endsEpoch: 100 },
+			{ event: 'Wind Advisory', onsetEpoch: 50, headline: 'Wind' },
+			{ id: 'a', event: 'Flood Warning', endsEpoch: 200 },
+			{ event: 'Wind Advisory', onsetEpoch: 50, headline: 'Wind' },
+			{ event: 'Wind Advisory', onsetEpoch: 60, headline: 'Wind' },
+		];
+
+		assert.deepStrictEqual(Weather.dedupeAlerts(alerts), [alerts[2], alerts[3], alerts[4]]);
+		assert.deepStrictEqual(Weather.dedupeAlerts([]), []);
+	};
+	testData.desc = 'Static method Weather.dedupeAlerts()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #19 - Static method Weather.resolveDynamicDate()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		/* Saturday 2025-03-08 23:30 UTC, already Sunday 2025-03-09 01:30 in Cairo */
+		const now = Date.parse('2025-03-08T23:30:00Z');
+
+		assert.deepStrictEqual(Weather.resolveDynamicDate('today', { timezone: 'Africa/Cairo', now }), {
+			keyword: 'today', fromDate: '2025-03-09', toDate: '2025-03-09', start: '2025-03-09T00:00:00', end: '2025-03-09T23:59:59',
+			startEpoch: 1741471200, endEpoch: 1741557599, days: 1,
+		});
+		assert.deepStrictEqual(Weather.resolveDynamicDate('last24hours', { timezone: 'Africa/Cairo', now: new Date(now) }), {
+			keyword: 'last24hours', fromDate: '2025-03-08', toDate: '2025-03-09', start: '2025-03-08T01:00:00', end: '2025-03-09T01:00:00',
+			startEpoch: 1741388400, endEpoch: 1741474800, days: 2,
+		});
+
+		/* Monday 2025-03-10 13:47:31 UTC, 15:47:31 in Cairo */
+		const later = Date.parse('2025-03-10T13:47:31Z');
+
+		assert.deepStrictEqual(Weather.resolveDynamicDate('last24hours', { timezone: 'Africa/Cairo', now: later }), {
+			keyword: 'last24hours', fromDate: '2025-03-09', toDate: '2025-03-10', start: '2025-03-09T15:00:00', end: '2025-03-10T15:00:00',
+			startEpoch: 1741525200, endEpoch: 1741611600, days: 2,
+		});
+		assert.deepStrictEqual(Weather.resolveDynamicDate('monthtodate', { timezone: 'Africa/Cairo', now: later }), {
+			keyword: 'monthtodate', fromDate: '2025-03-01', toDate: '2025-03-10', start: '2025-03-01T00:00:00', end: '2025-03-10T15:47:31',
+			startEpoch: 1740780000, endEpoch: 1741614451, days: 10,
+		});
+		assert.deepStrictEqual(Weather.resolveDynamicDate('yeartodate', { tzoffset: 5.5, now: later }), {
+			keyword: 'yeartodate', fromDate: '2025-01-01', toDate: '2025-03-10', start: '2025-01-01T00:00:00', end: '2025-03-10T19:17:31',
+			startEpoch: 1735669800, endEpoch: 1741614451, days: 69,
+		});
+		assert.strictEqual(Weather.resolveDynamicDate('last24hours', { tzoffset: 5.5, now: later }).end, '2025-03-10T19:00:00');
+
+		const resolve = (keyword, options = { timezone: 'Africa/Cairo', now }) => {
+			const { fromDate, toDate, days } = Weather.resolveDynamicDate(keyword, options);
+			return [fromDate, toDate, days];
+		};
+
+		assert.deepStrictEqual(resolve('today', { now }), ['2025-03-08', '2025-03-08', 1]);
+		assert.deepStrictEqual(resolve('today', { tzoffset: -5, now }), ['2025-03-08', '2025-03-08', 1]);
+		assert.deepStrictEqual(resolve('yesterday'), ['2025-03-08', '2025-03-08', 1]);
+		assert.deepStrictEqual(resolve('tomorrow'), ['2025-03-10', '2025-03-10', 1]);
+		assert.deepStrictEqual(resolve('next7days'), ['2025-03-09', '2025-03-15', 7]);
+		assert.deepStrictEqual(resolve('last7days'), ['2025-03-02', '2025-03-08', 7]);
+		assert.deepStrictEqual(resolve('nextweekend'), ['2025-03-15', '2025-03-16', 2]);
+		assert.deepStrictEqual(resolve('lastweekend'), ['2025-03-01', '2025-03-02', 2]);
+		assert.deepStrictEqual(resolve('nextsunday'), ['2025-03-16', '2025-03-16', 1]);
+		assert.deepStrictEqual(resolve('lastmonday'), ['2025-03-03', '2025-03-03', 1]);
+		assert.deepStrictEqual(resolve('monthtodate'), ['2025-03-01', '2025-03-09', 9]);
+		assert.deepStrictEqual(resolve('yeartodate'), ['2025-01-01', '2025-03-09', 68]);
+
+		/* the day counts across the leap day of 2024-02-29 */
+		const leap = { now: Date.parse('2024-03-10T12:00:00Z') };
+
+		assert.deepStrictEqual(resolve('lastyear', leap), ['2023-03-10', '2024-03-09', 366]);
+		assert.deepStrictEqual(resolve('lastyear', { now: Date.parse('2025-03-10T12:00:00Z') }), ['2024-03-10', '2025-03-09', 365]);
+		assert.deepStrictEqual(resolve('last30days', leap), ['2024-02-09', '2024-03-09', 30]);
+		assert.deepStrictEqual(resolve('next30days', { now: Date.parse('2024-02-15T12:00:00Z') }), ['2024-02-15', '2024-03-15', 30]);
+		assert.deepStrictEqual(resolve('next1days', leap), ['2024-03-10', '2024-03-10', 1]);
+
+		for(const [keyword, options, param] of [
+			['2025-03-08', {}, 'keyword'],
+			['someday', {}, 'date'],
+			['today', { now: 'now' }, 'now'],
+			['today', { tzoffset: '2' }, 'tzoffset'],
+			['today', { timezone: 'Mars/Olympus' }, 'timezone'],
+		]){
+			assert.throws(() => Weather.resolveDynamicDate(keyword, options), (error) => error instanceof WeatherValidationError && error.param === param);
+		}
+	};
+	testData.desc = 'Static method Weather.resolveDynamicDate()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #20 - Static method Weather.getElementInfo()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		assert.deepStrictEqual(Weather.getElementInfo('tempmax'), {
+			name: 'tempmax', levels: ['day'], type: 'number', unit: 'C', description: 'The maximum temperature.', range: [-90, 60],
+		});
+
+		let info = Weather.getElementInfo('snowdepth', 'us');
+		assert.strictEqual(info.unit, 'in');
+		assert.deepStrictEqual(info.range, [0, 1181.102]);
+		assert.deepStrictEqual(info.levels, ['day', 'hour', 'current']);
+
+		info = Weather.getElementInfo('preciptype', 'uk');
+		assert.strictEqual(info.type, 'array');
+		assert.strictEqual(info.unit, null);
+		assert.strictEqual(info.range, null);
+
+		info.levels.push('minute');
+		assert.deepStrictEqual(Weather.getElementInfo('preciptype').levels, ['day', 'hour', 'current']);
+
+		assert.throws(() => Weather.getElementInfo('TEMP'), (err) => err instanceof WeatherValidationError && err.param === 'element');
+		assert.throws(() => Weather.getElementInfo('temp', 'si'), (err) => err instanceof WeatherValidationError && err.param === 'unitGroup');
+	};
+	testData.desc = 'Static method Weather.getElementInfo()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
 	// TEST SUITE #2 - Test Weather Instance Method fetchWeatherData
 	suiteDesc = 'Test Weather Instance Method fetchWeatherData';
 	suites.set(suiteDesc, []);
@@ -420,6 +857,8 @@ function loadTestData(){
 			assert(false);
 		}
 		catch(error){
+			assert(error instanceof WeatherValidationError);
+			assert.strictEqual(error.param, 'apiKey');
 			assert.strictEqual(error.message, 'Weather.fetchWeatherData: No API key or session found.');
 		}
 	};
@@ -493,7 +932,7 @@ function loadTestData(){
 	testData.method = async () => {
 		let sample = JSON.parse(sampleActive);
 
-		let weather = new Weather(key);
+		let weather = new Weather(key || 'KEY', undefined, { transport });
 		let actual = await weather.fetchWeatherData(sample.address, sample.days[0].datetime, undefined, undefined, 'days');
 
 		[
@@ -510,7 +949,7 @@ function loadTestData(){
 	};
 	testData.desc = 'Method fetchWeatherData()...test#5';
 
-	testData.skip = !key; // skip test if no key
+	testData.skip = false; // replayed if no key
 	suites.get(suiteDesc).push(testData);
 
 	// TEST #06 - Method fetchWeatherData()...test#6
@@ -521,26 +960,35 @@ function loadTestData(){
 		let fetch = globalThis.fetch;
 		globalThis.fetch = null;
 
-		let weather = new Weather(key);
-		let actual = await weather.fetchWeatherData(sample.address, sample.days[0].datetime, undefined, undefined, 'days');
-
-		[
-			"latitude",
-			"longitude",
-			"resolvedAddress",
-			"address",
-			"timezone",
-			"tzoffset",
+		/* the default transport falls back to node:http without the fetch API */
+		const server = new MockServer({ fixtures: [sample] });
 
-		].forEach(key => {
-			assert.strictEqual(actual[key], sample[key])
-		});
+		try{
+			let weather = new Weather('KEY', await server.start());
+			let actual = await weather.fetchWeatherData(sample.address, sample.days[0].datetime, undefined, undefined, 'days');
+
+			[
+				"latitude",
+				"longitude",
+				"resolvedAddress",
+				"address",
+				"timezone",
+				"tzoffset",
+
+			].forEach(key => {
+				assert.strictEqual(actual[key], sample[key])
+			});
 
-		globalThis.fetch = fetch;
+			assert.strictEqual(server.requests.length, 1);
+		}
+		finally{
+			globalThis.fetch = fetch;
+			await server.stop();
+		}
 	};
 	testData.desc = 'Method fetchWeatherData()...test#6';
 
-	testData.skip = !key; // skip test if no key
+	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
 	// TEST #07 - Method fetchWeatherData()...test#7
@@ -573,470 +1021,931 @@ function loadTestData(){
 	testData.skip = !key; // skip test if no key
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #3 - Test Weather Instance Methods - Data elements
-	suiteDesc = 'Test Weather Instance Methods - Data elements';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]WeatherData()...test#1
+	// TEST #08 - Method buildRequestUrl()...test#1
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		let weather = new Weather('KEY');
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		assert.strictEqual(weather.getEndpoint(), '{location}/{fromDate}/{toDate}/');
+		assert.strictEqual(
+			weather.buildRequestUrl({location: 'Alexandria', fromDate: '2025-03-07'}, {key: 'KEY', unitGroup: 'metric'}),
+			'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline/Alexandria/2025-03-07/?key=KEY&unitGroup=metric'
+		);
 
-		assert.deepStrictEqual(weather.getWeatherData(), sample);
+		weather = new Weather('KEY', 'http://localhost:8080/', {
+			endpoints: { fixture: 'http://localhost:9090/fixtures/{location}.json' },
+		});
 
-		let elements = ['address', 'days', 'latitude', 'longitude'];
-		let res = weather.getWeatherData(elements);
+		assert.strictEqual(
+			weather.buildRequestUrl({location: 'Alexandria'}),
+			'http://localhost:8080/Alexandria/'
+		);
+		assert.strictEqual(
+			weather.buildRequestUrl({location: 'Alexandria'}, {}, 'fixture'),
+			'http://localhost:9090/fixtures/Alexandria.json'
+		);
 
-		elements.forEach(e => { res[e] === sample[e] });
+		weather.setEndpoint('proxy', 'cache/{location}/{fromDate}');
+		weather.endpoint = 'proxy';
 
-		assert(weather.getWeatherData('invalid arg') === null);
+		assert.strictEqual(weather.getEndpoint(), 'cache/{location}/{fromDate}');
+		assert.strictEqual(
+			weather.buildRequestUrl({location: 'Alexandria', fromDate: '2025-03-07'}, {key: 'KEY'}),
+			'http://localhost:8080/cache/Alexandria/2025-03-07?key=KEY'
+		);
+
+		assert.strictEqual(weather.getEndpoint('xxx'), null);
+		assert.throws(
+			() => {
+				weather.buildRequestUrl({location: 'Alexandria'}, {}, 'xxx');
+			},
+			(err) => {
+				assert(err instanceof Error);
+				assert.strictEqual(err.message, `Weather.buildRequestUrl: Unknown endpoint 'xxx'.`);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setEndpoint('xxx', false);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setEndpoint: Invalid endpoint template 'false'.`);
+				return true;
+			}
+		);
 	};
-	testData.desc = 'Method [get/set]WeatherData()...test#1';
+	testData.desc = 'Method buildRequestUrl()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/clear]WeatherData()...test#1
+	// TEST #09 - Method fetchWeatherData()...test#8
 	testData = {};
 
 	testData.method = async () => {
+		let requestUrl = '';
 
-		let weather = new Weather();
-		weather.clearWeatherData();
+		const server = http.createServer((req, res) => {
+			requestUrl = req.url;
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(sample_01);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		assert.deepStrictEqual(weather.getWeatherData(), {});
+		try{
+			let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}/timeline`);
+			let actual = await weather.fetchWeatherData('Alexandria', '2025-03-07');
+
+			assert(requestUrl.startsWith('/timeline/Alexandria/2025-03-07/?key=KEY'));
+			assert.deepStrictEqual(actual, JSON.parse(sample_01));
+			assert.deepStrictEqual(weather.getWeatherData(), JSON.parse(sample_01));
+		}
+		finally{
+			server.close();
+		}
 	};
-	testData.desc = 'Method [get/clear]WeatherData()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#8';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #03 - Method [get/set]WeatherDailyData()...test#1
+	// TEST #10 - Method fetchWeatherData()...test#9
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		const server = http.createServer((req, res) => {
+			if(req.url.startsWith('/Alexandria/')){
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(sample_01);
+			}
+			else
+			if(req.url.startsWith('/html/')){
+				res.writeHead(200, {'Content-Type': 'text/html'});
+				res.end('<html></html>');
+			}
+			else{
+				res.writeHead(400, {'Content-Type': 'text/plain'});
+				res.end('Bad API Request:Invalid location parameter value.');
+			}
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		const fetch = globalThis.fetch;
 
-		assert.deepStrictEqual(weather.getWeatherDailyData(), sample.days);
+		try{
+			for(const fetchImpl of [fetch, null]){
+				globalThis.fetch = fetchImpl;
+
+				let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}`);
+				let actual = await weather.fetchWeatherData('Alexandria', '2025-03-07');
+
+				assert.deepStrictEqual(actual, JSON.parse(sample_01));
+				assert.deepStrictEqual(weather.getWeatherData(), JSON.parse(sample_01));
+
+				await assert.rejects(
+					weather.fetchWeatherData('xxx', '2025-03-07'),
+					(err) => {
+						assert(err instanceof WeatherApiError);
+						assert.strictEqual(err.status, 400);
+						assert.strictEqual(err.apiMessage, 'Bad API Request:Invalid location parameter value.');
+						assert.strictEqual(err.message, 'Weather.fetchWeatherData: Request failed with status 400: Bad API Request:Invalid location parameter value.');
+						assert(err.url.endsWith('/xxx/2025-03-07/?key=REDACTED&lang=en&contentType=json&unitGroup=metric'));
+						assert.strictEqual(err.queryCost, null);
+						return true;
+					}
+				);
+
+				await assert.rejects(
+					weather.fetchWeatherData('html', '2025-03-07'),
+					(err) => {
+						assert(err instanceof WeatherDataError);
+						assert(err.cause instanceof SyntaxError);
+						assert.strictEqual(err.message, 'Weather.fetchWeatherData: Invalid JSON response body.');
+						return true;
+					}
+				);
+			}
+		}
+		finally{
+			globalThis.fetch = fetch;
+			server.close();
+		}
+	};
+	testData.desc = 'Method fetchWeatherData()...test#9';
 
-		let elements = ['tempmax', 'tempmin', 'temp'];
-		let res = weather.getWeatherDailyData(elements);
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
 
-		for(let i = 0; i < res.length; i++)
-			for(let p in res[i])
-				assert.strictEqual(res[i][p], sample.days[i][p]);
+	// TEST #11 - Method fetchWeatherData()...test#10
+	testData = {};
 
-		assert(weather.getWeatherDailyData('invalid arg') === null);
+	testData.method = async () => {
+		const server = http.createServer();
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		let arr = [];
-		weather.setWeatherDailyData(arr);
-		assert(weather.getWeatherDailyData() === arr);
+		const port = server.address().port;
+		await new Promise(resolve => server.close(resolve));
+
+		const fetch = globalThis.fetch;
+
+		try{
+			for(const fetchImpl of [fetch, null]){
+				globalThis.fetch = fetchImpl;
+
+				let weather = new Weather('KEY', `http://127.0.0.1:${port}`);
+
+				await assert.rejects(
+					weather.fetchWeatherData('Alexandria', '2025-03-07'),
+					(err) => {
+						assert(err instanceof WeatherNetworkError);
+						assert(err.message.startsWith('Weather.fetchWeatherData: Network error'));
+						assert(err.url.includes('key=REDACTED'));
+						assert(err.cause);
+						return true;
+					}
+				);
+			}
+		}
+		finally{
+			globalThis.fetch = fetch;
+		}
 	};
-	testData.desc = 'Method [get/set]WeatherDailyData()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#10';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #04 - Method getWeatherHourlyData()...test#1
+	// TEST #12 - Method fetchWeatherData()...test#11
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		let requestUrl = '';
 
-		let res = weather.getWeatherHourlyData();
+		const server = http.createServer((req, res) => {
+			requestUrl = req.url;
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(sample_01);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		for(let i = 0, j = 0; i < sample.days.length; i++)
-			for(let k = 0; k < sample.days[i].hours.length; k++, j++)
-				assert.deepStrictEqual(res[j], sample.days[i].hours[k]);
+		try{
+			let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}`);
+
+			await weather.fetchWeatherData('Alexandria', {
+				fromDate: '2025-03-07',
+				toDate: '2025-03-08',
+				include: ['days', 'hours'],
+				elements: ['datetime', 'temp'],
+				lang: 'ar',
+				iconSet: 'icons2',
+				timezone: 'Z',
+				maxDistance: 50000,
+				maxStations: 3,
+				elevationDifference: 200,
+				options: ['nonulls', 'useobs'],
+				degreeDayTempBase: 18,
+				degreeDayInverse: true,
+				forecastBasisDay: 2,
+			});
 
-		res = weather.getWeatherHourlyData(['datetime']);
+			let url = new URL(requestUrl, 'http://127.0.0.1');
+			assert.strictEqual(url.pathname, '/Alexandria/2025-03-07/2025-03-08/');
+			assert.deepStrictEqual(Object.fromEntries(url.searchParams), {
+				key: 'KEY',
+				lang: 'ar',
+				contentType: 'json',
+				unitGroup: 'metric',
+				include: 'days,hours',
+				elements: 'datetime,temp',
+				iconSet: 'icons2',
+				timezone: 'Z',
+				maxDistance: '50000',
+				maxStations: '3',
+				elevationDifference: '200',
+				options: 'nonulls,useobs',
+				degreeDayTempBase: '18',
+				degreeDayInverse: 'true',
+				forecastBasisDay: '2',
+			});
 
-		for(let i = 0, j = 0; i < sample.days.length; i++)
-			for(let k = 0; k < sample.days[i].hours.length; k++, j++)
-				assert.strictEqual(res[j].datetime, sample.days[i].hours[k].datetime);
+			await weather.fetchWeatherData('Alexandria', { unitGroup: 'us' });
 
-		assert(weather.getWeatherHourlyData('invalid arg') === null);
+			url = new URL(requestUrl, 'http://127.0.0.1');
+			assert.strictEqual(url.pathname, '/Alexandria/');
+			assert.deepStrictEqual(Object.fromEntries(url.searchParams), { key: 'KEY', lang: 'en', contentType: 'json', unitGroup: 'us' });
+		}
+		finally{
+			server.close();
+		}
 	};
-	testData.desc = 'Method getWeatherHourlyData()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#11';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #05 - Method getDataOnDay()...test#1
+	// TEST #13 - Method fetchWeatherData()...test#12
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
-
-		let datetime = sample.days[0].datetime;
-
-		assert.deepStrictEqual(weather.getDataOnDay(datetime), sample.days.find((data) => data.datetime === datetime));
-		assert.deepStrictEqual(weather.getDataOnDay(0), sample.days[0]);
-		assert(weather.getDataOnDay('1970-01-01') === undefined);
-
-		let elements = ['tempmax', 'tempmin', 'temp'];
-		let res = weather.getDataOnDay(0, elements);
+		let requestCount = 0;
 
-		for(let p in res)
-			assert.strictEqual(res[p], sample.days[0][p]);
+		const server = http.createServer((req, res) => {
+			requestCount++;
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(sample_01);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		assert(weather.getDataOnDay(false) === null);
+		try{
+			let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}`);
+
+			await assert.rejects(
+				weather.fetchWeatherData('Alexandria', { unitGroup: 'imperial', include: ['days', 'hourz'], maxStations: 0, inclde: 'days' }),
+				(err) => {
+					assert(err instanceof WeatherValidationError);
+					assert.deepStrictEqual(err.errors.map(e => e.param), ['unitGroup', 'include', 'maxStations', 'inclde']);
+					assert.strictEqual(err.message, [
+						`Weather.fetchWeatherData: 4 invalid parameters.`,
+						` - Weather.validateParamUnitGroup: Invalid unitGroup value 'imperial'.`,
+						` - Weather.validateParamInclude: Invalid include parameter 'hourz'.`,
+						` - Weather.validateParamMaxStations: Invalid maxStations value '0'.`,
+						` - Weather.fetchWeatherData: Unknown option 'inclde'.`,
+					].join('\n'));
+					return true;
+				}
+			);
+
+			await assert.rejects(
+				weather.fetchWeatherData('Alexandria', '2025-03-07', '2025-03-01'),
+				(err) => {
+					assert(err instanceof WeatherValidationError);
+					assert.strictEqual(err.message, `Weather.fetchWeatherData: toDate '2025-03-01' precedes fromDate '2025-03-07'.`);
+					return true;
+				}
+			);
+
+			await assert.rejects(
+				weather.fetchWeatherData('Alexandria', 'next7days', '2025-03-01'),
+				(err) => {
+					assert.strictEqual(err.message, `Weather.fetchWeatherData: toDate cannot be used with the dynamic date 'next7days'.`);
+					return true;
+				}
+			);
+
+			await assert.rejects(
+				weather.fetchWeatherData('Alexandria', { toDate: '2025-03-01', endpoint: 'xxx' }),
+				(err) => {
+					assert.deepStrictEqual(err.errors.map(e => e.message), [
+						`Weather.fetchWeatherData: Unknown endpoint 'xxx'.`,
+						`Weather.fetchWeatherData: toDate '2025-03-01' requires a fromDate.`,
+					]);
+					return true;
+				}
+			);
+
+			assert.strictEqual(requestCount, 0);
+
+			await weather.fetchWeatherData('Alexandria', '2025-03-07', '2025-03-07T12:00:00', 'us', 'days,hours', ['temp', 'tempmax']);
+			assert.strictEqual(requestCount, 1);
+		}
+		finally{
+			server.close();
+		}
 	};
-	testData.desc = 'Method getDataOnDay()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#12';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #06 - Method [get/set]DataOnDay()...test#1
+	// TEST #14 - Method fetchWeatherData()...test#13
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		let requestCount = 0;
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		const server = http.createServer((req, res) => {
+			requestCount++;
+			if(req.url.startsWith('/busy/') && requestCount % 3 !== 0){
+				res.writeHead(requestCount % 3 === 1 ? 503 : 429, {'Content-Type': 'text/plain', 'Retry-After': '0'});
+				res.end('Service busy');
+			}
+			else
+			if(req.url.startsWith('/bad/')){
+				res.writeHead(400, {'Content-Type': 'text/plain'});
+				res.end('Bad API Request');
+			}
+			else
+			if(req.url.startsWith('/wait/')){
+				res.writeHead(503, {'Content-Type': 'text/plain', 'Retry-After': '60'});
+				res.end('Service busy');
+			}
+			else{
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(sample_01);
+			}
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		let datetime = sample.days[0].datetime;
-		let data = {datetime: datetime};
+		const fetch = globalThis.fetch;
 
-		weather.setDataOnDay(datetime, data);
-		assert(weather.getDataOnDay(datetime) === data);
+		try{
+			for(const fetchImpl of [fetch, null]){
+				globalThis.fetch = fetchImpl;
 
-		weather.setDataOnDay(0, data);
-		assert(weather.getDataOnDay(0) === data);
+				let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}`, { retry: { maxAttempts: 3, baseDelay: 1 } });
 
-		assert.throws(
-			() => {
-				weather.setDataOnDay(false, data);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setDataOnDay: Invalid input day value 'false'.`);
-				return true;
+				requestCount = 0;
+				assert.deepStrictEqual(await weather.fetchWeatherData('busy'), JSON.parse(sample_01));
+				assert.strictEqual(requestCount, 3);
+
+				requestCount = 0;
+				await assert.rejects(weather.fetchWeatherData('busy', { retry: { maxAttempts: 2 } }), (err) => {
+					assert(err instanceof WeatherApiError);
+					assert.strictEqual(err.status, 429);
+					return true;
+				});
+				assert.strictEqual(requestCount, 2);
+
+				requestCount = 0;
+				await assert.rejects(weather.fetchWeatherData('bad'), (err) => {
+					assert(err instanceof WeatherApiError);
+					assert.strictEqual(err.status, 400);
+					return true;
+				});
+				assert.strictEqual(requestCount, 1);
+
+				/* aborted while waiting for the Retry-After delay */
+				const controller = new AbortController();
+				setTimeout(() => controller.abort('cancelled'), 100);
+
+				requestCount = 0;
+				await assert.rejects(weather.fetchWeatherData('wait', { retry: { maxDelay: 60000 }, signal: controller.signal }), (err) => {
+					assert(err instanceof WeatherAbortError);
+					assert.strictEqual(err.message, 'Weather.fetchWeatherData: The request was aborted.');
+					assert.strictEqual(err.cause, 'cancelled');
+					return true;
+				});
+				assert.strictEqual(requestCount, 1);
 			}
-		);
+		}
+		finally{
+			globalThis.fetch = fetch;
+			server.close();
+		}
+
+		assert.throws(() => new Weather('KEY', undefined, { retry: { maxAttempts: 0 } }), WeatherValidationError);
+		assert.throws(() => new Weather('KEY', undefined, { timeout: -1 }), WeatherValidationError);
 	};
-	testData.desc = 'Method [get/set]DataOnDay()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#13';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #07 - Method getHourlyDataOnDay()...test#1
+	// TEST #15 - Method fetchWeatherData()...test#14
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		let requestCount = 0;
+		const timers = new Set();
+
+		const server = http.createServer((req, res) => {
+			requestCount++;
+			const timer = setTimeout(() => {
+				timers.delete(timer);
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(sample_01);
+			}, 500);
+			timers.add(timer);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		let datetime = sample.days[0].datetime;
+		const fetch = globalThis.fetch;
 
-		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), sample.days.find((data) => data.datetime === datetime)?.hours);
-		assert.deepStrictEqual(weather.getHourlyDataOnDay('1970-01-01'), []);
+		try{
+			for(const fetchImpl of [fetch, null]){
+				globalThis.fetch = fetchImpl;
+
+				let weather = new Weather('KEY', `http://127.0.0.1:${server.address().port}`, { timeout: 30 });
+
+				requestCount = 0;
+				await assert.rejects(weather.fetchWeatherData('Alexandria', { retry: { maxAttempts: 2, baseDelay: 1 } }), (err) => {
+					assert(err instanceof WeatherTimeoutError);
+					assert(err instanceof WeatherNetworkError);
+					assert.strictEqual(err.timeout, 30);
+					assert.strictEqual(err.message, 'Weather.fetchWeatherData: The request timed out after 30 ms.');
+					return true;
+				});
+				assert.strictEqual(requestCount, 2);
 
-		assert.deepStrictEqual(weather.getHourlyDataOnDay(0), sample.days[0]?.hours);
-		assert.deepStrictEqual(weather.getHourlyDataOnDay(50), []);
+				const controller = new AbortController();
+				setTimeout(() => controller.abort('cancelled'), 30);
 
-		let res = weather.getHourlyDataOnDay(datetime, ['datetime']);
-		for(let i = 0; i < res.length; i++)
-			assert.strictEqual(res[i].datetime, sample.days.find((data) => data.datetime === datetime)?.hours[i].datetime);
+				await assert.rejects(weather.fetchWeatherData('Alexandria', { timeout: 0, signal: controller.signal }), (err) => {
+					assert(err instanceof WeatherAbortError);
+					assert.strictEqual(err.cause, 'cancelled');
+					return true;
+				});
 
-		assert.throws(
-			() => {
-				weather.getHourlyDataOnDay(false);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.getHourlyDataOnDay: Invalid input day value 'false'.`);
-				return true;
+				await assert.rejects(weather.fetchWeatherData('Alexandria', { signal: controller.signal }), WeatherAbortError);
+				await assert.rejects(weather.fetchWeatherData('Alexandria', { signal: 'signal' }), WeatherValidationError);
 			}
-		);
+		}
+		finally{
+			globalThis.fetch = fetch;
+			timers.forEach(timer => clearTimeout(timer));
+			server.closeAllConnections();
+			server.close();
+		}
 	};
-	testData.desc = 'Method getHourlyDataOnDay()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#14';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #08 - Method [get/set]HourlyDataOnDay()...test#1
+	// TEST #16 - Method fetchWeatherData()...test#15
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
-
-		let datetime, testObj;
-
-		datetime = sample.days[0].datetime;
-		testObj = {datetime: 'NA#1'};
-		weather.setHourlyDataOnDay(datetime, testObj);
+		let active = 0;
+		let maxActive = 0;
+
+		const server = http.createServer((req, res) => {
+			maxActive = Math.max(maxActive, ++active);
+			setTimeout(() => {
+				active--;
+				res.writeHead(200, {'Content-Type': 'application/json'});
+				res.end(sample_01);
+			}, 40);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), testObj);
+		const baseUrl = `http://127.0.0.1:${server.address().port}`;
 
-		datetime = 0;
-		testObj = {datetime: 'NA#2'};
-		weather.setHourlyDataOnDay(datetime, testObj);
+		try{
+			const limiter = new RateLimiter({ maxConcurrent: 1 });
+			const weather1 = new Weather('KEY', baseUrl, { limiter, timeout: 70 });
+			const weather2 = new Weather('KEY', baseUrl, { limiter, timeout: 70 });
+
+			assert.strictEqual(weather1.limiter, limiter);
+			assert(new Weather('KEY', baseUrl, { limiter: { maxConcurrent: 2 } }).limiter instanceof RateLimiter);
+			assert.strictEqual(new Weather('KEY', baseUrl).limiter, null);
+			assert.throws(() => new Weather('KEY', baseUrl, { limiter: { maxConcurrent: 0 } }), WeatherValidationError);
+
+			const labels = [];
+			limiter.on('queued', (task) => labels.push(task.label));
+
+			const results = await Promise.all([
+				weather1.fetchWeatherData('Alexandria'),
+				weather2.fetchWeatherData('Cairo'),
+				weather1.fetchWeatherData('Giza'),
+			]);
+
+			assert.strictEqual(results.length, 3);
+			assert.strictEqual(maxActive, 1);
+			assert.strictEqual(labels.length, 3);
+			assert(labels.every(label => label.includes('key=REDACTED')));
+
+			const controller = new AbortController();
+			const first  = weather1.fetchWeatherData('Alexandria');
+			const second = weather2.fetchWeatherData('Cairo', { signal: controller.signal });
+			const third  = weather2.fetchWeatherData('Giza');
+
+			assert.strictEqual(limiter.pending, 2);
+			controller.abort('cancelled');
+
+			await assert.rejects(second, (err) => {
+				assert(err instanceof WeatherAbortError);
+				assert.strictEqual(err.cause, 'cancelled');
+				return true;
+			});
 
-		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), testObj);
+			limiter.cancel(limiter.getQueue()[0].id);
+			await assert.rejects(third, WeatherAbortError);
 
-		assert.throws(
-			() => {
-				weather.setHourlyDataOnDay(false, {});
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setHourlyDataOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+			assert.strictEqual(typeof await first, 'object');
+		}
+		finally{
+			server.closeAllConnections();
+			server.close();
+		}
 	};
-	testData.desc = 'Method [get/set]HourlyDataOnDay()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#15';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #09 - Method [get/set/update]DataAtDatetime()...test#1
+	// TEST #17 - Method fetchWeatherData()...test#16
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		let requestCount = 0;
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		const server = http.createServer((req, res) => {
+			requestCount++;
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(sample_01);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		let datetime = sample.days[0].datetime;
-		let testObj = {data: 'test'};
-		weather.setDataAtDatetime(datetime, '00:00:00', testObj);
-		assert.strictEqual(weather.getDataAtDatetime(datetime, '00:00:00').data, testObj.data);
+		const baseUrl = `http://127.0.0.1:${server.address().port}`;
 
-		testObj = {temp: 333};
-		weather.updateDataAtDatetime(datetime, '00:00:00', testObj);
-		assert.strictEqual(weather.getDataAtDatetime(datetime, '00:00:00').temp, testObj.temp);
+		try{
+			const budget = new QueryBudget({ limit: 50 });
+			const weather = new Weather('KEY', baseUrl, { budget });
 
-		assert.deepStrictEqual(weather.getDataAtDatetime(datetime, '00:00:00', ['temp']), testObj);
+			assert.strictEqual(weather.budget, budget);
+			assert.strictEqual(new Weather('KEY', baseUrl).budget, null);
+			assert.throws(() => new Weather('KEY', baseUrl, { budget: { limit: 'none' } }), WeatherValidationError);
 
-		assert.throws(
-			() => {
-				weather.getDataAtDatetime(false, false);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
+			await weather.fetchWeatherData('Alexandria', '2025-03-07');
+			assert.strictEqual(budget.spent, 24);
 
-		assert.throws(
-			() => {
-				weather.setDataAtDatetime(false, false, {});
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
+			await weather.fetchWeatherData('Alexandria', '2025-03-07');
+			assert.strictEqual(budget.spent, 48);
 
-		assert.throws(
-			() => {
-				weather.updateDataAtDatetime(false, false, {});
-			},
-			(err) => {
-				assert(err instanceof TypeError);
+			await assert.rejects(weather.fetchWeatherData('Alexandria', '2025-03-07'), (err) => {
+				assert(err instanceof WeatherBudgetError);
+				assert.strictEqual(err.spent, 48);
+				assert.strictEqual(err.estimate, 24);
 				return true;
-			}
-		);
+			});
+			assert.strictEqual(requestCount, 2);
+
+			const exceeded = [];
+			budget.mode = 'warn';
+			budget.on('exceeded', (info) => exceeded.push(info));
+
+			await weather.fetchWeatherData('Alexandria', '2025-03-07');
+			assert.strictEqual(requestCount, 3);
+			assert.strictEqual(exceeded.length, 1);
+			assert.strictEqual(budget.spent, 72);
+			assert.strictEqual(budget.remaining, 0);
+		}
+		finally{
+			server.closeAllConnections();
+			server.close();
+		}
 	};
-	testData.desc = 'Method [get/set/update]DataAtDatetime()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#16';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #10 - Method [get/set]DatetimeEpochAtDatetime()...test#1
+	// TEST #18 - Method fetchWeatherData()...test#17
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
-
-		let datetime = sample.days[0].datetime;
-		let datetimeEpoch = 77;
-		weather.setDatetimeEpochAtDatetime(datetime, '00:00:00', datetimeEpoch);
-
-		assert.strictEqual(weather.getDatetimeEpochAtDatetime(datetime, '00:00:00'), datetimeEpoch);
+		let requestCount = 0;
 
-		assert.throws(
-			() => {
-				weather.getDatetimeEpochAtDatetime(datetime, false);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
+		const server = http.createServer((req, res) => {
+			requestCount++;
+			res.writeHead(200, {'Content-Type': 'application/json'});
+			res.end(sample_01);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
 
-		assert.throws(
-			() => {
-				weather.getDatetimeEpochAtDatetime(false, '00:00:00');
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
+		const baseUrl = `http://127.0.0.1:${server.address().port}`;
 
-		assert.throws(
-			() => {
-				weather.setDatetimeEpochAtDatetime(datetime, false, datetimeEpoch);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
+		try{
+			const store = new MemoryStore();
+			const cache = new ResponseCache({ store, historicalTtl: 60000, forecastTtl: 1000 });
+			const budget = new QueryBudget({ limit: 1000 });
+
+			const weather = new Weather('KEY', baseUrl, { cache, budget });
+			assert.strictEqual(weather.cache, cache);
+			assert(new Weather('KEY', baseUrl, { cache: true }).cache instanceof ResponseCache);
+			assert.strictEqual(new Weather('KEY', baseUrl).cache, null);
+
+			let data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', include: 'hours,days' });
+			assert.strictEqual(requestCount, 1);
+			assert.strictEqual(data.cache.status, 'miss');
+			assert.strictEqual(data.cache.expiresAt - data.cache.storedAt, 60000);
+			assert(!data.cache.key.includes('KEY'));
+			assert(!Object.keys(data).includes('cache'));
+
+			data = await new Weather('OTHER', baseUrl, { cache, budget }).fetchWeatherData('alexandria', { fromDate: '2025-03-07', include: ['days', 'hours'] });
+			assert.strictEqual(requestCount, 1);
+			assert.strictEqual(data.cache.status, 'hit');
+			assert.strictEqual(data.queryCost, 24);
+			assert.strictEqual(budget.spent, 24);
+
+			data.days[0].temp = 100;
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', include: 'hours,days' });
+			assert.notStrictEqual(data.days[0].temp, 100);
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', include: 'hours,days', cache: 'refresh' });
+			assert.strictEqual(requestCount, 2);
+			assert.strictEqual(data.cache.status, 'refresh');
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', include: 'hours,days', cache: false });
+			assert.strictEqual(requestCount, 3);
+			assert.strictEqual(data.cache.status, 'bypass');
+			assert.strictEqual(store.size, 1);
+
+			data = await weather.fetchWeatherData('Alexandria');
+			assert.strictEqual(data.cache.status, 'miss');
+			assert.strictEqual(data.cache.expiresAt - data.cache.storedAt, 1000);
+
+			data = await weather.fetchWeatherData('Alexandria', { fromDate: 'last7days' });
+			assert.strictEqual(data.cache.expiresAt - data.cache.storedAt, 1000);
+
+			/* the period is historical or not by the clock of the cache */
+			let now = Date.parse('2025-03-08T12:00:00Z');
+			const clocked = new Weather('KEY', baseUrl, { cache: new ResponseCache({ historicalTtl: 60000, forecastTtl: 1000, now: () => now }) });
+
+			data = await clocked.fetchWeatherData('Alexandria', { fromDate: '2025-03-07' });
+			assert.strictEqual(data.cache.storedAt, now);
+			assert.strictEqual(data.cache.expiresAt - data.cache.storedAt, 1000);
+
+			now = Date.parse('2025-03-10T12:00:00Z');
+			data = await clocked.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', cache: 'refresh' });
+			assert.strictEqual(data.cache.expiresAt - data.cache.storedAt, 60000);
+
+			await assert.rejects(weather.fetchWeatherData('Alexandria', { cache: 'always' }), WeatherValidationError);
+
+			const failing = new Weather('KEY', baseUrl, { cache: { store: { get(){ throw new Error('disk') }, set(){ throw new Error('disk') }, delete(){}, clear(){} } } });
+			const warnings = [];
+			const onWarning = (warning) => warnings.push(warning);
+			process.on('warning', onWarning);
+
+			try{
+				data = await failing.fetchWeatherData('Alexandria');
+				await new Promise(resolve => setImmediate(resolve));
+
+				assert.strictEqual(data.cache.status, 'miss');
+				assert.strictEqual(data.cache.storedAt, null);
+				assert.strictEqual(warnings.length, 2);
+				assert.strictEqual(warnings[0].name, 'WeatherCacheWarning');
 			}
-		);
-
-		assert.throws(
-			() => {
-				weather.setDatetimeEpochAtDatetime(false, '00:00:00', datetimeEpoch);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
+			finally{
+				process.off('warning', onWarning);
 			}
-		);
+		}
+		finally{
+			server.closeAllConnections();
+			server.close();
+		}
 	};
-	testData.desc = 'Method [get/set]DatetimeEpochAtDatetime()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#17';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #11 - Method getDailyDatetimes()...test#1
+	// TEST #20 - Method fetchWeatherData()...test#18
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		let active = 0;
+		let maxActive = 0;
+		let failing = '';
+		const requested = [];
+
+		const transport = async (url) => {
+			const [, fromDate, toDate] = /\/Alexandria\/([\d-]+)\/([\d-]+)/.exec(url);
+			const days = Weather.splitDateRange(fromDate, toDate, 1).map(([datetime]) => ({ datetime, temp: 20 }));
+
+			requested.push(`${fromDate}/${toDate}`);
+			maxActive = Math.max(maxActive, ++active);
+			await new Promise(resolve => setTimeout(resolve, 10));
+			active--;
+
+			return fromDate === failing ?
+				{ status: 500, headers: {}, body: 'Internal server error' } :
+				{ status: 200, headers: {}, body: JSON.stringify({ address: 'Alexandria', queryCost: days.length * 24, days, stations: { [fromDate]: {} } }) };
+		};
+
+		const weather = new Weather('KEY', undefined, { transport, cache: true, retry: { maxAttempts: 1 } });
+		const options = { fromDate: '2025-01-01', toDate: '2025-01-10', include: 'days', chunkDays: 3, chunkConcurrency: 2 };
+
+		let data = await weather.fetchWeatherData('Alexandria', options);
+
+		assert.strictEqual(maxActive, 2);
+		assert.deepStrictEqual(requested, ['2025-01-01/2025-01-03', '2025-01-04/2025-01-06', '2025-01-07/2025-01-09', '2025-01-10/2025-01-10']);
+		assert.strictEqual(data.days.length, 10);
+		assert.strictEqual(data.days[9].datetime, '2025-01-10');
+		assert.strictEqual(data.queryCost, 240);
+		assert.strictEqual(Object.keys(data.stations).length, 4);
+		assert.strictEqual(weather.getWeatherData(), data);
+		assert.strictEqual(data.cache.status, 'miss');
+		assert.strictEqual(data.cache.chunks.length, 4);
+
+		data = await weather.fetchWeatherData('Alexandria', { ...options, toDate: '2025-01-12' });
+		assert.strictEqual(data.days.length, 12);
+		assert.strictEqual(data.cache.status, 'partial');
+		assert.deepStrictEqual(requested.slice(4), ['2025-01-10/2025-01-12']);
+
+		data = await weather.fetchWeatherData('Alexandria', { ...options, toDate: '2025-01-12' });
+		assert.strictEqual(data.cache.status, 'hit');
+
+		data = await weather.fetchWeatherData('Alexandria', { ...options, chunkDays: 10 });
+		assert.strictEqual(data.cache.chunks, undefined);
+		assert.deepStrictEqual(requested.slice(5), ['2025-01-01/2025-01-10']);
+
+		failing = '2025-02-04';
+		await assert.rejects(
+			weather.fetchWeatherData('Alexandria', { ...options, fromDate: '2025-02-01', toDate: '2025-02-28', cache: false, chunkConcurrency: 1 }),
+			WeatherApiError
+		);
+		assert.deepStrictEqual(requested.slice(6), ['2025-02-01/2025-02-03', '2025-02-04/2025-02-06']);
 
-		assert.deepStrictEqual(weather.getDailyDatetimes(), sample.days.map(day => new Date(day.datetime)));
+		await assert.rejects(weather.fetchWeatherData('Alexandria', { ...options, chunkDays: 0 }), WeatherValidationError);
+		await assert.rejects(weather.fetchWeatherData('Alexandria', { ...options, chunkConcurrency: 'two' }), WeatherValidationError);
 	};
-	testData.desc = 'Method getDailyDatetimes()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#18';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #12 - Method getHourlyDatetimes()...test#1
+	// TEST #21 - Method fetchWeatherDataBatch()...test#1
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		let active = 0;
+		let maxActive = 0;
+		const requested = [];
+
+		const transport = async (url) => {
+			requested.push(url);
+			maxActive = Math.max(maxActive, ++active);
+			await new Promise(resolve => setTimeout(resolve, 20));
+			active--;
+
+			return url.includes('/Cairo/') ?
+				{ status: 400, headers: {}, body: 'Bad API Request:Invalid location parameter value.' } :
+				{ status: 200, headers: {}, body: sample_01 };
+		};
+
+		const weather = new Weather('KEY', undefined, { transport, cache: true });
+		const locations = ['Alexandria', 'Cairo', 'Giza', 'Alexandria', 'Aswan', 'Luxor', ''];
+
+		const { results, report } = await weather.fetchWeatherDataBatch(locations, { fromDate: '2025-03-07', include: 'days' }, 2);
+
+		assert.strictEqual(maxActive, 2);
+		assert.strictEqual(requested.length, 5);
+		assert(requested.every(url => url.includes('/2025-03-07/') && url.includes('include=days')));
+
+		assert.deepStrictEqual([...results.keys()], ['Alexandria', 'Giza', 'Aswan', 'Luxor']);
+		assert.deepStrictEqual(report.map(entry => entry.location), ['Alexandria', 'Cairo', 'Giza', 'Aswan', 'Luxor', '']);
+		assert.deepStrictEqual(report.map(entry => entry.ok), [true, false, true, true, true, false]);
+
+		const alexandria = results.get('Alexandria');
+		assert(alexandria instanceof Weather);
+		assert.notStrictEqual(alexandria, weather);
+		assert.strictEqual(alexandria.getAddress(), 'Alexandria');
+		assert.strictEqual(alexandria.getTempOnDay(0), JSON.parse(sample_01).days[0].temp);
+		assert.strictEqual(alexandria.cache, weather.cache);
+		assert.deepStrictEqual(weather.getWeatherData(), {});
 
-		let exp = sample.days.flatMap(day => day.hours.map(hour => new Date(`${day.datetime}T${hour.datetime}`)));
-		assert.deepStrictEqual(weather.getHourlyDatetimes(), exp);
-	};
-	testData.desc = 'Method getHourlyDatetimes()...test#1';
+		assert.deepStrictEqual(report[0], { location: 'Alexandria', ok: true, error: null, queryCost: 24, cache: 'miss' });
+		assert(report[1].error instanceof WeatherApiError);
+		assert.strictEqual(report[1].error.status, 400);
+		assert(report[5].error instanceof WeatherValidationError);
 
-	testData.skip = false;
-	suites.get(suiteDesc).push(testData);
+		const controller = new AbortController();
+		controller.abort('cancelled');
 
-	// TEST SUITE #4 - Test Weather Instance Methods - Location elements
-	suiteDesc = 'Test Weather Instance Methods - Location elements';
-	suites.set(suiteDesc, []);
+		const aborted = await weather.fetchWeatherDataBatch(['Alexandria', 'Port Said'], { fromDate: '2025-03-07', signal: controller.signal });
+		assert.strictEqual(aborted.results.size, 0);
+		assert(aborted.report.every(entry => entry.error instanceof WeatherAbortError));
 
-	// TEST #01 - Method [get/set]Latitude()...test#1
-	testData = {};
+		await assert.rejects(weather.fetchWeatherDataBatch([]), WeatherValidationError);
+		await assert.rejects(weather.fetchWeatherDataBatch('Alexandria'), WeatherValidationError);
+		await assert.rejects(weather.fetchWeatherDataBatch(['Alexandria'], {}, 0), WeatherValidationError);
 
-	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		/* the options are validated once */
+		requested.length = 0;
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		await assert.rejects(weather.fetchWeatherDataBatch(['Alexandria', 'Giza'], { unitGroup: 'imperial' }), (err) => {
+			assert(err instanceof WeatherValidationError);
+			assert.strictEqual(err.param, 'unitGroup');
+			return true;
+		});
+		assert.strictEqual(requested.length, 0);
 
-		let testData = 0;
-		weather.setLatitude(testData);
-		assert.strictEqual(weather.getLatitude(), testData);
+		const validateParamUnitGroup = Weather.validateParamUnitGroup;
+		let validations = 0;
 
-		assert.throws(
-			() => {
-				weather.setLatitude(-100);
-			},
-			(err) => {
-				assert(err instanceof RangeError);
-				return true;
-			}
-		);
+		Weather.validateParamUnitGroup = (value) => (validations++, validateParamUnitGroup(value));
+		try{
+			await weather.fetchWeatherDataBatch(['Alexandria', 'Giza', 'Aswan'], { fromDate: '2025-03-08', unitGroup: 'us' });
+		}
+		finally{
+			Weather.validateParamUnitGroup = validateParamUnitGroup;
+		}
+		assert.strictEqual(validations, 1);
+		assert.strictEqual(requested.length, 3);
+
+		/* the signal cancels the locations not yet started */
+		requested.length = 0;
+
+		const stopping = new AbortController();
+		const stopped = new Weather('KEY', undefined, { transport: async (url) => {
+			requested.push(url);
+			stopping.abort('stopped');
+			return { status: 200, headers: {}, body: sample_01 };
+		}});
+
+		const partial = await stopped.fetchWeatherDataBatch(['Alexandria', 'Giza', 'Aswan'], { fromDate: '2025-03-07', signal: stopping.signal }, 1);
+		assert.strictEqual(requested.length, 1);
+		assert.deepStrictEqual(partial.report.map(entry => entry.location), ['Alexandria', 'Giza', 'Aswan']);
+		assert(partial.report.slice(1).every(entry => entry.error instanceof WeatherAbortError));
 	};
-	testData.desc = 'Method [get/set]Latitude()...test#1';
+	testData.desc = 'Method fetchWeatherDataBatch()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]Longitude()...test#1
+	// TEST #22 - Method fetchWeatherData()...test#18
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		const transport = async (url) => {
+			await new Promise(resolve => setTimeout(resolve, 20));
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+			return url.includes('/Cairo/') ?
+				{ status: 500, headers: {}, body: 'Internal server error' } :
+				{ status: 200, headers: {}, body: sample_01 };
+		};
 
-		let testData = 0;
-		weather.setLongitude(testData);
-		assert.strictEqual(weather.getLongitude(), testData);
+		const budget = new QueryBudget({ limit: 30 });
+		const weather = new Weather('KEY', undefined, { transport, budget });
 
-		assert.throws(
-			() => {
-				weather.setLongitude(-200);
-			},
-			(err) => {
-				assert(err instanceof RangeError);
-				return true;
-			}
-		);
-	};
-	testData.desc = 'Method [get/set]Longitude()...test#1';
+		/* the estimates of the concurrent requests are reserved */
+		const { report } = await weather.fetchWeatherDataBatch(['A', 'B', 'C'], { fromDate: '2025-03-07', toDate: '2025-03-07' });
 
-	testData.skip = false;
-	suites.get(suiteDesc).push(testData);
+		assert.deepStrictEqual(report.map(entry => entry.ok), [true, false, false]);
+		assert(report.slice(1).every(entry => entry.error instanceof WeatherBudgetError));
+		assert.strictEqual(budget.spent, 24);
+		assert.strictEqual(budget.reserved, 0);
 
-	// TEST #03 - Method [get/set]ResolvedAddress()...test#1
-	testData = {};
+		/* and released on failure */
+		budget.reset();
 
-	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
+		const pending = weather.fetchWeatherData('Cairo', '2025-03-07');
+		assert.strictEqual(budget.reserved, 24);
+		await assert.rejects(weather.fetchWeatherData('Alexandria', '2025-03-07'), WeatherBudgetError);
 
-		let weather = new Weather();
-		weather.setWeatherData(sample);
+		await assert.rejects(pending, WeatherApiError);
+		assert.strictEqual(budget.reserved, 0);
+		assert.strictEqual(budget.spent, 0);
 
-		let testData = 'Resolved Address';
-		weather.setResolvedAddress(testData);
-		assert.strictEqual(weather.getResolvedAddress(), testData);
+		await Promise.all([weather.fetchWeatherData('Alexandria', '2025-03-07'), assert.rejects(weather.fetchWeatherData('Giza', '2025-03-07'), WeatherBudgetError)]);
+		assert.strictEqual(budget.spent, 24);
+		assert.strictEqual(budget.reserved, 0);
 	};
-	testData.desc = 'Method [get/set]ResolvedAddress()...test#1';
+	testData.desc = 'Method fetchWeatherData()...test#18';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #04 - Method [get/set]Address()...test#1
+	// TEST SUITE #3 - Test Weather Instance Methods - Data elements
+	suiteDesc = 'Test Weather Instance Methods - Data elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]WeatherData()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1045,34 +1954,36 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testData = 'Address';
-		weather.setAddress(testData);
-		assert.strictEqual(weather.getAddress(), testData);
+		assert.deepStrictEqual(weather.getWeatherData(), sample);
+
+		let elements = ['address', 'days', 'latitude', 'longitude'];
+		let res = weather.getWeatherData(elements);
+
+		elements.forEach(e => { res[e] === sample[e] });
+
+		assert(weather.getWeatherData('invalid arg') === null);
 	};
-	testData.desc = 'Method [get/set]Address()...test#1';
+	testData.desc = 'Method [get/set]WeatherData()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #05 - Method [get/set]Timezone()...test#1
+	// TEST #02 - Method [get/clear]WeatherData()...test#1
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
 
 		let weather = new Weather();
-		weather.setWeatherData(sample);
+		weather.clearWeatherData();
 
-		let testData = 'Timezone';
-		weather.setTimezone(testData);
-		assert.strictEqual(weather.getTimezone(), testData);
+		assert.deepStrictEqual(weather.getWeatherData(), {});
 	};
-	testData.desc = 'Method [get/set]Timezone()...test#1';
+	testData.desc = 'Method [get/clear]WeatherData()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #06 - Method [get/set]Tzoffset()...test#1
+	// TEST #03 - Method [get/set]WeatherDailyData()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1081,20 +1992,27 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testData = 0;
-		weather.setTzoffset(testData);
-		assert.strictEqual(weather.getTzoffset(), testData);
+		assert.deepStrictEqual(weather.getWeatherDailyData(), sample.days);
+
+		let elements = ['tempmax', 'tempmin', 'temp'];
+		let res = weather.getWeatherDailyData(elements);
+
+		for(let i = 0; i < res.length; i++)
+			for(let p in res[i])
+				assert.strictEqual(res[i][p], sample.days[i][p]);
+
+		assert(weather.getWeatherDailyData('invalid arg') === null);
+
+		let arr = [];
+		weather.setWeatherDailyData(arr);
+		assert(weather.getWeatherDailyData() === arr);
 	};
-	testData.desc = 'Method [get/set]Tzoffset()...test#1';
+	testData.desc = 'Method [get/set]WeatherDailyData()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #5 - Test Weather Instance Methods - Request elements
-	suiteDesc = 'Test Weather Instance Methods - Request elements';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]QueryCost()...test#1
+	// TEST #04 - Method getWeatherHourlyData()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1103,22 +2021,26 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testQueryCost;
+		let res = weather.getWeatherHourlyData();
 
-		testQueryCost = 1;
-		weather.setQueryCost(testQueryCost);
-		assert.strictEqual(weather.getQueryCost(), testQueryCost);
+		for(let i = 0, j = 0; i < sample.days.length; i++)
+			for(let k = 0; k < sample.days[i].hours.length; k++, j++)
+				assert.deepStrictEqual(res[j], sample.days[i].hours[k]);
 
-		testQueryCost = 0;
-		weather.setQueryCost(testQueryCost);
-		assert.strictEqual(weather.getQueryCost(), null);
+		res = weather.getWeatherHourlyData(['datetime']);
+
+		for(let i = 0, j = 0; i < sample.days.length; i++)
+			for(let k = 0; k < sample.days[i].hours.length; k++, j++)
+				assert.strictEqual(res[j].datetime, sample.days[i].hours[k].datetime);
+
+		assert(weather.getWeatherHourlyData('invalid arg') === null);
 	};
-	testData.desc = 'Method [get/set]QueryCost()...test#1';
+	testData.desc = 'Method getWeatherHourlyData()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]Stations()...test#1
+	// TEST #05 - Method getDataOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1127,26 +2049,26 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testStations;
+		let datetime = sample.days[0].datetime;
 
-		testStations = ['TestStation'];
-		weather.setStations(testStations);
-		assert.deepStrictEqual(weather.getStations(), testStations);
+		assert.deepStrictEqual(weather.getDataOnDay(datetime), sample.days.find((data) => data.datetime === datetime));
+		assert.deepStrictEqual(weather.getDataOnDay(0), sample.days[0]);
+		assert(weather.getDataOnDay('1970-01-01') === undefined);
 
-		testStations = null;
-		weather.setStations(testStations);
-		assert.deepStrictEqual(weather.getStations(), []);
+		let elements = ['tempmax', 'tempmin', 'temp'];
+		let res = weather.getDataOnDay(0, elements);
+
+		for(let p in res)
+			assert.strictEqual(res[p], sample.days[0][p]);
+
+		assert.throws(() => weather.getDataOnDay(false), WeatherValidationError);
 	};
-	testData.desc = 'Method [get/set]Stations()...test#1';
+	testData.desc = 'Method getDataOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #6 - Test Weather Instance Methods - Core Weather elements on day
-	suiteDesc = 'Test Weather Instance Methods - Core Weather elements on day';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]TempOnDay()...test#1
+	// TEST #06 - Method [get/set]DataOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1155,37 +2077,32 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTemp;
+		let datetime = sample.days[0].datetime;
+		let data = {datetime: datetime};
 
-		testDay = sample.days[0].datetime;
-		testTemp = 0;
-		weather.setTempOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempOnDay(testDay), testTemp);
+		weather.setDataOnDay(datetime, data);
+		assert(weather.getDataOnDay(datetime) === data);
 
-		testDay = 0;
-		testTemp = 10;
-		weather.setTempOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempOnDay(testDay), testTemp);
+		weather.setDataOnDay(0, data);
+		assert(weather.getDataOnDay(0) === data);
 
-		assert.strictEqual(weather.getTempOnDay(), null);
-		assert.strictEqual(weather.getTempOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setTempOnDay(false, testTemp);
+				weather.setDataOnDay(false, data);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setTempOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setDataOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]TempOnDay()...test#1';
+	testData.desc = 'Method [get/set]DataOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]TempmaxOnDay()...test#1
+	// TEST #07 - Method getHourlyDataOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1194,37 +2111,35 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTemp;
+		let datetime = sample.days[0].datetime;
 
-		testDay = sample.days[0].datetime;
-		testTemp = 0;
-		weather.setTempmaxOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempmaxOnDay(testDay), testTemp);
+		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), sample.days.find((data) => data.datetime === datetime)?.hours);
+		assert.deepStrictEqual(weather.getHourlyDataOnDay('1970-01-01'), []);
 
-		testDay = 0;
-		testTemp = 10;
-		weather.setTempmaxOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempmaxOnDay(testDay), testTemp);
+		assert.deepStrictEqual(weather.getHourlyDataOnDay(0), sample.days[0]?.hours);
+		assert.deepStrictEqual(weather.getHourlyDataOnDay(50), []);
+
+		let res = weather.getHourlyDataOnDay(datetime, ['datetime']);
+		for(let i = 0; i < res.length; i++)
+			assert.strictEqual(res[i].datetime, sample.days.find((data) => data.datetime === datetime)?.hours[i].datetime);
 
-		assert.strictEqual(weather.getTempmaxOnDay(), null);
-		assert.strictEqual(weather.getTempmaxOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setTempmaxOnDay(false, testTemp);
+				weather.getHourlyDataOnDay(false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setTempmaxOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.getHourlyDataOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]TempmaxOnDay()...test#1';
+	testData.desc = 'Method getHourlyDataOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #03 - Method [get/set]TempminOnDay()...test#1
+	// TEST #08 - Method [get/set]HourlyDataOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1233,37 +2148,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTemp;
+		let datetime, testObj;
 
-		testDay = sample.days[0].datetime;
-		testTemp = 0;
-		weather.setTempminOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempminOnDay(testDay), testTemp);
+		datetime = sample.days[0].datetime;
+		testObj = {datetime: 'NA#1'};
+		weather.setHourlyDataOnDay(datetime, testObj);
 
-		testDay = 0;
-		testTemp = 10;
-		weather.setTempminOnDay(testDay, testTemp);
-		assert.strictEqual(weather.getTempminOnDay(testDay), testTemp);
+		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), testObj);
+
+		datetime = 0;
+		testObj = {datetime: 'NA#2'};
+		weather.setHourlyDataOnDay(datetime, testObj);
+
+		assert.deepStrictEqual(weather.getHourlyDataOnDay(datetime), testObj);
 
-		assert.strictEqual(weather.getTempminOnDay(), null);
-		assert.strictEqual(weather.getTempminOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setTempminOnDay(false, testTemp);
+				weather.setHourlyDataOnDay(false, {});
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setTempminOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setHourlyDataOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]TempminOnDay()...test#1';
+	testData.desc = 'Method [get/set]HourlyDataOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #04 - Method [get/set]FeelslikeOnDay()...test#1
+	// TEST #09 - Method [get/set/update]DataAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1272,37 +2187,53 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testFeelslike;
+		let datetime = sample.days[0].datetime;
+		let testObj = {data: 'test'};
+		weather.setDataAtDatetime(datetime, '00:00:00', testObj);
+		assert.strictEqual(weather.getDataAtDatetime(datetime, '00:00:00').data, testObj.data);
 
-		testDay = sample.days[0].datetime;
-		testFeelslike = 0;
-		weather.setFeelslikeOnDay(testDay, testFeelslike);
-		assert.strictEqual(weather.getFeelslikeOnDay(testDay), testFeelslike);
+		testObj = {temp: 333};
+		weather.updateDataAtDatetime(datetime, '00:00:00', testObj);
+		assert.strictEqual(weather.getDataAtDatetime(datetime, '00:00:00').temp, testObj.temp);
 
-		testDay = 0;
-		testFeelslike = 10;
-		weather.setFeelslikeOnDay(testDay, testFeelslike);
-		assert.strictEqual(weather.getFeelslikeOnDay(testDay), testFeelslike);
+		assert.deepStrictEqual(weather.getDataAtDatetime(datetime, '00:00:00', ['temp']), testObj);
 
-		assert.strictEqual(weather.getFeelslikeOnDay(), null);
-		assert.strictEqual(weather.getFeelslikeOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setFeelslikeOnDay(false, testFeelslike);
+				weather.getDataAtDatetime(false, false);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setFeelslikeOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+
+		assert.throws(
+			() => {
+				weather.setDataAtDatetime(false, false, {});
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+
+		assert.throws(
+			() => {
+				weather.updateDataAtDatetime(false, false, {});
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]FeelslikeOnDay()...test#1';
+	testData.desc = 'Method [get/set/update]DataAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #05 - Method [get/set]FeelslikemaxOnDay()...test#1
+	// TEST #10 - Method [get/set]DatetimeEpochAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1311,37 +2242,58 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testFeelslikemax;
+		let datetime = sample.days[0].datetime;
+		let datetimeEpoch = 77;
+		weather.setDatetimeEpochAtDatetime(datetime, '00:00:00', datetimeEpoch);
 
-		testDay = sample.days[0].datetime;
-		testFeelslikemax = 0;
-		weather.setFeelslikemaxOnDay(testDay, testFeelslikemax);
-		assert.strictEqual(weather.getFeelslikemaxOnDay(testDay), testFeelslikemax);
+		assert.strictEqual(weather.getDatetimeEpochAtDatetime(datetime, '00:00:00'), datetimeEpoch);
 
-		testDay = 0;
-		testFeelslikemax = 10;
-		weather.setFeelslikemaxOnDay(testDay, testFeelslikemax);
-		assert.strictEqual(weather.getFeelslikemaxOnDay(testDay), testFeelslikemax);
+		assert.throws(
+			() => {
+				weather.getDatetimeEpochAtDatetime(datetime, false);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
 
-		assert.strictEqual(weather.getFeelslikemaxOnDay(), null);
-		assert.strictEqual(weather.getFeelslikemaxOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setFeelslikemaxOnDay(false, testFeelslikemax);
+				weather.getDatetimeEpochAtDatetime(false, '00:00:00');
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setFeelslikemaxOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+
+		assert.throws(
+			() => {
+				weather.setDatetimeEpochAtDatetime(datetime, false, datetimeEpoch);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+
+		assert.throws(
+			() => {
+				weather.setDatetimeEpochAtDatetime(false, '00:00:00', datetimeEpoch);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]FeelslikemaxOnDay()...test#1';
+	testData.desc = 'Method [get/set]DatetimeEpochAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #06 - Method [get/set]FeelslikeminOnDay()...test#1
+	// TEST #11 - Method getDailyDatetimes()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1350,37 +2302,29 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testFeelslikemin;
+		assert.deepStrictEqual(weather.getDailyDatetimes(), sample.days.map(day => new Date(day.datetimeEpoch * 1000)));
 
-		testDay = sample.days[0].datetime;
-		testFeelslikemin = 0;
-		weather.setFeelslikeminOnDay(testDay, testFeelslikemin);
-		assert.strictEqual(weather.getFeelslikeminOnDay(testDay), testFeelslikemin);
+		/* midnight in the time zone of the location (Africa/Cairo), regardless of the host time zone */
+		sample.days.forEach(day => delete day.datetimeEpoch);
+		assert.deepStrictEqual(weather.getDailyDatetimes()[0], new Date(`${sample.days[0].datetime}T00:00:00+02:00`));
+		assert.strictEqual(weather.getDailyDatetimes('local')[0], `${sample.days[0].datetime}T00:00:00+02:00`);
+		assert.strictEqual(weather.getDailyDatetimes('utc')[0], new Date(`${sample.days[0].datetime}T00:00:00+02:00`).toISOString().slice(0, 19) + 'Z');
 
-		testDay = 0;
-		testFeelslikemin = 10;
-		weather.setFeelslikeminOnDay(testDay, testFeelslikemin);
-		assert.strictEqual(weather.getFeelslikeminOnDay(testDay), testFeelslikemin);
+		assert.throws(() => weather.getDailyDatetimes('iso'), WeatherValidationError);
 
-		assert.strictEqual(weather.getFeelslikeminOnDay(), null);
-		assert.strictEqual(weather.getFeelslikeminOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setFeelslikeminOnDay(false, testFeelslikemin);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setFeelslikeminOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+		/* no weather data */
+		assert.deepStrictEqual(new Weather().getDailyDatetimes(), []);
+
+		weather.setWeatherData({ days: [{ datetime: '2025-03-09' }] });
+		assert.deepStrictEqual(weather.getHourlyDatetimes(), []);
+		assert.deepStrictEqual(weather.getMinutelyDatetimes(), []);
 	};
-	testData.desc = 'Method [get/set]FeelslikeminOnDay()...test#1';
+	testData.desc = 'Method getDailyDatetimes()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #07 - Method [get/set]DewOnDay()...test#1
+	// TEST #12 - Method getHourlyDatetimes()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1389,115 +2333,226 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testDew;
+		let exp = sample.days.flatMap(day => day.hours.map(hour => new Date(hour.datetimeEpoch * 1000)));
+		assert.deepStrictEqual(weather.getHourlyDatetimes(), exp);
 
-		testDay = sample.days[0].datetime;
-		testDew = 0;
-		weather.setDewOnDay(testDay, testDew);
-		assert.strictEqual(weather.getDewOnDay(testDay), testDew);
+		sample.days.forEach(day => day.hours.forEach(hour => delete hour.datetimeEpoch));
+		assert.deepStrictEqual(weather.getHourlyDatetimes(), exp);
 
-		testDay = 0;
-		testDew = 10;
-		weather.setDewOnDay(testDay, testDew);
-		assert.strictEqual(weather.getDewOnDay(testDay), testDew);
+		/* across the DST transition of 2025-03-09 02:00 EST, without and with the epoch keys */
+		const hours = ['00:00:00', '01:00:00', '03:00:00', '04:00:00'].map(datetime => ({ datetime }));
+		weather.setWeatherData({ timezone: 'America/New_York', tzoffset: -5, days: [{ datetime: '2025-03-09', hours }] });
 
-		assert.strictEqual(weather.getDewOnDay(), null);
-		assert.strictEqual(weather.getDewOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setDewOnDay(false, testDew);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setDewOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+		exp = ['2025-03-09T05:00:00Z', '2025-03-09T06:00:00Z', '2025-03-09T07:00:00Z', '2025-03-09T08:00:00Z'];
+		assert.deepStrictEqual(weather.getHourlyDatetimes('utc'), exp);
+		assert.deepStrictEqual(weather.getHourlyDatetimes('local'), [
+			'2025-03-09T00:00:00-05:00', '2025-03-09T01:00:00-05:00', '2025-03-09T03:00:00-04:00', '2025-03-09T04:00:00-04:00',
+		]);
+
+		hours.forEach((hour, i) => hour.datetimeEpoch = Date.parse(exp[i]) / 1000);
+		assert.deepStrictEqual(weather.getHourlyDatetimes(), exp.map(datetime => new Date(datetime)));
+
+		/* a fixed offset if the time zone is unknown */
+		weather.setWeatherData({ tzoffset: 5.5, days: [{ datetime: '2025-03-09', hours: [{ datetime: '12:00:00' }] }] });
+		assert.deepStrictEqual(weather.getHourlyDatetimes('utc'), ['2025-03-09T06:30:00Z']);
+		assert.deepStrictEqual(weather.getHourlyDatetimes('local'), ['2025-03-09T12:00:00+05:30']);
+
+		assert.throws(() => weather.getHourlyDatetimes(false), WeatherValidationError);
+
+		/* no weather data */
+		assert.deepStrictEqual(new Weather().getHourlyDatetimes(), []);
 	};
-	testData.desc = 'Method [get/set]DewOnDay()...test#1';
+	testData.desc = 'Method getHourlyDatetimes()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #08 - Method [get/set]HumidityOnDay()...test#1
+	// TEST #13 - Method [get/set]()...test#1
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
 		let weather = new Weather();
-		weather.setWeatherData(sample);
-
-		let testDay, testHumidity;
+		weather.setWeatherData({
+			days: [{ datetime: '2025-03-07', temp: 0, source: 'obs', hours: [{ datetime: '00:00:00', temp: 12, severerisk: 10 }] }],
+			currentConditions: { datetime: '00:00:00', temp: 14 },
+		});
 
-		testDay = sample.days[0].datetime;
-		testHumidity = 0;
-		weather.setHumidityOnDay(testDay, testHumidity);
-		assert.strictEqual(weather.getHumidityOnDay(testDay), testHumidity);
+		assert.strictEqual(weather.get('temp', { day: 0 }), 0);
+		assert.strictEqual(weather.get('temp', { day: '2025-03-07', time: '00:00:00' }), 12);
+		assert.strictEqual(weather.get('temp'), 14);
+		assert.strictEqual(weather.get('humidity', { day: 0 }), null);
+		assert.strictEqual(weather.get('temp', { day: '1970-01-01' }), null);
+		assert.strictEqual(weather.get('temp', { day: 0, time: 1 }), null);
+
+		weather.set('severerisk', 30, { day: 0, time: 0 });
+		weather.set('source', 'comb', { day: '2025-03-07' });
+		weather.set('temp', 15);
+		assert.strictEqual(weather.get('severerisk', { day: 0, time: '00:00:00' }), 30);
+		assert.strictEqual(weather.get('source', { day: 0 }), 'comb');
+		assert.strictEqual(weather.get('temp', {}), 15);
+
+		for(const [method, args, param] of [
+			['get', ['TEMP', { day: 0 }], 'element'],
+			['get', ['tempmax', { day: 0, time: 0 }], 'element'],
+			['get', ['description'], 'element'],
+			['get', ['temp', { day: false }], 'dayInfo'],
+			['get', ['temp', { time: 0 }], 'dayInfo'],
+			['set', ['temp', 1, { day: 0, time: false }], 'timeInfo'],
+		]){
+			assert.throws(() => weather[method](...args), (err) => err instanceof WeatherValidationError && err.param === param);
+		}
 
-		testDay = 0;
-		testHumidity = 10;
-		weather.setHumidityOnDay(testDay, testHumidity);
-		assert.strictEqual(weather.getHumidityOnDay(testDay), testHumidity);
+		assert.throws(() => weather.set('temp', 1, { day: '1970-01-01' }), (err) => {
+			assert(err instanceof WeatherDataError);
+			assert(err.message.startsWith('Weather.set: '));
+			return true;
+		});
 
-		assert.strictEqual(weather.getHumidityOnDay(), null);
-		assert.strictEqual(weather.getHumidityOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setHumidityOnDay(false, testHumidity);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setHumidityOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+		weather.clearWeatherData();
+		assert.strictEqual(weather.get('temp'), null);
+		assert.throws(() => weather.set('temp', 1), WeatherDataError);
 	};
-	testData.desc = 'Method [get/set]HumidityOnDay()...test#1';
+	testData.desc = 'Method [get/set]()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #09 - Method [get/set]PrecipOnDay()...test#1
+	// TEST #14 - Method [get/set]<Element>[OnDay/AtDatetime/Current]()...test#1
 	testData = {};
 
 	testData.method = async () => {
-		let sample = JSON.parse(sampleActive);
-
 		let weather = new Weather();
-		weather.setWeatherData(sample);
+		weather.setWeatherData({
+			days: [{ datetime: '2025-03-07', source: 'obs', severerisk: 5, hours: [{ datetime: '00:00:00', feelslike: 11, source: 'obs' }] }],
+			currentConditions: { datetime: '00:00:00', tzoffset: 2 },
+		});
 
-		let testDay, testPrecip;
+		/* generated for every element of the catalog at its levels */
+		assert.strictEqual(weather.getSourceOnDay(0), 'obs');
+		assert.strictEqual(weather.getSevereriskOnDay('2025-03-07'), 5);
+		assert.strictEqual(weather.getDatetimeOnDay(0), '2025-03-07');
+		assert.strictEqual(weather.getTzoffsetCurrent(), 2);
+		assert.strictEqual(weather.getSunriseAtDatetime, undefined);
+		assert.strictEqual(weather.getDescriptionCurrent, undefined);
+
+		/* the legacy names are aliases */
+		assert.strictEqual(weather.getFeelslikeAtDatetime(0, 0), 11);
+		weather.setFeelsLikeAtDatetime(0, 0, 12);
+		assert.strictEqual(weather.getFeelslikeAtDatetime(0, '00:00:00'), 12);
+
+		/* the explicit accessors are kept */
+		assert.deepStrictEqual(weather.getEventsOnDay(0), []);
+		assert.strictEqual(weather.setNormalOnDay, undefined);
+
+		/* the same behavior at every level */
+		for(const [set, message] of [
+			[() => weather.setSourceOnDay('1970-01-01', 'fcst'), `Weather.setSourceOnDay: Cannot set 'source', the day '1970-01-01' is not available.`],
+			[() => weather.setTempAtDatetime(0, 1, 3), `Weather.setTempAtDatetime: Cannot set 'temp', the hour 1 of the day 0 is not available.`],
+			[() => weather.setTempAtDatetime(1, '00:00:00', 3), `Weather.setTempAtDatetime: Cannot set 'temp', the day 1 is not available.`],
+			[() => weather.set('temp', 3, { day: 0, time: '01:00:00' }), `Weather.set: Cannot set 'temp', the hour '01:00:00' of the day 0 is not available.`],
+		]){
+			assert.throws(set, (err) => {
+				assert(err instanceof WeatherDataError);
+				assert.strictEqual(err.message, message);
+				assert.strictEqual(err.cause, undefined);
+				return true;
+			});
+		}
 
-		testDay = sample.days[0].datetime;
-		testPrecip = 0;
-		weather.setPrecipOnDay(testDay, testPrecip);
-		assert.strictEqual(weather.getPrecipOnDay(testDay), testPrecip);
+		weather.setWeatherData({ days: [] });
+		assert.throws(() => weather.setTempCurrent(3), (err) => {
+			assert(err instanceof WeatherDataError);
+			assert.strictEqual(err.message, `Weather.setTempCurrent: Cannot set 'temp', the current conditions are not available.`);
+			return true;
+		});
+		assert.throws(() => weather.getSourceAtDatetime(0, false), (err) => {
+			assert(err instanceof WeatherValidationError);
+			assert.strictEqual(err.message, `Weather.getSourceAtDatetime: Invalid input time value 'false'.`);
+			return true;
+		});
+		assert.strictEqual(weather.getSourceAtDatetime(0, 1), null);
+		assert.strictEqual(weather.getTempCurrent(), null);
+	};
+	testData.desc = 'Method [get/set]<Element>[OnDay/AtDatetime/Current]()...test#1';
 
-		testDay = 0;
-		testPrecip = 10;
-		weather.setPrecipOnDay(testDay, testPrecip);
-		assert.strictEqual(weather.getPrecipOnDay(testDay), testPrecip);
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
 
-		assert.strictEqual(weather.getPrecipOnDay(), null);
-		assert.strictEqual(weather.getPrecipOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setPrecipOnDay(false, testPrecip);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setPrecipOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+	// TEST #15 - Indexed lookups of the days and hours by datetime...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const hours = (...times) => times.map((time, i) => ({ datetime: time, temp: i }));
+
+		let weather = new Weather();
+		weather.setWeatherData({
+			days: [
+				{ datetime: '2025-03-07', temp: 10, hours: hours('00:00:00', '01:00:00') },
+				{ datetime: '2025-03-08', temp: 11, hours: hours('00:00:00', '01:00:00') },
+				{ datetime: '2025-03-08', temp: 99, hours: [] },
+			],
+		});
+
+		/* the first item of a datetime, as filterItemByDatetimeVal() finds it */
+		assert.strictEqual(weather.getTempOnDay('2025-03-08'), 11);
+		assert.strictEqual(weather.getDataOnDay('2025-03-08').temp, 11);
+		assert.strictEqual(weather.getTempAtDatetime('2025-03-08', '01:00:00'), 1);
+		assert.strictEqual(weather.getDataOnDay('1970-01-01'), undefined);
+		assert.strictEqual(weather.getDataAtDatetime('2025-03-07', '02:00:00'), null);
+
+		/* invalidated on setDataOnDay() and setWeatherDailyData() */
+		weather.setDataOnDay('2025-03-07', { datetime: '2025-03-09', temp: 12, hours: [] });
+		assert.strictEqual(weather.getTempOnDay('2025-03-09'), 12);
+		assert.strictEqual(weather.getDataOnDay('2025-03-07'), undefined);
+
+		weather.setWeatherDailyData([{ datetime: '2025-03-10', temp: 13, hours: hours('12:00:00') }]);
+		assert.strictEqual(weather.getTempOnDay('2025-03-10'), 13);
+		assert.strictEqual(weather.getTempOnDay('2025-03-09'), null);
+
+		/* invalidated on setting a datetime */
+		weather.setDatetimeOnDay(0, '2025-03-11');
+		assert.strictEqual(weather.getTempOnDay('2025-03-11'), 13);
+		assert.strictEqual(weather.getTempOnDay('2025-03-10'), null);
+
+		weather.setDatetimeAtDatetime('2025-03-11', '12:00:00', '13:00:00');
+		assert.strictEqual(weather.getTempAtDatetime('2025-03-11', '13:00:00'), 0);
+		assert.strictEqual(weather.getTempAtDatetime('2025-03-11', '12:00:00'), null);
+
+		/* rebuilt once the list has changed in place */
+		weather.getWeatherDailyData().push({ datetime: '2025-03-12', temp: 14 });
+		assert.strictEqual(weather.getTempOnDay('2025-03-12'), 14);
+
+		weather.getWeatherDailyData()[0] = { datetime: '2025-03-11', temp: 15 };
+		assert.strictEqual(weather.getTempOnDay('2025-03-11'), 15);
+
+		/* rebuilt once a datetime has changed in place */
+		weather.setWeatherData({ days: [{ datetime: '2025-03-07', temp: 10, hours: hours('00:00:00', '01:00:00') }, { datetime: '2025-03-08', temp: 11 }] });
+		assert.strictEqual(weather.getTempAtDatetime(0, '01:00:00'), 1);
+		assert.strictEqual(weather.getTempOnDay('2025-03-08'), 11);
+
+		weather.getDataAtDatetime(0, 1).datetime = '01:30:00';
+		assert.strictEqual(weather.getDataAtDatetime(0, '01:30:00').temp, 1);
+		assert.strictEqual(weather.getDataAtDatetime(0, '01:00:00'), null);
+
+		weather.getWeatherDailyData()[1].datetime = '2025-03-09';
+		assert.strictEqual(weather.getTempOnDay('2025-03-09'), 11);
+		assert.strictEqual(weather.getDataOnDay('2025-03-08'), undefined);
+
+		/* invalidated on setWeatherData() */
+		weather.setWeatherData({ days: [{ datetime: '2025-03-11', temp: 16 }] });
+		assert.strictEqual(weather.getTempOnDay('2025-03-11'), 16);
+		assert.strictEqual(weather.getTempOnDay('2025-03-12'), null);
 	};
-	testData.desc = 'Method [get/set]PrecipOnDay()...test#1';
+	testData.desc = 'Indexed lookups of the days and hours by datetime...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #10 - Method [get/set]PrecipprobOnDay()...test#1
+	// TEST SUITE #4 - Test Weather Instance Methods - Location elements
+	suiteDesc = 'Test Weather Instance Methods - Location elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]Latitude()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1506,37 +2561,26 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testPrecipprob;
-
-		testDay = sample.days[0].datetime;
-		testPrecipprob = 0;
-		weather.setPrecipprobOnDay(testDay, testPrecipprob);
-		assert.strictEqual(weather.getPrecipprobOnDay(testDay), testPrecipprob);
-
-		testDay = 0;
-		testPrecipprob = 10;
-		weather.setPrecipprobOnDay(testDay, testPrecipprob);
-		assert.strictEqual(weather.getPrecipprobOnDay(testDay), testPrecipprob);
+		let testData = 0;
+		weather.setLatitude(testData);
+		assert.strictEqual(weather.getLatitude(), testData);
 
-		assert.strictEqual(weather.getPrecipprobOnDay(), null);
-		assert.strictEqual(weather.getPrecipprobOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPrecipprobOnDay(false, testPrecipprob);
+				weather.setLatitude(-100);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setPrecipprobOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PrecipprobOnDay()...test#1';
+	testData.desc = 'Method [get/set]Latitude()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #11 - Method [get/set]PrecipcoverOnDay()...test#1
+	// TEST #02 - Method [get/set]Longitude()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1545,37 +2589,26 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testPrecipcover;
-
-		testDay = sample.days[0].datetime;
-		testPrecipcover = 0;
-		weather.setPrecipcoverOnDay(testDay, testPrecipcover);
-		assert.strictEqual(weather.getPrecipcoverOnDay(testDay), testPrecipcover);
-
-		testDay = 0;
-		testPrecipcover = 10;
-		weather.setPrecipcoverOnDay(testDay, testPrecipcover);
-		assert.strictEqual(weather.getPrecipcoverOnDay(testDay), testPrecipcover);
+		let testData = 0;
+		weather.setLongitude(testData);
+		assert.strictEqual(weather.getLongitude(), testData);
 
-		assert.strictEqual(weather.getPrecipcoverOnDay(), null);
-		assert.strictEqual(weather.getPrecipcoverOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPrecipcoverOnDay(false, testPrecipcover);
+				weather.setLongitude(-200);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setPrecipcoverOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PrecipcoverOnDay()...test#1';
+	testData.desc = 'Method [get/set]Longitude()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #12 - Method [get/set]PreciptypeOnDay()...test#1
+	// TEST #03 - Method [get/set]ResolvedAddress()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1584,37 +2617,34 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testPreciptype;
-
-		testDay = sample.days[0].datetime;
-		testPreciptype = 'type1';
-		weather.setPreciptypeOnDay(testDay, testPreciptype);
-		assert.strictEqual(weather.getPreciptypeOnDay(testDay), testPreciptype);
+		let testData = 'Resolved Address';
+		weather.setResolvedAddress(testData);
+		assert.strictEqual(weather.getResolvedAddress(), testData);
+	};
+	testData.desc = 'Method [get/set]ResolvedAddress()...test#1';
 
-		testDay = 0;
-		testPreciptype = 'type2';
-		weather.setPreciptypeOnDay(testDay, testPreciptype);
-		assert.strictEqual(weather.getPreciptypeOnDay(testDay), testPreciptype);
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
 
-		assert.strictEqual(weather.getPreciptypeOnDay(), null);
-		assert.strictEqual(weather.getPreciptypeOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setPreciptypeOnDay(false, testPreciptype);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setPreciptypeOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+	// TEST #04 - Method [get/set]Address()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testData = 'Address';
+		weather.setAddress(testData);
+		assert.strictEqual(weather.getAddress(), testData);
 	};
-	testData.desc = 'Method [get/set]PreciptypeOnDay()...test#1';
+	testData.desc = 'Method [get/set]Address()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #13 - Method [get/set]SnowOnDay()...test#1
+	// TEST #05 - Method [get/set]Timezone()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1623,37 +2653,38 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSnow;
+		let testData = 'Timezone';
+		weather.setTimezone(testData);
+		assert.strictEqual(weather.getTimezone(), testData);
+	};
+	testData.desc = 'Method [get/set]Timezone()...test#1';
 
-		testDay = sample.days[0].datetime;
-		testSnow = 0;
-		weather.setSnowOnDay(testDay, testSnow);
-		assert.strictEqual(weather.getSnowOnDay(testDay), testSnow);
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
 
-		testDay = 0;
-		testSnow = 10;
-		weather.setSnowOnDay(testDay, testSnow);
-		assert.strictEqual(weather.getSnowOnDay(testDay), testSnow);
+	// TEST #06 - Method [get/set]Tzoffset()...test#1
+	testData = {};
 
-		assert.strictEqual(weather.getSnowOnDay(), null);
-		assert.strictEqual(weather.getSnowOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setSnowOnDay(false, testSnow);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setSnowOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testData = 0;
+		weather.setTzoffset(testData);
+		assert.strictEqual(weather.getTzoffset(), testData);
 	};
-	testData.desc = 'Method [get/set]SnowOnDay()...test#1';
+	testData.desc = 'Method [get/set]Tzoffset()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #14 - Method [get/set]SnowdepthOnDay()...test#1
+	// TEST SUITE #5 - Test Weather Instance Methods - Request elements
+	suiteDesc = 'Test Weather Instance Methods - Request elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]QueryCost()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1662,37 +2693,22 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSnowdepth;
-
-		testDay = sample.days[0].datetime;
-		testSnowdepth = 0;
-		weather.setSnowdepthOnDay(testDay, testSnowdepth);
-		assert.strictEqual(weather.getSnowdepthOnDay(testDay), testSnowdepth);
+		let testQueryCost;
 
-		testDay = 0;
-		testSnowdepth = 10;
-		weather.setSnowdepthOnDay(testDay, testSnowdepth);
-		assert.strictEqual(weather.getSnowdepthOnDay(testDay), testSnowdepth);
+		testQueryCost = 1;
+		weather.setQueryCost(testQueryCost);
+		assert.strictEqual(weather.getQueryCost(), testQueryCost);
 
-		assert.strictEqual(weather.getSnowdepthOnDay(), null);
-		assert.strictEqual(weather.getSnowdepthOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setSnowdepthOnDay(false, testSnowdepth);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setSnowdepthOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+		testQueryCost = 0;
+		weather.setQueryCost(testQueryCost);
+		assert.strictEqual(weather.getQueryCost(), null);
 	};
-	testData.desc = 'Method [get/set]SnowdepthOnDay()...test#1';
+	testData.desc = 'Method [get/set]QueryCost()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #15 - Method [get/set]WindgustOnDay()...test#1
+	// TEST #02 - Method [get/set]Stations()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1701,37 +2717,26 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testWindgust;
-
-		testDay = sample.days[0].datetime;
-		testWindgust = 0;
-		weather.setWindgustOnDay(testDay, testWindgust);
-		assert.strictEqual(weather.getWindgustOnDay(testDay), testWindgust);
+		let testStations;
 
-		testDay = 0;
-		testWindgust = 10;
-		weather.setWindgustOnDay(testDay, testWindgust);
-		assert.strictEqual(weather.getWindgustOnDay(testDay), testWindgust);
+		testStations = ['TestStation'];
+		weather.setStations(testStations);
+		assert.deepStrictEqual(weather.getStations(), testStations);
 
-		assert.strictEqual(weather.getWindgustOnDay(), null);
-		assert.strictEqual(weather.getWindgustOnDay('1970-01-01'), null);
-		assert.throws(
-			() => {
-				weather.setWindgustOnDay(false, testWindgust);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setWindgustOnDay: Invalid input day value 'false'.`);
-				return true;
-			}
-		);
+		testStations = null;
+		weather.setStations(testStations);
+		assert.deepStrictEqual(weather.getStations(), []);
 	};
-	testData.desc = 'Method [get/set]WindgustOnDay()...test#1';
+	testData.desc = 'Method [get/set]Stations()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #16 - Method [get/set]WindspeedOnDay()...test#1
+	// TEST SUITE #6 - Test Weather Instance Methods - Core Weather elements on day
+	suiteDesc = 'Test Weather Instance Methods - Core Weather elements on day';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]TempOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1740,37 +2745,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testWindspeed;
+		let testDay, testTemp;
 
 		testDay = sample.days[0].datetime;
-		testWindspeed = 0;
-		weather.setWindspeedOnDay(testDay, testWindspeed);
-		assert.strictEqual(weather.getWindspeedOnDay(testDay), testWindspeed);
+		testTemp = 0;
+		weather.setTempOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempOnDay(testDay), testTemp);
 
 		testDay = 0;
-		testWindspeed = 10;
-		weather.setWindspeedOnDay(testDay, testWindspeed);
-		assert.strictEqual(weather.getWindspeedOnDay(testDay), testWindspeed);
+		testTemp = 10;
+		weather.setTempOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempOnDay(testDay), testTemp);
 
-		assert.strictEqual(weather.getWindspeedOnDay(), null);
-		assert.strictEqual(weather.getWindspeedOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getTempOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getTempOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setWindspeedOnDay(false, testWindspeed);
+				weather.setTempOnDay(false, testTemp);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setWindspeedOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setTempOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]WindspeedOnDay()...test#1';
+	testData.desc = 'Method [get/set]TempOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #17 - Method [get/set]WinddirOnDay()...test#1
+	// TEST #02 - Method [get/set]TempmaxOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1779,37 +2784,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testWinddir;
+		let testDay, testTemp;
 
 		testDay = sample.days[0].datetime;
-		testWinddir = 0;
-		weather.setWinddirOnDay(testDay, testWinddir);
-		assert.strictEqual(weather.getWinddirOnDay(testDay), testWinddir);
+		testTemp = 0;
+		weather.setTempmaxOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempmaxOnDay(testDay), testTemp);
 
 		testDay = 0;
-		testWinddir = 10;
-		weather.setWinddirOnDay(testDay, testWinddir);
-		assert.strictEqual(weather.getWinddirOnDay(testDay), testWinddir);
+		testTemp = 10;
+		weather.setTempmaxOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempmaxOnDay(testDay), testTemp);
 
-		assert.strictEqual(weather.getWinddirOnDay(), null);
-		assert.strictEqual(weather.getWinddirOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getTempmaxOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getTempmaxOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setWinddirOnDay(false, testWinddir);
+				weather.setTempmaxOnDay(false, testTemp);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setWinddirOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setTempmaxOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]WinddirOnDay()...test#1';
+	testData.desc = 'Method [get/set]TempmaxOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #18 - Method [get/set]PressureOnDay()...test#1
+	// TEST #03 - Method [get/set]TempminOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1818,37 +2823,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testPressure;
+		let testDay, testTemp;
 
 		testDay = sample.days[0].datetime;
-		testPressure = 0;
-		weather.setPressureOnDay(testDay, testPressure);
-		assert.strictEqual(weather.getPressureOnDay(testDay), testPressure);
+		testTemp = 0;
+		weather.setTempminOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempminOnDay(testDay), testTemp);
 
 		testDay = 0;
-		testPressure = 10;
-		weather.setPressureOnDay(testDay, testPressure);
-		assert.strictEqual(weather.getPressureOnDay(testDay), testPressure);
+		testTemp = 10;
+		weather.setTempminOnDay(testDay, testTemp);
+		assert.strictEqual(weather.getTempminOnDay(testDay), testTemp);
 
-		assert.strictEqual(weather.getPressureOnDay(), null);
-		assert.strictEqual(weather.getPressureOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getTempminOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getTempminOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPressureOnDay(false, testPressure);
+				weather.setTempminOnDay(false, testTemp);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setPressureOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setTempminOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PressureOnDay()...test#1';
+	testData.desc = 'Method [get/set]TempminOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #19 - Method [get/set]CloudcoverOnDay()...test#1
+	// TEST #04 - Method [get/set]FeelslikeOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1857,37 +2862,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testCloudcover;
+		let testDay, testFeelslike;
 
 		testDay = sample.days[0].datetime;
-		testCloudcover = 0;
-		weather.setCloudcoverOnDay(testDay, testCloudcover);
-		assert.strictEqual(weather.getCloudcoverOnDay(testDay), testCloudcover);
+		testFeelslike = 0;
+		weather.setFeelslikeOnDay(testDay, testFeelslike);
+		assert.strictEqual(weather.getFeelslikeOnDay(testDay), testFeelslike);
 
 		testDay = 0;
-		testCloudcover = 10;
-		weather.setCloudcoverOnDay(testDay, testCloudcover);
-		assert.strictEqual(weather.getCloudcoverOnDay(testDay), testCloudcover);
+		testFeelslike = 10;
+		weather.setFeelslikeOnDay(testDay, testFeelslike);
+		assert.strictEqual(weather.getFeelslikeOnDay(testDay), testFeelslike);
 
-		assert.strictEqual(weather.getCloudcoverOnDay(), null);
-		assert.strictEqual(weather.getCloudcoverOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getFeelslikeOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getFeelslikeOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setCloudcoverOnDay(false, testCloudcover);
+				weather.setFeelslikeOnDay(false, testFeelslike);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setCloudcoverOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setFeelslikeOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]CloudcoverOnDay()...test#1';
+	testData.desc = 'Method [get/set]FeelslikeOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #20 - Method [get/set]VisibilityOnDay()...test#1
+	// TEST #05 - Method [get/set]FeelslikemaxOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1896,37 +2901,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testVisibility;
+		let testDay, testFeelslikemax;
 
 		testDay = sample.days[0].datetime;
-		testVisibility = 0;
-		weather.setVisibilityOnDay(testDay, testVisibility);
-		assert.strictEqual(weather.getVisibilityOnDay(testDay), testVisibility);
+		testFeelslikemax = 0;
+		weather.setFeelslikemaxOnDay(testDay, testFeelslikemax);
+		assert.strictEqual(weather.getFeelslikemaxOnDay(testDay), testFeelslikemax);
 
 		testDay = 0;
-		testVisibility = 10;
-		weather.setVisibilityOnDay(testDay, testVisibility);
-		assert.strictEqual(weather.getVisibilityOnDay(testDay), testVisibility);
+		testFeelslikemax = 10;
+		weather.setFeelslikemaxOnDay(testDay, testFeelslikemax);
+		assert.strictEqual(weather.getFeelslikemaxOnDay(testDay), testFeelslikemax);
 
-		assert.strictEqual(weather.getVisibilityOnDay(), null);
-		assert.strictEqual(weather.getVisibilityOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getFeelslikemaxOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getFeelslikemaxOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setVisibilityOnDay(false, testVisibility);
+				weather.setFeelslikemaxOnDay(false, testFeelslikemax);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setVisibilityOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setFeelslikemaxOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]VisibilityOnDay()...test#1';
+	testData.desc = 'Method [get/set]FeelslikemaxOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #21 - Method [get/set]SolarradiationOnDay()...test#1
+	// TEST #06 - Method [get/set]FeelslikeminOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1935,37 +2940,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSolarradiation;
+		let testDay, testFeelslikemin;
 
 		testDay = sample.days[0].datetime;
-		testSolarradiation = 0;
-		weather.setSolarradiationOnDay(testDay, testSolarradiation);
-		assert.strictEqual(weather.getSolarradiationOnDay(testDay), testSolarradiation);
+		testFeelslikemin = 0;
+		weather.setFeelslikeminOnDay(testDay, testFeelslikemin);
+		assert.strictEqual(weather.getFeelslikeminOnDay(testDay), testFeelslikemin);
 
 		testDay = 0;
-		testSolarradiation = 10;
-		weather.setSolarradiationOnDay(testDay, testSolarradiation);
-		assert.strictEqual(weather.getSolarradiationOnDay(testDay), testSolarradiation);
+		testFeelslikemin = 10;
+		weather.setFeelslikeminOnDay(testDay, testFeelslikemin);
+		assert.strictEqual(weather.getFeelslikeminOnDay(testDay), testFeelslikemin);
 
-		assert.strictEqual(weather.getSolarradiationOnDay(), null);
-		assert.strictEqual(weather.getSolarradiationOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getFeelslikeminOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getFeelslikeminOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSolarradiationOnDay(false, testSolarradiation);
+				weather.setFeelslikeminOnDay(false, testFeelslikemin);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setSolarradiationOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setFeelslikeminOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SolarradiationOnDay()...test#1';
+	testData.desc = 'Method [get/set]FeelslikeminOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #22 - Method [get/set]SolarenergyOnDay()...test#1
+	// TEST #07 - Method [get/set]DewOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -1974,37 +2979,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSolarenergy;
+		let testDay, testDew;
 
 		testDay = sample.days[0].datetime;
-		testSolarenergy = 0;
-		weather.setSolarenergyOnDay(testDay, testSolarenergy);
-		assert.strictEqual(weather.getSolarenergyOnDay(testDay), testSolarenergy);
+		testDew = 0;
+		weather.setDewOnDay(testDay, testDew);
+		assert.strictEqual(weather.getDewOnDay(testDay), testDew);
 
 		testDay = 0;
-		testSolarenergy = 10;
-		weather.setSolarenergyOnDay(testDay, testSolarenergy);
-		assert.strictEqual(weather.getSolarenergyOnDay(testDay), testSolarenergy);
+		testDew = 10;
+		weather.setDewOnDay(testDay, testDew);
+		assert.strictEqual(weather.getDewOnDay(testDay), testDew);
 
-		assert.strictEqual(weather.getSolarenergyOnDay(), null);
-		assert.strictEqual(weather.getSolarenergyOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getDewOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getDewOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSolarenergyOnDay(false, testSolarenergy);
+				weather.setDewOnDay(false, testDew);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setSolarenergyOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setDewOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SolarenergyOnDay()...test#1';
+	testData.desc = 'Method [get/set]DewOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #23 - Method [get/set]UvindexOnDay()...test#1
+	// TEST #08 - Method [get/set]HumidityOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2013,37 +3018,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testUvindex;
+		let testDay, testHumidity;
 
 		testDay = sample.days[0].datetime;
-		testUvindex = 0;
-		weather.setUvindexOnDay(testDay, testUvindex);
-		assert.strictEqual(weather.getUvindexOnDay(testDay), testUvindex);
+		testHumidity = 0;
+		weather.setHumidityOnDay(testDay, testHumidity);
+		assert.strictEqual(weather.getHumidityOnDay(testDay), testHumidity);
 
 		testDay = 0;
-		testUvindex = 10;
-		weather.setUvindexOnDay(testDay, testUvindex);
-		assert.strictEqual(weather.getUvindexOnDay(testDay), testUvindex);
+		testHumidity = 10;
+		weather.setHumidityOnDay(testDay, testHumidity);
+		assert.strictEqual(weather.getHumidityOnDay(testDay), testHumidity);
 
-		assert.strictEqual(weather.getUvindexOnDay(), null);
-		assert.strictEqual(weather.getUvindexOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getHumidityOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getHumidityOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setUvindexOnDay(false, testUvindex);
+				weather.setHumidityOnDay(false, testHumidity);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setUvindexOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setHumidityOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]UvindexOnDay()...test#1';
+	testData.desc = 'Method [get/set]HumidityOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #24 - Method [get/set]SevereriskOnDay()...test#1
+	// TEST #09 - Method [get/set]PrecipOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2052,37 +3057,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSevererisk;
+		let testDay, testPrecip;
 
 		testDay = sample.days[0].datetime;
-		testSevererisk = 0;
-		weather.setSevereriskOnDay(testDay, testSevererisk);
-		assert.strictEqual(weather.getSevereriskOnDay(testDay), testSevererisk);
+		testPrecip = 0;
+		weather.setPrecipOnDay(testDay, testPrecip);
+		assert.strictEqual(weather.getPrecipOnDay(testDay), testPrecip);
 
 		testDay = 0;
-		testSevererisk = 10;
-		weather.setSevereriskOnDay(testDay, testSevererisk);
-		assert.strictEqual(weather.getSevereriskOnDay(testDay), testSevererisk);
+		testPrecip = 10;
+		weather.setPrecipOnDay(testDay, testPrecip);
+		assert.strictEqual(weather.getPrecipOnDay(testDay), testPrecip);
 
-		assert.strictEqual(weather.getSevereriskOnDay(), null);
-		assert.strictEqual(weather.getSevereriskOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getPrecipOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getPrecipOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSevereriskOnDay(false, testSevererisk);
+				weather.setPrecipOnDay(false, testPrecip);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setSevereriskOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setPrecipOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SevereriskOnDay()...test#1';
+	testData.desc = 'Method [get/set]PrecipOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #25 - Method [get/set]StationsOnDay()...test#1
+	// TEST #10 - Method [get/set]PrecipprobOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2091,41 +3096,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testStations;
+		let testDay, testPrecipprob;
 
 		testDay = sample.days[0].datetime;
-		testStations = ['stattion#1'];
-		weather.setStationsOnDay(testDay, testStations);
-		assert.deepStrictEqual(weather.getStationsOnDay(testDay), testStations);
+		testPrecipprob = 0;
+		weather.setPrecipprobOnDay(testDay, testPrecipprob);
+		assert.strictEqual(weather.getPrecipprobOnDay(testDay), testPrecipprob);
 
 		testDay = 0;
-		testStations = ['stattion#2'];
-		weather.setStationsOnDay(testDay, testStations);
-		assert.deepStrictEqual(weather.getStationsOnDay(testDay), testStations);
+		testPrecipprob = 10;
+		weather.setPrecipprobOnDay(testDay, testPrecipprob);
+		assert.strictEqual(weather.getPrecipprobOnDay(testDay), testPrecipprob);
 
-		assert.strictEqual(weather.getStationsOnDay(), null);
-		assert.strictEqual(weather.getStationsOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getPrecipprobOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getPrecipprobOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setStationsOnDay(false, testStations);
+				weather.setPrecipprobOnDay(false, testPrecipprob);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-				assert.strictEqual(err.message, `Weather.setStationsOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setPrecipprobOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]StationsOnDay()...test#1';
+	testData.desc = 'Method [get/set]PrecipprobOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #7 - Test Weather Instance Methods - Astronomy elements
-	suiteDesc = 'Test Weather Instance Methods - Astronomy elements';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]SunriseOnDay()...test#1
+	// TEST #11 - Method [get/set]PrecipcoverOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2134,37 +3135,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSunrise;
+		let testDay, testPrecipcover;
 
 		testDay = sample.days[0].datetime;
-		testSunrise = '06:00:00';
-		weather.setSunriseOnDay(testDay, testSunrise);
-		assert.strictEqual(weather.getSunriseOnDay(testDay), testSunrise);
+		testPrecipcover = 0;
+		weather.setPrecipcoverOnDay(testDay, testPrecipcover);
+		assert.strictEqual(weather.getPrecipcoverOnDay(testDay), testPrecipcover);
 
 		testDay = 0;
-		testSunrise = '06:30:00';
-		weather.setSunriseOnDay(testDay, testSunrise);
-		assert.strictEqual(weather.getSunriseOnDay(testDay), testSunrise);
+		testPrecipcover = 10;
+		weather.setPrecipcoverOnDay(testDay, testPrecipcover);
+		assert.strictEqual(weather.getPrecipcoverOnDay(testDay), testPrecipcover);
 
-		assert.strictEqual(weather.getSunriseOnDay(), null);
-		assert.strictEqual(weather.getSunriseOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getPrecipcoverOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getPrecipcoverOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSunriseOnDay(false, testSunrise);
+				weather.setPrecipcoverOnDay(false, testPrecipcover);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setSunriseOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setPrecipcoverOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SunriseOnDay()...test#1';
+	testData.desc = 'Method [get/set]PrecipcoverOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]SunriseEpochOnDay()...test#1
+	// TEST #12 - Method [get/set]PreciptypeOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2173,37 +3174,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSunriseEpoch;
+		let testDay, testPreciptype;
 
 		testDay = sample.days[0].datetime;
-		testSunriseEpoch = 1741327200000;
-		weather.setSunriseEpochOnDay(testDay, testSunriseEpoch);
-		assert.strictEqual(weather.getSunriseEpochOnDay(testDay), testSunriseEpoch);
+		testPreciptype = 'type1';
+		weather.setPreciptypeOnDay(testDay, testPreciptype);
+		assert.strictEqual(weather.getPreciptypeOnDay(testDay), testPreciptype);
 
 		testDay = 0;
-		testSunriseEpoch = 1741329000000;
-		weather.setSunriseEpochOnDay(testDay, testSunriseEpoch);
-		assert.strictEqual(weather.getSunriseEpochOnDay(testDay), testSunriseEpoch);
+		testPreciptype = 'type2';
+		weather.setPreciptypeOnDay(testDay, testPreciptype);
+		assert.strictEqual(weather.getPreciptypeOnDay(testDay), testPreciptype);
 
-		assert.strictEqual(weather.getSunriseEpochOnDay(), null);
-		assert.strictEqual(weather.getSunriseEpochOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getPreciptypeOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getPreciptypeOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSunriseEpochOnDay(false, testSunriseEpoch);
+				weather.setPreciptypeOnDay(false, testPreciptype);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setSunriseEpochOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setPreciptypeOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SunriseEpochOnDay()...test#1';
+	testData.desc = 'Method [get/set]PreciptypeOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #03 - Method [get/set]SunsetOnDay()...test#1
+	// TEST #13 - Method [get/set]SnowOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2212,37 +3213,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSunset;
+		let testDay, testSnow;
 
 		testDay = sample.days[0].datetime;
-		testSunset = '06:00:00';
-		weather.setSunsetOnDay(testDay, testSunset);
-		assert.strictEqual(weather.getSunsetOnDay(testDay), testSunset);
+		testSnow = 0;
+		weather.setSnowOnDay(testDay, testSnow);
+		assert.strictEqual(weather.getSnowOnDay(testDay), testSnow);
 
 		testDay = 0;
-		testSunset = '06:30:00';
-		weather.setSunsetOnDay(testDay, testSunset);
-		assert.strictEqual(weather.getSunsetOnDay(testDay), testSunset);
+		testSnow = 10;
+		weather.setSnowOnDay(testDay, testSnow);
+		assert.strictEqual(weather.getSnowOnDay(testDay), testSnow);
 
-		assert.strictEqual(weather.getSunsetOnDay(), null);
-		assert.strictEqual(weather.getSunsetOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getSnowOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSnowOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSunsetOnDay(false, testSunset);
+				weather.setSnowOnDay(false, testSnow);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setSunsetOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setSnowOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SunsetOnDay()...test#1';
+	testData.desc = 'Method [get/set]SnowOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #04 - Method [get/set]SunsetEpochOnDay()...test#1
+	// TEST #14 - Method [get/set]SnowdepthOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2251,37 +3252,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testSunsetEpoch;
+		let testDay, testSnowdepth;
 
 		testDay = sample.days[0].datetime;
-		testSunsetEpoch = sample.days[0].sunsetEpoch;
-		weather.setSunsetEpochOnDay(testDay, testSunsetEpoch);
-		assert.strictEqual(weather.getSunsetEpochOnDay(testDay), testSunsetEpoch);
+		testSnowdepth = 0;
+		weather.setSnowdepthOnDay(testDay, testSnowdepth);
+		assert.strictEqual(weather.getSnowdepthOnDay(testDay), testSnowdepth);
 
 		testDay = 0;
-		testSunsetEpoch = sample.days[0].sunsetEpoch;
-		weather.setSunsetEpochOnDay(testDay, testSunsetEpoch);
-		assert.strictEqual(weather.getSunsetEpochOnDay(testDay), testSunsetEpoch);
+		testSnowdepth = 10;
+		weather.setSnowdepthOnDay(testDay, testSnowdepth);
+		assert.strictEqual(weather.getSnowdepthOnDay(testDay), testSnowdepth);
 
-		assert.strictEqual(weather.getSunsetEpochOnDay(), null);
-		assert.strictEqual(weather.getSunsetEpochOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getSnowdepthOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSnowdepthOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSunsetEpochOnDay(false, testSunsetEpoch);
+				weather.setSnowdepthOnDay(false, testSnowdepth);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setSunsetEpochOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setSnowdepthOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SunsetEpochOnDay()...test#1';
+	testData.desc = 'Method [get/set]SnowdepthOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #05 - Method [get/set]MoonphaseOnDay()...test#1
+	// TEST #15 - Method [get/set]WindgustOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2290,41 +3291,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testMoonphase;
+		let testDay, testWindgust;
 
 		testDay = sample.days[0].datetime;
-		testMoonphase = 0;
-		weather.setMoonphaseOnDay(testDay, testMoonphase);
-		assert.strictEqual(weather.getMoonphaseOnDay(testDay), testMoonphase);
+		testWindgust = 0;
+		weather.setWindgustOnDay(testDay, testWindgust);
+		assert.strictEqual(weather.getWindgustOnDay(testDay), testWindgust);
 
 		testDay = 0;
-		testMoonphase = 0.25;
-		weather.setMoonphaseOnDay(testDay, testMoonphase);
-		assert.strictEqual(weather.getMoonphaseOnDay(testDay), testMoonphase);
+		testWindgust = 10;
+		weather.setWindgustOnDay(testDay, testWindgust);
+		assert.strictEqual(weather.getWindgustOnDay(testDay), testWindgust);
 
-		assert.strictEqual(weather.getMoonphaseOnDay(), null);
-		assert.strictEqual(weather.getMoonphaseOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getWindgustOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getWindgustOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setMoonphaseOnDay(false, testMoonphase);
+				weather.setWindgustOnDay(false, testWindgust);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setMoonphaseOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setWindgustOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]MoonphaseOnDay()...test#1';
+	testData.desc = 'Method [get/set]WindgustOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #8 - Test Weather Instance Methods - Description elements
-	suiteDesc = 'Test Weather Instance Methods - Description elements';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]ConditionsOnDay()...test#1
+	// TEST #16 - Method [get/set]WindspeedOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2333,37 +3330,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testConditions;
+		let testDay, testWindspeed;
 
 		testDay = sample.days[0].datetime;
-		testConditions = 'conditions#1';
-		weather.setConditionsOnDay(testDay, testConditions);
-		assert.strictEqual(weather.getConditionsOnDay(testDay), testConditions);
+		testWindspeed = 0;
+		weather.setWindspeedOnDay(testDay, testWindspeed);
+		assert.strictEqual(weather.getWindspeedOnDay(testDay), testWindspeed);
 
 		testDay = 0;
-		testConditions = 'conditions#2';
-		weather.setConditionsOnDay(testDay, testConditions);
-		assert.strictEqual(weather.getConditionsOnDay(testDay), testConditions);
+		testWindspeed = 10;
+		weather.setWindspeedOnDay(testDay, testWindspeed);
+		assert.strictEqual(weather.getWindspeedOnDay(testDay), testWindspeed);
 
-		assert.strictEqual(weather.getConditionsOnDay(), null);
-		assert.strictEqual(weather.getConditionsOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getWindspeedOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getWindspeedOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setConditionsOnDay(false, testConditions);
+				weather.setWindspeedOnDay(false, testWindspeed);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setConditionsOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setWindspeedOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]ConditionsOnDay()...test#1';
+	testData.desc = 'Method [get/set]WindspeedOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]DescriptionOnDay()...test#1
+	// TEST #17 - Method [get/set]WinddirOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2372,37 +3369,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testDescription;
+		let testDay, testWinddir;
 
 		testDay = sample.days[0].datetime;
-		testDescription = 'description#1';
-		weather.setDescriptionOnDay(testDay, testDescription);
-		assert.strictEqual(weather.getDescriptionOnDay(testDay), testDescription);
+		testWinddir = 0;
+		weather.setWinddirOnDay(testDay, testWinddir);
+		assert.strictEqual(weather.getWinddirOnDay(testDay), testWinddir);
 
 		testDay = 0;
-		testDescription = 'description#2';
-		weather.setDescriptionOnDay(testDay, testDescription);
-		assert.strictEqual(weather.getDescriptionOnDay(testDay), testDescription);
+		testWinddir = 10;
+		weather.setWinddirOnDay(testDay, testWinddir);
+		assert.strictEqual(weather.getWinddirOnDay(testDay), testWinddir);
 
-		assert.strictEqual(weather.getDescriptionOnDay(), null);
-		assert.strictEqual(weather.getDescriptionOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getWinddirOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getWinddirOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setDescriptionOnDay(false, testDescription);
+				weather.setWinddirOnDay(false, testWinddir);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setDescriptionOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setWinddirOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]DescriptionOnDay()...test#1';
+	testData.desc = 'Method [get/set]WinddirOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #03 - Method [get/set]IconOnDay()...test#1
+	// TEST #18 - Method [get/set]PressureOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2411,41 +3408,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testIcon;
+		let testDay, testPressure;
 
 		testDay = sample.days[0].datetime;
-		testIcon = 'icon#1';
-		weather.setIconOnDay(testDay, testIcon);
-		assert.strictEqual(weather.getIconOnDay(testDay), testIcon);
+		testPressure = 0;
+		weather.setPressureOnDay(testDay, testPressure);
+		assert.strictEqual(weather.getPressureOnDay(testDay), testPressure);
 
 		testDay = 0;
-		testIcon = 'icon#2';
-		weather.setIconOnDay(testDay, testIcon);
-		assert.strictEqual(weather.getIconOnDay(testDay), testIcon);
+		testPressure = 10;
+		weather.setPressureOnDay(testDay, testPressure);
+		assert.strictEqual(weather.getPressureOnDay(testDay), testPressure);
 
-		assert.strictEqual(weather.getIconOnDay(), null);
-		assert.strictEqual(weather.getIconOnDay('1970-01-01'), null);
+		assert.throws(() => weather.getPressureOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getPressureOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setIconOnDay(false, testIcon);
+				weather.setPressureOnDay(false, testPressure);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
-                assert.strictEqual(err.message, `Weather.setIconOnDay: Invalid input day value 'false'.`);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setPressureOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]IconOnDay()...test#1';
+	testData.desc = 'Method [get/set]PressureOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #9 - Test Weather Instance Methods - Core Weather elements at datetime
-	suiteDesc = 'Test Weather Instance Methods - Core Weather elements at datetime';
-	suites.set(suiteDesc, []);
-
-	// TEST #01 - Method [get/set]TempAtDatetime()...test#1
+	// TEST #19 - Method [get/set]CloudcoverOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2454,50 +3447,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testTemp;
+		let testDay, testCloudcover;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testTemp = 0;
-		weather.setTempAtDatetime(testDay, testTime, testTemp);
-		assert.strictEqual(weather.getTempAtDatetime(testDay, testTime), testTemp);
+		testCloudcover = 0;
+		weather.setCloudcoverOnDay(testDay, testCloudcover);
+		assert.strictEqual(weather.getCloudcoverOnDay(testDay), testCloudcover);
 
 		testDay = 0;
-		testTime = 0;
-		testTemp = 10;
-		weather.setTempAtDatetime(testDay, testTime, testTemp);
-		assert.strictEqual(weather.getTempAtDatetime(testDay, testTime), testTemp);
-
-		assert.strictEqual(weather.getTempAtDatetime('2025-03-07', '24:00:00'), null);
-		assert.strictEqual(weather.getTempAtDatetime('1970-01-01', '00:00:00'), null);
-		assert.strictEqual(weather.getTempAtDatetime(0, false), null);
-		assert.strictEqual(weather.getTempAtDatetime(false, false), null);
+		testCloudcover = 10;
+		weather.setCloudcoverOnDay(testDay, testCloudcover);
+		assert.strictEqual(weather.getCloudcoverOnDay(testDay), testCloudcover);
 
+		assert.throws(() => weather.getCloudcoverOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getCloudcoverOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setTempAtDatetime(0, false, testTemp);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setTempAtDatetime(false, false, testTemp);
+				weather.setCloudcoverOnDay(false, testCloudcover);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setCloudcoverOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]TempAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]CloudcoverOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]FeelsLikeAtDatetime()...test#1
+	// TEST #20 - Method [get/set]VisibilityOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2506,50 +3486,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testFeelsLike;
+		let testDay, testVisibility;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testFeelsLike = 0;
-		weather.setFeelsLikeAtDatetime(testDay, testTime, testFeelsLike);
-		assert.strictEqual(weather.getFeelsLikeAtDatetime(testDay, testTime), testFeelsLike);
+		testVisibility = 0;
+		weather.setVisibilityOnDay(testDay, testVisibility);
+		assert.strictEqual(weather.getVisibilityOnDay(testDay), testVisibility);
 
 		testDay = 0;
-		testTime = 0;
-		testFeelsLike = 10;
-		weather.setFeelsLikeAtDatetime(testDay, testTime, testFeelsLike);
-		assert.strictEqual(weather.getFeelsLikeAtDatetime(testDay, testTime), testFeelsLike);
-
-		assert.strictEqual(weather.getFeelsLikeAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getFeelsLikeAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getFeelsLikeAtDatetime(0, false), null);
-		assert.strictEqual(weather.getFeelsLikeAtDatetime(false, false), null);
+		testVisibility = 10;
+		weather.setVisibilityOnDay(testDay, testVisibility);
+		assert.strictEqual(weather.getVisibilityOnDay(testDay), testVisibility);
 
+		assert.throws(() => weather.getVisibilityOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getVisibilityOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setFeelsLikeAtDatetime(0, false, testFeelsLike);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setFeelsLikeAtDatetime(false, false, testFeelsLike);
+				weather.setVisibilityOnDay(false, testVisibility);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setVisibilityOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]FeelsLikeAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]VisibilityOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #03 - Method [get/set]DewAtDatetime()...test#1
+	// TEST #21 - Method [get/set]SolarradiationOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2558,50 +3525,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testDew;
+		let testDay, testSolarradiation;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testDew = 0;
-		weather.setDewAtDatetime(testDay, testTime, testDew);
-		assert.strictEqual(weather.getDewAtDatetime(testDay, testTime), testDew);
+		testSolarradiation = 0;
+		weather.setSolarradiationOnDay(testDay, testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationOnDay(testDay), testSolarradiation);
 
 		testDay = 0;
-		testTime = 0;
-		testDew = 10;
-		weather.setDewAtDatetime(testDay, testTime, testDew);
-		assert.strictEqual(weather.getDewAtDatetime(testDay, testTime), testDew);
-
-		assert.strictEqual(weather.getDewAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getDewAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getDewAtDatetime(0, false), null);
-		assert.strictEqual(weather.getDewAtDatetime(false, false), null);
+		testSolarradiation = 10;
+		weather.setSolarradiationOnDay(testDay, testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationOnDay(testDay), testSolarradiation);
 
+		assert.throws(() => weather.getSolarradiationOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSolarradiationOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setDewAtDatetime(0, false, testDew);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setDewAtDatetime(false, false, testDew);
+				weather.setSolarradiationOnDay(false, testSolarradiation);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setSolarradiationOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]DewAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SolarradiationOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #04 - Method [get/set]HumidityAtDatetime()...test#1
+	// TEST #22 - Method [get/set]SolarenergyOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2610,50 +3564,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testHumidity;
+		let testDay, testSolarenergy;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testHumidity = 0;
-		weather.setHumidityAtDatetime(testDay, testTime, testHumidity);
-		assert.strictEqual(weather.getHumidityAtDatetime(testDay, testTime), testHumidity);
+		testSolarenergy = 0;
+		weather.setSolarenergyOnDay(testDay, testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyOnDay(testDay), testSolarenergy);
 
 		testDay = 0;
-		testTime = 0;
-		testHumidity = 10;
-		weather.setHumidityAtDatetime(testDay, testTime, testHumidity);
-		assert.strictEqual(weather.getHumidityAtDatetime(testDay, testTime), testHumidity);
-
-		assert.strictEqual(weather.getHumidityAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getHumidityAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getHumidityAtDatetime(0, false), null);
-		assert.strictEqual(weather.getHumidityAtDatetime(false, false), null);
+		testSolarenergy = 10;
+		weather.setSolarenergyOnDay(testDay, testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyOnDay(testDay), testSolarenergy);
 
+		assert.throws(() => weather.getSolarenergyOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSolarenergyOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setHumidityAtDatetime(0, false, testHumidity);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setHumidityAtDatetime(false, false, testHumidity);
+				weather.setSolarenergyOnDay(false, testSolarenergy);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setSolarenergyOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]HumidityAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SolarenergyOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #05 - Method [get/set]PrecipAtDatetime()...test#1
+	// TEST #23 - Method [get/set]UvindexOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2662,50 +3603,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testPrecip;
+		let testDay, testUvindex;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testPrecip = 0;
-		weather.setPrecipAtDatetime(testDay, testTime, testPrecip);
-		assert.strictEqual(weather.getPrecipAtDatetime(testDay, testTime), testPrecip);
+		testUvindex = 0;
+		weather.setUvindexOnDay(testDay, testUvindex);
+		assert.strictEqual(weather.getUvindexOnDay(testDay), testUvindex);
 
 		testDay = 0;
-		testTime = 0;
-		testPrecip = 10;
-		weather.setPrecipAtDatetime(testDay, testTime, testPrecip);
-		assert.strictEqual(weather.getPrecipAtDatetime(testDay, testTime), testPrecip);
-
-		assert.strictEqual(weather.getPrecipAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getPrecipAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getPrecipAtDatetime(0, false), null);
-		assert.strictEqual(weather.getPrecipAtDatetime(false, false), null);
+		testUvindex = 10;
+		weather.setUvindexOnDay(testDay, testUvindex);
+		assert.strictEqual(weather.getUvindexOnDay(testDay), testUvindex);
 
+		assert.throws(() => weather.getUvindexOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getUvindexOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPrecipAtDatetime(0, false, testPrecip);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setPrecipAtDatetime(false, false, testPrecip);
+				weather.setUvindexOnDay(false, testUvindex);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setUvindexOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PrecipAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]UvindexOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #06 - Method [get/set]PrecipProbAtDatetime()...test#1
+	// TEST #24 - Method [get/set]SevereriskOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2714,50 +3642,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testPrecipProb;
+		let testDay, testSevererisk;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testPrecipProb = 0;
-		weather.setPrecipProbAtDatetime(testDay, testTime, testPrecipProb);
-		assert.strictEqual(weather.getPrecipProbAtDatetime(testDay, testTime), testPrecipProb);
+		testSevererisk = 0;
+		weather.setSevereriskOnDay(testDay, testSevererisk);
+		assert.strictEqual(weather.getSevereriskOnDay(testDay), testSevererisk);
 
 		testDay = 0;
-		testTime = 0;
-		testPrecipProb = 10;
-		weather.setPrecipProbAtDatetime(testDay, testTime, testPrecipProb);
-		assert.strictEqual(weather.getPrecipProbAtDatetime(testDay, testTime), testPrecipProb);
-
-		assert.strictEqual(weather.getPrecipProbAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getPrecipProbAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getPrecipProbAtDatetime(0, false), null);
-		assert.strictEqual(weather.getPrecipProbAtDatetime(false, false), null);
+		testSevererisk = 10;
+		weather.setSevereriskOnDay(testDay, testSevererisk);
+		assert.strictEqual(weather.getSevereriskOnDay(testDay), testSevererisk);
 
+		assert.throws(() => weather.getSevereriskOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSevereriskOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPrecipProbAtDatetime(0, false, testPrecipProb);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setPrecipProbAtDatetime(false, false, testPrecipProb);
+				weather.setSevereriskOnDay(false, testSevererisk);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setSevereriskOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PrecipProbAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SevereriskOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #07 - Method [get/set]PreciptypeAtDatetime()...test#1
+	// TEST #25 - Method [get/set]StationsOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2766,50 +3681,41 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testPreciptype;
+		let testDay, testStations;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testPreciptype = 'type#1';
-		weather.setPreciptypeAtDatetime(testDay, testTime, testPreciptype);
-		assert.strictEqual(weather.getPreciptypeAtDatetime(testDay, testTime), testPreciptype);
+		testStations = ['stattion#1'];
+		weather.setStationsOnDay(testDay, testStations);
+		assert.deepStrictEqual(weather.getStationsOnDay(testDay), testStations);
 
 		testDay = 0;
-		testTime = 0;
-		testPreciptype = 'type#2';
-		weather.setPreciptypeAtDatetime(testDay, testTime, testPreciptype);
-		assert.strictEqual(weather.getPreciptypeAtDatetime(testDay, testTime), testPreciptype);
-
-		assert.strictEqual(weather.getPreciptypeAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getPreciptypeAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getPreciptypeAtDatetime(0, false), null);
-		assert.strictEqual(weather.getPreciptypeAtDatetime(false, false), null);
+		testStations = ['stattion#2'];
+		weather.setStationsOnDay(testDay, testStations);
+		assert.deepStrictEqual(weather.getStationsOnDay(testDay), testStations);
 
+		assert.throws(() => weather.getStationsOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getStationsOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPreciptypeAtDatetime(0, false, testPreciptype);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setPreciptypeAtDatetime(false, false, testPreciptype);
+				weather.setStationsOnDay(false, testStations);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+				assert.strictEqual(err.message, `Weather.setStationsOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PreciptypeAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]StationsOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #08 - Method [get/set]SnowAtDatetime()...test#1
+	// TEST SUITE #7 - Test Weather Instance Methods - Astronomy elements
+	suiteDesc = 'Test Weather Instance Methods - Astronomy elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]SunriseOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2818,50 +3724,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSnow;
+		let testDay, testSunrise;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testSnow = 0;
-		weather.setSnowAtDatetime(testDay, testTime, testSnow);
-		assert.strictEqual(weather.getSnowAtDatetime(testDay, testTime), testSnow);
+		testSunrise = '06:00:00';
+		weather.setSunriseOnDay(testDay, testSunrise);
+		assert.strictEqual(weather.getSunriseOnDay(testDay), testSunrise);
 
 		testDay = 0;
-		testTime = 0;
-		testSnow = 10;
-		weather.setSnowAtDatetime(testDay, testTime, testSnow);
-		assert.strictEqual(weather.getSnowAtDatetime(testDay, testTime), testSnow);
-
-		assert.strictEqual(weather.getSnowAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSnowAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSnowAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSnowAtDatetime(false, false), null);
+		testSunrise = '06:30:00';
+		weather.setSunriseOnDay(testDay, testSunrise);
+		assert.strictEqual(weather.getSunriseOnDay(testDay), testSunrise);
 
+		assert.throws(() => weather.getSunriseOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSunriseOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSnowAtDatetime(0, false, testSnow);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setSnowAtDatetime(false, false, testSnow);
+				weather.setSunriseOnDay(false, testSunrise);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setSunriseOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SnowAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SunriseOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #09 - Method [get/set]SnowDepthAtDatetime()...test#1
+	// TEST #02 - Method [get/set]SunriseEpochOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2870,50 +3763,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSnowDepth;
+		let testDay, testSunriseEpoch;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testSnowDepth = 0;
-		weather.setSnowDepthAtDatetime(testDay, testTime, testSnowDepth);
-		assert.strictEqual(weather.getSnowDepthAtDatetime(testDay, testTime), testSnowDepth);
+		testSunriseEpoch = 1741327200000;
+		weather.setSunriseEpochOnDay(testDay, testSunriseEpoch);
+		assert.strictEqual(weather.getSunriseEpochOnDay(testDay), testSunriseEpoch);
 
 		testDay = 0;
-		testTime = 0;
-		testSnowDepth = 10;
-		weather.setSnowDepthAtDatetime(testDay, testTime, testSnowDepth);
-		assert.strictEqual(weather.getSnowDepthAtDatetime(testDay, testTime), testSnowDepth);
-
-		assert.strictEqual(weather.getSnowDepthAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSnowDepthAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSnowDepthAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSnowDepthAtDatetime(false, false), null);
+		testSunriseEpoch = 1741329000000;
+		weather.setSunriseEpochOnDay(testDay, testSunriseEpoch);
+		assert.strictEqual(weather.getSunriseEpochOnDay(testDay), testSunriseEpoch);
 
+		assert.throws(() => weather.getSunriseEpochOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSunriseEpochOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setSnowDepthAtDatetime(0, false, testSnowDepth);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setSnowDepthAtDatetime(false, false, testSnowDepth);
+				weather.setSunriseEpochOnDay(false, testSunriseEpoch);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setSunriseEpochOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SnowDepthAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SunriseEpochOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #10 - Method [get/set]WindgustAtDatetime()...test#1
+	// TEST #03 - Method [get/set]SunsetOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2922,50 +3802,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testWindgust;
+		let testDay, testSunset;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testWindgust = 0;
-		weather.setWindgustAtDatetime(testDay, testTime, testWindgust);
-		assert.strictEqual(weather.getWindgustAtDatetime(testDay, testTime), testWindgust);
+		testSunset = '06:00:00';
+		weather.setSunsetOnDay(testDay, testSunset);
+		assert.strictEqual(weather.getSunsetOnDay(testDay), testSunset);
 
 		testDay = 0;
-		testTime = 0;
-		testWindgust = 10;
-		weather.setWindgustAtDatetime(testDay, testTime, testWindgust);
-		assert.strictEqual(weather.getWindgustAtDatetime(testDay, testTime), testWindgust);
-
-		assert.strictEqual(weather.getWindgustAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getWindgustAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getWindgustAtDatetime(0, false), null);
-		assert.strictEqual(weather.getWindgustAtDatetime(false, false), null);
+		testSunset = '06:30:00';
+		weather.setSunsetOnDay(testDay, testSunset);
+		assert.strictEqual(weather.getSunsetOnDay(testDay), testSunset);
 
+		assert.throws(() => weather.getSunsetOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSunsetOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setWindgustAtDatetime(0, false, testWindgust);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setWindgustAtDatetime(false, false, testWindgust);
+				weather.setSunsetOnDay(false, testSunset);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setSunsetOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]WindgustAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SunsetOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #11 - Method [get/set]WindspeedAtDatetime()...test#1
+	// TEST #04 - Method [get/set]SunsetEpochOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -2974,50 +3841,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testWindspeed;
+		let testDay, testSunsetEpoch;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testWindspeed = 0;
-		weather.setWindspeedAtDatetime(testDay, testTime, testWindspeed);
-		assert.strictEqual(weather.getWindspeedAtDatetime(testDay, testTime), testWindspeed);
+		testSunsetEpoch = sample.days[0].sunsetEpoch;
+		weather.setSunsetEpochOnDay(testDay, testSunsetEpoch);
+		assert.strictEqual(weather.getSunsetEpochOnDay(testDay), testSunsetEpoch);
 
 		testDay = 0;
-		testTime = 0;
-		testWindspeed = 10;
-		weather.setWindspeedAtDatetime(testDay, testTime, testWindspeed);
-		assert.strictEqual(weather.getWindspeedAtDatetime(testDay, testTime), testWindspeed);
-
-		assert.strictEqual(weather.getWindspeedAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getWindspeedAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getWindspeedAtDatetime(0, false), null);
-		assert.strictEqual(weather.getWindspeedAtDatetime(false, false), null);
+		testSunsetEpoch = sample.days[0].sunsetEpoch;
+		weather.setSunsetEpochOnDay(testDay, testSunsetEpoch);
+		assert.strictEqual(weather.getSunsetEpochOnDay(testDay), testSunsetEpoch);
 
+		assert.throws(() => weather.getSunsetEpochOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getSunsetEpochOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setWindspeedAtDatetime(0, false, testWindspeed);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setWindspeedAtDatetime(false, false, testWindspeed);
+				weather.setSunsetEpochOnDay(false, testSunsetEpoch);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setSunsetEpochOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]WindspeedAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SunsetEpochOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #12 - Method [get/set]WinddirAtDatetime()...test#1
+	// TEST #05 - Method [get/set]MoonphaseOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3026,50 +3880,41 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testWinddir;
+		let testDay, testMoonphase;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testWinddir = 0;
-		weather.setWinddirAtDatetime(testDay, testTime, testWinddir);
-		assert.strictEqual(weather.getWinddirAtDatetime(testDay, testTime), testWinddir);
+		testMoonphase = 0;
+		weather.setMoonphaseOnDay(testDay, testMoonphase);
+		assert.strictEqual(weather.getMoonphaseOnDay(testDay), testMoonphase);
 
 		testDay = 0;
-		testTime = 0;
-		testWinddir = 10;
-		weather.setWinddirAtDatetime(testDay, testTime, testWinddir);
-		assert.strictEqual(weather.getWinddirAtDatetime(testDay, testTime), testWinddir);
-
-		assert.strictEqual(weather.getWinddirAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getWinddirAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getWinddirAtDatetime(0, false), null);
-		assert.strictEqual(weather.getWinddirAtDatetime(false, false), null);
+		testMoonphase = 0.25;
+		weather.setMoonphaseOnDay(testDay, testMoonphase);
+		assert.strictEqual(weather.getMoonphaseOnDay(testDay), testMoonphase);
 
+		assert.throws(() => weather.getMoonphaseOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getMoonphaseOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setWinddirAtDatetime(0, false, testWinddir);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setWinddirAtDatetime(false, false, testWinddir);
+				weather.setMoonphaseOnDay(false, testMoonphase);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setMoonphaseOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]WinddirAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]MoonphaseOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #13 - Method [get/set]PressureAtDatetime()...test#1
+	// TEST SUITE #8 - Test Weather Instance Methods - Description elements
+	suiteDesc = 'Test Weather Instance Methods - Description elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]ConditionsOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3078,50 +3923,37 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testPressure;
+		let testDay, testConditions;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testPressure = 0;
-		weather.setPressureAtDatetime(testDay, testTime, testPressure);
-		assert.strictEqual(weather.getPressureAtDatetime(testDay, testTime), testPressure);
+		testConditions = 'conditions#1';
+		weather.setConditionsOnDay(testDay, testConditions);
+		assert.strictEqual(weather.getConditionsOnDay(testDay), testConditions);
 
 		testDay = 0;
-		testTime = 0;
-		testPressure = 10;
-		weather.setPressureAtDatetime(testDay, testTime, testPressure);
-		assert.strictEqual(weather.getPressureAtDatetime(testDay, testTime), testPressure);
-
-		assert.strictEqual(weather.getPressureAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getPressureAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getPressureAtDatetime(0, false), null);
-		assert.strictEqual(weather.getPressureAtDatetime(false, false), null);
+		testConditions = 'conditions#2';
+		weather.setConditionsOnDay(testDay, testConditions);
+		assert.strictEqual(weather.getConditionsOnDay(testDay), testConditions);
 
+		assert.throws(() => weather.getConditionsOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getConditionsOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setPressureAtDatetime(0, false, testPressure);
-			},
-			(err) => {
-				assert(err instanceof TypeError);
-				return true;
-			}
-		);
-		assert.throws(
-			() => {
-				weather.setPressureAtDatetime(false, false, testPressure);
+				weather.setConditionsOnDay(false, testConditions);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setConditionsOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]PressureAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]ConditionsOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #14 - Method [get/set]CloudcoverAtDatetime()...test#1
+	// TEST #02 - Method [get/set]DescriptionOnDay()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3130,50 +3962,80 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testCloudcover;
+		let testDay, testDescription;
 
 		testDay = sample.days[0].datetime;
-		testTime = sample.days[0].hours[0].datetime;
-		testCloudcover = 0;
-		weather.setCloudcoverAtDatetime(testDay, testTime, testCloudcover);
-		assert.strictEqual(weather.getCloudcoverAtDatetime(testDay, testTime), testCloudcover);
+		testDescription = 'description#1';
+		weather.setDescriptionOnDay(testDay, testDescription);
+		assert.strictEqual(weather.getDescriptionOnDay(testDay), testDescription);
 
 		testDay = 0;
-		testTime = 0;
-		testCloudcover = 10;
-		weather.setCloudcoverAtDatetime(testDay, testTime, testCloudcover);
-		assert.strictEqual(weather.getCloudcoverAtDatetime(testDay, testTime), testCloudcover);
-
-		assert.strictEqual(weather.getCloudcoverAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getCloudcoverAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getCloudcoverAtDatetime(0, false), null);
-		assert.strictEqual(weather.getCloudcoverAtDatetime(false, false), null);
+		testDescription = 'description#2';
+		weather.setDescriptionOnDay(testDay, testDescription);
+		assert.strictEqual(weather.getDescriptionOnDay(testDay), testDescription);
 
+		assert.throws(() => weather.getDescriptionOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getDescriptionOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setCloudcoverAtDatetime(0, false, testCloudcover);
+				weather.setDescriptionOnDay(false, testDescription);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setDescriptionOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
+	};
+	testData.desc = 'Method [get/set]DescriptionOnDay()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method [get/set]IconOnDay()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testIcon;
+
+		testDay = sample.days[0].datetime;
+		testIcon = 'icon#1';
+		weather.setIconOnDay(testDay, testIcon);
+		assert.strictEqual(weather.getIconOnDay(testDay), testIcon);
+
+		testDay = 0;
+		testIcon = 'icon#2';
+		weather.setIconOnDay(testDay, testIcon);
+		assert.strictEqual(weather.getIconOnDay(testDay), testIcon);
+
+		assert.throws(() => weather.getIconOnDay(), WeatherValidationError);
+		assert.strictEqual(weather.getIconOnDay('1970-01-01'), null);
 		assert.throws(
 			() => {
-				weather.setCloudcoverAtDatetime(false, false, testCloudcover);
+				weather.setIconOnDay(false, testIcon);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
+                assert.strictEqual(err.message, `Weather.setIconOnDay: Invalid input day value 'false'.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]CloudcoverAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]IconOnDay()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #15 - Method [get/set]VisibilityAtDatetime()...test#1
+	// TEST SUITE #9 - Test Weather Instance Methods - Core Weather elements at datetime
+	suiteDesc = 'Test Weather Instance Methods - Core Weather elements at datetime';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]TempAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3182,50 +4044,60 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testVisibility;
+		let testDay, testTime, testTemp;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testVisibility = 0;
-		weather.setVisibilityAtDatetime(testDay, testTime, testVisibility);
-		assert.strictEqual(weather.getVisibilityAtDatetime(testDay, testTime), testVisibility);
+		testTemp = 0;
+		weather.setTempAtDatetime(testDay, testTime, testTemp);
+		assert.strictEqual(weather.getTempAtDatetime(testDay, testTime), testTemp);
 
 		testDay = 0;
 		testTime = 0;
-		testVisibility = 10;
-		weather.setVisibilityAtDatetime(testDay, testTime, testVisibility);
-		assert.strictEqual(weather.getVisibilityAtDatetime(testDay, testTime), testVisibility);
+		testTemp = 10;
+		weather.setTempAtDatetime(testDay, testTime, testTemp);
+		assert.strictEqual(weather.getTempAtDatetime(testDay, testTime), testTemp);
 
-		assert.strictEqual(weather.getVisibilityAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getVisibilityAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getVisibilityAtDatetime(0, false), null);
-		assert.strictEqual(weather.getVisibilityAtDatetime(false, false), null);
+		assert.strictEqual(weather.getTempAtDatetime('2025-03-07', '24:00:00'), null);
+		assert.strictEqual(weather.getTempAtDatetime('1970-01-01', '00:00:00'), null);
+		assert.throws(() => weather.getTempAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getTempAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setVisibilityAtDatetime(0, false, testVisibility);
+				weather.setTempAtDatetime(0, false, testTemp);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setVisibilityAtDatetime(false, false, testVisibility);
+				weather.setTempAtDatetime(false, false, testTemp);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setTempAtDatetime(0, '24:00:00', testTemp);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherDataError);
+				assert.strictEqual(err.message, `Weather.setTempAtDatetime: Cannot set 'temp', the hour '24:00:00' of the day 0 is not available.`);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]VisibilityAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]TempAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #16 - Method [get/set]SolarradiationAtDatetime()...test#1
+	// TEST #02 - Method [get/set]FeelsLikeAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3234,50 +4106,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSolarradiation;
+		let testDay, testTime, testFeelsLike;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testSolarradiation = 0;
-		weather.setSolarradiationAtDatetime(testDay, testTime, testSolarradiation);
-		assert.strictEqual(weather.getSolarradiationAtDatetime(testDay, testTime), testSolarradiation);
+		testFeelsLike = 0;
+		weather.setFeelsLikeAtDatetime(testDay, testTime, testFeelsLike);
+		assert.strictEqual(weather.getFeelsLikeAtDatetime(testDay, testTime), testFeelsLike);
 
 		testDay = 0;
 		testTime = 0;
-		testSolarradiation = 10;
-		weather.setSolarradiationAtDatetime(testDay, testTime, testSolarradiation);
-		assert.strictEqual(weather.getSolarradiationAtDatetime(testDay, testTime), testSolarradiation);
+		testFeelsLike = 10;
+		weather.setFeelsLikeAtDatetime(testDay, testTime, testFeelsLike);
+		assert.strictEqual(weather.getFeelsLikeAtDatetime(testDay, testTime), testFeelsLike);
 
-		assert.strictEqual(weather.getSolarradiationAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSolarradiationAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSolarradiationAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSolarradiationAtDatetime(false, false), null);
+		assert.strictEqual(weather.getFeelsLikeAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getFeelsLikeAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getFeelsLikeAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getFeelsLikeAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setSolarradiationAtDatetime(0, false, testSolarradiation);
+				weather.setFeelsLikeAtDatetime(0, false, testFeelsLike);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setSolarradiationAtDatetime(false, false, testSolarradiation);
+				weather.setFeelsLikeAtDatetime(false, false, testFeelsLike);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SolarradiationAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]FeelsLikeAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #17 - Method [get/set]SolarenergyAtDatetime()...test#1
+	// TEST #03 - Method [get/set]DewAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3286,50 +4158,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSolarenergy;
+		let testDay, testTime, testDew;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testSolarenergy = 0;
-		weather.setSolarenergyAtDatetime(testDay, testTime, testSolarenergy);
-		assert.strictEqual(weather.getSolarenergyAtDatetime(testDay, testTime), testSolarenergy);
+		testDew = 0;
+		weather.setDewAtDatetime(testDay, testTime, testDew);
+		assert.strictEqual(weather.getDewAtDatetime(testDay, testTime), testDew);
 
 		testDay = 0;
 		testTime = 0;
-		testSolarenergy = 10;
-		weather.setSolarenergyAtDatetime(testDay, testTime, testSolarenergy);
-		assert.strictEqual(weather.getSolarenergyAtDatetime(testDay, testTime), testSolarenergy);
+		testDew = 10;
+		weather.setDewAtDatetime(testDay, testTime, testDew);
+		assert.strictEqual(weather.getDewAtDatetime(testDay, testTime), testDew);
 
-		assert.strictEqual(weather.getSolarenergyAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSolarenergyAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSolarenergyAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSolarenergyAtDatetime(false, false), null);
+		assert.strictEqual(weather.getDewAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getDewAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getDewAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getDewAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setSolarenergyAtDatetime(0, false, testSolarenergy);
+				weather.setDewAtDatetime(0, false, testDew);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setSolarenergyAtDatetime(false, false, testSolarenergy);
+				weather.setDewAtDatetime(false, false, testDew);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SolarenergyAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]DewAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #18 - Method [get/set]UvindexAtDatetime()...test#1
+	// TEST #04 - Method [get/set]HumidityAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3338,50 +4210,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testUvindex;
+		let testDay, testTime, testHumidity;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testUvindex = 0;
-		weather.setUvindexAtDatetime(testDay, testTime, testUvindex);
-		assert.strictEqual(weather.getUvindexAtDatetime(testDay, testTime), testUvindex);
+		testHumidity = 0;
+		weather.setHumidityAtDatetime(testDay, testTime, testHumidity);
+		assert.strictEqual(weather.getHumidityAtDatetime(testDay, testTime), testHumidity);
 
 		testDay = 0;
 		testTime = 0;
-		testUvindex = 10;
-		weather.setUvindexAtDatetime(testDay, testTime, testUvindex);
-		assert.strictEqual(weather.getUvindexAtDatetime(testDay, testTime), testUvindex);
+		testHumidity = 10;
+		weather.setHumidityAtDatetime(testDay, testTime, testHumidity);
+		assert.strictEqual(weather.getHumidityAtDatetime(testDay, testTime), testHumidity);
 
-		assert.strictEqual(weather.getUvindexAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getUvindexAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getUvindexAtDatetime(0, false), null);
-		assert.strictEqual(weather.getUvindexAtDatetime(false, false), null);
+		assert.strictEqual(weather.getHumidityAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getHumidityAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getHumidityAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getHumidityAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setUvindexAtDatetime(0, false, testUvindex);
+				weather.setHumidityAtDatetime(0, false, testHumidity);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setUvindexAtDatetime(false, false, testUvindex);
+				weather.setHumidityAtDatetime(false, false, testHumidity);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]UvindexAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]HumidityAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #19 - Method [get/set]SevereriskAtDatetime()...test#1
+	// TEST #05 - Method [get/set]PrecipAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3390,50 +4262,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSevererisk;
+		let testDay, testTime, testPrecip;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testSevererisk = 0;
-		weather.setSevereriskAtDatetime(testDay, testTime, testSevererisk);
-		assert.strictEqual(weather.getSevereriskAtDatetime(testDay, testTime), testSevererisk);
+		testPrecip = 0;
+		weather.setPrecipAtDatetime(testDay, testTime, testPrecip);
+		assert.strictEqual(weather.getPrecipAtDatetime(testDay, testTime), testPrecip);
 
 		testDay = 0;
 		testTime = 0;
-		testSevererisk = 10;
-		weather.setSevereriskAtDatetime(testDay, testTime, testSevererisk);
-		assert.strictEqual(weather.getSevereriskAtDatetime(testDay, testTime), testSevererisk);
+		testPrecip = 10;
+		weather.setPrecipAtDatetime(testDay, testTime, testPrecip);
+		assert.strictEqual(weather.getPrecipAtDatetime(testDay, testTime), testPrecip);
 
-		assert.strictEqual(weather.getSevereriskAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSevereriskAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSevereriskAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSevereriskAtDatetime(false, false), null);
+		assert.strictEqual(weather.getPrecipAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getPrecipAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getPrecipAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getPrecipAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setSevereriskAtDatetime(0, false, testSevererisk);
+				weather.setPrecipAtDatetime(0, false, testPrecip);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setSevereriskAtDatetime(false, false, testSevererisk);
+				weather.setPrecipAtDatetime(false, false, testPrecip);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SevereriskAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]PrecipAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #20 - Method [get/set]StationsAtDatetime()...test#1
+	// TEST #06 - Method [get/set]PrecipProbAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3442,50 +4314,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testStations;
+		let testDay, testTime, testPrecipProb;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testStations = ['station#1'];
-		weather.setStationsAtDatetime(testDay, testTime, testStations);
-		assert.strictEqual(weather.getStationsAtDatetime(testDay, testTime), testStations);
+		testPrecipProb = 0;
+		weather.setPrecipProbAtDatetime(testDay, testTime, testPrecipProb);
+		assert.strictEqual(weather.getPrecipProbAtDatetime(testDay, testTime), testPrecipProb);
 
 		testDay = 0;
 		testTime = 0;
-		testStations = ['station#2'];
-		weather.setStationsAtDatetime(testDay, testTime, testStations);
-		assert.strictEqual(weather.getStationsAtDatetime(testDay, testTime), testStations);
+		testPrecipProb = 10;
+		weather.setPrecipProbAtDatetime(testDay, testTime, testPrecipProb);
+		assert.strictEqual(weather.getPrecipProbAtDatetime(testDay, testTime), testPrecipProb);
 
-		assert.strictEqual(weather.getStationsAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getStationsAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getStationsAtDatetime(0, false), null);
-		assert.strictEqual(weather.getStationsAtDatetime(false, false), null);
+		assert.strictEqual(weather.getPrecipProbAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getPrecipProbAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getPrecipProbAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getPrecipProbAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setStationsAtDatetime(0, false, testStations);
+				weather.setPrecipProbAtDatetime(0, false, testPrecipProb);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setStationsAtDatetime(false, false, testStations);
+				weather.setPrecipProbAtDatetime(false, false, testPrecipProb);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]StationsAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]PrecipProbAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #21 - Method [get/set]SourceAtDatetime()...test#1
+	// TEST #07 - Method [get/set]PreciptypeAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3494,54 +4366,102 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testSource;
+		let testDay, testTime, testPreciptype;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testSource = 'source#1';
-		weather.setSourceAtDatetime(testDay, testTime, testSource);
-		assert.strictEqual(weather.getSourceAtDatetime(testDay, testTime), testSource);
+		testPreciptype = 'type#1';
+		weather.setPreciptypeAtDatetime(testDay, testTime, testPreciptype);
+		assert.strictEqual(weather.getPreciptypeAtDatetime(testDay, testTime), testPreciptype);
 
 		testDay = 0;
 		testTime = 0;
-		testSource = 'source#2';
-		weather.setSourceAtDatetime(testDay, testTime, testSource);
-		assert.strictEqual(weather.getSourceAtDatetime(testDay, testTime), testSource);
+		testPreciptype = 'type#2';
+		weather.setPreciptypeAtDatetime(testDay, testTime, testPreciptype);
+		assert.strictEqual(weather.getPreciptypeAtDatetime(testDay, testTime), testPreciptype);
 
-		assert.strictEqual(weather.getSourceAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getSourceAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getSourceAtDatetime(0, false), null);
-		assert.strictEqual(weather.getSourceAtDatetime(false, false), null);
+		assert.strictEqual(weather.getPreciptypeAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getPreciptypeAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getPreciptypeAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getPreciptypeAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setSourceAtDatetime(0, false, testSource);
+				weather.setPreciptypeAtDatetime(0, false, testPreciptype);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setSourceAtDatetime(false, false, testSource);
+				weather.setPreciptypeAtDatetime(false, false, testPreciptype);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]SourceAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]PreciptypeAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST SUITE #10 - Test Weather Instance Methods - Description elements at datetime
-	suiteDesc = 'Test Weather Instance Methods - Description elements at datetime';
-	suites.set(suiteDesc, []);
+	// TEST #08 - Method [get/set]SnowAtDatetime()...test#1
+	testData = {};
 
-	// TEST #01 - Method [get/set]ConditionsAtDatetime()...test#1
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testSnow;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testSnow = 0;
+		weather.setSnowAtDatetime(testDay, testTime, testSnow);
+		assert.strictEqual(weather.getSnowAtDatetime(testDay, testTime), testSnow);
+
+		testDay = 0;
+		testTime = 0;
+		testSnow = 10;
+		weather.setSnowAtDatetime(testDay, testTime, testSnow);
+		assert.strictEqual(weather.getSnowAtDatetime(testDay, testTime), testSnow);
+
+		assert.strictEqual(weather.getSnowAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSnowAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSnowAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSnowAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setSnowAtDatetime(0, false, testSnow);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setSnowAtDatetime(false, false, testSnow);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SnowAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #09 - Method [get/set]SnowDepthAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3550,50 +4470,50 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testConditions;
+		let testDay, testTime, testSnowDepth;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testConditions = 'cond#1';
-		weather.setConditionsAtDatetime(testDay, testTime, testConditions);
-		assert.strictEqual(weather.getConditionsAtDatetime(testDay, testTime), testConditions);
+		testSnowDepth = 0;
+		weather.setSnowDepthAtDatetime(testDay, testTime, testSnowDepth);
+		assert.strictEqual(weather.getSnowDepthAtDatetime(testDay, testTime), testSnowDepth);
 
 		testDay = 0;
 		testTime = 0;
-		testConditions = 'cond#2';
-		weather.setConditionsAtDatetime(testDay, testTime, testConditions);
-		assert.strictEqual(weather.getConditionsAtDatetime(testDay, testTime), testConditions);
+		testSnowDepth = 10;
+		weather.setSnowDepthAtDatetime(testDay, testTime, testSnowDepth);
+		assert.strictEqual(weather.getSnowDepthAtDatetime(testDay, testTime), testSnowDepth);
 
-		assert.strictEqual(weather.getConditionsAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getConditionsAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getConditionsAtDatetime(0, false), null);
-		assert.strictEqual(weather.getConditionsAtDatetime(false, false), null);
+		assert.strictEqual(weather.getSnowDepthAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSnowDepthAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSnowDepthAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSnowDepthAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setConditionsAtDatetime(0, false, testConditions);
+				weather.setSnowDepthAtDatetime(0, false, testSnowDepth);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setConditionsAtDatetime(false, false, testConditions);
+				weather.setSnowDepthAtDatetime(false, false, testSnowDepth);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]ConditionsAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]SnowDepthAtDatetime()...test#1';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);
 
-	// TEST #02 - Method [get/set]IconAtDatetime()...test#1
+	// TEST #10 - Method [get/set]WindgustAtDatetime()...test#1
 	testData = {};
 
 	testData.method = async () => {
@@ -3602,45 +4522,2607 @@ function loadTestData(){
 		let weather = new Weather();
 		weather.setWeatherData(sample);
 
-		let testDay, testTime, testIcon;
+		let testDay, testTime, testWindgust;
 
 		testDay = sample.days[0].datetime;
 		testTime = sample.days[0].hours[0].datetime;
-		testIcon = 'icon#1';
-		weather.setIconAtDatetime(testDay, testTime, testIcon);
-		assert.strictEqual(weather.getIconAtDatetime(testDay, testTime), testIcon);
+		testWindgust = 0;
+		weather.setWindgustAtDatetime(testDay, testTime, testWindgust);
+		assert.strictEqual(weather.getWindgustAtDatetime(testDay, testTime), testWindgust);
 
 		testDay = 0;
 		testTime = 0;
-		testIcon = 'icon#2';
-		weather.setIconAtDatetime(testDay, testTime, testIcon);
-		assert.strictEqual(weather.getIconAtDatetime(testDay, testTime), testIcon);
+		testWindgust = 10;
+		weather.setWindgustAtDatetime(testDay, testTime, testWindgust);
+		assert.strictEqual(weather.getWindgustAtDatetime(testDay, testTime), testWindgust);
 
-		assert.strictEqual(weather.getIconAtDatetime(0, '24:00:00'), null);
-		assert.strictEqual(weather.getIconAtDatetime('1970-01-01', 0), null);
-		assert.strictEqual(weather.getIconAtDatetime(0, false), null);
-		assert.strictEqual(weather.getIconAtDatetime(false, false), null);
+		assert.strictEqual(weather.getWindgustAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getWindgustAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getWindgustAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getWindgustAtDatetime(false, false), WeatherValidationError);
 
 		assert.throws(
 			() => {
-				weather.setIconAtDatetime(0, false, testIcon);
+				weather.setWindgustAtDatetime(0, false, testWindgust);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 		assert.throws(
 			() => {
-				weather.setIconAtDatetime(false, false, testIcon);
+				weather.setWindgustAtDatetime(false, false, testWindgust);
 			},
 			(err) => {
-				assert(err instanceof TypeError);
+				assert(err instanceof WeatherValidationError);
 				return true;
 			}
 		);
 	};
-	testData.desc = 'Method [get/set]IconAtDatetime()...test#1';
+	testData.desc = 'Method [get/set]WindgustAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #11 - Method [get/set]WindspeedAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testWindspeed;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testWindspeed = 0;
+		weather.setWindspeedAtDatetime(testDay, testTime, testWindspeed);
+		assert.strictEqual(weather.getWindspeedAtDatetime(testDay, testTime), testWindspeed);
+
+		testDay = 0;
+		testTime = 0;
+		testWindspeed = 10;
+		weather.setWindspeedAtDatetime(testDay, testTime, testWindspeed);
+		assert.strictEqual(weather.getWindspeedAtDatetime(testDay, testTime), testWindspeed);
+
+		assert.strictEqual(weather.getWindspeedAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getWindspeedAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getWindspeedAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getWindspeedAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setWindspeedAtDatetime(0, false, testWindspeed);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setWindspeedAtDatetime(false, false, testWindspeed);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]WindspeedAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #12 - Method [get/set]WinddirAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testWinddir;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testWinddir = 0;
+		weather.setWinddirAtDatetime(testDay, testTime, testWinddir);
+		assert.strictEqual(weather.getWinddirAtDatetime(testDay, testTime), testWinddir);
+
+		testDay = 0;
+		testTime = 0;
+		testWinddir = 10;
+		weather.setWinddirAtDatetime(testDay, testTime, testWinddir);
+		assert.strictEqual(weather.getWinddirAtDatetime(testDay, testTime), testWinddir);
+
+		assert.strictEqual(weather.getWinddirAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getWinddirAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getWinddirAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getWinddirAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setWinddirAtDatetime(0, false, testWinddir);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setWinddirAtDatetime(false, false, testWinddir);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]WinddirAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #13 - Method [get/set]PressureAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testPressure;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testPressure = 0;
+		weather.setPressureAtDatetime(testDay, testTime, testPressure);
+		assert.strictEqual(weather.getPressureAtDatetime(testDay, testTime), testPressure);
+
+		testDay = 0;
+		testTime = 0;
+		testPressure = 10;
+		weather.setPressureAtDatetime(testDay, testTime, testPressure);
+		assert.strictEqual(weather.getPressureAtDatetime(testDay, testTime), testPressure);
+
+		assert.strictEqual(weather.getPressureAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getPressureAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getPressureAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getPressureAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setPressureAtDatetime(0, false, testPressure);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setPressureAtDatetime(false, false, testPressure);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]PressureAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #14 - Method [get/set]CloudcoverAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testCloudcover;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testCloudcover = 0;
+		weather.setCloudcoverAtDatetime(testDay, testTime, testCloudcover);
+		assert.strictEqual(weather.getCloudcoverAtDatetime(testDay, testTime), testCloudcover);
+
+		testDay = 0;
+		testTime = 0;
+		testCloudcover = 10;
+		weather.setCloudcoverAtDatetime(testDay, testTime, testCloudcover);
+		assert.strictEqual(weather.getCloudcoverAtDatetime(testDay, testTime), testCloudcover);
+
+		assert.strictEqual(weather.getCloudcoverAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getCloudcoverAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getCloudcoverAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getCloudcoverAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setCloudcoverAtDatetime(0, false, testCloudcover);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setCloudcoverAtDatetime(false, false, testCloudcover);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]CloudcoverAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #15 - Method [get/set]VisibilityAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testVisibility;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testVisibility = 0;
+		weather.setVisibilityAtDatetime(testDay, testTime, testVisibility);
+		assert.strictEqual(weather.getVisibilityAtDatetime(testDay, testTime), testVisibility);
+
+		testDay = 0;
+		testTime = 0;
+		testVisibility = 10;
+		weather.setVisibilityAtDatetime(testDay, testTime, testVisibility);
+		assert.strictEqual(weather.getVisibilityAtDatetime(testDay, testTime), testVisibility);
+
+		assert.strictEqual(weather.getVisibilityAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getVisibilityAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getVisibilityAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getVisibilityAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setVisibilityAtDatetime(0, false, testVisibility);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setVisibilityAtDatetime(false, false, testVisibility);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]VisibilityAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #16 - Method [get/set]SolarradiationAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testSolarradiation;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testSolarradiation = 0;
+		weather.setSolarradiationAtDatetime(testDay, testTime, testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationAtDatetime(testDay, testTime), testSolarradiation);
+
+		testDay = 0;
+		testTime = 0;
+		testSolarradiation = 10;
+		weather.setSolarradiationAtDatetime(testDay, testTime, testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationAtDatetime(testDay, testTime), testSolarradiation);
+
+		assert.strictEqual(weather.getSolarradiationAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSolarradiationAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSolarradiationAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSolarradiationAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setSolarradiationAtDatetime(0, false, testSolarradiation);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setSolarradiationAtDatetime(false, false, testSolarradiation);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SolarradiationAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #17 - Method [get/set]SolarenergyAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testSolarenergy;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testSolarenergy = 0;
+		weather.setSolarenergyAtDatetime(testDay, testTime, testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyAtDatetime(testDay, testTime), testSolarenergy);
+
+		testDay = 0;
+		testTime = 0;
+		testSolarenergy = 10;
+		weather.setSolarenergyAtDatetime(testDay, testTime, testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyAtDatetime(testDay, testTime), testSolarenergy);
+
+		assert.strictEqual(weather.getSolarenergyAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSolarenergyAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSolarenergyAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSolarenergyAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setSolarenergyAtDatetime(0, false, testSolarenergy);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setSolarenergyAtDatetime(false, false, testSolarenergy);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SolarenergyAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #18 - Method [get/set]UvindexAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testUvindex;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testUvindex = 0;
+		weather.setUvindexAtDatetime(testDay, testTime, testUvindex);
+		assert.strictEqual(weather.getUvindexAtDatetime(testDay, testTime), testUvindex);
+
+		testDay = 0;
+		testTime = 0;
+		testUvindex = 10;
+		weather.setUvindexAtDatetime(testDay, testTime, testUvindex);
+		assert.strictEqual(weather.getUvindexAtDatetime(testDay, testTime), testUvindex);
+
+		assert.strictEqual(weather.getUvindexAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getUvindexAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getUvindexAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getUvindexAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setUvindexAtDatetime(0, false, testUvindex);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setUvindexAtDatetime(false, false, testUvindex);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]UvindexAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #19 - Method [get/set]SevereriskAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testSevererisk;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testSevererisk = 0;
+		weather.setSevereriskAtDatetime(testDay, testTime, testSevererisk);
+		assert.strictEqual(weather.getSevereriskAtDatetime(testDay, testTime), testSevererisk);
+
+		testDay = 0;
+		testTime = 0;
+		testSevererisk = 10;
+		weather.setSevereriskAtDatetime(testDay, testTime, testSevererisk);
+		assert.strictEqual(weather.getSevereriskAtDatetime(testDay, testTime), testSevererisk);
+
+		assert.strictEqual(weather.getSevereriskAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSevereriskAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSevereriskAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSevereriskAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setSevereriskAtDatetime(0, false, testSevererisk);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setSevereriskAtDatetime(false, false, testSevererisk);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SevereriskAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #20 - Method [get/set]StationsAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testStations;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testStations = ['station#1'];
+		weather.setStationsAtDatetime(testDay, testTime, testStations);
+		assert.strictEqual(weather.getStationsAtDatetime(testDay, testTime), testStations);
+
+		testDay = 0;
+		testTime = 0;
+		testStations = ['station#2'];
+		weather.setStationsAtDatetime(testDay, testTime, testStations);
+		assert.strictEqual(weather.getStationsAtDatetime(testDay, testTime), testStations);
+
+		assert.strictEqual(weather.getStationsAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getStationsAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getStationsAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getStationsAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setStationsAtDatetime(0, false, testStations);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setStationsAtDatetime(false, false, testStations);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]StationsAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #21 - Method [get/set]SourceAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testSource;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testSource = 'source#1';
+		weather.setSourceAtDatetime(testDay, testTime, testSource);
+		assert.strictEqual(weather.getSourceAtDatetime(testDay, testTime), testSource);
+
+		testDay = 0;
+		testTime = 0;
+		testSource = 'source#2';
+		weather.setSourceAtDatetime(testDay, testTime, testSource);
+		assert.strictEqual(weather.getSourceAtDatetime(testDay, testTime), testSource);
+
+		assert.strictEqual(weather.getSourceAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getSourceAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getSourceAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getSourceAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setSourceAtDatetime(0, false, testSource);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setSourceAtDatetime(false, false, testSource);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SourceAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #10 - Test Weather Instance Methods - Description elements at datetime
+	suiteDesc = 'Test Weather Instance Methods - Description elements at datetime';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]ConditionsAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testConditions;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testConditions = 'cond#1';
+		weather.setConditionsAtDatetime(testDay, testTime, testConditions);
+		assert.strictEqual(weather.getConditionsAtDatetime(testDay, testTime), testConditions);
+
+		testDay = 0;
+		testTime = 0;
+		testConditions = 'cond#2';
+		weather.setConditionsAtDatetime(testDay, testTime, testConditions);
+		assert.strictEqual(weather.getConditionsAtDatetime(testDay, testTime), testConditions);
+
+		assert.strictEqual(weather.getConditionsAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getConditionsAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getConditionsAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getConditionsAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setConditionsAtDatetime(0, false, testConditions);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setConditionsAtDatetime(false, false, testConditions);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]ConditionsAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method [get/set]IconAtDatetime()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sampleActive);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDay, testTime, testIcon;
+
+		testDay = sample.days[0].datetime;
+		testTime = sample.days[0].hours[0].datetime;
+		testIcon = 'icon#1';
+		weather.setIconAtDatetime(testDay, testTime, testIcon);
+		assert.strictEqual(weather.getIconAtDatetime(testDay, testTime), testIcon);
+
+		testDay = 0;
+		testTime = 0;
+		testIcon = 'icon#2';
+		weather.setIconAtDatetime(testDay, testTime, testIcon);
+		assert.strictEqual(weather.getIconAtDatetime(testDay, testTime), testIcon);
+
+		assert.strictEqual(weather.getIconAtDatetime(0, '24:00:00'), null);
+		assert.strictEqual(weather.getIconAtDatetime('1970-01-01', 0), null);
+		assert.throws(() => weather.getIconAtDatetime(0, false), WeatherValidationError);
+		assert.throws(() => weather.getIconAtDatetime(false, false), WeatherValidationError);
+
+		assert.throws(
+			() => {
+				weather.setIconAtDatetime(0, false, testIcon);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+		assert.throws(
+			() => {
+				weather.setIconAtDatetime(false, false, testIcon);
+			},
+			(err) => {
+				assert(err instanceof WeatherValidationError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]IconAtDatetime()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #11 - Test Weather Instance Methods - Current Conditions elements
+	suiteDesc = 'Test Weather Instance Methods - Current Conditions elements';
+	suites.set(suiteDesc, []);
+
+	// TEST #01 - Method [get/set]CurrentConditions()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.deepStrictEqual(weather.getCurrentConditions(), sample.currentConditions);
+		assert.deepStrictEqual(weather.getCurrentConditions(['temp', 'conditions']), {
+			temp: sample.currentConditions.temp,
+			conditions: sample.currentConditions.conditions,
+		});
+
+		weather.setCurrentConditions({ datetime: '23:00:00', temp: 14 });
+		assert.deepStrictEqual(weather.getCurrentConditions(), { datetime: '23:00:00', temp: 14 });
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getCurrentConditions(), null);
+		assert.strictEqual(weather.getCurrentConditions(['temp']), null);
+
+		weather.setWeatherData(null);
+		assert.strictEqual(weather.getCurrentConditions(), null);
+	};
+	testData.desc = 'Method [get/set]CurrentConditions()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method [get/set]DatetimeCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDatetime;
+
+		assert.strictEqual(weather.getDatetimeCurrent(), sample.currentConditions.datetime ?? null);
+
+		testDatetime = 'value#1';
+		weather.setDatetimeCurrent(testDatetime);
+		assert.strictEqual(weather.getDatetimeCurrent(), testDatetime);
+
+		testDatetime = 'value#2';
+		weather.setDatetimeCurrent(testDatetime);
+		assert.strictEqual(weather.getDatetimeCurrent(), testDatetime);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getDatetimeCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setDatetimeCurrent(testDatetime);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]DatetimeCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method [get/set]DatetimeEpochCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDatetimeEpoch;
+
+		assert.strictEqual(weather.getDatetimeEpochCurrent(), sample.currentConditions.datetimeEpoch ?? null);
+
+		testDatetimeEpoch = 0;
+		weather.setDatetimeEpochCurrent(testDatetimeEpoch);
+		assert.strictEqual(weather.getDatetimeEpochCurrent(), testDatetimeEpoch);
+
+		testDatetimeEpoch = 10;
+		weather.setDatetimeEpochCurrent(testDatetimeEpoch);
+		assert.strictEqual(weather.getDatetimeEpochCurrent(), testDatetimeEpoch);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getDatetimeEpochCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setDatetimeEpochCurrent(testDatetimeEpoch);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]DatetimeEpochCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #04 - Method [get/set]TempCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testTemp;
+
+		assert.strictEqual(weather.getTempCurrent(), sample.currentConditions.temp ?? null);
+
+		testTemp = 0;
+		weather.setTempCurrent(testTemp);
+		assert.strictEqual(weather.getTempCurrent(), testTemp);
+
+		testTemp = 10;
+		weather.setTempCurrent(testTemp);
+		assert.strictEqual(weather.getTempCurrent(), testTemp);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getTempCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setTempCurrent(testTemp);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]TempCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #05 - Method [get/set]FeelslikeCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testFeelslike;
+
+		assert.strictEqual(weather.getFeelslikeCurrent(), sample.currentConditions.feelslike ?? null);
+
+		testFeelslike = 0;
+		weather.setFeelslikeCurrent(testFeelslike);
+		assert.strictEqual(weather.getFeelslikeCurrent(), testFeelslike);
+
+		testFeelslike = 10;
+		weather.setFeelslikeCurrent(testFeelslike);
+		assert.strictEqual(weather.getFeelslikeCurrent(), testFeelslike);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getFeelslikeCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setFeelslikeCurrent(testFeelslike);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]FeelslikeCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #06 - Method [get/set]HumidityCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testHumidity;
+
+		assert.strictEqual(weather.getHumidityCurrent(), sample.currentConditions.humidity ?? null);
+
+		testHumidity = 0;
+		weather.setHumidityCurrent(testHumidity);
+		assert.strictEqual(weather.getHumidityCurrent(), testHumidity);
+
+		testHumidity = 10;
+		weather.setHumidityCurrent(testHumidity);
+		assert.strictEqual(weather.getHumidityCurrent(), testHumidity);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getHumidityCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setHumidityCurrent(testHumidity);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]HumidityCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #07 - Method [get/set]DewCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testDew;
+
+		assert.strictEqual(weather.getDewCurrent(), sample.currentConditions.dew ?? null);
+
+		testDew = 0;
+		weather.setDewCurrent(testDew);
+		assert.strictEqual(weather.getDewCurrent(), testDew);
+
+		testDew = 10;
+		weather.setDewCurrent(testDew);
+		assert.strictEqual(weather.getDewCurrent(), testDew);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getDewCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setDewCurrent(testDew);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]DewCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #08 - Method [get/set]PrecipCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testPrecip;
+
+		assert.strictEqual(weather.getPrecipCurrent(), sample.currentConditions.precip ?? null);
+
+		testPrecip = 0;
+		weather.setPrecipCurrent(testPrecip);
+		assert.strictEqual(weather.getPrecipCurrent(), testPrecip);
+
+		testPrecip = 10;
+		weather.setPrecipCurrent(testPrecip);
+		assert.strictEqual(weather.getPrecipCurrent(), testPrecip);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getPrecipCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setPrecipCurrent(testPrecip);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]PrecipCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #09 - Method [get/set]PrecipprobCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testPrecipprob;
+
+		assert.strictEqual(weather.getPrecipprobCurrent(), sample.currentConditions.precipprob ?? null);
+
+		testPrecipprob = 0;
+		weather.setPrecipprobCurrent(testPrecipprob);
+		assert.strictEqual(weather.getPrecipprobCurrent(), testPrecipprob);
+
+		testPrecipprob = 10;
+		weather.setPrecipprobCurrent(testPrecipprob);
+		assert.strictEqual(weather.getPrecipprobCurrent(), testPrecipprob);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getPrecipprobCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setPrecipprobCurrent(testPrecipprob);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]PrecipprobCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #10 - Method [get/set]SnowCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSnow;
+
+		assert.strictEqual(weather.getSnowCurrent(), sample.currentConditions.snow ?? null);
+
+		testSnow = 0;
+		weather.setSnowCurrent(testSnow);
+		assert.strictEqual(weather.getSnowCurrent(), testSnow);
+
+		testSnow = 10;
+		weather.setSnowCurrent(testSnow);
+		assert.strictEqual(weather.getSnowCurrent(), testSnow);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSnowCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSnowCurrent(testSnow);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SnowCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #11 - Method [get/set]SnowdepthCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSnowdepth;
+
+		assert.strictEqual(weather.getSnowdepthCurrent(), sample.currentConditions.snowdepth ?? null);
+
+		testSnowdepth = 0;
+		weather.setSnowdepthCurrent(testSnowdepth);
+		assert.strictEqual(weather.getSnowdepthCurrent(), testSnowdepth);
+
+		testSnowdepth = 10;
+		weather.setSnowdepthCurrent(testSnowdepth);
+		assert.strictEqual(weather.getSnowdepthCurrent(), testSnowdepth);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSnowdepthCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSnowdepthCurrent(testSnowdepth);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SnowdepthCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #12 - Method [get/set]PreciptypeCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testPreciptype;
+
+		assert.deepStrictEqual(weather.getPreciptypeCurrent(), sample.currentConditions.preciptype ?? null);
+
+		testPreciptype = ['value#1'];
+		weather.setPreciptypeCurrent(testPreciptype);
+		assert.deepStrictEqual(weather.getPreciptypeCurrent(), testPreciptype);
+
+		testPreciptype = ['value#1', 'value#2'];
+		weather.setPreciptypeCurrent(testPreciptype);
+		assert.deepStrictEqual(weather.getPreciptypeCurrent(), testPreciptype);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getPreciptypeCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setPreciptypeCurrent(testPreciptype);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]PreciptypeCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #13 - Method [get/set]WindgustCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testWindgust;
+
+		assert.strictEqual(weather.getWindgustCurrent(), sample.currentConditions.windgust ?? null);
+
+		testWindgust = 0;
+		weather.setWindgustCurrent(testWindgust);
+		assert.strictEqual(weather.getWindgustCurrent(), testWindgust);
+
+		testWindgust = 10;
+		weather.setWindgustCurrent(testWindgust);
+		assert.strictEqual(weather.getWindgustCurrent(), testWindgust);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getWindgustCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setWindgustCurrent(testWindgust);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]WindgustCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #14 - Method [get/set]WindspeedCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testWindspeed;
+
+		assert.strictEqual(weather.getWindspeedCurrent(), sample.currentConditions.windspeed ?? null);
+
+		testWindspeed = 0;
+		weather.setWindspeedCurrent(testWindspeed);
+		assert.strictEqual(weather.getWindspeedCurrent(), testWindspeed);
+
+		testWindspeed = 10;
+		weather.setWindspeedCurrent(testWindspeed);
+		assert.strictEqual(weather.getWindspeedCurrent(), testWindspeed);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getWindspeedCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setWindspeedCurrent(testWindspeed);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]WindspeedCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #15 - Method [get/set]WinddirCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testWinddir;
+
+		assert.strictEqual(weather.getWinddirCurrent(), sample.currentConditions.winddir ?? null);
+
+		testWinddir = 0;
+		weather.setWinddirCurrent(testWinddir);
+		assert.strictEqual(weather.getWinddirCurrent(), testWinddir);
+
+		testWinddir = 10;
+		weather.setWinddirCurrent(testWinddir);
+		assert.strictEqual(weather.getWinddirCurrent(), testWinddir);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getWinddirCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setWinddirCurrent(testWinddir);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]WinddirCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #16 - Method [get/set]PressureCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testPressure;
+
+		assert.strictEqual(weather.getPressureCurrent(), sample.currentConditions.pressure ?? null);
+
+		testPressure = 0;
+		weather.setPressureCurrent(testPressure);
+		assert.strictEqual(weather.getPressureCurrent(), testPressure);
+
+		testPressure = 10;
+		weather.setPressureCurrent(testPressure);
+		assert.strictEqual(weather.getPressureCurrent(), testPressure);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getPressureCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setPressureCurrent(testPressure);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]PressureCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #17 - Method [get/set]VisibilityCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testVisibility;
+
+		assert.strictEqual(weather.getVisibilityCurrent(), sample.currentConditions.visibility ?? null);
+
+		testVisibility = 0;
+		weather.setVisibilityCurrent(testVisibility);
+		assert.strictEqual(weather.getVisibilityCurrent(), testVisibility);
+
+		testVisibility = 10;
+		weather.setVisibilityCurrent(testVisibility);
+		assert.strictEqual(weather.getVisibilityCurrent(), testVisibility);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getVisibilityCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setVisibilityCurrent(testVisibility);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]VisibilityCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #18 - Method [get/set]CloudcoverCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testCloudcover;
+
+		assert.strictEqual(weather.getCloudcoverCurrent(), sample.currentConditions.cloudcover ?? null);
+
+		testCloudcover = 0;
+		weather.setCloudcoverCurrent(testCloudcover);
+		assert.strictEqual(weather.getCloudcoverCurrent(), testCloudcover);
+
+		testCloudcover = 10;
+		weather.setCloudcoverCurrent(testCloudcover);
+		assert.strictEqual(weather.getCloudcoverCurrent(), testCloudcover);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getCloudcoverCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setCloudcoverCurrent(testCloudcover);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]CloudcoverCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #19 - Method [get/set]SolarradiationCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSolarradiation;
+
+		assert.strictEqual(weather.getSolarradiationCurrent(), sample.currentConditions.solarradiation ?? null);
+
+		testSolarradiation = 0;
+		weather.setSolarradiationCurrent(testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationCurrent(), testSolarradiation);
+
+		testSolarradiation = 10;
+		weather.setSolarradiationCurrent(testSolarradiation);
+		assert.strictEqual(weather.getSolarradiationCurrent(), testSolarradiation);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSolarradiationCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSolarradiationCurrent(testSolarradiation);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SolarradiationCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #20 - Method [get/set]SolarenergyCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSolarenergy;
+
+		assert.strictEqual(weather.getSolarenergyCurrent(), sample.currentConditions.solarenergy ?? null);
+
+		testSolarenergy = 0;
+		weather.setSolarenergyCurrent(testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyCurrent(), testSolarenergy);
+
+		testSolarenergy = 10;
+		weather.setSolarenergyCurrent(testSolarenergy);
+		assert.strictEqual(weather.getSolarenergyCurrent(), testSolarenergy);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSolarenergyCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSolarenergyCurrent(testSolarenergy);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SolarenergyCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #21 - Method [get/set]UvindexCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testUvindex;
+
+		assert.strictEqual(weather.getUvindexCurrent(), sample.currentConditions.uvindex ?? null);
+
+		testUvindex = 0;
+		weather.setUvindexCurrent(testUvindex);
+		assert.strictEqual(weather.getUvindexCurrent(), testUvindex);
+
+		testUvindex = 10;
+		weather.setUvindexCurrent(testUvindex);
+		assert.strictEqual(weather.getUvindexCurrent(), testUvindex);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getUvindexCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setUvindexCurrent(testUvindex);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]UvindexCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #22 - Method [get/set]ConditionsCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testConditions;
+
+		assert.strictEqual(weather.getConditionsCurrent(), sample.currentConditions.conditions ?? null);
+
+		testConditions = 'value#1';
+		weather.setConditionsCurrent(testConditions);
+		assert.strictEqual(weather.getConditionsCurrent(), testConditions);
+
+		testConditions = 'value#2';
+		weather.setConditionsCurrent(testConditions);
+		assert.strictEqual(weather.getConditionsCurrent(), testConditions);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getConditionsCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setConditionsCurrent(testConditions);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]ConditionsCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #23 - Method [get/set]IconCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testIcon;
+
+		assert.strictEqual(weather.getIconCurrent(), sample.currentConditions.icon ?? null);
+
+		testIcon = 'value#1';
+		weather.setIconCurrent(testIcon);
+		assert.strictEqual(weather.getIconCurrent(), testIcon);
+
+		testIcon = 'value#2';
+		weather.setIconCurrent(testIcon);
+		assert.strictEqual(weather.getIconCurrent(), testIcon);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getIconCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setIconCurrent(testIcon);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]IconCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #24 - Method [get/set]StationsCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testStations;
+
+		assert.deepStrictEqual(weather.getStationsCurrent(), sample.currentConditions.stations ?? null);
+
+		testStations = ['value#1'];
+		weather.setStationsCurrent(testStations);
+		assert.deepStrictEqual(weather.getStationsCurrent(), testStations);
+
+		testStations = ['value#1', 'value#2'];
+		weather.setStationsCurrent(testStations);
+		assert.deepStrictEqual(weather.getStationsCurrent(), testStations);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getStationsCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setStationsCurrent(testStations);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]StationsCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #25 - Method [get/set]SourceCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSource;
+
+		assert.strictEqual(weather.getSourceCurrent(), sample.currentConditions.source ?? null);
+
+		testSource = 'value#1';
+		weather.setSourceCurrent(testSource);
+		assert.strictEqual(weather.getSourceCurrent(), testSource);
+
+		testSource = 'value#2';
+		weather.setSourceCurrent(testSource);
+		assert.strictEqual(weather.getSourceCurrent(), testSource);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSourceCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSourceCurrent(testSource);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SourceCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #26 - Method [get/set]SunriseCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSunrise;
+
+		assert.strictEqual(weather.getSunriseCurrent(), sample.currentConditions.sunrise ?? null);
+
+		testSunrise = 'value#1';
+		weather.setSunriseCurrent(testSunrise);
+		assert.strictEqual(weather.getSunriseCurrent(), testSunrise);
+
+		testSunrise = 'value#2';
+		weather.setSunriseCurrent(testSunrise);
+		assert.strictEqual(weather.getSunriseCurrent(), testSunrise);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSunriseCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSunriseCurrent(testSunrise);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SunriseCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #27 - Method [get/set]SunriseEpochCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSunriseEpoch;
+
+		assert.strictEqual(weather.getSunriseEpochCurrent(), sample.currentConditions.sunriseEpoch ?? null);
+
+		testSunriseEpoch = 0;
+		weather.setSunriseEpochCurrent(testSunriseEpoch);
+		assert.strictEqual(weather.getSunriseEpochCurrent(), testSunriseEpoch);
+
+		testSunriseEpoch = 10;
+		weather.setSunriseEpochCurrent(testSunriseEpoch);
+		assert.strictEqual(weather.getSunriseEpochCurrent(), testSunriseEpoch);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSunriseEpochCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSunriseEpochCurrent(testSunriseEpoch);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SunriseEpochCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #28 - Method [get/set]SunsetCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSunset;
+
+		assert.strictEqual(weather.getSunsetCurrent(), sample.currentConditions.sunset ?? null);
+
+		testSunset = 'value#1';
+		weather.setSunsetCurrent(testSunset);
+		assert.strictEqual(weather.getSunsetCurrent(), testSunset);
+
+		testSunset = 'value#2';
+		weather.setSunsetCurrent(testSunset);
+		assert.strictEqual(weather.getSunsetCurrent(), testSunset);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSunsetCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSunsetCurrent(testSunset);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SunsetCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #29 - Method [get/set]SunsetEpochCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testSunsetEpoch;
+
+		assert.strictEqual(weather.getSunsetEpochCurrent(), sample.currentConditions.sunsetEpoch ?? null);
+
+		testSunsetEpoch = 0;
+		weather.setSunsetEpochCurrent(testSunsetEpoch);
+		assert.strictEqual(weather.getSunsetEpochCurrent(), testSunsetEpoch);
+
+		testSunsetEpoch = 10;
+		weather.setSunsetEpochCurrent(testSunsetEpoch);
+		assert.strictEqual(weather.getSunsetEpochCurrent(), testSunsetEpoch);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getSunsetEpochCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setSunsetEpochCurrent(testSunsetEpoch);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]SunsetEpochCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #30 - Method [get/set]MoonphaseCurrent()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let testMoonphase;
+
+		assert.strictEqual(weather.getMoonphaseCurrent(), sample.currentConditions.moonphase ?? null);
+
+		testMoonphase = 0;
+		weather.setMoonphaseCurrent(testMoonphase);
+		assert.strictEqual(weather.getMoonphaseCurrent(), testMoonphase);
+
+		testMoonphase = 10;
+		weather.setMoonphaseCurrent(testMoonphase);
+		assert.strictEqual(weather.getMoonphaseCurrent(), testMoonphase);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.strictEqual(weather.getMoonphaseCurrent(), null);
+
+		assert.throws(
+			() => {
+				weather.setMoonphaseCurrent(testMoonphase);
+			},
+			(err) => {
+				assert(err instanceof WeatherDataError);
+				return true;
+			}
+		);
+	};
+	testData.desc = 'Method [get/set]MoonphaseCurrent()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #12 - Test Weather Instance Methods - Alerts elements
+	suiteDesc = 'Test Weather Instance Methods - Alerts elements';
+	suites.set(suiteDesc, []);
+
+	const sampleAlerts = [
+		{
+			event: 'Flood Warning', severity: 'Severe', headline: 'Flood Warning until Sunday',
+			onset: '2025-03-08T20:00:00-05:00', onsetEpoch: 1741482000,
+			ends: '2025-03-09T04:00:00-04:00', endsEpoch: 1741507200, id: 'alert#1',
+		},
+		{
+			event: 'Wind Advisory', headline: 'Wind Advisory from Sunday',
+			onset: '2025-03-09T12:00:00-04:00', onsetEpoch: 1741536000,
+			ends: null, endsEpoch: null, id: 'alert#2',
+		},
+		{
+			event: 'Flood Watch', severity: 'Moderate', headline: 'Flood Watch on Monday',
+			onset: '2025-03-10T06:00:00-04:00', ends: '2025-03-10T18:00:00-04:00',
+		},
+	];
+
+	// TEST #01 - Method [get/set/add]Alerts()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(JSON.parse(sample_01));
+
+		assert.deepStrictEqual(weather.getAlerts(), []);
+
+		weather.setAlerts(sampleAlerts.slice(0, 2));
+		assert.deepStrictEqual(weather.getAlerts(), sampleAlerts.slice(0, 2));
+
+		const updated = { ...sampleAlerts[0], endsEpoch: 1741510800 };
+
+		assert.strictEqual(weather.addAlerts([updated, sampleAlerts[2]]), 1);
+		assert.deepStrictEqual(weather.getAlerts(), [updated, sampleAlerts[1], sampleAlerts[2]]);
+
+		assert.strictEqual(weather.addAlerts(sampleAlerts), 0);
+		assert.strictEqual(weather.getAlerts().length, 3);
+
+		assert.throws(() => weather.addAlerts('alert#1'), WeatherValidationError);
+
+		weather.setWeatherData(null);
+		assert.deepStrictEqual(weather.getAlerts(), []);
+	};
+	testData.desc = 'Method [get/set/add]Alerts()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method filterAlerts()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData({ timezone: 'America/New_York', tzoffset: -4, alerts: sampleAlerts });
+
+		const ids = (alerts) => alerts.map(alert => alert.headline);
+
+		assert.strictEqual(weather.filterAlerts().length, 3);
+		assert.deepStrictEqual(ids(weather.filterAlerts({ event: 'flood warning' })), [sampleAlerts[0].headline]);
+		assert.deepStrictEqual(ids(weather.filterAlerts({ event: ['Flood Warning', 'Flood Watch'] })), ids([sampleAlerts[0], sampleAlerts[2]]));
+		assert.deepStrictEqual(ids(weather.filterAlerts({ severity: 'moderate' })), [sampleAlerts[2].headline]);
+
+		assert.deepStrictEqual(ids(weather.filterAlerts({ from: '2025-03-09T05:00:00' })), ids(sampleAlerts.slice(1)));
+		assert.deepStrictEqual(ids(weather.filterAlerts({ to: '2025-03-09' })), [sampleAlerts[0].headline]);
+		assert.deepStrictEqual(ids(weather.filterAlerts({ from: '2025-03-09T16:00:00Z', to: new Date('2025-03-10T12:00:00Z') })), ids(sampleAlerts.slice(1)));
+		assert.deepStrictEqual(ids(weather.filterAlerts({ from: '2025-03-09T16:00:00Z', to: new Date('2025-03-10T09:00:00Z') })), [sampleAlerts[1].headline]);
+		assert.deepStrictEqual(ids(weather.filterAlerts({ event: 'Flood Watch', from: 1741651200 })), []);
+
+		assert.throws(() => weather.filterAlerts({ from: 'yesterday' }), WeatherValidationError);
+		assert.throws(() => weather.filterAlerts({ to: {} }), WeatherValidationError);
+	};
+	testData.desc = 'Method filterAlerts()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method getActiveAlerts()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData({ timezone: 'America/New_York', tzoffset: -4, alerts: sampleAlerts });
+
+		const ids = (alerts) => alerts.map(alert => alert.headline);
+
+		/* the DST transition of 2025-03-09 02:00 EST */
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-09T03:30:00')), [sampleAlerts[0].headline]);
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-09T04:00:00')), []);
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-08T19:59:59')), []);
+
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-10T12:00:00')), ids(sampleAlerts.slice(1)));
+		assert.deepStrictEqual(ids(weather.getActiveAlerts(1741536000)), [sampleAlerts[1].headline]);
+		assert.deepStrictEqual(ids(weather.getActiveAlerts(new Date('2030-01-01T00:00:00Z'))), [sampleAlerts[1].headline]);
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-09T07:30:00+00:00')), [sampleAlerts[0].headline]);
+
+		weather.setWeatherData({ tzoffset: 2, alerts: sampleAlerts });
+		assert.deepStrictEqual(ids(weather.getActiveAlerts('2025-03-09T09:30:00')), [sampleAlerts[0].headline]);
+
+		assert.throws(() => weather.getActiveAlerts('09/03/2025'), WeatherValidationError);
+		assert.throws(() => weather.getActiveAlerts(NaN), WeatherValidationError);
+	};
+	testData.desc = 'Method getActiveAlerts()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #13 - Test Weather Instance Methods - Events elements
+	suiteDesc = 'Test Weather Instance Methods - Events elements';
+	suites.set(suiteDesc, []);
+
+	const sampleEvents = () => ({
+		days: [
+			{ datetime: '2024-04-28', events: [
+				{ datetime: '2024-04-28T16:10:00', type: 'hail', distance: 12.5, size: 1.75, desc: 'Hail 1.75 in' },
+			] },
+			{ datetime: '2024-04-29' },
+			{ datetime: '2024-05-06', events: [
+				{ datetime: '2024-05-06T20:45:00', type: 'tornado', distance: 40.1, desc: 'Tornado EF1' },
+				{ datetime: '2024-05-06T21:05:00', type: 'wind', distance: 8, desc: 'Trees down' },
+				{ datetime: '2024-05-06T21:30:00', type: 'hail', distance: 20, size: 1 },
+			] },
+			{ datetime: '2025-01-02', events: [] },
+		],
+	});
+
+	// TEST #01 - Method [get/set]EventsOnDay()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleEvents();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.strictEqual(weather.getEventsOnDay('2024-05-06').length, 3);
+		assert.strictEqual(weather.getEventsOnDay(0), sample.days[0].events);
+		assert.deepStrictEqual(weather.getEventsOnDay(1), []);
+		assert.deepStrictEqual(weather.getEventsOnDay('1970-01-01'), []);
+
+		let testEvents = [{ type: 'wind', distance: 1 }];
+		weather.setEventsOnDay('2024-04-29', testEvents);
+		assert.strictEqual(weather.getEventsOnDay(1), testEvents);
+
+		testEvents = [];
+		weather.setEventsOnDay(0, testEvents);
+		assert.strictEqual(weather.getEventsOnDay('2024-04-28'), testEvents);
+
+		assert.throws(() => weather.getEventsOnDay(false), WeatherValidationError);
+		assert.throws(() => weather.setEventsOnDay(false, testEvents), WeatherValidationError);
+
+		weather.setWeatherData({});
+		assert.deepStrictEqual(weather.getEventsOnDay(0), []);
+		assert.throws(() => weather.setEventsOnDay(0, testEvents), WeatherDataError);
+	};
+	testData.desc = 'Method [get/set]EventsOnDay()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method [get/filter]Events()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleEvents();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		const descs = (events) => events.map(event => event.datetime);
+
+		assert.deepStrictEqual(weather.getEvents(), [...sample.days[0].events, ...sample.days[2].events]);
+		assert.deepStrictEqual(weather.filterEvents(), weather.getEvents());
+
+		assert.deepStrictEqual(descs(weather.filterEvents({ type: 'HAIL' })), ['2024-04-28T16:10:00', '2024-05-06T21:30:00']);
+		assert.deepStrictEqual(descs(weather.filterEvents({ type: ['tornado', 'wind'] })), ['2024-05-06T20:45:00', '2024-05-06T21:05:00']);
+		assert.deepStrictEqual(descs(weather.filterEvents({ maxDistance: 12.5 })), ['2024-04-28T16:10:00', '2024-05-06T21:05:00']);
+		assert.deepStrictEqual(descs(weather.filterEvents({ fromDate: '2024-05-01' })), descs(sample.days[2].events));
+		assert.deepStrictEqual(descs(weather.filterEvents({ toDate: '2024-04-30', type: 'hail' })), ['2024-04-28T16:10:00']);
+
+		assert.throws(() => weather.filterEvents({ maxDistance: -1 }), WeatherValidationError);
+		assert.throws(() => weather.filterEvents({ fromDate: 'last30days' }), WeatherValidationError);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.deepStrictEqual(weather.getEvents(), []);
+
+		weather.setWeatherData(null);
+		assert.deepStrictEqual(weather.getEvents(), []);
+	};
+	testData.desc = 'Method [get/filter]Events()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method summarizeEvents()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(sampleEvents());
+
+		assert.deepStrictEqual(weather.summarizeEvents(), {
+			'2024-04': { hail: 1 },
+			'2024-05': { tornado: 1, wind: 1, hail: 1 },
+		});
+		assert.deepStrictEqual(weather.summarizeEvents('day', { maxDistance: 20 }), {
+			'2024-04-28': { hail: 1 },
+			'2024-05-06': { wind: 1, hail: 1 },
+		});
+		assert.deepStrictEqual(weather.summarizeEvents('year'), { '2024': { hail: 2, tornado: 1, wind: 1 } });
+		assert.deepStrictEqual(weather.summarizeEvents('all', { type: 'hail' }), { all: { hail: 2 } });
+		assert.deepStrictEqual(weather.summarizeEvents('month', { fromDate: '2025-01-01' }), {});
+
+		assert.throws(() => weather.summarizeEvents('week'), WeatherValidationError);
+	};
+	testData.desc = 'Method summarizeEvents()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #14 - Test Weather Instance Methods - Minutes elements
+	suiteDesc = 'Test Weather Instance Methods - Minutes elements';
+	suites.set(suiteDesc, []);
+
+	const sampleMinutes = () => ({
+		days: ['2025-03-07', '2025-03-08'].map((date, d) => ({
+			datetime: date,
+			hours: [0, 1].map(h => {
+				const epoch = Date.parse(`${date}T00:00:00Z`) / 1000 + h * 3600;
+				return {
+					datetime: `0${h}:00:00`, datetimeEpoch: epoch, temp: 10 + d * 10 + h * 4, precip: 1, winddir: 350, conditions: 'Rain',
+					minutes: [0, 15, 30, 45].map((m, i) => ({
+						datetime: `0${h}:${String(m).padStart(2, '0')}:00`, datetimeEpoch: epoch + m * 60,
+						temp: 10 + d * 10 + h * 4 + i, precip: 0.25 * i, windgust: 20 + i, winddir: i % 2 ? 10 : 350, conditions: i ? 'Rain' : 'Overcast',
+					})),
+				};
+			}),
+		})),
+	});
+
+	// TEST #01 - Method [get]WeatherMinutelyData/MinutelyDataOnDay()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleMinutes();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.strictEqual(weather.getWeatherMinutelyData().length, 16);
+		assert.strictEqual(weather.getWeatherMinutelyData()[4], sample.days[0].hours[1].minutes[0]);
+		assert.deepStrictEqual(weather.getWeatherMinutelyData(['temp']).slice(0, 2), [{ temp: 10 }, { temp: 11 }]);
+
+		assert.strictEqual(weather.getMinutelyDataOnDay('2025-03-08').length, 8);
+		assert.strictEqual(weather.getMinutelyDataOnDay(1)[0].temp, 20);
+		assert.deepStrictEqual(weather.getMinutelyDataOnDay(0, ['datetime']).map(minute => minute.datetime).slice(3, 5), ['00:45:00', '01:00:00']);
+		assert.deepStrictEqual(weather.getMinutelyDataOnDay('1970-01-01'), []);
+		assert.throws(() => weather.getMinutelyDataOnDay(false), WeatherValidationError);
+
+		assert.deepStrictEqual(weather.getMinutelyDatetimes().slice(0, 2), [new Date('2025-03-07T00:00:00Z'), new Date('2025-03-07T00:15:00Z')]);
+		assert.deepStrictEqual(weather.getMinutelyDatetimes('utc').slice(0, 2), ['2025-03-07T00:00:00Z', '2025-03-07T00:15:00Z']);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.deepStrictEqual(weather.getWeatherMinutelyData(), []);
+		assert.deepStrictEqual(weather.getMinutelyDataOnDay(0), []);
+
+		weather.setWeatherData({});
+		assert.strictEqual(weather.getWeatherMinutelyData(), null);
+		assert.deepStrictEqual(weather.getMinutelyDatetimes(), []);
+		assert.deepStrictEqual(new Weather().getMinutelyDatetimes('utc'), []);
+	};
+	testData.desc = 'Method [get]WeatherMinutelyData/MinutelyDataOnDay()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method [get/set/update]DataAtMinute()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleMinutes();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.strictEqual(weather.getDataAtMinute('2025-03-07', '01:30:00'), sample.days[0].hours[1].minutes[2]);
+		assert.strictEqual(weather.getDataAtMinute(1, 5), sample.days[1].hours[1].minutes[1]);
+		assert.deepStrictEqual(weather.getDataAtMinute(0, '00:15:00', ['temp', 'precip']), { temp: 11, precip: 0.25 });
+		assert.strictEqual(weather.getDataAtMinute(0, '00:10:00'), null);
+		assert.strictEqual(weather.getDataAtMinute(0, '05:00:00'), null);
+		assert.strictEqual(weather.getDataAtMinute(0, 8), null);
+
+		weather.setDataAtMinute(0, 3, { temp: 0 });
+		assert.deepStrictEqual(weather.getDataAtMinute(0, '00:45:00'), { temp: 0, datetime: '00:45:00' });
+
+		weather.updateDataAtMinute('2025-03-08', 7, { temp: -1, datetime: '23:00:00' });
+		assert.strictEqual(weather.getDataAtMinute(1, '01:45:00').temp, -1);
+		assert.strictEqual(weather.getDataAtMinute(1, '01:45:00').precip, 0.75);
+
+		assert.throws(() => weather.getDataAtMinute(0, false), WeatherValidationError);
+		assert.throws(() => weather.getDataAtMinute(false, 0), WeatherValidationError);
+		assert.throws(() => weather.setDataAtMinute(0, 0, null), WeatherValidationError);
+		assert.throws(() => weather.getDataAtMinute('1970-01-01', 0), WeatherDataError);
+		assert.throws(() => weather.updateDataAtMinute(5, 0, {}), WeatherDataError);
+	};
+	testData.desc = 'Method [get/set/update]DataAtMinute()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method resampleMinutelyToHourly()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleMinutes();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		const hours = weather.resampleMinutelyToHourly();
+
+		assert.strictEqual(hours.length, 4);
+		assert.strictEqual(hours[1].datetime, '01:00:00');
+		assert.strictEqual(hours[1].datetimeEpoch, sample.days[0].hours[1].datetimeEpoch);
+		assert.strictEqual(hours[1].temp, 15.5);
+		assert.strictEqual(hours[1].precip, 1.5);
+		assert.strictEqual(hours[1].windgust, 23);
+		assert(Math.abs(hours[1].winddir) < 1e-9 || Math.abs(hours[1].winddir - 360) < 1e-9);
+		assert.strictEqual(hours[1].conditions, 'Overcast');
+		assert.strictEqual(hours[3].temp, 25.5);
+		assert(!('minutes' in hours[0]));
+
+		assert.strictEqual(sample.days[0].hours[0].minutes.length, 4);
+		assert.strictEqual(sample.days[0].hours[1].temp, 14);
+
+		weather.setWeatherData(JSON.parse(sample_01));
+		assert.deepStrictEqual(weather.resampleMinutelyToHourly(), []);
+	};
+	testData.desc = 'Method resampleMinutelyToHourly()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #04 - Method resampleHourlyToMinutely()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleMinutes();
+		sample.days[0].hours[1].winddir = 30;
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		let minutes = weather.resampleHourlyToMinutely();
+
+		assert.strictEqual(minutes.length, 16);
+		assert.deepStrictEqual(minutes.slice(0, 4).map(minute => minute.datetime), ['00:00:00', '00:15:00', '00:30:00', '00:45:00']);
+		assert.deepStrictEqual(minutes.slice(0, 4).map(minute => minute.temp), [10, 11, 12, 13]);
+		assert.deepStrictEqual(minutes.slice(0, 4).map(minute => minute.precip), [0.25, 0.25, 0.25, 0.25]);
+		assert.deepStrictEqual(minutes.slice(0, 3).map(minute => Math.round(minute.winddir)), [350, 0, 10]);
+		assert.strictEqual(minutes[2].datetimeEpoch, sample.days[0].hours[0].datetimeEpoch + 30 * 60);
+		assert.strictEqual(minutes[2].conditions, 'Rain');
+		assert(!('minutes' in minutes[0]));
+
+		/* across the days */
+		assert.deepStrictEqual(minutes.slice(4, 9).map(minute => minute.temp), [14, 15.5, 17, 18.5, 20]);
+		assert.deepStrictEqual(minutes.slice(12).map(minute => minute.temp), [24, 24, 24, 24]);
+
+		minutes = weather.resampleHourlyToMinutely(30);
+		assert.strictEqual(minutes.length, 8);
+		assert.strictEqual(minutes[1].datetime, '00:30:00');
+
+		assert.strictEqual(weather.resampleHourlyToMinutely(60).length, 4);
+		assert.throws(() => weather.resampleHourlyToMinutely(7), WeatherValidationError);
+		assert.throws(() => weather.resampleHourlyToMinutely(0), WeatherValidationError);
+	};
+	testData.desc = 'Method resampleHourlyToMinutely()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #15 - Test Weather Instance Methods - Normals elements
+	suiteDesc = 'Test Weather Instance Methods - Normals elements';
+	suites.set(suiteDesc, []);
+
+	const sampleNormals = () => ({
+		days: [
+			{ datetime: '2025-03-07', source: 'obs', tempmax: 22, precip: 0, normal: { tempmax: [15, 20, 25], precip: [0, 1, 4], windspeed: [null, 12, 30] } },
+			{ datetime: '2025-03-08', source: 'fcst', tempmax: 14, precip: 8 },
+			{ datetime: '2025-04-08', source: 'stats', tempmax: 24, precip: 1, normal: { tempmax: [18, 24, 30], precip: [0, 1, 4] } },
+		],
+	});
+
+	// TEST #01 - Method [get/set]NormalsOnDay()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleNormals();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.strictEqual(weather.getNormalsOnDay('2025-03-07'), sample.days[0].normal);
+		assert.deepStrictEqual(weather.getNormalsOnDay(2, ['precip']), { precip: [0, 1, 4] });
+		assert.strictEqual(weather.getNormalsOnDay(1), null);
+		assert.strictEqual(weather.getNormalsOnDay('1970-01-01'), null);
+
+		let testNormals = { tempmax: [10, 15, 20] };
+		weather.setNormalsOnDay('2025-03-08', testNormals);
+		assert.strictEqual(weather.getNormalsOnDay(1), testNormals);
+
+		assert.deepStrictEqual(weather.getNormalOnDay(0, 'tempmax'), { min: 15, mean: 20, max: 25 });
+		assert.deepStrictEqual(weather.getNormalOnDay('2025-03-08', 'tempmax'), { min: 10, mean: 15, max: 20 });
+		assert.strictEqual(weather.getNormalOnDay(0, 'windspeed'), null);
+		assert.strictEqual(weather.getNormalOnDay(0, 'humidity'), null);
+
+		assert.throws(() => weather.getNormalsOnDay(false), WeatherValidationError);
+		assert.throws(() => weather.getNormalOnDay(false, 'tempmax'), WeatherValidationError);
+		assert.throws(() => weather.setNormalsOnDay(false, testNormals), WeatherValidationError);
+
+		weather.setWeatherData({});
+		assert.strictEqual(weather.getNormalsOnDay(0), null);
+		assert.throws(() => weather.setNormalsOnDay(0, testNormals), WeatherDataError);
+	};
+	testData.desc = 'Method [get/set]NormalsOnDay()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method getAnomal[yOnDay/ies]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(sampleNormals());
+
+		assert.deepStrictEqual(weather.getAnomalyOnDay(0, 'tempmax'), {
+			datetime: '2025-03-07',
+			source: 'obs',
+			value: 22,
+			normal: { min: 15, mean: 20, max: 25 },
+			anomaly: 2,
+			percentile: 70,
+		});
+		assert.strictEqual(weather.getAnomalyOnDay(0, 'precip').percentile, 0);
+		assert.strictEqual(weather.getAnomalyOnDay(0, 'precip').anomaly, -1);
+		assert.strictEqual(weather.getAnomalyOnDay(2, 'precip').percentile, 50);
+		assert.strictEqual(weather.getAnomalyOnDay(1, 'tempmax'), null);
+		assert.strictEqual(weather.getAnomalyOnDay(0, 'windspeed'), null);
+		assert.throws(() => weather.getAnomalyOnDay(false, 'tempmax'), WeatherValidationError);
+
+		assert.deepStrictEqual(weather.getAnomalies('tempmax').map(({ datetime, source, percentile }) => [datetime, source, percentile]), [
+			['2025-03-07', 'obs', 70],
+			['2025-04-08', 'stats', 50],
+		]);
+		assert.deepStrictEqual(weather.getAnomalies('humidity'), []);
+
+		weather.setWeatherData({ days: [{ datetime: '2025-03-07', tempmax: 40, normal: { tempmax: [15, 20, 25] } }] });
+		assert.strictEqual(weather.getAnomalyOnDay(0, 'tempmax').percentile, 100);
+
+		weather.setWeatherData(null);
+		assert.deepStrictEqual(weather.getAnomalies('tempmax'), []);
+	};
+	testData.desc = 'Method getAnomal[yOnDay/ies]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #16 - Test Weather Instance Methods - Stations elements
+	suiteDesc = 'Test Weather Instance Methods - Stations elements';
+	suites.set(suiteDesc, []);
+
+	const sampleStations = () => ({
+		stations: {
+			HEBA: { id: 'HEBA', name: 'Borg El Arab', distance: 38162, latitude: 30.92, longitude: 29.7, contribution: 0.2, quality: 48, useCount: 1 },
+			HEAX: { id: 'HEAX', name: 'Alexandria Airport', distance: 7200, latitude: 31.18, longitude: 29.95, contribution: 0.8, quality: 92, useCount: 2 },
+			X001: { id: 'X001', name: 'Unranked' },
+		},
+		days: [
+			{ datetime: '2025-03-07', stations: ['HEAX', 'HEBA'], hours: [
+				{ datetime: '00:00:00', stations: ['HEAX'] },
+				{ datetime: '01:00:00', stations: ['HEAX', 'remote'] },
+			] },
+			{ datetime: '2025-03-08', stations: ['remote', 'HEAX'], hours: [
+				{ datetime: '00:00:00', stations: ['HEBA'] },
+				{ datetime: '01:00:00' },
+			] },
+		],
+	});
+
+	// TEST #01 - Method getStation[/sMetadataOnDay/sMetadataAtDatetime]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let sample = sampleStations();
+
+		let weather = new Weather();
+		weather.setWeatherData(sample);
+
+		assert.strictEqual(weather.getStation('HEBA'), sample.stations.HEBA);
+		assert.strictEqual(weather.getStation('remote'), null);
+		assert.strictEqual(weather.getStation('toString'), null);
+
+		assert.deepStrictEqual(weather.getStationsMetadataOnDay(0), [sample.stations.HEAX, sample.stations.HEBA]);
+		assert.deepStrictEqual(weather.getStationsMetadataOnDay('2025-03-08'), [{ id: 'remote' }, sample.stations.HEAX]);
+		assert.deepStrictEqual(weather.getStationsMetadataOnDay('1970-01-01'), []);
+
+		assert.deepStrictEqual(weather.getStationsMetadataAtDatetime(0, '01:00:00'), [sample.stations.HEAX, { id: 'remote' }]);
+		assert.deepStrictEqual(weather.getStationsMetadataAtDatetime('2025-03-08', 0), [sample.stations.HEBA]);
+		assert.deepStrictEqual(weather.getStationsMetadataAtDatetime(1, 1), []);
+
+		assert.throws(() => weather.getStationsMetadataOnDay(false), WeatherValidationError);
+		assert.throws(() => weather.getStationsMetadataAtDatetime(0, false), WeatherValidationError);
+
+		weather.setWeatherData(null);
+		assert.strictEqual(weather.getStation('HEBA'), null);
+	};
+	testData.desc = 'Method getStation[/sMetadataOnDay/sMetadataAtDatetime]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method [rankStations/getNearestStation]()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(sampleStations());
+
+		const ids = (stations) => stations.map(station => station.id);
+
+		assert.deepStrictEqual(ids(weather.rankStations()), ['HEAX', 'HEBA', 'X001']);
+		assert.deepStrictEqual(ids(weather.rankStations('contribution')), ['HEAX', 'HEBA', 'X001']);
+		assert.deepStrictEqual(ids(weather.rankStations('useCount')), ['HEAX', 'HEBA', 'X001']);
+		assert.strictEqual(weather.getNearestStation().id, 'HEAX');
+
+		assert.throws(() => weather.rankStations('name'), WeatherValidationError);
+
+		weather.setWeatherData(JSON.parse(sample_02));
+		assert.strictEqual(weather.getNearestStation().id, 'HEBA');
+
+		weather.setWeatherData({});
+		assert.deepStrictEqual(weather.rankStations(), []);
+		assert.strictEqual(weather.getNearestStation(), null);
+	};
+	testData.desc = 'Method [rankStations/getNearestStation]()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method getStationUsage()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(sampleStations());
+
+		assert.deepStrictEqual(weather.getStationUsage(), {
+			HEAX: ['2025-03-07', '2025-03-08'],
+			HEBA: ['2025-03-07'],
+			remote: ['2025-03-08'],
+		});
+		assert.deepStrictEqual(weather.getStationUsage('hour'), {
+			HEAX: ['2025-03-07T00:00:00', '2025-03-07T01:00:00'],
+			remote: ['2025-03-07T01:00:00'],
+			HEBA: ['2025-03-08T00:00:00'],
+		});
+
+		assert.throws(() => weather.getStationUsage('minute'), WeatherValidationError);
+
+		weather.setWeatherData(null);
+		assert.deepStrictEqual(weather.getStationUsage(), {});
+	};
+	testData.desc = 'Method getStationUsage()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST SUITE #17 - Test Weather Instance Methods - Units elements
+	suiteDesc = 'Test Weather Instance Methods - Units elements';
+	suites.set(suiteDesc, []);
+
+	const sampleUnits = () => ({
+		days: [
+			{
+				datetime: '2025-03-07', tempmax: 20, tempmin: 10, precip: 25.4, windspeed: 16.1, humidity: 60, conditions: 'Clear',
+				normal: { tempmax: [15, 20, 25], precip: [0, 2.54, 25.4], humidity: [40, 60, 80] },
+				hours: [{ datetime: '00:00:00', temp: 12, visibility: 10, minutes: [{ datetime: '00:15:00', temp: 11, snow: 2.54 }] }],
+			},
+		],
+		currentConditions: { datetime: '00:00:00', temp: 0, windgust: 36, pressure: 1015 },
+	});
+
+	// TEST #01 - Method getUnitGroup()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		const transport = async () => ({ status: 200, headers: {}, body: JSON.stringify({ address: 'Alexandria', days: [{ datetime: '2025-03-07', temp: 20 }] }) });
+		let weather = new Weather('KEY', undefined, { transport });
+
+		assert.strictEqual(weather.getUnitGroup(), null);
+		assert.strictEqual(weather.getElementUnit('temp'), null);
+
+		await weather.fetchWeatherData('Alexandria', '2025-03-07');
+		assert.strictEqual(weather.getUnitGroup(), 'metric');
+		assert.strictEqual(weather.getElementUnit('temp'), 'C');
+
+		await weather.fetchWeatherData('Alexandria', { fromDate: '2025-03-07', unitGroup: 'uk' });
+		assert.strictEqual(weather.getUnitGroup(), 'uk');
+		assert.strictEqual(weather.getElementUnit('windspeed'), 'mph');
+		assert.strictEqual(weather.getElementUnit('humidity'), '%');
+		assert.strictEqual(weather.getElementUnit('conditions'), null);
+
+		weather.setWeatherData(sampleUnits());
+		assert.strictEqual(weather.getUnitGroup(), null);
+
+		weather.setWeatherData(sampleUnits(), 'us');
+		assert.strictEqual(weather.getUnitGroup(), 'us');
+		assert.strictEqual(weather.getElementUnit('precip'), 'in');
+
+		assert.throws(() => weather.setWeatherData(sampleUnits(), 'imperial'), WeatherValidationError);
+
+		weather.clearWeatherData();
+		assert.strictEqual(weather.getUnitGroup(), null);
+	};
+	testData.desc = 'Method getUnitGroup()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #02 - Method convertUnitGroup()...test#1
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+		weather.setWeatherData(sampleUnits(), 'metric');
+
+		const day = weather.getDataOnDay(0);
+		weather.convertUnitGroup('us');
+
+		assert.strictEqual(weather.getUnitGroup(), 'us');
+		assert.strictEqual(weather.getDataOnDay(0), day);
+		assert.deepStrictEqual(weather.getDataOnDay(0, ['tempmax', 'tempmin', 'precip', 'windspeed', 'humidity', 'conditions']), {
+			tempmax: 68, tempmin: 50, precip: 1, windspeed: 10, humidity: 60, conditions: 'Clear',
+		});
+		assert.deepStrictEqual(weather.getNormalsOnDay(0), { tempmax: [59, 68, 77], precip: [0, 0.1, 1], humidity: [40, 60, 80] });
+		assert.strictEqual(weather.getTempAtDatetime(0, 0), 53.6);
+		assert.strictEqual(weather.getDataAtDatetime(0, 0).visibility, 6.2);
+		assert.deepStrictEqual(weather.getDataAtMinute(0, '00:15:00', ['temp', 'snow']), { temp: 51.8, snow: 1 });
+		assert.deepStrictEqual(weather.getCurrentConditions(), { datetime: '00:00:00', temp: 32, windgust: 22.4, pressure: 1015 });
+
+		weather.convertUnitGroup('base', 2);
+		assert.strictEqual(weather.getTempmaxOnDay(0), 293.15);
+		assert.strictEqual(weather.getWindgustCurrent(), 10.01);
+
+		weather.convertUnitGroup('metric', null);
+		assert.strictEqual(weather.getTempmaxOnDay(0), 20);
+	};
+	testData.desc = 'Method convertUnitGroup()...test#1';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #03 - Method convertUnitGroup()...test#2
+	testData = {};
+
+	testData.method = async () => {
+		let weather = new Weather();
+
+		assert.throws(() => weather.convertUnitGroup('us'), WeatherDataError);
+
+		weather.setWeatherData(sampleUnits(), 'metric');
+
+		assert.throws(() => weather.convertUnitGroup('imperial'), (err) => err instanceof WeatherValidationError && err.param === 'unitGroup');
+		assert.throws(() => weather.convertUnitGroup('us', -1), (err) => err instanceof WeatherValidationError && err.param === 'precision');
+		assert.strictEqual(weather.getUnitGroup(), 'metric');
+
+		weather.convertUnitGroup('uk');
+		assert.strictEqual(weather.getTempmaxOnDay(0), 20);
+		assert.strictEqual(weather.getWindspeedOnDay(0), 10);
+
+		weather.setWeatherData({}, 'us');
+		weather.convertUnitGroup('metric');
+		assert.deepStrictEqual(weather.getWeatherData(), {});
+	};
+	testData.desc = 'Method convertUnitGroup()...test#2';
+
+	testData.skip = false;
+	suites.get(suiteDesc).push(testData);
+
+	// TEST #04 - Method convertUnitGroup()...test#3
+	testData = {};
+
+	testData.method = async () => {
+		const amounts = (data) => data.days.flatMap(day => [day, ...day.hours]).map(({ precip, snow, snowdepth }) => ({ precip, snow, snowdepth }));
+
+		let sample = JSON.parse(sample_02);
+
+		let weather = new Weather();
+		weather.setWeatherData(JSON.parse(sample_02), 'metric');
+
+		weather.convertUnitGroup('us');
+
+		assert.deepStrictEqual(weather.getHourlyDataOnDay('2025-03-22').map(hour => hour.precip).filter(precip => precip), [0.004, 0.024, 0.004, 0.004, 0.004]);
+		assert.deepStrictEqual(['2025-03-22', '2025-03-23', '2025-03-24'].map(day => weather.getPrecipOnDay(day)), [0.039, 0.016, 0.008]);
+
+		weather.convertUnitGroup('metric');
+
+		assert.deepStrictEqual(amounts(weather.getWeatherData()), amounts(sample));
+	};
+	testData.desc = 'Method convertUnitGroup()...test#3';
 
 	testData.skip = false;
 	suites.get(suiteDesc).push(testData);